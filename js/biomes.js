@@ -0,0 +1,236 @@
+/**
+ * Biome map
+ * A layer generated next to the Heightmap: every cell gets a temperature and a
+ * moisture value (seeded noise, height lapse rate, distance to water) plus its
+ * slope, and is classified into a biome from a configurable table.
+ *
+ * The result feeds two systems:
+ *   - the terrain shader, through an RGBA texture (RGB = biome tint, A = vegetation density)
+ *   - vegetation scattering, through a density sampler in world coordinates
+ *
+ * Same mapping as the terrain: 1 pixel = 1 meter, pixel (0, 0) at world (-width/2, -height/2).
+ */
+
+import { createPerlinNoise, createPRNG, fbm } from './noise.js';
+import { distanceTransform } from './water.js';
+
+/**
+ * Tabella biomi di default, valutata in ordine: vince il primo biome le cui regole contengono la cella
+ * Regole (opzionali, [min, max]): temperature e moisture 0-1, slope in gradi, height in metri
+ * tint: moltiplicatore del colore del terreno (1 = invariato), density: vegetazione 0-1
+ */
+export const DEFAULT_BIOMES = [
+    { name: 'scree', slope: [34, 90], tint: [1.05, 1.0, 0.95], density: 0.02 },
+    { name: 'alpine', temperature: [0, 0.2], tint: [1.1, 1.1, 1.05], density: 0.05 },
+    { name: 'wetland', moisture: [0.85, 1], slope: [0, 8], tint: [0.8, 0.95, 0.85], density: 0.35 },
+    { name: 'forest', moisture: [0.6, 1], temperature: [0.2, 1], tint: [0.75, 0.9, 0.7], density: 0.85 },
+    { name: 'meadow', moisture: [0.35, 1], tint: [1.05, 1.1, 0.85], density: 0.15 },
+    { name: 'dry', tint: [1.2, 1.1, 0.8], density: 0.04 }
+];
+
+function inRange(range, value) {
+    return !range || (value >= range[0] && value <= range[1]);
+}
+
+/**
+ * Genera la mappa dei biomi di una heightmap
+ *
+ * @param {Heightmap} heightmap - Heightmap del terreno
+ * @param {Object} options - Opzioni
+ * @param {number|string} options.seed - Seed del rumore di temperatura e umidità
+ * @param {Array<Object>} options.biomes - Tabella biomi (vedi DEFAULT_BIOMES)
+ * @param {number} options.scale - Frequenza del rumore (1/m)
+ * @param {number} options.lapseRate - Calo di temperatura (0-1) per metro di quota sopra baseHeight
+ * @param {number} options.baseHeight - Quota (m) a cui la temperatura è quella del rumore
+ * @param {number|null} options.waterLevel - Celle con altezza <= waterLevel sono acqua (null = nessun lago)
+ * @param {WaterMap|null} options.waterMap - Laghi di findWaterBodies, in alternativa a waterLevel
+ * @param {number} options.flowThreshold - Celle con flusso d'erosione >= soglia sono ruscelli (0 = ignorato)
+ * @param {number} options.waterRange - Distanza (m) entro cui l'acqua rende il terreno umido
+ * @param {number} options.waterWeight - Peso (0-1) dell'acqua sull'umidità
+ * @returns {BiomeMap} Mappa dei biomi
+ */
+export function generateBiomeMap(heightmap, {
+    seed = 0,
+    biomes = DEFAULT_BIOMES,
+    scale = 0.015,
+    lapseRate = 0.03,
+    baseHeight = 0,
+    waterLevel = null,
+    waterMap = null,
+    flowThreshold = 0.15,
+    waterRange = 10,
+    waterWeight = 0.5
+} = {}) {
+    if (biomes.length === 0 || biomes.length > 255) {
+        throw new Error(`Biome table needs 1 to 255 entries, got ${biomes.length}`);
+    }
+
+    const { width, height, data } = heightmap;
+    const size = width * height;
+    const temperatureNoise = fbm(createPerlinNoise(`${seed}:temperature`), { octaves: 3 });
+    const moistureNoise = fbm(createPerlinNoise(`${seed}:moisture`), { octaves: 4 });
+
+    // Water: lakes (water map or below the water level) and the streams traced by hydraulic erosion
+    const flow = heightmap.erosionMaps ? heightmap.erosionMaps.flow : null;
+    const isWater = new Uint8Array(size);
+    let hasWater = false;
+    for (let i = 0; i < size; i++) {
+        const lake = waterMap ? waterMap.bodyMap[i] > 0 : waterLevel !== null && data[i] <= waterLevel;
+        const stream = flow && flowThreshold > 0 && flow[i] >= flowThreshold;
+        if (lake || stream) {
+            isWater[i] = 1;
+            hasWater = true;
+        }
+    }
+    const waterDistance = hasWater ? distanceTransform(isWater, width, height) : new Float32Array(size).fill(Infinity);
+
+    const temperature = new Float32Array(size);
+    const moisture = new Float32Array(size);
+    const slope = new Float32Array(size);
+    const biomeIndex = new Uint8Array(size);
+    const density = new Float32Array(size);
+    const clamp01 = (v) => Math.min(Math.max(v, 0), 1);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+
+            const t = clamp01(temperatureNoise(x * scale, y * scale) * 0.5 + 0.5 - (data[i] - baseHeight) * lapseRate);
+            const noiseMoisture = clamp01(moistureNoise(x * scale * 2, y * scale * 2) * 0.5 + 0.5);
+            const wet = waterWeight * Math.exp(-waterDistance[i] / waterRange);
+            const m = noiseMoisture + (1 - noiseMoisture) * wet;
+
+            // Slope in degrees from central differences (1 pixel = 1 meter)
+            const dx = (heightmap.get(Math.min(x + 1, width - 1), y) - heightmap.get(Math.max(x - 1, 0), y)) / 2;
+            const dz = (heightmap.get(x, Math.min(y + 1, height - 1)) - heightmap.get(x, Math.max(y - 1, 0))) / 2;
+            const s = Math.atan(Math.sqrt(dx * dx + dz * dz)) * 180 / Math.PI;
+
+            let index = biomes.length - 1;
+            for (let b = 0; b < biomes.length; b++) {
+                const biome = biomes[b];
+                if (inRange(biome.temperature, t) && inRange(biome.moisture, m) &&
+                    inRange(biome.slope, s) && inRange(biome.height, data[i])) {
+                    index = b;
+                    break;
+                }
+            }
+
+            temperature[i] = t;
+            moisture[i] = m;
+            slope[i] = s;
+            biomeIndex[i] = index;
+            density[i] = isWater[i] ? 0 : biomes[index].density;
+        }
+    }
+
+    return new BiomeMap(width, height, biomes, { temperature, moisture, slope, waterDistance, biomeIndex, density });
+}
+
+/**
+ * Mappa dei biomi: campi per cella, classificazione e campionamento in coordinate world
+ */
+export class BiomeMap {
+    constructor(width, height, biomes, { temperature, moisture, slope, waterDistance, biomeIndex, density }) {
+        this.width = width;
+        this.height = height;
+        this.biomes = biomes;
+        this.temperature = temperature;
+        this.moisture = moisture;
+        this.slope = slope;
+        this.waterDistance = waterDistance;
+        this.biomeIndex = biomeIndex;
+        this.density = density;
+        this.offsetX = -width / 2;
+        this.offsetZ = -height / 2;
+        this.texture = null;
+    }
+
+    /**
+     * Biome nella cella world (x, z) (fuori dalla mappa: cella del bordo più vicina)
+     * @returns {Object} Voce della tabella biomi
+     */
+    getBiomeAt(x, z) {
+        const px = Math.min(Math.max(Math.round(x - this.offsetX), 0), this.width - 1);
+        const pz = Math.min(Math.max(Math.round(z - this.offsetZ), 0), this.height - 1);
+        return this.biomes[this.biomeIndex[pz * this.width + px]];
+    }
+
+    /**
+     * Densità di vegetazione (0-1) in (x, z) world, interpolata bilinearmente; 0 fuori dalla mappa
+     */
+    getDensityAt(x, z) {
+        const px = x - this.offsetX;
+        const pz = z - this.offsetZ;
+        if (px < 0 || pz < 0 || px > this.width - 1 || pz > this.height - 1) return 0;
+
+        const x0 = Math.min(Math.floor(px), this.width - 2);
+        const z0 = Math.min(Math.floor(pz), this.height - 2);
+        const u = px - x0;
+        const v = pz - z0;
+        const i = z0 * this.width + x0;
+        const d = this.density;
+
+        const top = d[i] + (d[i + 1] - d[i]) * u;
+        const bottom = d[i + this.width] + (d[i + this.width + 1] - d[i + this.width]) * u;
+        return top + (bottom - top) * v;
+    }
+
+    /**
+     * Sampler di densità per lo scattering: (x, z) world → 0-1
+     * @returns {Function}
+     */
+    createDensitySampler() {
+        return (x, z) => this.getDensityAt(x, z);
+    }
+
+    /**
+     * Distribuisce punti di vegetazione secondo la densità (rejection sampling deterministico)
+     *
+     * @param {number} count - Numero di punti desiderati
+     * @param {Object} options - { seed, query (TerrainQuery per l'altezza), maxAttempts }
+     * @returns {Array<{position: Array<number>, biome: Object}>} Punti [x, y, z] con il loro biome
+     */
+    scatter(count, { seed = 0, query = null, maxAttempts = count * 50 } = {}) {
+        const random = createPRNG(`${seed}:scatter`);
+        const points = [];
+
+        for (let attempt = 0; attempt < maxAttempts && points.length < count; attempt++) {
+            const x = this.offsetX + random() * (this.width - 1);
+            const z = this.offsetZ + random() * (this.height - 1);
+            if (random() >= this.getDensityAt(x, z)) continue;
+
+            const y = query ? query.getHeightAt(x, z) : 0;
+            points.push({ position: [x, y, z], biome: this.getBiomeAt(x, z) });
+        }
+
+        return points;
+    }
+
+    /**
+     * Texture RGBA per il terrain shader: RGB = tinta del biome / 2, A = densità vegetazione
+     * Filtro lineare: i confini tra biomi sfumano su un metro
+     * @param {WebGLRenderingContext} gl - Contesto WebGL
+     * @returns {WebGLTexture}
+     */
+    createTexture(gl) {
+        const pixels = new Uint8Array(this.width * this.height * 4);
+        for (let i = 0; i < this.biomeIndex.length; i++) {
+            const tint = this.biomes[this.biomeIndex[i]].tint || [1, 1, 1];
+            pixels[i * 4 + 0] = Math.min(255, Math.round(tint[0] * 127.5));
+            pixels[i * 4 + 1] = Math.min(255, Math.round(tint[1] * 127.5));
+            pixels[i * 4 + 2] = Math.min(255, Math.round(tint[2] * 127.5));
+            pixels[i * 4 + 3] = Math.round(this.density[i] * 255);
+        }
+
+        const texture = this.texture || gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, this.width, this.height, 0, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+
+        this.texture = texture;
+        return texture;
+    }
+}
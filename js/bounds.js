@@ -0,0 +1,255 @@
+// ============================================================
+// BOUNDS - Volumi di contenimento, raggi e frustum culling
+// ============================================================
+//
+// Tipi (oggetti semplici, come i chunk di terrain-lod.js):
+//   - AABB:   { min: [x, y, z], max: [x, y, z] }, vuoto = min a +Infinity
+//   - sfera:  { center: [x, y, z], radius }
+//   - frustum: 6 piani [a, b, c, d] con normale verso l'interno
+// I mesh creati da geometry.js, terrain.js e matte-painting.js portano
+// mesh.bounds = { aabb, sphere } in coordinate locali (model matrix esclusa).
+
+// ============================================================
+// AABB
+// ============================================================
+
+/**
+ * Crea un AABB (vuoto se min/max non sono dati)
+ */
+export function aabbCreate(min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity]) {
+    return { min: min.slice(), max: max.slice() };
+}
+
+export function aabbIsEmpty(box) {
+    return box.min[0] > box.max[0] || box.min[1] > box.max[1] || box.min[2] > box.max[2];
+}
+
+/**
+ * Allarga l'AABB fino a contenere il punto
+ */
+export function aabbExpandPoint(box, point) {
+    for (let i = 0; i < 3; i++) {
+        if (point[i] < box.min[i]) box.min[i] = point[i];
+        if (point[i] > box.max[i]) box.max[i] = point[i];
+    }
+    return box;
+}
+
+/**
+ * AABB delle posizioni di un vertex buffer interleaved (posizione nei primi 3 float)
+ * @param {Float32Array|Array<number>} vertexData - Vertici interleaved
+ * @param {number} stride - Float per vertice (8 = position + normal + texCoord)
+ * @param {number} first - Primo vertice (opzionale)
+ * @param {number} count - Numero di vertici (opzionale, default fino alla fine)
+ * @param {Object} out - AABB di output (opzionale)
+ * @returns {Object} AABB
+ */
+export function aabbFromVertexData(vertexData, stride = 8, first = 0, count = Infinity, out = aabbCreate()) {
+    const { min, max } = out;
+    min[0] = min[1] = min[2] = Infinity;
+    max[0] = max[1] = max[2] = -Infinity;
+
+    const end = Math.min(vertexData.length, (first + count) * stride);
+    for (let i = first * stride; i < end; i += stride) {
+        const x = vertexData[i], y = vertexData[i + 1], z = vertexData[i + 2];
+        if (x < min[0]) min[0] = x;
+        if (y < min[1]) min[1] = y;
+        if (z < min[2]) min[2] = z;
+        if (x > max[0]) max[0] = x;
+        if (y > max[1]) max[1] = y;
+        if (z > max[2]) max[2] = z;
+    }
+    return out;
+}
+
+export function aabbUnion(a, b, out = aabbCreate()) {
+    for (let i = 0; i < 3; i++) {
+        out.min[i] = Math.min(a.min[i], b.min[i]);
+        out.max[i] = Math.max(a.max[i], b.max[i]);
+    }
+    return out;
+}
+
+export function aabbCenter(box, out = [0, 0, 0]) {
+    out[0] = (box.min[0] + box.max[0]) / 2;
+    out[1] = (box.min[1] + box.max[1]) / 2;
+    out[2] = (box.min[2] + box.max[2]) / 2;
+    return out;
+}
+
+/**
+ * AABB (in world) che contiene il box trasformato da una model matrix affine (Arvo)
+ * @param {Object} box - AABB locale
+ * @param {Float32Array} m - Matrice 4x4 column-major
+ * @param {Object} out - AABB di output (opzionale, non deve coincidere con box)
+ * @returns {Object} AABB trasformato
+ */
+export function aabbTransformMat4(box, m, out = aabbCreate()) {
+    for (let i = 0; i < 3; i++) {
+        let lo = m[12 + i];
+        let hi = m[12 + i];
+        for (let j = 0; j < 3; j++) {
+            const a = m[j * 4 + i] * box.min[j];
+            const b = m[j * 4 + i] * box.max[j];
+            lo += Math.min(a, b);
+            hi += Math.max(a, b);
+        }
+        out.min[i] = lo;
+        out.max[i] = hi;
+    }
+    return out;
+}
+
+// ============================================================
+// SFERA
+// ============================================================
+
+export function sphereCreate(center = [0, 0, 0], radius = 0) {
+    return { center: center.slice(), radius };
+}
+
+/**
+ * Sfera centrata nell'AABB dei vertici, con raggio fino al vertice più lontano
+ * (più stretta della semi-diagonale del box)
+ * @param {Float32Array|Array<number>} vertexData - Vertici interleaved
+ * @param {number} stride - Float per vertice
+ * @param {Object} box - AABB degli stessi vertici (opzionale, altrimenti calcolato)
+ * @returns {Object} Sfera
+ */
+export function sphereFromVertexData(vertexData, stride = 8, box = aabbFromVertexData(vertexData, stride)) {
+    const sphere = sphereCreate(aabbIsEmpty(box) ? [0, 0, 0] : aabbCenter(box), 0);
+    const [cx, cy, cz] = sphere.center;
+    let radiusSq = 0;
+    for (let i = 0; i < vertexData.length; i += stride) {
+        const dx = vertexData[i] - cx, dy = vertexData[i + 1] - cy, dz = vertexData[i + 2] - cz;
+        radiusSq = Math.max(radiusSq, dx * dx + dy * dy + dz * dz);
+    }
+    sphere.radius = Math.sqrt(radiusSq);
+    return sphere;
+}
+
+/**
+ * Bounds di un mesh: { aabb, sphere } in coordinate locali
+ * @param {Float32Array|Array<number>} vertexData - Vertici interleaved
+ * @param {number} stride - Float per vertice (8 = position + normal + texCoord)
+ */
+export function computeMeshBounds(vertexData, stride = 8) {
+    const aabb = aabbFromVertexData(vertexData, stride);
+    return { aabb, sphere: sphereFromVertexData(vertexData, stride, aabb) };
+}
+
+// ============================================================
+// RAGGI
+// ============================================================
+
+/**
+ * Intersezione raggio/AABB (metodo degli slab)
+ * @param {Array<number>} origin - Origine del raggio
+ * @param {Array<number>} dir - Direzione (non serve normalizzata: t è in unità di dir)
+ * @param {Object} box - AABB
+ * @returns {number|null} t del primo punto d'ingresso (0 se l'origine è dentro), null se mancato
+ */
+export function rayIntersectAABB(origin, dir, box) {
+    let tMin = 0;
+    let tMax = Infinity;
+    for (let i = 0; i < 3; i++) {
+        if (Math.abs(dir[i]) < 1e-12) {
+            // Parallel to the slab: inside it or never
+            if (origin[i] < box.min[i] || origin[i] > box.max[i]) return null;
+            continue;
+        }
+        let t1 = (box.min[i] - origin[i]) / dir[i];
+        let t2 = (box.max[i] - origin[i]) / dir[i];
+        if (t1 > t2) [t1, t2] = [t2, t1];
+        tMin = Math.max(tMin, t1);
+        tMax = Math.min(tMax, t2);
+        if (tMin > tMax) return null;
+    }
+    return tMin;
+}
+
+/**
+ * Intersezione raggio/sfera
+ * @param {Array<number>} origin - Origine del raggio
+ * @param {Array<number>} dir - Direzione (non serve normalizzata: t è in unità di dir)
+ * @param {Object} sphere - Sfera
+ * @returns {number|null} t del primo punto d'ingresso (0 se l'origine è dentro), null se mancato
+ */
+export function rayIntersectSphere(origin, dir, sphere) {
+    const ox = origin[0] - sphere.center[0];
+    const oy = origin[1] - sphere.center[1];
+    const oz = origin[2] - sphere.center[2];
+    const a = dir[0] * dir[0] + dir[1] * dir[1] + dir[2] * dir[2];
+    const b = ox * dir[0] + oy * dir[1] + oz * dir[2];
+    const c = ox * ox + oy * oy + oz * oz - sphere.radius * sphere.radius;
+
+    if (c <= 0) return 0;               // origin inside
+    if (b > 0 || a === 0) return null;  // pointing away
+    const discriminant = b * b - a * c;
+    if (discriminant < 0) return null;
+    return (-b - Math.sqrt(discriminant)) / a;
+}
+
+// ============================================================
+// FRUSTUM
+// ============================================================
+
+/**
+ * Estrae i 6 piani del frustum da una matrice projection * view (Gribb/Hartmann)
+ * Ogni piano è [a, b, c, d] normalizzato, con normale verso l'interno
+ * @param {Float32Array} m - Matrice projection * view (o projection * view * model per lo spazio locale)
+ * @param {Array<Array<number>>} out - Piani di output (opzionale)
+ * @returns {Array<Array<number>>} Piani left, right, bottom, top, near, far
+ */
+export function frustumPlanesFromMatrix(m, out = [[], [], [], [], [], []]) {
+    for (let i = 0; i < 6; i++) {
+        // Row 3 plus or minus row 0 (left/right), 1 (bottom/top), 2 (near/far)
+        const row = i >> 1;
+        const sign = i & 1 ? -1 : 1;
+        const p = out[i];
+        p[0] = m[3] + sign * m[row];
+        p[1] = m[7] + sign * m[4 + row];
+        p[2] = m[11] + sign * m[8 + row];
+        p[3] = m[15] + sign * m[12 + row];
+
+        const len = Math.sqrt(p[0] * p[0] + p[1] * p[1] + p[2] * p[2]);
+        p[0] /= len; p[1] /= len; p[2] /= len; p[3] /= len;
+    }
+    return out;
+}
+
+/**
+ * Test AABB contro frustum (conservativo: true se anche solo in parte visibile)
+ * @param {Array<Array<number>>} planes - Piani da frustumPlanesFromMatrix
+ * @param {Object} box - Qualunque oggetto con min/max [x, y, z] (AABB, chunk del terreno)
+ * @returns {boolean} false se il box è completamente fuori
+ */
+export function frustumIntersectsAABB(planes, box) {
+    const { min, max } = box;
+    for (const p of planes) {
+        // Vertice del box più avanti lungo la normale del piano
+        const x = p[0] >= 0 ? max[0] : min[0];
+        const y = p[1] >= 0 ? max[1] : min[1];
+        const z = p[2] >= 0 ? max[2] : min[2];
+        if (p[0] * x + p[1] * y + p[2] * z + p[3] < 0) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Test sfera contro frustum (conservativo come frustumIntersectsAABB)
+ * @param {Array<Array<number>>} planes - Piani da frustumPlanesFromMatrix
+ * @param {Object} sphere - Sfera
+ * @returns {boolean} false se la sfera è completamente fuori
+ */
+export function frustumIntersectsSphere(planes, sphere) {
+    const [x, y, z] = sphere.center;
+    for (const p of planes) {
+        if (p[0] * x + p[1] * y + p[2] * z + p[3] < -sphere.radius) {
+            return false;
+        }
+    }
+    return true;
+}
@@ -0,0 +1,317 @@
+/**
+ * Camera paths for repeatable fly-throughs
+ * Keyframes store what the camera shows (view position, yaw, pitch, FOV) and
+ * the time they were recorded. Playback interpolates every channel with a
+ * spline through the keyframes:
+ *   - 'catmullRom': passes through every keyframe, tangents from the neighbours
+ *   - 'bezier': cubic Bezier segments with handles derived from the neighbours,
+ *     scaled by tension (0 = straight lines, 1 = same curve as Catmull-Rom)
+ *
+ * Timing:
+ *   - 'speed': constant speed in m/s along the curve (arc-length table)
+ *   - 'timestamps': the recorded keyframe times
+ * With 'speed' timing the easing curve (easing.js) is applied to the overall
+ * progress, so 'sine' eases in at the start and out at the end of the whole
+ * path. Recorded timestamps are played back as they are, without easing.
+ *
+ * Playback is driven by Camera.playPath() from the render loop; paths are
+ * saved and loaded as JSON.
+ */
+
+import { getEasing } from './easing.js';
+
+export const PATH_INTERPOLATIONS = ['catmullRom', 'bezier'];
+export const PATH_TIMINGS = ['speed', 'timestamps'];
+
+const PATH_FORMAT_VERSION = 1;
+
+// Samples per segment of the arc-length table used by 'speed' timing
+const ARC_SAMPLES = 32;
+
+/**
+ * Punto di una cubica di Bezier su vettori di canali
+ */
+function bezierPoint(p0, c0, c1, p1, s) {
+    const u = 1 - s;
+    const a = u * u * u;
+    const b = 3 * u * u * s;
+    const c = 3 * u * s * s;
+    const d = s * s * s;
+    return p0.map((v, i) => a * v + b * c0[i] + c * c1[i] + d * p1[i]);
+}
+
+/**
+ * Percorso camera: keyframe + parametri di interpolazione e timing
+ */
+export class CameraPath {
+    /**
+     * @param {Object} options - Opzioni
+     * @param {string} options.interpolation - 'catmullRom' | 'bezier'
+     * @param {number} options.tension - Solo bezier: lunghezza delle maniglie (0..1)
+     * @param {string} options.timing - 'speed' (m/s costanti) | 'timestamps' (tempi registrati)
+     * @param {number} options.speed - Velocità in m/s per timing 'speed'
+     * @param {string|Function} options.easing - Curva di easing.js sul progresso complessivo (solo timing 'speed')
+     * @param {boolean} options.loop - Riparte dall'inizio alla fine del percorso
+     */
+    constructor({ interpolation = 'catmullRom', tension = 0.5, timing = 'speed', speed = 10, easing = 'sine', loop = false } = {}) {
+        if (!PATH_INTERPOLATIONS.includes(interpolation)) {
+            throw new Error(`Unknown camera path interpolation: ${interpolation}`);
+        }
+        if (!PATH_TIMINGS.includes(timing)) {
+            throw new Error(`Unknown camera path timing: ${timing}`);
+        }
+        getEasing(easing);
+
+        this.interpolation = interpolation;
+        this.tension = tension;
+        this.timing = timing;
+        this.speed = speed;
+        this.easing = easing;
+        this.loop = loop;
+
+        this.keyframes = [];   // { time, position: [x, y, z], yaw, pitch, fov }
+        this.cache = null;     // channels + arc-length table, rebuilt when the path changes
+    }
+
+    /**
+     * Aggiunge un keyframe (i tempi devono crescere)
+     * @param {Object} keyframe - { time, position, yaw, pitch, fov }
+     */
+    addKeyframe({ time, position, yaw, pitch, fov }) {
+        const last = this.keyframes[this.keyframes.length - 1];
+        if (last && !(time > last.time)) {
+            throw new Error(`Camera path keyframe time ${time} must be after ${last.time}`);
+        }
+        this.keyframes.push({ time, position: position.slice(), yaw, pitch, fov });
+        this.cache = null;
+    }
+
+    clear() {
+        this.keyframes = [];
+        this.cache = null;
+    }
+
+    /**
+     * Durata della riproduzione in secondi
+     */
+    getDuration() {
+        if (this.keyframes.length < 2) return 0;
+        if (this.usesTimestamps()) {
+            return this.keyframes[this.keyframes.length - 1].time - this.keyframes[0].time;
+        }
+        return this.getCache().length / this.speed;
+    }
+
+    /**
+     * Stato della camera al tempo t (secondi dall'inizio della riproduzione)
+     * @param {number} t - Tempo in secondi
+     * @returns {{position: Array<number>, yaw: number, pitch: number, fov: number}|null} null se ci sono meno di 2 keyframe
+     */
+    sample(t) {
+        if (this.keyframes.length < 2) return null;
+
+        const duration = this.getDuration();
+        const progress = duration > 0 ? Math.min(Math.max(t / duration, 0), 1) : 1;
+
+        const { segment, s } = this.usesTimestamps()
+            ? this.locateTime(this.keyframes[0].time + progress * duration)
+            : this.locateDistance(getEasing(this.easing)(progress) * this.getCache().length);
+
+        const [x, y, z, yaw, pitch, fov] = this.evaluate(segment, s);
+        return { position: [x, y, z], yaw, pitch, fov };
+    }
+
+    // A path that does not move (rotation or FOV only) has no length to travel at a speed
+    usesTimestamps() {
+        return this.timing === 'timestamps' || this.getCache().length < 1e-6;
+    }
+
+    /**
+     * Canali di un segmento al parametro s in [0, 1]
+     */
+    evaluate(segment, s) {
+        const { channels } = this.getCache();
+        const last = channels.length - 1;
+        const p0 = channels[Math.max(segment - 1, 0)];
+        const p1 = channels[segment];
+        const p2 = channels[Math.min(segment + 1, last)];
+        const p3 = channels[Math.min(segment + 2, last)];
+
+        // Catmull-Rom tangents (p2 - p0) / 2 as Bezier handles at a third of the segment
+        const scale = this.interpolation === 'catmullRom' ? 1 : this.tension;
+        const c1 = p1.map((v, i) => v + (p2[i] - p0[i]) * scale / 6);
+        const c2 = p2.map((v, i) => v - (p3[i] - p1[i]) * scale / 6);
+        return bezierPoint(p1, c1, c2, p2, s);
+    }
+
+    locateTime(time) {
+        const keyframes = this.keyframes;
+        let segment = 0;
+        while (segment < keyframes.length - 2 && time > keyframes[segment + 1].time) segment++;
+        const t0 = keyframes[segment].time;
+        const t1 = keyframes[segment + 1].time;
+        return { segment, s: Math.min(Math.max((time - t0) / (t1 - t0), 0), 1) };
+    }
+
+    locateDistance(distance) {
+        const { arcLengths } = this.getCache();
+        const segments = this.keyframes.length - 1;
+
+        // Binary search in the cumulative table, then linear between the two samples
+        let lo = 0;
+        let hi = arcLengths.length - 1;
+        while (hi - lo > 1) {
+            const mid = (lo + hi) >> 1;
+            if (arcLengths[mid] < distance) lo = mid;
+            else hi = mid;
+        }
+        const span = arcLengths[hi] - arcLengths[lo];
+        const u = (lo + (span > 0 ? (distance - arcLengths[lo]) / span : 0)) / ARC_SAMPLES;
+        const segment = Math.min(Math.floor(u), segments - 1);
+        return { segment, s: Math.min(u - segment, 1) };
+    }
+
+    getCache() {
+        if (this.cache) return this.cache;
+
+        // Yaw unwrapped so that -179° -> 179° turns 2° instead of 358°
+        let previousYaw = null;
+        const channels = this.keyframes.map(({ position, yaw, pitch, fov }) => {
+            if (previousYaw !== null) {
+                yaw = previousYaw + Math.atan2(Math.sin(yaw - previousYaw), Math.cos(yaw - previousYaw));
+            }
+            previousYaw = yaw;
+            return [position[0], position[1], position[2], yaw, pitch, fov];
+        });
+        // Set before measuring: evaluate() reads the channels from the cache
+        this.cache = { channels, arcLengths: [0], length: 0 };
+
+        const arcLengths = [0];
+        let length = 0;
+        let previous = channels[0];
+        for (let segment = 0; segment < channels.length - 1; segment++) {
+            for (let i = 1; i <= ARC_SAMPLES; i++) {
+                const point = this.evaluate(segment, i / ARC_SAMPLES);
+                length += Math.hypot(point[0] - previous[0], point[1] - previous[1], point[2] - previous[2]);
+                arcLengths.push(length);
+                previous = point;
+            }
+        }
+        this.cache.arcLengths = arcLengths;
+        this.cache.length = length;
+        return this.cache;
+    }
+
+    /**
+     * Oggetto serializzabile in JSON
+     */
+    toJSON() {
+        return {
+            version: PATH_FORMAT_VERSION,
+            interpolation: this.interpolation,
+            tension: this.tension,
+            timing: this.timing,
+            speed: this.speed,
+            easing: typeof this.easing === 'string' ? this.easing : 'linear',
+            loop: this.loop,
+            keyframes: this.keyframes
+        };
+    }
+
+    /**
+     * Crea un percorso da un oggetto prodotto da toJSON()
+     * @param {Object} data - Dati del percorso
+     * @returns {CameraPath}
+     */
+    static fromJSON(data) {
+        if (!data || data.version !== PATH_FORMAT_VERSION || !Array.isArray(data.keyframes)) {
+            throw new Error(`Unsupported camera path format (version ${data && data.version})`);
+        }
+        const { interpolation, tension, timing, speed, easing, loop } = data;
+        const path = new CameraPath({ interpolation, tension, timing, speed, easing, loop });
+        for (const keyframe of data.keyframes) {
+            path.addKeyframe(keyframe);
+        }
+        return path;
+    }
+
+    /**
+     * Carica un percorso JSON da URL
+     * @param {string} url - URL del file
+     * @returns {Promise<CameraPath>}
+     */
+    static async load(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load camera path "${url}": ${response.status} ${response.statusText}`);
+        }
+        return CameraPath.fromJSON(await response.json());
+    }
+
+    /**
+     * Scarica il percorso come file JSON
+     */
+    download(filename = 'camera-path.json') {
+        const url = URL.createObjectURL(new Blob([JSON.stringify(this, null, 2)], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+/**
+ * Registra keyframe dalla vista della camera, con tempi relativi al primo keyframe
+ */
+export class CameraPathRecorder {
+    /**
+     * @param {CameraPath} path - Percorso in cui registrare
+     * @param {Object} options - { interval } secondi tra keyframe automatici durante record(), 0 = solo manuali
+     */
+    constructor(path, { interval = 0 } = {}) {
+        this.path = path;
+        this.interval = interval;
+        this.recording = false;
+        this.elapsed = 0;
+        this.sinceKeyframe = 0;
+    }
+
+    /**
+     * Keyframe della vista attuale (il primo fa partire l'orologio)
+     * @param {Camera} camera - Camera da registrare
+     */
+    capture(camera) {
+        const keyframes = this.path.keyframes;
+        const last = keyframes[keyframes.length - 1];
+        if (!last) this.elapsed = 0;
+
+        const [dx, dy, dz] = camera.viewDir;
+        this.path.addKeyframe({
+            time: last ? Math.max(this.elapsed, last.time + 1e-3) : 0,
+            position: camera.getViewPosition(),
+            yaw: Math.atan2(dx, dz),
+            pitch: Math.asin(Math.max(-1, Math.min(1, dy))),
+            fov: camera.fov
+        });
+        this.sinceKeyframe = 0;
+    }
+
+    /**
+     * Avvia/ferma la registrazione continua (un keyframe ogni interval secondi)
+     */
+    record(recording = !this.recording) {
+        this.recording = recording;
+    }
+
+    /**
+     * Da chiamare ogni frame: avanza l'orologio e registra i keyframe automatici
+     */
+    update(dt, camera) {
+        this.elapsed += dt;
+        this.sinceKeyframe += dt;
+        if (this.recording && this.interval > 0 && this.sinceKeyframe >= this.interval) {
+            this.capture(camera);
+        }
+    }
+}
@@ -2,8 +2,37 @@
 // CAMERA & INPUT
 // ============================================================
 
+import { getEasing } from './easing.js';
+import { mat4Create, mat4LookAt } from './math-utils.js';
+
+// Order used by cycleMode (F)
+export const CAMERA_MODES = ['walk', 'thirdPerson', 'freefly', 'orbit', 'fly'];
+
+// Modes that move a body on the ground and need setTerrain()
+const GROUND_MODES = ['walk', 'thirdPerson'];
+
 /**
- * Crea e gestisce la camera FPS
+ * Sposta pos di delta lungo un asse, rallentando nell'ultimo tratto (softness metri)
+ * prima dei limiti min/max invece di fermarsi di colpo
+ */
+function softClampAxis(pos, delta, min, max, softness) {
+    const room = delta > 0 ? max - pos : pos - min;
+    const scale = softness > 0 ? Math.min(Math.max(room / softness, 0), 1) : 1;
+    return Math.min(Math.max(pos + delta * scale, min), max);
+}
+
+/**
+ * Crea e gestisce la camera
+ * Modalità:
+ *   - 'fly': volo a quota fissa (come prima)
+ *   - 'walk': prima persona a piedi (segue il terreno con gravità, salto, accovacciamento e limite di pendenza)
+ *   - 'freefly': volo libero in 3D, su/giù e boost
+ *   - 'orbit': ruota attorno a un punto (ispezione dei lotti), zoom con rotella / W-S
+ *   - 'thirdPerson': segue il personaggio a piedi con uno spring arm che si accorcia contro il terreno
+ *
+ * pos è il corpo controllato (l'occhio in prima persona, la testa del personaggio in terza);
+ * viewPos/viewDir sono la vista renderizzata, sfumata per blendDuration secondi a ogni cambio di modalità.
+ * Interfaccia usata dal Renderer: update(dt), getViewMatrix(), getViewPosition().
  */
 export class Camera {
     constructor() {
@@ -13,53 +42,333 @@ export class Camera {
         this.pitch = -0.3;  // Look slightly downward to see terrain better
         this.forward = [0, 0, -1];
         this.right = [1, 0, 0];
+        this.pointerLockEnabled = true;  // false in editor mode: the cursor aims the brush
+
+        this.mode = 'fly';
+        this.flySpeed = 20;
+        this.fov = Math.PI / 3;      // vertical, the renderer rebuilds the projection when it changes
 
-        this.input = {
-            forward: false,
-            back: false,
-            left: false,
-            right: false
+        // Free-fly (m/s, m)
+        this.freeFly = {
+            speed: 20,
+            boostMultiplier: 4,
+            minClearance: 1         // distanza minima dal terreno
         };
+
+        // Orbit around center (m, rad/s)
+        this.orbit = {
+            center: null,           // [x, y, z], null = punto mirato quando si entra in orbit
+            distance: 40,
+            minDistance: 5,
+            maxDistance: 250,
+            zoomStep: 1.15,         // fattore per scatto della rotella
+            rotateSpeed: 1.5,       // A/D attorno al centro
+            minClearance: 1
+        };
+
+        // Third person spring arm (m, 1/s)
+        this.thirdPerson = {
+            armLength: 6,
+            minArmLength: 2,
+            maxArmLength: 15,
+            pivotHeight: 0.3,       // sopra l'occhio del personaggio
+            shoulderOffset: 0.5,    // a destra, per non coprire il centro dello schermo
+            clearance: 0.5,         // distanza minima della camera dal terreno
+            returnSpeed: 4,         // l'arm si riallunga piano, si accorcia subito
+            followLag: 12
+        };
+        this.armLength = this.thirdPerson.armLength;
+        this.followPivot = null;
+
+        // Rendered view, blended between modes
+        this.viewPos = this.pos.slice();
+        this.viewDir = this.forward.slice();
+        this.blendDuration = 0.6;    // s
+        this.blendEasing = 'smootherstep';
+        this.blend = null;           // { fromPos, fromDir, elapsed }
+        this.viewReady = false;
+        this.viewMatrix = mat4Create();
+
+        // Camera path playback (mode 'path', camera-path.js)
+        this.playback = null;        // { path, time, previousMode, yaw, pitch, fov, finished }
+
+        // Walk mode (m, m/s, gradi)
+        this.walk = {
+            eyeHeight: 1.7,
+            crouchHeight: 1.0,
+            speed: 5,
+            crouchSpeed: 2.5,
+            gravity: 20,
+            jumpSpeed: 6,
+            maxSlope: 40,           // pendii più ripidi non si risalgono
+            stepDown: 0.6,          // dislivello oltre cui si cade invece di scendere il gradino
+            stepSmoothing: 12,      // 1/s: velocità con cui l'occhio segue i gradini del terreno
+            crouchTransition: 8     // 1/s
+        };
+
+        // Walk state
+        this.feetY = 0;
+        this.smoothFeetY = 0;
+        this.eyeOffset = this.walk.eyeHeight;
+        this.velocityY = 0;
+        this.grounded = false;
+
+        // Terrain (TerrainQuery) and playable area, set by setTerrain
+        this.terrain = null;
+        this.bounds = null;          // { minX, maxX, minZ, maxZ }
+        this.boundsSoftness = 8;     // m prima del limite in cui il movimento rallenta
+
+        // InputManager (actions moveX/moveY axes, jump, crouch, toggleCameraMode), set by initInput
+        this.input = null;
     }
 
     /**
-     * Inizializza gli event listener per input
-     * @param {HTMLCanvasElement} canvas - Canvas per pointer lock
+     * Collega la camera al terreno: altezza del suolo per la modalità walk e limiti dell'area giocabile
+     * @param {TerrainQuery} terrain - Query del terreno
+     * @param {Object} options - { margin } distanza (m) dal bordo del terreno, { softness } tratto di rallentamento
      */
-    initInput(canvas) {
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'w') this.input.forward = true;
-            if (e.key === 's') this.input.back = true;
-            if (e.key === 'a') this.input.left = true;
-            if (e.key === 'd') this.input.right = true;
-        });
+    setTerrain(terrain, { margin = 2, softness = this.boundsSoftness } = {}) {
+        this.terrain = terrain;
+        const { min, max } = terrain.getBounds();
+        this.bounds = { minX: min[0] + margin, maxX: max[0] - margin, minZ: min[2] + margin, maxZ: max[2] - margin };
+        this.boundsSoftness = softness;
+        if (this.mode === 'walk') this.landOnGround();
+    }
 
-        document.addEventListener('keyup', (e) => {
-            if (e.key === 'w') this.input.forward = false;
-            if (e.key === 's') this.input.back = false;
-            if (e.key === 'a') this.input.left = false;
-            if (e.key === 'd') this.input.right = false;
-        });
+    /**
+     * Cambia modalità (vedi CAMERA_MODES); walk e thirdPerson appoggiano il corpo al terreno
+     * La vista sfuma dalla posizione precedente in blendDuration secondi.
+     */
+    setMode(mode) {
+        if (!CAMERA_MODES.includes(mode)) {
+            throw new Error(`Unknown camera mode: ${mode}`);
+        }
+        if (GROUND_MODES.includes(mode) && !this.terrain) {
+            throw new Error(`Camera mode "${mode}" needs a terrain, call setTerrain() first`);
+        }
+        if (mode === this.mode) return;
 
-        canvas.addEventListener('mousemove', (e) => {
-            if (document.pointerLockElement === canvas) {
-                this.yaw -= e.movementX * 0.002;
-                this.pitch -= e.movementY * 0.002;
-                this.pitch = Math.max(-Math.PI/2, Math.min(Math.PI/2, this.pitch));
-            }
+        this.endPlayback();
+        this.startBlend();
+        this.mode = mode;
+
+        if (GROUND_MODES.includes(mode)) this.landOnGround();
+        if (mode === 'thirdPerson') {
+            this.followPivot = null;
+            this.armLength = this.thirdPerson.armLength;
+        }
+        if (mode === 'orbit' && !this.orbit.center) {
+            this.orbit.center = this.pickOrbitCenter();
+        }
+    }
+
+    /**
+     * Passa alla modalità successiva in CAMERA_MODES (salta quelle a terra senza terreno)
+     */
+    cycleMode() {
+        if (this.playback) {
+            this.stopPath();
+            return;
+        }
+        const available = CAMERA_MODES.filter((mode) => this.terrain || !GROUND_MODES.includes(mode));
+        const index = available.indexOf(this.mode);
+        this.setMode(available[(index + 1) % available.length]);
+    }
+
+    /**
+     * Orbita attorno a un punto (es. il centro di un lotto), mantenendo yaw e pitch attuali
+     * @param {Array<number>} center - Punto [x, y, z]
+     * @param {number} distance - Distanza dal centro (default: quella attuale)
+     */
+    orbitAround(center, distance = this.orbit.distance) {
+        this.endPlayback();
+        this.startBlend();
+        this.orbit.center = center.slice();
+        this.orbit.distance = Math.min(Math.max(distance, this.orbit.minDistance), this.orbit.maxDistance);
+        this.mode = 'orbit';
+    }
+
+    /**
+     * Centro dell'orbita quando non è stato scelto: il punto del terreno al centro della vista,
+     * altrimenti un punto davanti alla camera a orbit.distance
+     */
+    pickOrbitCenter() {
+        const hit = this.terrain ? this.terrain.raycast(this.viewPos, this.viewDir, this.orbit.maxDistance) : null;
+        if (hit) {
+            this.orbit.distance = Math.max(hit.distance, this.orbit.minDistance);
+            return hit.point.slice();
+        }
+        return this.viewPos.map((v, i) => v + this.viewDir[i] * this.orbit.distance);
+    }
+
+    /**
+     * Riproduce un percorso camera (modalità 'path'); alla fine torna alla modalità precedente
+     * @param {CameraPath} path - Percorso con almeno 2 keyframe
+     */
+    playPath(path) {
+        if (path.keyframes.length < 2) {
+            throw new Error('Camera path needs at least 2 keyframes');
+        }
+        this.endPlayback();
+        this.startBlend();
+        this.playback = {
+            path,
+            time: 0,
+            previousMode: this.mode,
+            yaw: this.yaw,
+            pitch: this.pitch,
+            fov: this.fov,
+            finished: false
+        };
+        this.mode = 'path';
+    }
+
+    /**
+     * Interrompe la riproduzione e torna alla modalità precedente
+     */
+    stopPath() {
+        if (this.playback) this.setMode(this.playback.previousMode);
+    }
+
+    // Restores the view state the path overrode (the body position was never moved)
+    endPlayback() {
+        if (!this.playback) return;
+        const { previousMode, yaw, pitch, fov } = this.playback;
+        this.yaw = yaw;
+        this.pitch = pitch;
+        this.fov = fov;
+        this.playback = null;
+        if (this.mode === 'path') this.mode = previousMode;
+        this.updateDirections();
+    }
+
+    startBlend() {
+        if (this.viewReady && this.blendDuration > 0) {
+            this.blend = { fromPos: this.viewPos.slice(), fromDir: this.viewDir.slice(), elapsed: 0 };
+        }
+    }
+
+    landOnGround() {
+        this.feetY = this.terrain.getHeightAt(this.pos[0], this.pos[2]);
+        this.smoothFeetY = this.feetY;
+        this.velocityY = 0;
+        this.grounded = true;
+        this.pos[1] = this.feetY + this.eyeOffset;
+    }
+
+    /**
+     * Collega la camera all'input manager (movimento, sguardo, salto, cambio modalità)
+     * @param {HTMLCanvasElement} canvas - Canvas per pointer lock
+     * @param {InputManager} input - Input manager condiviso
+     */
+    initInput(canvas, input) {
+        this.input = input;
+
+        input.onAction('toggleCameraMode', (e) => {
+            if (!(e && e.repeat)) this.cycleMode();
         });
 
         canvas.addEventListener('click', () => {
-            canvas.requestPointerLock();
+            if (this.pointerLockEnabled) canvas.requestPointerLock();
         });
     }
 
+    isActionDown(action) {
+        return this.input ? this.input.isDown(action) : false;
+    }
+
     /**
      * Aggiorna posizione e rotazione camera
      * @param {number} dt - Delta time in secondi
      */
     update(dt) {
-        // Aggiorna direzioni
+        // Look: mouse (pointer lock), touch drag, right stick (the path owns the view during playback)
+        if (this.input && this.mode !== 'path') {
+            const [lookX, lookY] = this.input.getLookDelta(dt);
+            this.yaw -= lookX;
+            this.pitch -= lookY;
+            this.pitch = Math.max(-Math.PI/2, Math.min(Math.PI/2, this.pitch));
+        }
+
+        this.updateDirections();
+
+        // Mouse wheel: zoom in orbit, arm length in third person
+        const wheel = this.input ? this.input.getWheelDelta() : 0;
+
+        let eye = this.pos;
+        if (this.mode === 'walk') {
+            this.updateWalk(dt);
+        } else if (this.mode === 'thirdPerson') {
+            this.updateWalk(dt);
+            eye = this.updateSpringArm(dt, wheel);
+        } else if (this.mode === 'freefly') {
+            this.updateFreeFly(dt);
+        } else if (this.mode === 'orbit') {
+            eye = this.updateOrbit(dt, wheel);
+        } else if (this.mode === 'path') {
+            eye = this.updatePath(dt);
+        } else {
+            this.updateFly(dt);
+        }
+
+        this.updateView(dt, eye, this.forward);
+
+        if (this.playback && this.playback.finished) {
+            this.stopPath();
+        }
+    }
+
+    /**
+     * Percorso camera: posizione, yaw, pitch e FOV dal percorso al tempo di riproduzione
+     * @returns {Array<number>} Posizione dell'occhio
+     */
+    updatePath(dt) {
+        const playback = this.playback;
+        const path = playback.path;
+        const duration = path.getDuration();
+
+        playback.time += dt;
+        if (path.loop && duration > 0) {
+            playback.time %= duration;
+        } else if (playback.time >= duration) {
+            playback.finished = true;
+        }
+
+        const { position, yaw, pitch, fov } = path.sample(playback.time);
+        this.yaw = yaw;
+        this.pitch = pitch;
+        this.fov = fov;
+        this.updateDirections();
+        return position;
+    }
+
+    /**
+     * Vista renderizzata: durante un cambio di modalità posizione e direzione sfumano da quelle precedenti
+     */
+    updateView(dt, eye, dir) {
+        this.viewReady = true;
+        if (!this.blend) {
+            this.viewPos = eye.slice();
+            this.viewDir = dir.slice();
+            return;
+        }
+
+        this.blend.elapsed += dt;
+        const t = Math.min(this.blend.elapsed / this.blendDuration, 1);
+        const k = getEasing(this.blendEasing)(t);
+        const { fromPos, fromDir } = this.blend;
+
+        this.viewPos = eye.map((v, i) => fromPos[i] + (v - fromPos[i]) * k);
+        const blended = dir.map((v, i) => fromDir[i] + (v - fromDir[i]) * k);
+        const len = Math.hypot(blended[0], blended[1], blended[2]);
+        // Opposite directions cancel out halfway: jump to the new one instead of dividing by ~0
+        this.viewDir = len > 1e-3 ? blended.map((v) => v / len) : dir.slice();
+
+        if (t >= 1) this.blend = null;
+    }
+
+    // Aggiorna direzioni da yaw e pitch
+    updateDirections() {
         this.forward = [
             Math.cos(this.pitch) * Math.sin(this.yaw),
             Math.sin(this.pitch),
@@ -70,36 +379,245 @@ export class Camera {
             0,
             Math.cos(this.yaw - Math.PI/2)
         ];
+    }
 
-        // Movimento
-        const speed = 20 * dt;
-        if (this.input.forward) {
-            this.pos[0] += this.forward[0] * speed;
-            this.pos[2] += this.forward[2] * speed;
+    /**
+     * Direzione di movimento dagli input, nel piano XZ
+     * @param {boolean} flatten - true = direzione orizzontale normalizzata (walk), false = come il volo
+     * @returns {Array<number>} [dx, dz]
+     */
+    getMoveDirection(flatten) {
+        let fx = this.forward[0];
+        let fz = this.forward[2];
+        if (flatten) {
+            const len = Math.hypot(fx, fz) || 1;
+            fx /= len;
+            fz /= len;
         }
-        if (this.input.back) {
-            this.pos[0] -= this.forward[0] * speed;
-            this.pos[2] -= this.forward[2] * speed;
+
+        if (!this.input) return [0, 0];
+
+        // Analogue axes: a half-tilted stick moves at half speed
+        const moveX = this.input.getAxis('moveX');
+        const moveY = this.input.getAxis('moveY');
+        let dx = fx * moveY + this.right[0] * moveX;
+        let dz = fz * moveY + this.right[2] * moveX;
+
+        if (flatten) {
+            const len = Math.hypot(dx, dz);
+            if (len > 1) { dx /= len; dz /= len; }
         }
-        if (this.input.left) {
-            this.pos[0] -= this.right[0] * speed;
-            this.pos[2] -= this.right[2] * speed;
+        return [dx, dz];
+    }
+
+    /**
+     * Sposta la camera in XZ, rallentando verso i limiti dell'area giocabile
+     */
+    moveHorizontal(dx, dz) {
+        if (!this.bounds) {
+            this.pos[0] += dx;
+            this.pos[2] += dz;
+            return;
+        }
+        const { minX, maxX, minZ, maxZ } = this.bounds;
+        this.pos[0] = softClampAxis(this.pos[0], dx, minX, maxX, this.boundsSoftness);
+        this.pos[2] = softClampAxis(this.pos[2], dz, minZ, maxZ, this.boundsSoftness);
+    }
+
+    // Volo libero: movimento nel piano XZ a quota fissa
+    updateFly(dt) {
+        const speed = this.flySpeed * dt;
+        const [dx, dz] = this.getMoveDirection(false);
+        this.moveHorizontal(dx * speed, dz * speed);
+    }
+
+    // Volo libero in 3D: avanti lungo la direzione di vista, su/giù, boost
+    updateFreeFly(dt) {
+        if (!this.input) return;
+        const freeFly = this.freeFly;
+        const speed = freeFly.speed * (this.isActionDown('boost') ? freeFly.boostMultiplier : 1) * dt;
+
+        const moveX = this.input.getAxis('moveX');
+        const moveY = this.input.getAxis('moveY');
+        const vertical = this.input.getAxis('moveVertical');
+
+        this.moveHorizontal(
+            (this.forward[0] * moveY + this.right[0] * moveX) * speed,
+            (this.forward[2] * moveY + this.right[2] * moveX) * speed
+        );
+        this.pos[1] += (this.forward[1] * moveY + vertical) * speed;
+
+        if (this.terrain) {
+            const ground = this.terrain.getHeightAt(this.pos[0], this.pos[2]);
+            this.pos[1] = Math.max(this.pos[1], ground + freeFly.minClearance);
         }
-        if (this.input.right) {
-            this.pos[0] += this.right[0] * speed;
-            this.pos[2] += this.right[2] * speed;
+    }
+
+    /**
+     * Orbita: la vista (yaw/pitch) gira attorno a orbit.center, A/D ruotano, W/S e rotella zoomano
+     * @returns {Array<number>} Posizione dell'occhio
+     */
+    updateOrbit(dt, wheel) {
+        const orbit = this.orbit;
+        if (this.input) {
+            this.yaw -= this.input.getAxis('moveX') * orbit.rotateSpeed * dt;
+            orbit.distance *= Math.exp(-this.input.getAxis('moveY') * dt);
+            this.updateDirections();
+        }
+        orbit.distance *= Math.pow(orbit.zoomStep, wheel);
+        orbit.distance = Math.min(Math.max(orbit.distance, orbit.minDistance), orbit.maxDistance);
+
+        const eye = orbit.center.map((v, i) => v - this.forward[i] * orbit.distance);
+        if (this.terrain) {
+            const ground = this.terrain.getHeightAt(eye[0], eye[2]);
+            eye[1] = Math.max(eye[1], ground + orbit.minClearance);
         }
+        return eye;
     }
 
     /**
-     * Ottiene il punto target della camera
+     * Terza persona: camera dietro il personaggio (pos) su uno spring arm
+     * L'arm si accorcia subito se il terreno si mette in mezzo e torna lentamente alla lunghezza voluta.
+     * @returns {Array<number>} Posizione dell'occhio
+     */
+    updateSpringArm(dt, wheel) {
+        const arm = this.thirdPerson;
+        arm.armLength = Math.min(Math.max(arm.armLength * Math.pow(1.1, wheel), arm.minArmLength), arm.maxArmLength);
+
+        const pivot = [
+            this.pos[0] + this.right[0] * arm.shoulderOffset,
+            this.pos[1] + arm.pivotHeight,
+            this.pos[2] + this.right[2] * arm.shoulderOffset
+        ];
+        if (!this.followPivot) {
+            this.followPivot = pivot;
+        } else {
+            const t = 1 - Math.exp(-arm.followLag * dt);
+            this.followPivot = this.followPivot.map((v, i) => v + (pivot[i] - v) * t);
+        }
+
+        // March back along the arm: the camera stops before the first point closer than clearance to the ground
+        const step = 0.25;
+        let length = arm.armLength;
+        for (let d = step; d <= arm.armLength; d += step) {
+            const x = this.followPivot[0] - this.forward[0] * d;
+            const y = this.followPivot[1] - this.forward[1] * d;
+            const z = this.followPivot[2] - this.forward[2] * d;
+            if (y < this.terrain.getHeightAt(x, z) + arm.clearance) {
+                length = Math.max(d - step, step);
+                break;
+            }
+        }
+
+        if (length < this.armLength) {
+            this.armLength = length;
+        } else {
+            this.armLength += (length - this.armLength) * (1 - Math.exp(-arm.returnSpeed * dt));
+        }
+
+        return this.followPivot.map((v, i) => v - this.forward[i] * this.armLength);
+    }
+
+    // Prima persona a piedi
+    updateWalk(dt) {
+        const walk = this.walk;
+        // Long frames (first frame, tab switch) would tunnel through the ground
+        dt = Math.min(dt, 0.1);
+
+        // Horizontal move, refused uphill on slopes steeper than maxSlope (slides along the other axis)
+        const speed = (this.isActionDown('crouch') ? walk.crouchSpeed : walk.speed) * dt;
+        const [dx, dz] = this.getMoveDirection(true);
+        if (dx !== 0 || dz !== 0) {
+            const tryMove = (mx, mz) => {
+                const x = this.pos[0] + mx;
+                const z = this.pos[2] + mz;
+                const rising = this.terrain.getHeightAt(x, z) > this.feetY;
+                return !(this.grounded && rising && this.terrain.getSlopeAt(x, z) > walk.maxSlope);
+            };
+
+            if (tryMove(dx * speed, dz * speed)) {
+                this.moveHorizontal(dx * speed, dz * speed);
+            } else if (tryMove(dx * speed, 0)) {
+                this.moveHorizontal(dx * speed, 0);
+            } else if (tryMove(0, dz * speed)) {
+                this.moveHorizontal(0, dz * speed);
+            }
+        }
+
+        const ground = this.terrain.getHeightAt(this.pos[0], this.pos[2]);
+
+        // Jump
+        if (this.grounded && this.isActionDown('jump')) {
+            this.velocityY = walk.jumpSpeed;
+            this.grounded = false;
+        }
+
+        // Stick to the ground on small steps, fall off larger drops
+        if (this.grounded) {
+            if (ground < this.feetY - walk.stepDown) {
+                this.grounded = false;
+            } else {
+                this.feetY = ground;
+            }
+        }
+
+        if (!this.grounded) {
+            this.velocityY -= walk.gravity * dt;
+            this.feetY += this.velocityY * dt;
+            if (this.feetY <= ground) {
+                this.feetY = ground;
+                this.velocityY = 0;
+                this.grounded = true;
+            }
+        }
+
+        // Step smoothing: the eye eases over terrain steps instead of snapping (never more than 0.5 m behind)
+        if (this.grounded) {
+            const t = 1 - Math.exp(-walk.stepSmoothing * dt);
+            this.smoothFeetY += (this.feetY - this.smoothFeetY) * t;
+            this.smoothFeetY = Math.max(this.smoothFeetY, this.feetY - 0.5);
+        } else {
+            this.smoothFeetY = this.feetY;
+        }
+
+        // Crouch: eye height eases between standing and crouching
+        const targetEye = this.isActionDown('crouch') ? walk.crouchHeight : walk.eyeHeight;
+        this.eyeOffset += (targetEye - this.eyeOffset) * (1 - Math.exp(-walk.crouchTransition * dt));
+
+        this.pos[1] = this.smoothFeetY + this.eyeOffset;
+    }
+
+    /**
+     * Ottiene il punto target della camera (vista renderizzata)
      * @returns {Array<number>} Punto center [x, y, z]
      */
     getTarget() {
         return [
-            this.pos[0] + this.forward[0],
-            this.pos[1] + this.forward[1],
-            this.pos[2] + this.forward[2]
+            this.viewPos[0] + this.viewDir[0],
+            this.viewPos[1] + this.viewDir[1],
+            this.viewPos[2] + this.viewDir[2]
         ];
     }
+
+    /**
+     * Posizione dell'occhio renderizzata (fog, LOD, raycast dal cursore)
+     */
+    getViewPosition() {
+        return this.viewPos;
+    }
+
+    /**
+     * Matrice view della modalità attiva
+     * @returns {Float32Array} Matrice view
+     */
+    getViewMatrix() {
+        return mat4LookAt(this.viewPos, this.getTarget(), [0, 1, 0], this.viewMatrix);
+    }
+
+    /**
+     * Piedi del corpo controllato (per disegnare il personaggio in terza persona)
+     */
+    getFeetPosition() {
+        return [this.pos[0], this.smoothFeetY, this.pos[2]];
+    }
 }
@@ -0,0 +1,31 @@
+// ============================================================
+// EASING - Curve di interpolazione condivise
+// ============================================================
+
+/**
+ * Curve di easing: t in [0, 1] → [0, 1], con f(0) = 0 e f(1) = 1
+ */
+export const EASING = {
+    linear: (t) => t,
+    smoothstep: (t) => t * t * (3 - 2 * t),
+    smootherstep: (t) => t * t * t * (t * (t * 6 - 15) + 10),
+    easeIn: (t) => t * t,
+    easeOut: (t) => t * (2 - t),
+    easeInOut: (t) => (t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t)),
+    sine: (t) => 0.5 - 0.5 * Math.cos(t * Math.PI)
+};
+
+/**
+ * Risolve una curva di easing per nome (o la restituisce se è già una funzione)
+ * @param {string|Function} easing - Nome in EASING oppure funzione t => t
+ * @returns {Function} Curva di easing
+ */
+export function getEasing(easing) {
+    if (typeof easing === 'function') return easing;
+
+    const curve = EASING[easing];
+    if (!curve) {
+        throw new Error(`Unknown easing curve: ${easing}`);
+    }
+    return curve;
+}
@@ -0,0 +1,276 @@
+/**
+ * Erosion simulation
+ * Particle-based hydraulic erosion and thermal (talus) erosion on a Heightmap.
+ *
+ * Both passes are deterministic: same heightmap + same options (seed) = same result.
+ * Cells flagged in heightmap.protectedMask (building plots) are never modified,
+ * so flattened areas survive erosion.
+ */
+
+import { createPRNG } from './noise.js';
+
+/**
+ * Bilinear height and gradient at a fractional position (x, y in pixels)
+ */
+function heightAndGradient(data, width, x, y) {
+    const cx = Math.floor(x);
+    const cy = Math.floor(y);
+    const u = x - cx;
+    const v = y - cy;
+    const i = cy * width + cx;
+
+    const h00 = data[i];
+    const h10 = data[i + 1];
+    const h01 = data[i + width];
+    const h11 = data[i + width + 1];
+
+    return {
+        height: h00 * (1 - u) * (1 - v) + h10 * u * (1 - v) + h01 * (1 - u) * v + h11 * u * v,
+        gradX: (h10 - h00) * (1 - v) + (h11 - h01) * v,
+        gradY: (h01 - h00) * (1 - u) + (h11 - h10) * u
+    };
+}
+
+/**
+ * Precompute the erosion brush: cells within radius and their normalized weights
+ */
+function createErosionBrush(radius) {
+    const offsets = [];
+    const weights = [];
+    let total = 0;
+    const r = Math.ceil(radius);
+
+    for (let dy = -r; dy <= r; dy++) {
+        for (let dx = -r; dx <= r; dx++) {
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            if (dist < radius) {
+                const weight = 1 - dist / radius;
+                offsets.push([dx, dy]);
+                weights.push(weight);
+                total += weight;
+            }
+        }
+    }
+
+    return { offsets, weights: weights.map((w) => w / total) };
+}
+
+/**
+ * Erosione idraulica a particelle (gocce d'acqua che scavano e depositano sedimento)
+ * Crea valli, canaloni e conoidi di deiezione
+ *
+ * @param {Heightmap} heightmap - Heightmap da erodere (modificata in place)
+ * @param {Object} options - Parametri simulazione
+ * @param {number} options.iterations - Numero di gocce simulate
+ * @param {number|string} options.seed - Seed per le posizioni di partenza
+ * @returns {{sediment: Float32Array, flow: Float32Array}} Mappe per texturing:
+ *          sediment = materiale depositato (m), flow = acqua passata per cella (normalizzata 0-1)
+ */
+export function hydraulicErosion(heightmap, {
+    iterations = 50000,
+    seed = 0,
+    radius = 3,
+    inertia = 0.05,
+    capacity = 4,
+    minCapacity = 0.01,
+    erodeSpeed = 0.3,
+    depositSpeed = 0.3,
+    evaporation = 0.01,
+    gravity = 4,
+    maxLifetime = 30,
+    initialWater = 1,
+    initialSpeed = 1
+} = {}) {
+    const { width, height, data } = heightmap;
+    const mask = heightmap.protectedMask;
+    const random = createPRNG(seed);
+    const brush = createErosionBrush(radius);
+
+    const sediment = new Float32Array(width * height);
+    const flow = new Float32Array(width * height);
+
+    const canChange = (index) => !mask || !mask[index];
+
+    // Deposit onto the 4 cells around (x, y), weighted bilinearly
+    const deposit = (x, y, amount) => {
+        const cx = Math.floor(x);
+        const cy = Math.floor(y);
+        const u = x - cx;
+        const v = y - cy;
+        const i = cy * width + cx;
+        const cells = [
+            [i, (1 - u) * (1 - v)],
+            [i + 1, u * (1 - v)],
+            [i + width, (1 - u) * v],
+            [i + width + 1, u * v]
+        ];
+        for (const [index, weight] of cells) {
+            if (!canChange(index)) continue;
+            data[index] += amount * weight;
+            sediment[index] += amount * weight;
+        }
+    };
+
+    for (let iteration = 0; iteration < iterations; iteration++) {
+        let x = random() * (width - 1);
+        let y = random() * (height - 1);
+        let dirX = 0;
+        let dirY = 0;
+        let speed = initialSpeed;
+        let water = initialWater;
+        let carried = 0;
+
+        for (let lifetime = 0; lifetime < maxLifetime; lifetime++) {
+            const oldX = x;
+            const oldY = y;
+            const cx = Math.floor(x);
+            const cy = Math.floor(y);
+            const cellIndex = cy * width + cx;
+
+            const current = heightAndGradient(data, width, x, y);
+
+            // Blend previous direction with downhill gradient
+            dirX = dirX * inertia - current.gradX * (1 - inertia);
+            dirY = dirY * inertia - current.gradY * (1 - inertia);
+            const len = Math.sqrt(dirX * dirX + dirY * dirY);
+            if (len === 0) break;  // Flat spot: the droplet stops
+            dirX /= len;
+            dirY /= len;
+
+            x += dirX;
+            y += dirY;
+
+            flow[cellIndex] += water;
+
+            if (x < 0 || x >= width - 1 || y < 0 || y >= height - 1) break;
+
+            const next = heightAndGradient(data, width, x, y).height;
+            const deltaHeight = next - current.height;
+
+            const sedimentCapacity = Math.max(-deltaHeight * speed * water * capacity, minCapacity);
+
+            if (carried > sedimentCapacity || deltaHeight > 0) {
+                // Uphill: fill the pit behind; over capacity: drop a fraction
+                const amount = deltaHeight > 0
+                    ? Math.min(deltaHeight, carried)
+                    : (carried - sedimentCapacity) * depositSpeed;
+                carried -= amount;
+                deposit(oldX, oldY, amount);
+            } else {
+                // Erode with the brush, never deeper than the height difference
+                const amount = Math.min((sedimentCapacity - carried) * erodeSpeed, -deltaHeight);
+                for (let b = 0; b < brush.offsets.length; b++) {
+                    const bx = cx + brush.offsets[b][0];
+                    const by = cy + brush.offsets[b][1];
+                    if (bx < 0 || bx >= width || by < 0 || by >= height) continue;
+
+                    const index = by * width + bx;
+                    if (!canChange(index)) continue;
+
+                    const removed = amount * brush.weights[b];
+                    data[index] -= removed;
+                    sediment[index] -= removed;
+                    carried += removed;
+                }
+            }
+
+            speed = Math.sqrt(Math.max(speed * speed + deltaHeight * gravity, 0));
+            water *= 1 - evaporation;
+        }
+    }
+
+    // Normalize flow to 0-1 for direct use as a texture
+    let maxFlow = 0;
+    for (let i = 0; i < flow.length; i++) maxFlow = Math.max(maxFlow, flow[i]);
+    if (maxFlow > 0) {
+        for (let i = 0; i < flow.length; i++) flow[i] /= maxFlow;
+    }
+
+    return { sediment, flow };
+}
+
+/**
+ * Erosione termica: il materiale scivola dove la pendenza supera l'angolo di riposo
+ * Crea ghiaioni (talus) ai piedi dei pendii ripidi
+ *
+ * @param {Heightmap} heightmap - Heightmap da erodere (modificata in place)
+ * @param {Object} options - Parametri simulazione
+ * @param {number} options.iterations - Numero di passate sull'intera heightmap
+ * @param {number} options.talusAngle - Angolo di riposo in gradi (pendenze maggiori franano)
+ * @param {number} options.strength - Frazione dell'eccesso spostata per passata (0-1)
+ * @param {number|string} options.seed - Seed per l'ordine di visita delle righe
+ * @returns {{sediment: Float32Array}} Materiale accumulato (m), positivo = deposito
+ */
+export function thermalErosion(heightmap, {
+    iterations = 50,
+    talusAngle = 35,
+    strength = 0.5,
+    seed = 0
+} = {}) {
+    const { width, height, data } = heightmap;
+    const mask = heightmap.protectedMask;
+    const random = createPRNG(seed);
+    const sediment = new Float32Array(width * height);
+
+    // 1 pixel = 1 meter: max height difference to a neighbour at distance d is tan(angle) * d
+    const talus = Math.tan(talusAngle * Math.PI / 180);
+    const neighbours = [
+        [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+        [1, 1, Math.SQRT2], [-1, 1, Math.SQRT2], [1, -1, Math.SQRT2], [-1, -1, Math.SQRT2]
+    ];
+
+    // Visiting rows in a shuffled order avoids a directional bias in the result
+    const rows = Array.from({ length: height }, (_, i) => i);
+
+    for (let iteration = 0; iteration < iterations; iteration++) {
+        for (let i = rows.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [rows[i], rows[j]] = [rows[j], rows[i]];
+        }
+
+        for (const y of rows) {
+            for (let x = 0; x < width; x++) {
+                const index = y * width + x;
+                if (mask && mask[index]) continue;
+
+                const h = data[index];
+                let totalExcess = 0;
+                let maxExcess = 0;
+                const excesses = [0, 0, 0, 0, 0, 0, 0, 0];
+
+                for (let n = 0; n < 8; n++) {
+                    const nx = x + neighbours[n][0];
+                    const ny = y + neighbours[n][1];
+                    if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+
+                    const neighbourIndex = ny * width + nx;
+                    if (mask && mask[neighbourIndex]) continue;
+
+                    const excess = h - data[neighbourIndex] - talus * neighbours[n][2];
+                    if (excess > 0) {
+                        excesses[n] = excess;
+                        totalExcess += excess;
+                        maxExcess = Math.max(maxExcess, excess);
+                    }
+                }
+
+                if (totalExcess === 0) continue;
+
+                // Move half the largest excess (times strength), split by each neighbour's share
+                const moved = maxExcess * 0.5 * strength;
+                data[index] -= moved;
+                sediment[index] -= moved;
+
+                for (let n = 0; n < 8; n++) {
+                    if (excesses[n] === 0) continue;
+                    const neighbourIndex = (y + neighbours[n][1]) * width + x + neighbours[n][0];
+                    const share = moved * excesses[n] / totalExcess;
+                    data[neighbourIndex] += share;
+                    sediment[neighbourIndex] += share;
+                }
+            }
+        }
+    }
+
+    return { sediment };
+}
@@ -1,11 +1,15 @@
 // ============================================================
 // GEOMETRIE - Esempi base da replicare
 // ============================================================
+//
+// Ogni mesh porta bounds = { aabb, sphere } in coordinate locali (bounds.js)
+
+import { computeMeshBounds } from './bounds.js';
 
 /**
  * Crea mesh del terreno (piano grande)
  * @param {WebGLRenderingContext} gl - Contesto WebGL
- * @returns {{vbo: WebGLBuffer, ibo: WebGLBuffer, indexCount: number}}
+ * @returns {{vbo: WebGLBuffer, ibo: WebGLBuffer, indexCount: number, bounds: Object}}
  */
 export function createGroundMesh(gl) {
     const size = 200;
@@ -25,13 +29,13 @@ export function createGroundMesh(gl) {
     gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, ibo);
     gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, indices, gl.STATIC_DRAW);
 
-    return { vbo, ibo, indexCount: indices.length };
+    return { vbo, ibo, indexCount: indices.length, bounds: computeMeshBounds(vertices) };
 }
 
 /**
  * Crea mesh skybox (cubo)
  * @param {WebGLRenderingContext} gl - Contesto WebGL
- * @returns {{vbo: WebGLBuffer, ibo: WebGLBuffer, indexCount: number}}
+ * @returns {{vbo: WebGLBuffer, ibo: WebGLBuffer, indexCount: number, layout: string, bounds: Object}}
  */
 export function createSkyboxMesh(gl) {
     const vertices = new Float32Array([
@@ -55,24 +59,26 @@ export function createSkyboxMesh(gl) {
     gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, ibo);
     gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, indices, gl.STATIC_DRAW);
 
-    return { vbo, ibo, indexCount: indices.length };
+    return { vbo, ibo, indexCount: indices.length, layout: 'position', bounds: computeMeshBounds(vertices, 3) };
 }
 
 /**
  * Crea billboards per "alberi" - TECNICA CHIAVE
  * @param {WebGLRenderingContext} gl - Contesto WebGL
  * @param {number} count - Numero di billboards da creare
- * @returns {{vbo: WebGLBuffer, vertexCount: number}}
+ * @param {Array<Array<number>>} positions - Posizioni [x, y, z] opzionali (es. BiomeMap.scatter), altrimenti random
+ * @returns {{vbo: WebGLBuffer, vertexCount: number, layout: string, bounds: Object}}
  */
-export function createBillboards(gl, count) {
+export function createBillboards(gl, count, positions = null) {
     // Ogni billboard: position(3) + offset(2) + texCoord(2)
     const data = [];
+    if (positions) count = positions.length;
 
     for (let i = 0; i < count; i++) {
-        // Posizione random nel mondo
-        const x = (Math.random() - 0.5) * 300;
-        const z = (Math.random() - 0.5) * 300;
-        const y = 0;
+        // Posizione data (scattering per bioma) o random nel mondo
+        const x = positions ? positions[i][0] : (Math.random() - 0.5) * 300;
+        const z = positions ? positions[i][2] : (Math.random() - 0.5) * 300;
+        const y = positions ? positions[i][1] : 0;
 
         // 4 vertici per quad (2 triangoli)
         // Ogni vertice: position, offset, texCoord
@@ -91,13 +97,14 @@ export function createBillboards(gl, count) {
     gl.bindBuffer(gl.ARRAY_BUFFER, vbo);
     gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(data), gl.STATIC_DRAW);
 
-    return { vbo, vertexCount: count * 6 };
+    // Bounds of the anchor points only: the quads grow around them by uBillboardSize in the shader
+    return { vbo, vertexCount: count * 6, layout: 'billboard', bounds: computeMeshBounds(data, 7) };
 }
 
 /**
  * Crea mesh cards per montagne lontane - altra TECNICA CHIAVE
  * @param {WebGLRenderingContext} gl - Contesto WebGL
- * @returns {{vbo: WebGLBuffer, ibo: WebGLBuffer, indexCount: number}}
+ * @returns {{vbo: WebGLBuffer, ibo: WebGLBuffer, indexCount: number, bounds: Object}}
  */
 export function createDistantMountains(gl) {
     const mountains = [];
@@ -145,5 +152,53 @@ export function createDistantMountains(gl) {
     gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, ibo);
     gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, indices, gl.STATIC_DRAW);
 
-    return { vbo, ibo, indexCount: indices.length };
+    return { vbo, ibo, indexCount: indices.length, bounds: computeMeshBounds(mountains) };
+}
+
+/**
+ * Crea una mesh fatta di box (prefab semplici: case, torri, mura)
+ * Ogni box: { size: [w, h, d], position: [x, y, z] } con position al centro della base
+ * @param {WebGLRenderingContext} gl - Contesto WebGL
+ * @param {Array<Object>} boxes - Lista dei box, coordinate locali in metri
+ * @returns {{vbo: WebGLBuffer, ibo: WebGLBuffer, indexCount: number, vertexCount: number, bounds: Object}}
+ */
+export function createBoxesMesh(gl, boxes) {
+    const vertices = [];
+    const indices = [];
+
+    for (const { size, position = [0, 0, 0] } of boxes) {
+        const half = [size[0] / 2, size[1] / 2, size[2] / 2];
+        const center = [position[0], position[1] + half[1], position[2]];
+
+        // 6 facce: normale lungo un asse, u x v = normale (vertici antiorari visti da fuori)
+        for (let axis = 0; axis < 3; axis++) {
+            for (const sign of [1, -1]) {
+                const normal = [0, 0, 0];
+                normal[axis] = sign;
+                let u = (axis + 1) % 3;
+                let v = (axis + 2) % 3;
+                if (sign < 0) [u, v] = [v, u];
+
+                const base = vertices.length / 8;
+                for (const [su, sv] of [[-1, -1], [1, -1], [1, 1], [-1, 1]]) {
+                    const p = center.slice();
+                    p[axis] += sign * half[axis];
+                    p[u] += su * half[u];
+                    p[v] += sv * half[v];
+                    vertices.push(...p, ...normal, (su + 1) / 2, (sv + 1) / 2);
+                }
+                indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
+            }
+        }
+    }
+
+    const vbo = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, vbo);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(vertices), gl.STATIC_DRAW);
+
+    const ibo = gl.createBuffer();
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, ibo);
+    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(indices), gl.STATIC_DRAW);
+
+    return { vbo, ibo, indexCount: indices.length, vertexCount: vertices.length / 8, bounds: computeMeshBounds(vertices) };
 }
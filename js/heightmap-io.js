@@ -0,0 +1,552 @@
+/**
+ * Heightmap import/export
+ * Grayscale PNG (8/16 bit), RAW (R16 little-endian, R32F) and PGM (P2/P5).
+ *
+ * Conventions:
+ * - 1 pixel = 1 meter: the heightmap has the same size as the image
+ * - pixel (x, y) = heightmap (x, y), row 0 is the -Z edge of the terrain
+ * - integer formats: height = base + (value / maxValue) * scale
+ * - R32F: height = base + value * scale (values are usually already meters)
+ *
+ * Exporters fit base/scale to the heightmap range when not given, and PNG/PGM
+ * files store them (tEXt chunk / comment) so our own files round-trip without
+ * passing options. RAW files have no header: heightmapToRAW returns the
+ * base/scale it used and heightmapFromRAW requires them for R16 (a guessed
+ * range would silently shift every height). Files from World Machine, Gaea
+ * etc. need scale/base explicitly.
+ */
+
+import { Heightmap } from './terrain.js';
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+/**
+ * Normalize input to a Uint8Array (ArrayBuffer, typed array or DataView)
+ */
+function toBytes(input) {
+    if (input instanceof Uint8Array) return input;
+    if (ArrayBuffer.isView(input)) return new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+    return new Uint8Array(input);
+}
+
+/**
+ * Height range of a heightmap, used to fit export scale/base
+ */
+function heightRange(heightmap) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < heightmap.data.length; i++) {
+        min = Math.min(min, heightmap.data[i]);
+        max = Math.max(max, heightmap.data[i]);
+    }
+    return { min, max };
+}
+
+/**
+ * Resolve export scale/base: explicit options win, otherwise fit to the data
+ */
+function resolveExportRange(heightmap, { scale, base }) {
+    if (scale !== undefined && base !== undefined) return { scale, base };
+
+    const range = heightRange(heightmap);
+    return {
+        base: base !== undefined ? base : range.min,
+        scale: scale !== undefined ? scale : Math.max(range.max - range.min, 1e-6)
+    };
+}
+
+/**
+ * Convert heightmap values to integer samples in [0, maxValue]
+ */
+function quantize(heightmap, maxValue, scale, base) {
+    const samples = maxValue > 255 ? new Uint16Array(heightmap.data.length) : new Uint8Array(heightmap.data.length);
+    for (let i = 0; i < heightmap.data.length; i++) {
+        const n = (heightmap.data[i] - base) / scale;
+        samples[i] = Math.round(Math.min(Math.max(n, 0), 1) * maxValue);
+    }
+    return samples;
+}
+
+/**
+ * Build a Heightmap from integer samples in [0, maxValue]
+ */
+function dequantize(width, height, samples, maxValue, scale, base) {
+    const heightmap = new Heightmap(width, height);
+    for (let i = 0; i < heightmap.data.length; i++) {
+        heightmap.data[i] = base + (samples[i] / maxValue) * scale;
+    }
+    return heightmap;
+}
+
+// ============================================================
+// PNG
+// ============================================================
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+const PNG_CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 };  // color type → channels (palette not supported)
+
+let crcTable = null;
+
+function crc32(bytes, start, end) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = start; i < end; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// zlib streams through the Compression Streams API (browser and Node 18+)
+async function zlibInflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+async function zlibDeflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    if (pb <= pc) return b;
+    return c;
+}
+
+/**
+ * Decodifica un PNG e restituisce il primo canale (grigio o rosso)
+ * @param {ArrayBuffer|Uint8Array} input - Contenuto del file PNG
+ * @returns {Promise<{width: number, height: number, bitDepth: number, samples: Uint8Array|Uint16Array, text: Object}>}
+ */
+export async function decodePNG(input) {
+    const bytes = toBytes(input);
+    for (let i = 0; i < 8; i++) {
+        if (bytes[i] !== PNG_SIGNATURE[i]) throw new Error('Not a PNG file');
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const idat = [];
+    const text = {};
+    let width = 0, height = 0, bitDepth = 0, colorType = 0, interlace = 0;
+
+    let offset = 8;
+    while (offset < bytes.length) {
+        const length = view.getUint32(offset);
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        const data = bytes.subarray(offset + 8, offset + 8 + length);
+
+        if (type === 'IHDR') {
+            width = view.getUint32(offset + 8);
+            height = view.getUint32(offset + 12);
+            bitDepth = data[8];
+            colorType = data[9];
+            interlace = data[12];
+        } else if (type === 'IDAT') {
+            idat.push(data);
+        } else if (type === 'tEXt') {
+            const separator = data.indexOf(0);
+            text[String.fromCharCode(...data.subarray(0, separator))] =
+                String.fromCharCode(...data.subarray(separator + 1));
+        } else if (type === 'IEND') {
+            break;
+        }
+        offset += 12 + length;
+    }
+
+    const channels = PNG_CHANNELS[colorType];
+    if (!channels) throw new Error(`Unsupported PNG color type ${colorType} (palette images are not heightmaps)`);
+    if (bitDepth !== 8 && bitDepth !== 16) throw new Error(`Unsupported PNG bit depth ${bitDepth}`);
+    if (interlace) throw new Error('Interlaced PNG files are not supported');
+
+    // Concatenate IDAT chunks and inflate
+    const compressed = new Uint8Array(idat.reduce((sum, chunk) => sum + chunk.length, 0));
+    let position = 0;
+    for (const chunk of idat) {
+        compressed.set(chunk, position);
+        position += chunk.length;
+    }
+    const raw = await zlibInflate(compressed);
+
+    // Undo per-row filters
+    const bytesPerSample = bitDepth / 8;
+    const bpp = channels * bytesPerSample;
+    const stride = width * bpp;
+    const pixels = new Uint8Array(height * stride);
+
+    for (let y = 0; y < height; y++) {
+        const filter = raw[y * (stride + 1)];
+        const src = y * (stride + 1) + 1;
+        const dst = y * stride;
+        const prev = dst - stride;
+
+        for (let x = 0; x < stride; x++) {
+            const a = x >= bpp ? pixels[dst + x - bpp] : 0;
+            const b = y > 0 ? pixels[prev + x] : 0;
+            const c = x >= bpp && y > 0 ? pixels[prev + x - bpp] : 0;
+            let value = raw[src + x];
+
+            switch (filter) {
+                case 0: break;
+                case 1: value += a; break;
+                case 2: value += b; break;
+                case 3: value += (a + b) >> 1; break;
+                case 4: value += paeth(a, b, c); break;
+                default: throw new Error(`Invalid PNG filter type ${filter} on row ${y}`);
+            }
+            pixels[dst + x] = value;
+        }
+    }
+
+    // Keep only the first channel (big-endian for 16 bit)
+    const samples = bitDepth === 16 ? new Uint16Array(width * height) : new Uint8Array(width * height);
+    for (let i = 0; i < width * height; i++) {
+        const p = i * bpp;
+        samples[i] = bitDepth === 16 ? (pixels[p] << 8) | pixels[p + 1] : pixels[p];
+    }
+
+    return { width, height, bitDepth, samples, text };
+}
+
+/**
+ * Codifica un PNG in scala di grigi (8 o 16 bit)
+ * @param {number} width - Larghezza
+ * @param {number} height - Altezza
+ * @param {Uint8Array|Uint16Array} samples - Un valore per pixel
+ * @param {number} bitDepth - 8 o 16
+ * @param {Object} text - Coppie chiave/valore salvate come chunk tEXt
+ * @returns {Promise<Uint8Array>} File PNG
+ */
+export async function encodePNG(width, height, samples, bitDepth = 16, text = {}) {
+    const bpp = bitDepth / 8;
+    const stride = width * bpp;
+    const raw = new Uint8Array(height * (stride + 1));
+
+    // Filter type 1 (Sub) on every row: cheap and effective on smooth terrain
+    for (let y = 0; y < height; y++) {
+        const row = y * (stride + 1);
+        raw[row] = 1;
+        for (let x = 0; x < width; x++) {
+            const value = samples[y * width + x];
+            const left = x > 0 ? samples[y * width + x - 1] : 0;
+            const dst = row + 1 + x * bpp;
+            if (bitDepth === 16) {
+                raw[dst] = ((value >> 8) - (left >> 8)) & 0xff;
+                raw[dst + 1] = ((value & 0xff) - (left & 0xff)) & 0xff;
+            } else {
+                raw[dst] = (value - left) & 0xff;
+            }
+        }
+    }
+
+    const chunks = [];
+    const chunk = (type, data) => {
+        const out = new Uint8Array(12 + data.length);
+        const view = new DataView(out.buffer);
+        view.setUint32(0, data.length);
+        for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+        out.set(data, 8);
+        view.setUint32(8 + data.length, crc32(out, 4, 8 + data.length));
+        chunks.push(out);
+    };
+
+    const ihdr = new Uint8Array(13);
+    const ihdrView = new DataView(ihdr.buffer);
+    ihdrView.setUint32(0, width);
+    ihdrView.setUint32(4, height);
+    ihdr[8] = bitDepth;
+    ihdr[9] = 0;   // grayscale
+    ihdr[10] = 0;  // deflate
+    ihdr[11] = 0;  // adaptive filtering
+    ihdr[12] = 0;  // no interlace
+    chunk('IHDR', ihdr);
+
+    for (const [key, value] of Object.entries(text)) {
+        chunk('tEXt', new TextEncoder().encode(`${key}\0${value}`));
+    }
+
+    chunk('IDAT', await zlibDeflate(raw));
+    chunk('IEND', new Uint8Array(0));
+
+    const png = new Uint8Array(8 + chunks.reduce((sum, c) => sum + c.length, 0));
+    png.set(PNG_SIGNATURE, 0);
+    let offset = 8;
+    for (const c of chunks) {
+        png.set(c, offset);
+        offset += c.length;
+    }
+    return png;
+}
+
+/**
+ * Crea una Heightmap da un PNG in scala di grigi (8 o 16 bit)
+ * @param {ArrayBuffer|Uint8Array} input - Contenuto del file PNG
+ * @param {Object} options - { scale: metri per l'intero range, base: altezza del valore 0 }
+ * @returns {Promise<Heightmap>}
+ */
+export async function heightmapFromPNG(input, { scale, base } = {}) {
+    const png = await decodePNG(input);
+    const maxValue = png.bitDepth === 16 ? 65535 : 255;
+
+    // Fall back to the values stored by heightmapToPNG, then to 0..100 m
+    if (scale === undefined) scale = png.text['heightmap:scale'] !== undefined ? +png.text['heightmap:scale'] : 100;
+    if (base === undefined) base = png.text['heightmap:base'] !== undefined ? +png.text['heightmap:base'] : 0;
+
+    return dequantize(png.width, png.height, png.samples, maxValue, scale, base);
+}
+
+/**
+ * Esporta una Heightmap come PNG in scala di grigi
+ * @param {Heightmap} heightmap - Heightmap sorgente
+ * @param {Object} options - { bitDepth: 8|16, scale, base } (default: range della heightmap)
+ * @returns {Promise<Uint8Array>} File PNG
+ */
+export async function heightmapToPNG(heightmap, { bitDepth = 16, scale, base } = {}) {
+    const range = resolveExportRange(heightmap, { scale, base });
+    const maxValue = bitDepth === 16 ? 65535 : 255;
+    const samples = quantize(heightmap, maxValue, range.scale, range.base);
+
+    return encodePNG(heightmap.width, heightmap.height, samples, bitDepth, {
+        'heightmap:base': String(range.base),
+        'heightmap:scale': String(range.scale)
+    });
+}
+
+// ============================================================
+// RAW (R16 / R32F)
+// ============================================================
+
+/**
+ * Infer a square size from the number of samples when width/height are not given
+ */
+function rawSize(sampleCount, width, height) {
+    if (width && height) return { width, height };
+    if (width) return { width, height: sampleCount / width };
+
+    const side = Math.round(Math.sqrt(sampleCount));
+    if (side * side !== sampleCount) {
+        throw new Error(`RAW heightmap is not square (${sampleCount} samples): pass width/height`);
+    }
+    return { width: side, height: side };
+}
+
+/**
+ * Crea una Heightmap da un file RAW little-endian
+ * @param {ArrayBuffer|Uint8Array} input - Contenuto del file
+ * @param {Object} options - { format: 'r16'|'r32f', width, height, scale, base }
+ *        (R16: scale e base obbligatori, quelli restituiti da heightmapToRAW; R32F: default 1 e 0)
+ * @returns {Heightmap}
+ */
+export function heightmapFromRAW(input, { format = 'r16', width, height, scale, base } = {}) {
+    const bytes = toBytes(input);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    if (format === 'r16') {
+        if (scale === undefined || base === undefined) {
+            throw new Error('R16 heightmap needs scale and base (the ones returned by heightmapToRAW)');
+        }
+        const size = rawSize(bytes.byteLength / 2, width, height);
+        const samples = new Uint16Array(size.width * size.height);
+        for (let i = 0; i < samples.length; i++) {
+            samples[i] = view.getUint16(i * 2, true);
+        }
+        return dequantize(size.width, size.height, samples, 65535, scale, base);
+    }
+
+    if (format === 'r32f') {
+        const size = rawSize(bytes.byteLength / 4, width, height);
+        const heightmap = new Heightmap(size.width, size.height);
+        const factor = scale !== undefined ? scale : 1;
+        const offset = base !== undefined ? base : 0;
+        for (let i = 0; i < heightmap.data.length; i++) {
+            heightmap.data[i] = offset + view.getFloat32(i * 4, true) * factor;
+        }
+        return heightmap;
+    }
+
+    throw new Error(`Unknown RAW heightmap format: ${format}`);
+}
+
+/**
+ * Esporta una Heightmap come RAW little-endian (senza header: conservare dimensioni, scale e base!)
+ * @param {Heightmap} heightmap - Heightmap sorgente
+ * @param {Object} options - { format: 'r16'|'r32f', scale, base } (R16: default range della heightmap)
+ * @returns {{bytes: Uint8Array, width: number, height: number, scale: number, base: number}}
+ *          File RAW e parametri da ripassare a heightmapFromRAW
+ */
+export function heightmapToRAW(heightmap, { format = 'r16', scale, base } = {}) {
+    if (format === 'r16') {
+        const range = resolveExportRange(heightmap, { scale, base });
+        const samples = quantize(heightmap, 65535, range.scale, range.base);
+        const bytes = new Uint8Array(samples.length * 2);
+        const view = new DataView(bytes.buffer);
+        for (let i = 0; i < samples.length; i++) {
+            view.setUint16(i * 2, samples[i], true);
+        }
+        return { bytes, width: heightmap.width, height: heightmap.height, scale: range.scale, base: range.base };
+    }
+
+    if (format === 'r32f') {
+        const factor = scale !== undefined ? scale : 1;
+        const offset = base !== undefined ? base : 0;
+        const bytes = new Uint8Array(heightmap.data.length * 4);
+        const view = new DataView(bytes.buffer);
+        for (let i = 0; i < heightmap.data.length; i++) {
+            view.setFloat32(i * 4, (heightmap.data[i] - offset) / factor, true);
+        }
+        return { bytes, width: heightmap.width, height: heightmap.height, scale: factor, base: offset };
+    }
+
+    throw new Error(`Unknown RAW heightmap format: ${format}`);
+}
+
+// ============================================================
+// PGM (P2 ascii / P5 binary)
+// ============================================================
+
+/**
+ * Crea una Heightmap da un file PGM (P2 o P5, maxval fino a 65535)
+ * @param {ArrayBuffer|Uint8Array|string} input - Contenuto del file
+ * @param {Object} options - { scale, base }
+ * @returns {Heightmap}
+ */
+export function heightmapFromPGM(input, { scale, base } = {}) {
+    const bytes = typeof input === 'string' ? new TextEncoder().encode(input) : toBytes(input);
+
+    // Header: magic, width, height, maxval separated by whitespace and # comments
+    const header = [];
+    const comments = [];
+    let offset = 0;
+    while (header.length < 4) {
+        while (offset < bytes.length && /\s/.test(String.fromCharCode(bytes[offset]))) offset++;
+        if (bytes[offset] === 35) {  // '#'
+            const start = offset;
+            while (offset < bytes.length && bytes[offset] !== 10) offset++;
+            comments.push(String.fromCharCode(...bytes.subarray(start + 1, offset)).trim());
+            continue;
+        }
+        const start = offset;
+        while (offset < bytes.length && !/\s/.test(String.fromCharCode(bytes[offset]))) offset++;
+        if (start === offset) throw new Error('Truncated PGM header');
+        header.push(String.fromCharCode(...bytes.subarray(start, offset)));
+    }
+    offset++;  // Single whitespace before binary data
+
+    const [magic, widthToken, heightToken, maxToken] = header;
+    const width = parseInt(widthToken, 10);
+    const height = parseInt(heightToken, 10);
+    const maxValue = parseInt(maxToken, 10);
+    const count = width * height;
+    const samples = maxValue > 255 ? new Uint16Array(count) : new Uint8Array(count);
+
+    if (magic === 'P5') {
+        for (let i = 0; i < count; i++) {
+            samples[i] = maxValue > 255
+                ? (bytes[offset + i * 2] << 8) | bytes[offset + i * 2 + 1]  // big-endian
+                : bytes[offset + i];
+        }
+    } else if (magic === 'P2') {
+        const values = new TextDecoder().decode(bytes.subarray(offset)).replace(/#[^\n]*/g, '').trim().split(/\s+/);
+        for (let i = 0; i < count; i++) {
+            samples[i] = parseInt(values[i], 10);
+        }
+    } else {
+        throw new Error(`Unsupported PGM type "${magic}"`);
+    }
+
+    // Fall back to values stored by heightmapToPGM ("# heightmap base=... scale=...")
+    for (const comment of comments) {
+        const match = comment.match(/^heightmap base=(\S+) scale=(\S+)/);
+        if (match) {
+            if (base === undefined) base = +match[1];
+            if (scale === undefined) scale = +match[2];
+        }
+    }
+
+    return dequantize(width, height, samples, maxValue, scale !== undefined ? scale : 100, base !== undefined ? base : 0);
+}
+
+/**
+ * Esporta una Heightmap come PGM binario (P5)
+ * @param {Heightmap} heightmap - Heightmap sorgente
+ * @param {Object} options - { maxValue: 255|65535, scale, base }
+ * @returns {Uint8Array} File PGM
+ */
+export function heightmapToPGM(heightmap, { maxValue = 65535, scale, base } = {}) {
+    const range = resolveExportRange(heightmap, { scale, base });
+    const samples = quantize(heightmap, maxValue, range.scale, range.base);
+    const header = new TextEncoder().encode(
+        `P5\n# heightmap base=${range.base} scale=${range.scale}\n${heightmap.width} ${heightmap.height}\n${maxValue}\n`
+    );
+
+    const bytesPerSample = maxValue > 255 ? 2 : 1;
+    const pgm = new Uint8Array(header.length + samples.length * bytesPerSample);
+    pgm.set(header, 0);
+    for (let i = 0; i < samples.length; i++) {
+        if (bytesPerSample === 2) {
+            pgm[header.length + i * 2] = samples[i] >> 8;
+            pgm[header.length + i * 2 + 1] = samples[i] & 0xff;
+        } else {
+            pgm[header.length + i] = samples[i];
+        }
+    }
+    return pgm;
+}
+
+// ============================================================
+// LOADING
+// ============================================================
+
+/**
+ * Carica una heightmap da URL, scegliendo il formato dall'estensione
+ * (.png, .pgm, .r16/.raw, .r32/.f32)
+ * @param {string} url - URL del file
+ * @param {Object} options - Opzioni passate al decoder (scale, base, width, height)
+ * @returns {Promise<Heightmap>}
+ */
+export async function loadHeightmap(url, options = {}) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load heightmap "${url}": ${response.status} ${response.statusText}`);
+    }
+    const buffer = await response.arrayBuffer();
+    const extension = url.split('?')[0].split('.').pop().toLowerCase();
+
+    let heightmap;
+    switch (extension) {
+        case 'png':
+            heightmap = await heightmapFromPNG(buffer, options);
+            break;
+        case 'pgm':
+            heightmap = heightmapFromPGM(buffer, options);
+            break;
+        case 'r16':
+        case 'raw':
+            heightmap = heightmapFromRAW(buffer, { ...options, format: 'r16' });
+            break;
+        case 'r32':
+        case 'f32':
+            heightmap = heightmapFromRAW(buffer, { ...options, format: 'r32f' });
+            break;
+        default:
+            throw new Error(`Unknown heightmap file extension ".${extension}"`);
+    }
+
+    console.log(`✓ Heightmap loaded: ${url} (${heightmap.width}×${heightmap.height})`);
+    return heightmap;
+}
@@ -0,0 +1,550 @@
+/**
+ * Input manager
+ * Maps named actions to bindings and exposes them to every system (camera,
+ * editor, debug toggles) instead of each one listening to raw key events.
+ *
+ * Binding strings:
+ *   - keyboard: KeyboardEvent.code ('KeyW', 'Space', 'ArrowUp', ...), layout
+ *     independent and unaffected by Caps Lock / Shift; an optional modifier
+ *     prefix ('Ctrl+KeyZ', 'Ctrl+Shift+KeyZ') must then match exactly
+ *   - gamepad buttons: 'GamepadButton0'.. (standard mapping: 0 = A, 1 = B, 2 = X, 3 = Y)
+ *
+ * Axes (-1..1) combine digital actions, gamepad sticks (radial dead zone) and
+ * the touch joystick. Look input (mouse under pointer lock, touch drag, right
+ * stick) is accumulated and read once per frame with getLookDelta(), the
+ * mouse wheel with getWheelDelta().
+ *
+ * Bindings and settings persist in localStorage.
+ */
+
+export const DEFAULT_BINDINGS = {
+    moveForward: ['KeyW', 'ArrowUp'],
+    moveBack: ['KeyS', 'ArrowDown'],
+    moveLeft: ['KeyA', 'ArrowLeft'],
+    moveRight: ['KeyD', 'ArrowRight'],
+    jump: ['Space', 'GamepadButton0'],
+    crouch: ['KeyC', 'GamepadButton1'],
+    moveUp: ['Space', 'GamepadButton5'],
+    moveDown: ['KeyC', 'GamepadButton4'],
+    boost: ['ShiftLeft', 'ShiftRight', 'GamepadButton10'],
+    toggleCameraMode: ['KeyF', 'GamepadButton3'],
+    orbitNextPlot: ['KeyO'],
+    pathKeyframe: ['KeyK'],
+    pathRecord: ['Shift+KeyK'],
+    pathClear: ['Ctrl+KeyK'],
+    pathPlay: ['KeyL'],
+    pathExport: ['Shift+KeyL'],
+    toggleFullscreen: ['Alt+Enter'],
+    renderScaleDown: ['Alt+Minus'],
+    renderScaleUp: ['Alt+Equal'],
+    togglePassBackground: ['Alt+Digit1'],
+    togglePassOpaque: ['Alt+Digit2'],
+    togglePassTransparent: ['Alt+Digit3'],
+    togglePassOverlay: ['Alt+Digit4'],
+    toggleNavOverlay: ['KeyN'],
+    toggleEditor: ['KeyE'],
+    editorUndo: ['Ctrl+KeyZ'],
+    editorRedo: ['Ctrl+Shift+KeyZ', 'Ctrl+KeyY'],
+    editorBrush1: ['Digit1'],
+    editorBrush2: ['Digit2'],
+    editorBrush3: ['Digit3'],
+    editorBrush4: ['Digit4'],
+    editorBrush5: ['Digit5'],
+    editorRadiusDown: ['BracketLeft'],
+    editorRadiusUp: ['BracketRight'],
+    editorStrengthDown: ['Minus'],
+    editorStrengthUp: ['Equal'],
+    editorFalloffDown: ['Comma'],
+    editorFalloffUp: ['Period'],
+    editorExport: ['KeyP']
+};
+
+// Axis = positive action - negative action + gamepad stick axis (+ touch joystick)
+export const DEFAULT_AXES = {
+    moveX: { negative: 'moveLeft', positive: 'moveRight', gamepadAxis: 0, touch: 'x' },
+    moveY: { negative: 'moveBack', positive: 'moveForward', gamepadAxis: 1, invert: true, touch: 'y' },
+    moveVertical: { negative: 'moveDown', positive: 'moveUp' }
+};
+
+export const DEFAULT_INPUT_SETTINGS = {
+    mouseSensitivity: 0.002,     // rad per pixel
+    touchLookSensitivity: 0.005, // rad per pixel
+    gamepadLookSpeed: 2.5,       // rad/s a stick pieno
+    deadZone: 0.15,              // stick: sotto questa deflessione = 0
+    invertY: false,
+    touchJoystickRadius: 60      // px
+};
+
+const STORAGE_KEY = 'fake-openworld.input';
+
+// Gamepad right stick (standard mapping)
+const LOOK_AXIS_X = 2;
+const LOOK_AXIS_Y = 3;
+
+/**
+ * Stringa di binding di un evento tastiera: modificatori + e.code
+ */
+function keyEventBinding(e) {
+    const modifiers = [];
+    if (e.ctrlKey || e.metaKey) modifiers.push('Ctrl');
+    if (e.altKey) modifiers.push('Alt');
+    if (e.shiftKey) modifiers.push('Shift');
+    return [...modifiers, e.code].join('+');
+}
+
+/**
+ * Radial dead zone: below the threshold the stick is 0, above it the range is rescaled to 0..1
+ */
+function applyDeadZone(x, y, deadZone) {
+    const magnitude = Math.hypot(x, y);
+    if (magnitude < deadZone) return [0, 0];
+    const scale = Math.min((magnitude - deadZone) / (1 - deadZone), 1) / magnitude;
+    return [x * scale, y * scale];
+}
+
+/**
+ * Gestore degli input: tastiera, mouse, gamepad e touch
+ */
+export class InputManager {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas del gioco (pointer lock, touch)
+     * @param {Object} options - { bindings, axes, settings, storage } storage = false per non usare localStorage
+     */
+    constructor(canvas, { bindings = DEFAULT_BINDINGS, axes = DEFAULT_AXES, settings = {}, storage = true } = {}) {
+        this.canvas = canvas;
+        this.defaultBindings = bindings;
+        this.bindings = {};
+        this.axes = axes;
+        this.settings = { ...DEFAULT_INPUT_SETTINGS, ...settings };
+        this.storage = storage && typeof localStorage !== 'undefined';
+
+        this.keysDown = new Set();      // e.code of the keys held down
+        this.actionsDown = new Set();   // actions held by any binding
+        this.listeners = new Map();     // action -> [callback]
+        this.capture = null;            // pending captureBinding request
+
+        this.mouseLook = [0, 0];
+        this.wheel = 0;                 // wheel notches, positive = towards the user
+        this.touchLook = [0, 0];
+        this.touchMove = [0, 0];        // virtual joystick, -1..1
+        this.touchJoystick = null;      // { id, origin, base, knob }
+        this.touchLookId = null;
+        this.touchLookLast = null;
+
+        this.gamepadIndex = null;
+        this.gamepadButtons = [];
+        this.gamepadAxes = [];
+
+        this.resetBindings(false);
+        this.load();
+        this.initListeners();
+    }
+
+    initListeners() {
+        document.addEventListener('keydown', (e) => this.handleKey(e, true));
+        document.addEventListener('keyup', (e) => this.handleKey(e, false));
+
+        // Released keys are lost while the window is not focused
+        window.addEventListener('blur', () => {
+            this.keysDown.clear();
+            this.refreshActions();
+        });
+
+        this.canvas.addEventListener('mousemove', (e) => {
+            if (document.pointerLockElement === this.canvas) {
+                this.mouseLook[0] += e.movementX * this.settings.mouseSensitivity;
+                this.mouseLook[1] += e.movementY * this.settings.mouseSensitivity;
+            }
+        });
+
+        this.canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.wheel += Math.sign(e.deltaY);
+        }, { passive: false });
+
+        window.addEventListener('gamepadconnected', (e) => {
+            if (this.gamepadIndex === null) this.gamepadIndex = e.gamepad.index;
+        });
+        window.addEventListener('gamepaddisconnected', (e) => {
+            if (this.gamepadIndex === e.gamepad.index) {
+                this.gamepadIndex = null;
+                this.gamepadButtons = [];
+                this.gamepadAxes = [];
+                this.refreshActions();
+            }
+        });
+
+        const touchOptions = { passive: false };
+        this.canvas.addEventListener('touchstart', (e) => this.handleTouchStart(e), touchOptions);
+        this.canvas.addEventListener('touchmove', (e) => this.handleTouchMove(e), touchOptions);
+        this.canvas.addEventListener('touchend', (e) => this.handleTouchEnd(e), touchOptions);
+        this.canvas.addEventListener('touchcancel', (e) => this.handleTouchEnd(e), touchOptions);
+    }
+
+    // ============================================================
+    // BINDINGS
+    // ============================================================
+
+    /**
+     * Binding correnti (copia), letti da altri sistemi per mostrare i tasti
+     * @returns {Object} action -> [binding]
+     */
+    getBindings() {
+        const copy = {};
+        for (const [action, codes] of Object.entries(this.bindings)) {
+            copy[action] = codes.slice();
+        }
+        return copy;
+    }
+
+    /**
+     * Testo leggibile dei binding di un'azione (es. "KeyW / ArrowUp")
+     */
+    getBindingLabel(action) {
+        return (this.bindings[action] || []).join(' / ');
+    }
+
+    /**
+     * Sostituisce i binding di un'azione e li salva
+     * @param {string} action - Nome dell'azione
+     * @param {Array<string>} codes - Binding (e.code, 'Ctrl+KeyZ', 'GamepadButton0', ...)
+     */
+    rebind(action, codes) {
+        if (!Array.isArray(codes)) {
+            throw new Error(`Bindings for "${action}" must be an array`);
+        }
+        this.bindings[action] = codes.slice();
+        this.refreshActions();
+        this.save();
+    }
+
+    /**
+     * Aspetta il prossimo tasto o pulsante del gamepad e lo assegna all'azione (Escape annulla)
+     * @param {string} action - Nome dell'azione
+     * @param {number} slot - Posizione nella lista dei binding (0 = principale)
+     * @returns {Promise<string|null>} Binding assegnato, null se annullato
+     */
+    captureBinding(action, slot = 0) {
+        if (this.capture) this.capture.resolve(null);
+
+        return new Promise((resolve) => {
+            this.capture = {
+                resolve: (code) => {
+                    this.capture = null;
+                    if (code) {
+                        const codes = (this.bindings[action] || []).slice();
+                        codes[Math.min(slot, codes.length)] = code;
+                        this.rebind(action, codes);
+                    }
+                    resolve(code);
+                }
+            };
+        });
+    }
+
+    /**
+     * Torna ai binding di default
+     * @param {boolean} save - Salva anche in localStorage
+     */
+    resetBindings(save = true) {
+        this.bindings = {};
+        for (const [action, codes] of Object.entries(this.defaultBindings)) {
+            this.bindings[action] = codes.slice();
+        }
+        if (save) this.save();
+    }
+
+    /**
+     * Salva binding e impostazioni in localStorage
+     */
+    save() {
+        if (!this.storage) return;
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({ bindings: this.bindings, settings: this.settings }));
+        } catch (error) {
+            console.warn(`✗ Could not save input bindings: ${error.message}`);
+        }
+    }
+
+    /**
+     * Carica binding e impostazioni salvati (le azioni nuove restano ai default)
+     */
+    load() {
+        if (!this.storage) return;
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+            if (!saved) return;
+            for (const [action, codes] of Object.entries(saved.bindings || {})) {
+                if (Array.isArray(codes)) this.bindings[action] = codes.slice();
+            }
+            Object.assign(this.settings, saved.settings || {});
+        } catch (error) {
+            console.warn(`✗ Ignoring saved input bindings: ${error.message}`);
+        }
+    }
+
+    // ============================================================
+    // ACTIONS & AXES
+    // ============================================================
+
+    /**
+     * Registra una callback chiamata quando l'azione viene premuta (anche in auto-repeat da tastiera)
+     * @param {string} action - Nome dell'azione
+     * @param {Function} callback - (event | null) => void, event = KeyboardEvent o null per il gamepad
+     * @returns {Function} Funzione che rimuove la callback
+     */
+    onAction(action, callback) {
+        if (!this.listeners.has(action)) this.listeners.set(action, []);
+        this.listeners.get(action).push(callback);
+        return () => {
+            const callbacks = this.listeners.get(action);
+            const index = callbacks.indexOf(callback);
+            if (index !== -1) callbacks.splice(index, 1);
+        };
+    }
+
+    /**
+     * true finché un binding dell'azione è tenuto premuto
+     */
+    isDown(action) {
+        return this.actionsDown.has(action);
+    }
+
+    /**
+     * Valore di un asse in -1..1 (tasti + stick + joystick touch)
+     */
+    getAxis(name) {
+        const axis = this.axes[name];
+        if (!axis) {
+            throw new Error(`Unknown input axis: ${name}`);
+        }
+
+        let value = 0;
+        if (axis.positive && this.isDown(axis.positive)) value += 1;
+        if (axis.negative && this.isDown(axis.negative)) value -= 1;
+
+        if (axis.gamepadAxis !== undefined) {
+            const stick = this.getStick(axis.gamepadAxis - (axis.gamepadAxis % 2));
+            const raw = stick[axis.gamepadAxis % 2];
+            value += axis.invert ? -raw : raw;
+        }
+        if (axis.touch === 'x') value += this.touchMove[0];
+        if (axis.touch === 'y') value -= this.touchMove[1];
+
+        return Math.max(-1, Math.min(1, value));
+    }
+
+    /**
+     * Stick del gamepad (assi firstAxis, firstAxis + 1) con dead zone radiale
+     * @returns {Array<number>} [x, y] in -1..1
+     */
+    getStick(firstAxis) {
+        const x = this.gamepadAxes[firstAxis] || 0;
+        const y = this.gamepadAxes[firstAxis + 1] || 0;
+        return applyDeadZone(x, y, this.settings.deadZone);
+    }
+
+    /**
+     * Rotazione accumulata dall'ultimo frame (mouse, trascinamento touch, stick destro)
+     * @param {number} dt - Delta time in secondi
+     * @returns {Array<number>} [yaw, pitch] in radianti, positivi = destra / giù
+     */
+    getLookDelta(dt) {
+        const [stickX, stickY] = this.getStick(LOOK_AXIS_X);
+        const look = [
+            this.mouseLook[0] + this.touchLook[0] + stickX * this.settings.gamepadLookSpeed * dt,
+            this.mouseLook[1] + this.touchLook[1] + stickY * this.settings.gamepadLookSpeed * dt
+        ];
+        if (this.settings.invertY) look[1] = -look[1];
+
+        this.mouseLook = [0, 0];
+        this.touchLook = [0, 0];
+        return look;
+    }
+
+    /**
+     * Scatti della rotella dall'ultimo frame (positivi = verso l'utente, cioè zoom out)
+     */
+    getWheelDelta() {
+        const wheel = this.wheel;
+        this.wheel = 0;
+        return wheel;
+    }
+
+    /**
+     * Da chiamare una volta per frame prima dei sistemi che leggono l'input (polling del gamepad)
+     */
+    update() {
+        if (this.gamepadIndex === null || typeof navigator === 'undefined' || !navigator.getGamepads) return;
+
+        const gamepad = navigator.getGamepads()[this.gamepadIndex];
+        if (!gamepad) return;
+
+        const previous = this.gamepadButtons;
+        this.gamepadButtons = gamepad.buttons.map((button) => button.pressed);
+        this.gamepadAxes = Array.from(gamepad.axes);
+
+        for (const [i, pressed] of this.gamepadButtons.entries()) {
+            if (!pressed || previous[i]) continue;
+            const code = `GamepadButton${i}`;
+            if (this.capture) {
+                // The captured press is consumed: no action fires for it or other buttons this frame
+                this.capture.resolve(code);
+                break;
+            }
+            this.refreshActions();
+            for (const action of this.actionsForBinding(code)) {
+                this.emit(action, null);
+            }
+        }
+        this.refreshActions();
+    }
+
+    // ============================================================
+    // INTERNALS
+    // ============================================================
+
+    /**
+     * Azioni attivate da un binding: i binding con modificatori devono combaciare esattamente
+     * e hanno la precedenza (Shift+K non attiva anche l'azione di K); senza binding con
+     * modificatori il tasto vale con qualsiasi modificatore (Shift+W corre e avanza)
+     */
+    actionsForBinding(binding) {
+        const code = binding.split('+').pop();
+        const exact = [];
+        const plain = [];
+        for (const [action, codes] of Object.entries(this.bindings)) {
+            if (binding.includes('+') && codes.includes(binding)) exact.push(action);
+            else if (codes.includes(code)) plain.push(action);
+        }
+        return exact.length > 0 ? exact : plain;
+    }
+
+    /**
+     * Ricalcola le azioni tenute premute da tastiera e gamepad
+     */
+    refreshActions() {
+        this.actionsDown.clear();
+        for (const [action, codes] of Object.entries(this.bindings)) {
+            for (const code of codes) {
+                if (code.startsWith('GamepadButton')) {
+                    if (this.gamepadButtons[Number(code.slice('GamepadButton'.length))]) this.actionsDown.add(action);
+                } else if (!code.includes('+') && this.keysDown.has(code)) {
+                    // Modifier combos are one-shot commands, only plain keys are held
+                    this.actionsDown.add(action);
+                }
+            }
+        }
+    }
+
+    emit(action, event) {
+        for (const callback of this.listeners.get(action) || []) {
+            callback(event);
+        }
+    }
+
+    handleKey(e, down) {
+        if (down && this.capture) {
+            e.preventDefault();
+            this.capture.resolve(e.code === 'Escape' ? null : keyEventBinding(e));
+            return;
+        }
+
+        if (down) this.keysDown.add(e.code);
+        else this.keysDown.delete(e.code);
+        this.refreshActions();
+
+        if (!down) return;
+        const actions = this.actionsForBinding(keyEventBinding(e));
+        if (actions.length > 0) {
+            // Bound keys belong to the game: no page scroll on Space, no browser undo on Ctrl+Z
+            e.preventDefault();
+        }
+        for (const action of actions) {
+            this.emit(action, e);
+        }
+    }
+
+    // Touch: left half = virtual joystick, right half = drag to look
+    handleTouchStart(e) {
+        e.preventDefault();
+        const rect = this.canvas.getBoundingClientRect();
+
+        for (const touch of e.changedTouches) {
+            const leftHalf = touch.clientX - rect.left < rect.width / 2;
+            if (leftHalf && !this.touchJoystick) {
+                this.touchJoystick = { id: touch.identifier, origin: [touch.clientX, touch.clientY], ...this.createJoystickElements() };
+                this.updateJoystickElements(touch.clientX, touch.clientY);
+            } else if (!leftHalf && this.touchLookId === null) {
+                this.touchLookId = touch.identifier;
+                this.touchLookLast = [touch.clientX, touch.clientY];
+            }
+        }
+    }
+
+    handleTouchMove(e) {
+        e.preventDefault();
+        const radius = this.settings.touchJoystickRadius;
+
+        for (const touch of e.changedTouches) {
+            if (this.touchJoystick && touch.identifier === this.touchJoystick.id) {
+                const [ox, oy] = this.touchJoystick.origin;
+                const [x, y] = applyDeadZone((touch.clientX - ox) / radius, (touch.clientY - oy) / radius, 0.1);
+                const length = Math.hypot(x, y);
+                this.touchMove = length > 1 ? [x / length, y / length] : [x, y];
+                this.updateJoystickElements(touch.clientX, touch.clientY);
+            } else if (touch.identifier === this.touchLookId) {
+                this.touchLook[0] += (touch.clientX - this.touchLookLast[0]) * this.settings.touchLookSensitivity;
+                this.touchLook[1] += (touch.clientY - this.touchLookLast[1]) * this.settings.touchLookSensitivity;
+                this.touchLookLast = [touch.clientX, touch.clientY];
+            }
+        }
+    }
+
+    handleTouchEnd(e) {
+        e.preventDefault();
+        for (const touch of e.changedTouches) {
+            if (this.touchJoystick && touch.identifier === this.touchJoystick.id) {
+                this.touchJoystick.base.remove();
+                this.touchJoystick = null;
+                this.touchMove = [0, 0];
+            } else if (touch.identifier === this.touchLookId) {
+                this.touchLookId = null;
+            }
+        }
+    }
+
+    createJoystickElements() {
+        const radius = this.settings.touchJoystickRadius;
+        const base = document.createElement('div');
+        const knob = document.createElement('div');
+
+        Object.assign(base.style, {
+            position: 'fixed', width: `${radius * 2}px`, height: `${radius * 2}px`, borderRadius: '50%',
+            border: '2px solid rgba(255, 255, 255, 0.6)', background: 'rgba(255, 255, 255, 0.15)',
+            pointerEvents: 'none', zIndex: 10
+        });
+        Object.assign(knob.style, {
+            position: 'absolute', width: `${radius * 0.8}px`, height: `${radius * 0.8}px`, borderRadius: '50%',
+            background: 'rgba(255, 255, 255, 0.6)', pointerEvents: 'none'
+        });
+        base.appendChild(knob);
+        document.body.appendChild(base);
+        return { base, knob };
+    }
+
+    updateJoystickElements(x, y) {
+        const { base, knob, origin } = this.touchJoystick;
+        const radius = this.settings.touchJoystickRadius;
+        base.style.left = `${origin[0] - radius}px`;
+        base.style.top = `${origin[1] - radius}px`;
+
+        // Knob follows the finger, clamped to the base
+        const dx = x - origin[0];
+        const dy = y - origin[1];
+        const length = Math.hypot(dx, dy);
+        const scale = length > radius ? radius / length : 1;
+        knob.style.left = `${radius * 0.6 + dx * scale}px`;
+        knob.style.top = `${radius * 0.6 + dy * scale}px`;
+    }
+}
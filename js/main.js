@@ -2,7 +2,7 @@
 // MAIN - Punto di ingresso dell'applicazione
 // ============================================================
 
-import { initWebGL } from './webgl-setup.js';
+import { initWebGL, createGLCallCounter } from './webgl-setup.js';
 import { createProgram } from './shader-compiler.js';
 import {
     meshVertexShader,
@@ -13,6 +13,8 @@ import {
     billboardFragmentShader,
     terrainVertexShader,
     terrainFragmentShader,
+    terrainApronFragmentShader,
+    waterFragmentShader,
     mattePaintingVertexShader,
     mattePaintingFragmentShader,
     skyboxTexturedVertexShader,
@@ -29,13 +31,27 @@ import {
     createGroundMesh,
     createSkyboxMesh,
     createBillboards,
-    createDistantMountains
+    createDistantMountains,
+    createBoxesMesh
 } from './geometry.js';
-import { generateProceduralHeightmap, createTerrainMesh } from './terrain.js';
+import { generateProceduralHeightmap } from './terrain.js';
+import { createChunkedTerrain } from './terrain-lod.js';
+import { createTerrainMaterial } from './terrain-material.js';
+import { createTerrainApron } from './terrain-apron.js';
+import { TerrainQuery } from './terrain-query.js';
+import { TerrainEditor } from './terrain-editor.js';
+import { generateBiomeMap } from './biomes.js';
+import { findWaterBodies } from './water.js';
+import { StructureLayout, createDefaultPrefabs } from './structures.js';
+import { buildNavGrid } from './navigation.js';
 import { MattePaintingManager } from './matte-painting.js';
 import { mat4Perspective } from './math-utils.js';
 import { Camera } from './camera.js';
+import { InputManager } from './input.js';
+import { CameraPath, CameraPathRecorder } from './camera-path.js';
 import { Renderer } from './renderer.js';
+import { buildWorldScene } from './world-scene.js';
+import { Viewport } from './viewport.js';
 
 /**
  * Inizializza l'applicazione
@@ -50,17 +66,30 @@ function init() {
         return;
     }
 
+    // Debug only (?glcalls in the URL): GL calls per frame in the stats line. Every GL method gets
+    // wrapped, which costs time on each call. Installed before the renderer asks for OES_vertex_array_object
+    const glCallCounter = new URLSearchParams(window.location.search).has('glcalls') ? createGLCallCounter(gl) : null;
+
+    // Risoluzione del canvas: devicePixelRatio limitato a 2, renderScale per la risoluzione dinamica
+    const viewport = new Viewport(canvas, gl, {
+        maxPixelRatio: 2,
+        renderScale: 1,
+        dynamicResolution: { enabled: false, targetFps: 60, minScale: 0.5, maxScale: 1 }
+    });
+
     // Compila shader programs
     const meshProgram = createProgram(gl, meshVertexShader, meshFragmentShader);
     const skyboxProgram = createProgram(gl, skyboxVertexShader, skyboxFragmentShader);
     const billboardProgram = createProgram(gl, billboardVertexShader, billboardFragmentShader);
     const terrainProgram = createProgram(gl, terrainVertexShader, terrainFragmentShader);
+    const terrainApronProgram = createProgram(gl, terrainVertexShader, terrainApronFragmentShader);
+    const waterProgram = createProgram(gl, terrainVertexShader, waterFragmentShader);
     const mattePaintingProgram = createProgram(gl, mattePaintingVertexShader, mattePaintingFragmentShader);
     const skyboxTexturedProgram = createProgram(gl, skyboxTexturedVertexShader, skyboxTexturedFragmentShader);
     const skyboxCubemapProgram = createProgram(gl, skyboxCubemapVertexShader, skyboxCubemapFragmentShader);
     const proceduralSkyProgram = createProgram(gl, proceduralSkyVertexShader, proceduralSkyFragmentShader);
 
-    if (!meshProgram || !skyboxProgram || !billboardProgram || !terrainProgram ||
+    if (!meshProgram || !skyboxProgram || !billboardProgram || !terrainProgram || !terrainApronProgram || !waterProgram ||
         !mattePaintingProgram || !skyboxTexturedProgram || !skyboxCubemapProgram || !proceduralSkyProgram) {
         console.error('Failed to create shader programs');
         return;
@@ -71,6 +100,8 @@ function init() {
         skybox: skyboxProgram,
         billboard: billboardProgram,
         terrain: terrainProgram,
+        terrainApron: terrainApronProgram,
+        water: waterProgram,
         mattePainting: mattePaintingProgram,
         skyboxTextured: skyboxTexturedProgram,
         skyboxCubemap: skyboxCubemapProgram,
@@ -79,17 +110,74 @@ function init() {
 
     // Crea geometrie
     console.log('Generating procedural terrain heightmap...');
-    const heightmap = generateProceduralHeightmap(256, 256);
-    console.log('Creating terrain mesh from heightmap...');
-    const terrainMesh = createTerrainMesh(gl, heightmap);
-    console.log(`Terrain mesh created: ${terrainMesh.vertexCount} vertices, ${terrainMesh.indexCount} indices`);
+    const heightmap = generateProceduralHeightmap(256, 256, {
+        erosion: {
+            hydraulic: { iterations: 40000 },        // valli e canaloni
+            thermal: { iterations: 20, talusAngle: 35 }  // ghiaioni ai piedi dei pendii
+        },
+        border: { width: 32, horizonHeight: 0 }      // bordo sfumato verso l'orizzonte
+    });
+
+    // Alternative: hand-authored area from World Machine/Gaea (16-bit PNG, RAW or PGM)
+    // const heightmap = await loadHeightmap('assets/area.png', { scale: 40, base: 0 });  // from './heightmap-io.js'
+    console.log('Creating chunked terrain from heightmap...');
+    const terrainMesh = createChunkedTerrain(gl, heightmap, { chunkSize: 32, lodLevels: 4, lodDistance: 40 });
+    console.log(`Terrain created: ${terrainMesh.chunks.length} chunks, ${terrainMesh.vertexCount} vertices`);
+
+    // Apron: anello low-poly dal bordo del terreno fin sotto le colline dipinte (180 m)
+    const apronMesh = createTerrainApron(gl, heightmap, { radius: 200, horizonHeight: 0 });
+
+    // Alternative: single full-resolution mesh
+    // const terrainMesh = createTerrainMesh(gl, heightmap);  // from './terrain.js'
+
+    // Alternative: single mesh built in a Web Worker (no stall for large or extra terrains)
+    // const terrainMesh = await createTerrainMeshAsync(gl, heightmap);  // from './terrain-mesh.js'
+
+    // Alternative: load an area sculpted in Blender (async, returns mesh + resampled heightmap)
+    // const terrainMesh = await loadTerrainFromOBJ(gl, 'assets/area.obj');  // from './terrain.js'
+
+    const terrainQuery = new TerrainQuery(heightmap);
+
+    // Laghi: ogni bacino sotto i -2 m, superficie ritagliata sulla costa
+    console.log('Finding water bodies...');
+    const waterMap = findWaterBodies(heightmap, { level: -2 });
+    waterMap.createTexture(gl);
+    const waterMesh = waterMap.createSurfaceMesh(gl);
+    console.log(`Water created: ${waterMap.bodies.length} lakes, ${waterMesh.vertexCount} vertices`);
+
+    // Alternative: flood fill from hand-picked points (pixels), each lake with its own level
+    // const waterMap = findWaterBodies(heightmap, { seeds: [{ x: 90, y: 140, level: -1 }, { x: 180, y: 60 }] });
+
+    // Biomi: temperatura/umidità + distanza dall'acqua + pendenza → prato, bosco, ghiaione...
+    console.log('Generating biome map...');
+    const biomeMap = generateBiomeMap(heightmap, { seed: 1337, waterMap });
+    biomeMap.createTexture(gl);
+    const vegetation = biomeMap.scatter(100, { seed: 1337, query: terrainQuery });
+
+    // Strutture sui lotti spianati (nomi in DEFAULT_TERRAIN_SHAPES), validate: dentro il lotto e senza sovrapposizioni
+    const prefabs = createDefaultPrefabs(gl);
+    const structures = new StructureLayout(heightmap);
+    structures.place(prefabs.tower, 'center');
+    structures.place(prefabs.house, 'top-left', { offset: [-8, -6] });
+    structures.place(prefabs.house, 'top-left', { offset: [8, -8], rotation: Math.PI / 2 });
+    structures.place(prefabs.hall, 'top-center', { rotation: Math.PI / 2 });
+    structures.place(prefabs.house, 'bottom-left', { offset: [-10, 4], rotation: Math.PI / 12 });
+    structures.place(prefabs.wall, 'bottom-left', { offset: [8, 12] });
+    structures.place(prefabs.house, 'bottom-right', { rotation: -Math.PI / 6 });
+
+    // Navigazione: pendenza, acqua e strutture bloccano; strade e lotti costano meno
+    const navGrid = buildNavGrid(heightmap, { maxSlope: 40, waterMap, structures });
+    navGrid.createDebugTexture(gl);
+    const demoPath = navGrid.findPath(structures.getPlotCenter('top-left'), structures.getPlotCenter('bottom-right'));
 
     const meshes = {
         ground: createGroundMesh(gl),
         skybox: createSkyboxMesh(gl),
-        billboards: createBillboards(gl, 100),
+        billboards: createBillboards(gl, vegetation.length, vegetation.map((p) => p.position)),
         mountains: createDistantMountains(gl),
         terrain: terrainMesh,
+        apron: apronMesh,
+        water: waterMesh,
         proceduralSky: createProceduralSkyMesh(gl, 500, 32)
     };
 
@@ -108,19 +196,149 @@ function init() {
     console.log('✓ Matte painting system initialized');
 
     // Setup camera
+    // Input: azioni rimappabili (tastiera per e.code, gamepad, touch), salvate in localStorage
+    const input = new InputManager(canvas);
+
     const camera = new Camera();
-    camera.initInput(canvas);
+    camera.initInput(canvas, input);
+
+    // A piedi sul terreno (F: terza persona, volo libero, orbita, volo), area giocabile = terreno meno 2 m di margine
+    camera.setTerrain(terrainQuery, { margin: 2 });
+    camera.setMode('walk');
 
     // Setup projection matrix
     const projectionMatrix = mat4Perspective(
-        Math.PI / 3,
-        canvas.width / canvas.height,
+        camera.fov,
+        viewport.aspect,
         0.1,
         1000
     );
 
     // Crea e avvia renderer
     const renderer = new Renderer(gl, programs, meshes, camera, projectionMatrix, mattePaintingManager);
+
+    renderer.setViewport(viewport);
+
+    // Draw call, oggetti scartati dal frustum culling, chiamate GL (con ?glcalls) e stato del percorso camera, aggiornati ogni frame
+    renderer.statsElement = document.getElementById('render-stats');
+    renderer.glCallCounter = glCallCounter;
+
+    // Alt+Invio fullscreen, Alt+- / Alt+= render scale
+    input.onAction('toggleFullscreen', (e) => {
+        if (!(e && e.repeat)) viewport.toggleFullscreen();
+    });
+    input.onAction('renderScaleDown', () => viewport.setRenderScale(viewport.renderScale - 0.25));
+    input.onAction('renderScaleUp', () => viewport.setRenderScale(viewport.renderScale + 0.25));
+
+    renderer.biomeMap = biomeMap;
+    renderer.waterMap = waterMap;
+    renderer.structures = structures;
+    renderer.navGrid = navGrid;
+
+    // Personaggio della terza persona: corpo + testa + naso per vedere dove guarda (+Z)
+    renderer.avatar = {
+        name: 'avatar',
+        color: [0.8, 0.35, 0.25],
+        mesh: createBoxesMesh(gl, [
+            { size: [0.5, 1.4, 0.3] },
+            { size: [0.35, 0.35, 0.35], position: [0, 1.45, 0] },
+            { size: [0.1, 0.1, 0.12], position: [0, 1.6, 0.22] }
+        ])
+    };
+    if (demoPath) {
+        renderer.navPaths.push(navGrid.createPathMesh(gl, demoPath));
+    }
+
+    // O: orbita attorno al lotto successivo (ispezione di lotti e strutture)
+    const plotNames = [...heightmap.plots.keys()];
+    let orbitPlotIndex = -1;
+    input.onAction('orbitNextPlot', (e) => {
+        if ((e && e.repeat) || plotNames.length === 0) return;
+        orbitPlotIndex = (orbitPlotIndex + 1) % plotNames.length;
+        const plot = heightmap.getPlot(plotNames[orbitPlotIndex]);
+        const [x, z] = structures.getPlotCenter(plot.name);
+        const size = Math.max(plot.bounds.maxX - plot.bounds.minX, plot.bounds.maxY - plot.bounds.minY);
+        camera.orbitAround([x, plot.elevation, z], size * 1.5);
+    });
+
+    // Percorsi camera: K keyframe, Shift+K registrazione continua, Ctrl+K svuota, L riproduci/ferma, Shift+L esporta JSON
+    const cameraPath = new CameraPath({ interpolation: 'catmullRom', timing: 'speed', speed: 10, easing: 'sine' });
+    const pathRecorder = new CameraPathRecorder(cameraPath, { interval: 1 });
+    renderer.cameraPathRecorder = pathRecorder;
+
+    const pathActions = {
+        pathKeyframe: () => pathRecorder.capture(camera),
+        pathRecord: () => pathRecorder.record(),
+        pathClear: () => {
+            pathRecorder.record(false);
+            cameraPath.clear();
+        },
+        pathPlay: () => {
+            if (camera.mode === 'path') {
+                camera.stopPath();
+            } else if (cameraPath.keyframes.length >= 2) {
+                pathRecorder.record(false);
+                camera.playPath(cameraPath);
+            }
+        },
+        pathExport: () => cameraPath.download()
+    };
+    for (const [action, handler] of Object.entries(pathActions)) {
+        input.onAction(action, (e) => {
+            if (!(e && e.repeat)) handler();
+        });
+    }
+
+    // N: overlay di debug della griglia di navigazione
+    input.onAction('toggleNavOverlay', (e) => {
+        if (!(e && e.repeat)) renderer.showNavGrid = !renderer.showNavGrid;
+    });
+
+    // Terrain material: grass / dirt / rock / snow by height and slope (configurable per area)
+    renderer.terrainMaterial = createTerrainMaterial(gl, {
+        triplanar: true,
+        detailFadeStart: 40,
+        detailFadeEnd: 90
+    });
+
+    // Alternative: custom layers and an authored splat map (R/G/B/A = layer 0..3)
+    // renderer.terrainMaterial = createTerrainMaterial(gl, {
+    //     layers: [
+    //         { name: 'grass', color: [0.36, 0.48, 0.24], texture: 'assets/grass.jpg', tileSize: 4 },
+    //         { name: 'rock', color: [0.45, 0.43, 0.41], texture: 'assets/rock.jpg', tileSize: 6, slope: [30, 90] }
+    //     ],
+    //     splatMap: 'assets/area_splat.png'
+    // });
+
+    // Terrain editor: E per attivarlo, pennelli 1-5, Ctrl+Z/Ctrl+Y, P esporta la heightmap
+    const terrainEditor = new TerrainEditor(gl, {
+        heightmap: heightmap,
+        terrain: terrainMesh,
+        query: terrainQuery,
+        camera: camera,
+        viewport: viewport,
+        statusElement: document.getElementById('editor-status')
+    });
+    terrainEditor.initInput(canvas, input);
+    renderer.terrainEditor = terrainEditor;
+    renderer.input = input;
+
+    // Scene graph: sky, matte painting, terrain, structures, water... drawn through the render queue
+    renderer.scene.add(buildWorldScene(renderer));
+
+    // Alt+1..4: render pass background / opaque / transparent / overlay on/off
+    const passToggles = {
+        togglePassBackground: 'background',
+        togglePassOpaque: 'opaque',
+        togglePassTransparent: 'transparent',
+        togglePassOverlay: 'overlay'
+    };
+    for (const [action, pass] of Object.entries(passToggles)) {
+        input.onAction(action, (e) => {
+            if (!(e && e.repeat)) renderer.queue.togglePass(pass);
+        });
+    }
+
     renderer.start();
 
     console.log('Fake Open World initialized successfully!');
@@ -0,0 +1,75 @@
+/**
+ * Materials
+ * A material is what a scene node is drawn with: a shader program, the pass
+ * it belongs to, uniform values, the textures bound to its samplers and the
+ * render state (blend mode, depth test/write, cull mode, see render-state.js).
+ *
+ * Uniform and texture values are either constants or functions called once
+ * per draw with the frame context, so a material can follow live settings
+ * (fog colour, a texture that finishes loading) without being rebuilt:
+ *
+ *   new Material('water', programs.water, {
+ *       pass: 'transparent',
+ *       blend: 'alpha',
+ *       depthWrite: false,
+ *       uniforms: { uWaveStrength: 0.15, uDeepColor: () => renderer.waterDeepColor },
+ *       textures: { uWaterMap: () => waterMap.texture }
+ *   });
+ *
+ * Frame-wide uniforms (view, projection, camera, fog, light, time) are set by
+ * the renderer, the model matrix comes from the node. Values go through
+ * ShaderProgram.setUniform (shader-compiler.js): the GL call follows the type
+ * declared in the shader and unchanged values are not uploaded again.
+ * The pass only orders the draws: a transparent material still has to ask
+ * for blending itself.
+ */
+
+import { createRenderState, DEFAULT_RENDER_STATE } from './render-state.js';
+
+export class Material {
+    /**
+     * @param {string} name - Nome (debug)
+     * @param {ShaderProgram} program - Programma shader (createProgram)
+     * @param {Object} options - Opzioni
+     * @param {string} options.pass - Pass di render di default dei nodi (render-queue.js)
+     * @param {Object} options.uniforms - { nome: valore | (context) => valore }
+     * @param {Object} options.textures - { sampler: texture | (context) => texture | { texture, target } }
+     * @param {number} options.firstTextureUnit - Prima texture unit usata da textures (le precedenti restano ad apply)
+     * @param {string} options.blend - 'none' | 'alpha' | 'additive' | 'premultiplied'
+     * @param {boolean} options.depthTest - false = disegnato sopra a tutto
+     * @param {boolean} options.depthWrite - false per le superfici trasparenti
+     * @param {string} options.cull - 'back' | 'front' | 'none'
+     * @param {Function} options.apply - (gl, program, context) => void, per blocchi di uniform
+     *        già gestiti altrove (es. TerrainMaterial.apply); program è lo ShaderProgram
+     */
+    constructor(name, program, {
+        pass = 'opaque',
+        uniforms = {},
+        textures = {},
+        firstTextureUnit = 0,
+        blend = DEFAULT_RENDER_STATE.blend,
+        depthTest = DEFAULT_RENDER_STATE.depthTest,
+        depthWrite = DEFAULT_RENDER_STATE.depthWrite,
+        cull = DEFAULT_RENDER_STATE.cull,
+        apply = null
+    } = {}) {
+        if (!program) {
+            throw new Error(`Material "${name}" has no shader program`);
+        }
+        this.name = name;
+        this.program = program;
+        this.pass = pass;
+        this.uniforms = uniforms;
+        this.textures = textures;
+        this.firstTextureUnit = firstTextureUnit;
+        this.renderState = createRenderState({ blend, depthTest, depthWrite, cull });
+        this.apply = apply;
+    }
+}
+
+/**
+ * Valore di un uniform o di una texture: le funzioni vengono chiamate con il contesto del frame
+ */
+export function resolveValue(value, context) {
+    return typeof value === 'function' ? value(context) : value;
+}
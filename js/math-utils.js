@@ -1,6 +1,414 @@
 // ============================================================
 // MATH UTILS - Da replicare in C con glm o simili
 // ============================================================
+//
+// Convenzioni:
+//   - matrici 4x4 column-major (come WebGL), mat3 per la normal matrix
+//   - quaternioni [x, y, z, w]
+//   - ogni funzione accetta come ultimo parametro opzionale l'array di output
+//     (out) e lo restituisce: nei loop per frame passare array preallocati per
+//     non creare garbage; senza out viene allocato un array nuovo
+//   - out può coincidere con un input (es. vec3Add(a, b, a))
+
+const EPSILON = 1e-6;
+
+// ============================================================
+// VEC2
+// ============================================================
+
+export function vec2Create(x = 0, y = 0) {
+    const out = new Float32Array(2);
+    out[0] = x; out[1] = y;
+    return out;
+}
+
+export function vec2Set(x, y, out = vec2Create()) {
+    out[0] = x; out[1] = y;
+    return out;
+}
+
+export function vec2Copy(a, out = vec2Create()) {
+    out[0] = a[0]; out[1] = a[1];
+    return out;
+}
+
+export function vec2Add(a, b, out = vec2Create()) {
+    out[0] = a[0] + b[0]; out[1] = a[1] + b[1];
+    return out;
+}
+
+export function vec2Sub(a, b, out = vec2Create()) {
+    out[0] = a[0] - b[0]; out[1] = a[1] - b[1];
+    return out;
+}
+
+export function vec2Scale(a, s, out = vec2Create()) {
+    out[0] = a[0] * s; out[1] = a[1] * s;
+    return out;
+}
+
+export function vec2Dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1];
+}
+
+export function vec2Length(a) {
+    return Math.hypot(a[0], a[1]);
+}
+
+export function vec2Distance(a, b) {
+    return Math.hypot(b[0] - a[0], b[1] - a[1]);
+}
+
+/**
+ * Normalizza un vec2 (il vettore nullo resta nullo)
+ */
+export function vec2Normalize(a, out = vec2Create()) {
+    const len = Math.hypot(a[0], a[1]);
+    const inv = len > 0 ? 1 / len : 0;
+    out[0] = a[0] * inv; out[1] = a[1] * inv;
+    return out;
+}
+
+export function vec2Lerp(a, b, t, out = vec2Create()) {
+    out[0] = a[0] + (b[0] - a[0]) * t;
+    out[1] = a[1] + (b[1] - a[1]) * t;
+    return out;
+}
+
+// ============================================================
+// VEC3
+// ============================================================
+
+export function vec3Create(x = 0, y = 0, z = 0) {
+    const out = new Float32Array(3);
+    out[0] = x; out[1] = y; out[2] = z;
+    return out;
+}
+
+export function vec3Set(x, y, z, out = vec3Create()) {
+    out[0] = x; out[1] = y; out[2] = z;
+    return out;
+}
+
+export function vec3Copy(a, out = vec3Create()) {
+    out[0] = a[0]; out[1] = a[1]; out[2] = a[2];
+    return out;
+}
+
+export function vec3Add(a, b, out = vec3Create()) {
+    out[0] = a[0] + b[0]; out[1] = a[1] + b[1]; out[2] = a[2] + b[2];
+    return out;
+}
+
+export function vec3Sub(a, b, out = vec3Create()) {
+    out[0] = a[0] - b[0]; out[1] = a[1] - b[1]; out[2] = a[2] - b[2];
+    return out;
+}
+
+export function vec3Scale(a, s, out = vec3Create()) {
+    out[0] = a[0] * s; out[1] = a[1] * s; out[2] = a[2] * s;
+    return out;
+}
+
+/**
+ * a + b * s
+ */
+export function vec3ScaleAndAdd(a, b, s, out = vec3Create()) {
+    out[0] = a[0] + b[0] * s; out[1] = a[1] + b[1] * s; out[2] = a[2] + b[2] * s;
+    return out;
+}
+
+export function vec3Dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+export function vec3Cross(a, b, out = vec3Create()) {
+    const ax = a[0], ay = a[1], az = a[2];
+    const bx = b[0], by = b[1], bz = b[2];
+    out[0] = ay * bz - az * by;
+    out[1] = az * bx - ax * bz;
+    out[2] = ax * by - ay * bx;
+    return out;
+}
+
+export function vec3Length(a) {
+    return Math.hypot(a[0], a[1], a[2]);
+}
+
+export function vec3Distance(a, b) {
+    return Math.hypot(b[0] - a[0], b[1] - a[1], b[2] - a[2]);
+}
+
+/**
+ * Normalizza un vec3 (il vettore nullo resta nullo)
+ */
+export function vec3Normalize(a, out = vec3Create()) {
+    const len = Math.hypot(a[0], a[1], a[2]);
+    const inv = len > 0 ? 1 / len : 0;
+    out[0] = a[0] * inv; out[1] = a[1] * inv; out[2] = a[2] * inv;
+    return out;
+}
+
+export function vec3Lerp(a, b, t, out = vec3Create()) {
+    out[0] = a[0] + (b[0] - a[0]) * t;
+    out[1] = a[1] + (b[1] - a[1]) * t;
+    out[2] = a[2] + (b[2] - a[2]) * t;
+    return out;
+}
+
+/**
+ * Trasforma un punto (w = 1) con una mat4, con divisione prospettica
+ */
+export function vec3TransformMat4(a, m, out = vec3Create()) {
+    const x = a[0], y = a[1], z = a[2];
+    const w = m[3] * x + m[7] * y + m[11] * z + m[15] || 1;
+    out[0] = (m[0] * x + m[4] * y + m[8] * z + m[12]) / w;
+    out[1] = (m[1] * x + m[5] * y + m[9] * z + m[13]) / w;
+    out[2] = (m[2] * x + m[6] * y + m[10] * z + m[14]) / w;
+    return out;
+}
+
+/**
+ * Ruota un vec3 con un quaternione unitario
+ */
+export function vec3TransformQuat(a, q, out = vec3Create()) {
+    const qx = q[0], qy = q[1], qz = q[2], qw = q[3];
+    const x = a[0], y = a[1], z = a[2];
+    // t = 2 * cross(q.xyz, v); v' = v + w * t + cross(q.xyz, t)
+    const tx = 2 * (qy * z - qz * y);
+    const ty = 2 * (qz * x - qx * z);
+    const tz = 2 * (qx * y - qy * x);
+    out[0] = x + qw * tx + qy * tz - qz * ty;
+    out[1] = y + qw * ty + qz * tx - qx * tz;
+    out[2] = z + qw * tz + qx * ty - qy * tx;
+    return out;
+}
+
+// ============================================================
+// VEC4
+// ============================================================
+
+export function vec4Create(x = 0, y = 0, z = 0, w = 0) {
+    const out = new Float32Array(4);
+    out[0] = x; out[1] = y; out[2] = z; out[3] = w;
+    return out;
+}
+
+export function vec4Set(x, y, z, w, out = vec4Create()) {
+    out[0] = x; out[1] = y; out[2] = z; out[3] = w;
+    return out;
+}
+
+export function vec4Copy(a, out = vec4Create()) {
+    out[0] = a[0]; out[1] = a[1]; out[2] = a[2]; out[3] = a[3];
+    return out;
+}
+
+export function vec4Add(a, b, out = vec4Create()) {
+    out[0] = a[0] + b[0]; out[1] = a[1] + b[1]; out[2] = a[2] + b[2]; out[3] = a[3] + b[3];
+    return out;
+}
+
+export function vec4Sub(a, b, out = vec4Create()) {
+    out[0] = a[0] - b[0]; out[1] = a[1] - b[1]; out[2] = a[2] - b[2]; out[3] = a[3] - b[3];
+    return out;
+}
+
+export function vec4Scale(a, s, out = vec4Create()) {
+    out[0] = a[0] * s; out[1] = a[1] * s; out[2] = a[2] * s; out[3] = a[3] * s;
+    return out;
+}
+
+export function vec4Dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2] + a[3] * b[3];
+}
+
+export function vec4Length(a) {
+    return Math.hypot(a[0], a[1], a[2], a[3]);
+}
+
+/**
+ * Normalizza un vec4 (il vettore nullo resta nullo)
+ */
+export function vec4Normalize(a, out = vec4Create()) {
+    const len = Math.hypot(a[0], a[1], a[2], a[3]);
+    const inv = len > 0 ? 1 / len : 0;
+    out[0] = a[0] * inv; out[1] = a[1] * inv; out[2] = a[2] * inv; out[3] = a[3] * inv;
+    return out;
+}
+
+export function vec4Lerp(a, b, t, out = vec4Create()) {
+    out[0] = a[0] + (b[0] - a[0]) * t;
+    out[1] = a[1] + (b[1] - a[1]) * t;
+    out[2] = a[2] + (b[2] - a[2]) * t;
+    out[3] = a[3] + (b[3] - a[3]) * t;
+    return out;
+}
+
+/**
+ * Trasforma un vec4 con una mat4 (senza divisione prospettica)
+ */
+export function vec4TransformMat4(a, m, out = vec4Create()) {
+    const x = a[0], y = a[1], z = a[2], w = a[3];
+    out[0] = m[0] * x + m[4] * y + m[8] * z + m[12] * w;
+    out[1] = m[1] * x + m[5] * y + m[9] * z + m[13] * w;
+    out[2] = m[2] * x + m[6] * y + m[10] * z + m[14] * w;
+    out[3] = m[3] * x + m[7] * y + m[11] * z + m[15] * w;
+    return out;
+}
+
+// ============================================================
+// QUATERNIONI [x, y, z, w]
+// ============================================================
+
+/**
+ * Crea un quaternione identità
+ */
+export function quatCreate() {
+    const out = new Float32Array(4);
+    out[3] = 1;
+    return out;
+}
+
+export function quatIdentity(out = quatCreate()) {
+    out[0] = 0; out[1] = 0; out[2] = 0; out[3] = 1;
+    return out;
+}
+
+/**
+ * Rotazione di angle radianti attorno a un asse (normalizzato)
+ */
+export function quatSetAxisAngle(axis, angle, out = quatCreate()) {
+    const s = Math.sin(angle / 2);
+    out[0] = axis[0] * s;
+    out[1] = axis[1] * s;
+    out[2] = axis[2] * s;
+    out[3] = Math.cos(angle / 2);
+    return out;
+}
+
+/**
+ * Quaternione da yaw e pitch come la Camera: ruota +Z nella direzione forward
+ * (pitch positivo = guarda in alto, prima pitch attorno a X, poi yaw attorno a Y)
+ */
+export function quatFromYawPitch(yaw, pitch, out = quatCreate()) {
+    const sy = Math.sin(yaw / 2), cy = Math.cos(yaw / 2);
+    const sp = Math.sin(pitch / 2), cp = Math.cos(pitch / 2);
+    // qYaw * qX(-pitch): looking up is a negative rotation around +X
+    out[0] = -cy * sp;
+    out[1] = sy * cp;
+    out[2] = sy * sp;
+    out[3] = cy * cp;
+    return out;
+}
+
+/**
+ * Prodotto a * b (applica prima b, poi a)
+ */
+export function quatMultiply(a, b, out = quatCreate()) {
+    const ax = a[0], ay = a[1], az = a[2], aw = a[3];
+    const bx = b[0], by = b[1], bz = b[2], bw = b[3];
+    out[0] = aw * bx + ax * bw + ay * bz - az * by;
+    out[1] = aw * by - ax * bz + ay * bw + az * bx;
+    out[2] = aw * bz + ax * by - ay * bx + az * bw;
+    out[3] = aw * bw - ax * bx - ay * by - az * bz;
+    return out;
+}
+
+/**
+ * Coniugato (= inverso per quaternioni unitari)
+ */
+export function quatConjugate(a, out = quatCreate()) {
+    out[0] = -a[0]; out[1] = -a[1]; out[2] = -a[2]; out[3] = a[3];
+    return out;
+}
+
+export function quatInvert(a, out = quatCreate()) {
+    const dot = a[0] * a[0] + a[1] * a[1] + a[2] * a[2] + a[3] * a[3];
+    const inv = dot > 0 ? 1 / dot : 0;
+    out[0] = -a[0] * inv; out[1] = -a[1] * inv; out[2] = -a[2] * inv; out[3] = a[3] * inv;
+    return out;
+}
+
+export function quatNormalize(a, out = quatCreate()) {
+    return vec4Normalize(a, out);
+}
+
+/**
+ * Interpolazione sferica tra due quaternioni unitari (percorso più corto)
+ * @param {number} t - 0 = a, 1 = b
+ */
+export function quatSlerp(a, b, t, out = quatCreate()) {
+    const ax = a[0], ay = a[1], az = a[2], aw = a[3];
+    let bx = b[0], by = b[1], bz = b[2], bw = b[3];
+
+    // q and -q are the same rotation: flip b to take the short way
+    let cosOmega = ax * bx + ay * by + az * bz + aw * bw;
+    if (cosOmega < 0) {
+        cosOmega = -cosOmega;
+        bx = -bx; by = -by; bz = -bz; bw = -bw;
+    }
+
+    let scaleA;
+    let scaleB;
+    if (1 - cosOmega > EPSILON) {
+        const omega = Math.acos(cosOmega);
+        const sinOmega = Math.sin(omega);
+        scaleA = Math.sin((1 - t) * omega) / sinOmega;
+        scaleB = Math.sin(t * omega) / sinOmega;
+    } else {
+        // Nearly identical: linear interpolation avoids dividing by ~0
+        scaleA = 1 - t;
+        scaleB = t;
+    }
+
+    out[0] = scaleA * ax + scaleB * bx;
+    out[1] = scaleA * ay + scaleB * by;
+    out[2] = scaleA * az + scaleB * bz;
+    out[3] = scaleA * aw + scaleB * bw;
+    return out;
+}
+
+/**
+ * Quaternione dalla parte di rotazione (3x3 in alto a sinistra, senza scala) di una mat4
+ */
+export function quatFromMat4(m, out = quatCreate()) {
+    const m00 = m[0], m01 = m[4], m02 = m[8];
+    const m10 = m[1], m11 = m[5], m12 = m[9];
+    const m20 = m[2], m21 = m[6], m22 = m[10];
+    const trace = m00 + m11 + m22;
+
+    if (trace > 0) {
+        const s = 0.5 / Math.sqrt(trace + 1);
+        out[3] = 0.25 / s;
+        out[0] = (m21 - m12) * s;
+        out[1] = (m02 - m20) * s;
+        out[2] = (m10 - m01) * s;
+    } else if (m00 > m11 && m00 > m22) {
+        const s = 2 * Math.sqrt(1 + m00 - m11 - m22);
+        out[3] = (m21 - m12) / s;
+        out[0] = 0.25 * s;
+        out[1] = (m01 + m10) / s;
+        out[2] = (m02 + m20) / s;
+    } else if (m11 > m22) {
+        const s = 2 * Math.sqrt(1 + m11 - m00 - m22);
+        out[3] = (m02 - m20) / s;
+        out[0] = (m01 + m10) / s;
+        out[1] = 0.25 * s;
+        out[2] = (m12 + m21) / s;
+    } else {
+        const s = 2 * Math.sqrt(1 + m22 - m00 - m11);
+        out[3] = (m10 - m01) / s;
+        out[0] = (m02 + m20) / s;
+        out[1] = (m12 + m21) / s;
+        out[2] = 0.25 * s;
+    }
+    return out;
+}
+
+// ============================================================
+// MAT4 (column-major)
+// ============================================================
 
 /**
  * Crea una matrice identità 4x4
@@ -15,23 +423,62 @@ export function mat4Create() {
     ]);
 }
 
+export function mat4Identity(out = new Float32Array(16)) {
+    out.fill(0);
+    out[0] = 1; out[5] = 1; out[10] = 1; out[15] = 1;
+    return out;
+}
+
+export function mat4Copy(a, out = new Float32Array(16)) {
+    for (let i = 0; i < 16; i++) out[i] = a[i];
+    return out;
+}
+
 /**
  * Crea una matrice di proiezione prospettica
  * @param {number} fov - Field of view in radianti
  * @param {number} aspect - Aspect ratio (width/height)
  * @param {number} near - Piano near
  * @param {number} far - Piano far
+ * @param {Float32Array} out - Matrice di output (opzionale)
  * @returns {Float32Array} Matrice di proiezione
  */
-export function mat4Perspective(fov, aspect, near, far) {
+export function mat4Perspective(fov, aspect, near, far, out = new Float32Array(16)) {
     const f = 1.0 / Math.tan(fov / 2);
     const nf = 1 / (near - far);
-    return new Float32Array([
-        f / aspect, 0, 0, 0,
-        0, f, 0, 0,
-        0, 0, (far + near) * nf, -1,
-        0, 0, 2 * far * near * nf, 0
-    ]);
+    out.fill(0);
+    out[0] = f / aspect;
+    out[5] = f;
+    out[10] = (far + near) * nf;
+    out[11] = -1;
+    out[14] = 2 * far * near * nf;
+    return out;
+}
+
+/**
+ * Crea una matrice di proiezione ortografica (clip z in [-1, 1] come mat4Perspective)
+ * @param {number} left - Piano sinistro
+ * @param {number} right - Piano destro
+ * @param {number} bottom - Piano inferiore
+ * @param {number} top - Piano superiore
+ * @param {number} near - Piano near
+ * @param {number} far - Piano far
+ * @param {Float32Array} out - Matrice di output (opzionale)
+ * @returns {Float32Array} Matrice di proiezione
+ */
+export function mat4Ortho(left, right, bottom, top, near, far, out = new Float32Array(16)) {
+    const lr = 1 / (left - right);
+    const bt = 1 / (bottom - top);
+    const nf = 1 / (near - far);
+    out.fill(0);
+    out[0] = -2 * lr;
+    out[5] = -2 * bt;
+    out[10] = 2 * nf;
+    out[12] = (left + right) * lr;
+    out[13] = (top + bottom) * bt;
+    out[14] = (far + near) * nf;
+    out[15] = 1;
+    return out;
 }
 
 /**
@@ -39,34 +486,242 @@ export function mat4Perspective(fov, aspect, near, far) {
  * @param {Array<number>} eye - Posizione camera [x, y, z]
  * @param {Array<number>} center - Punto target [x, y, z]
  * @param {Array<number>} up - Vettore up [x, y, z]
+ * @param {Float32Array} out - Matrice di output (opzionale)
  * @returns {Float32Array} Matrice view
  */
-export function mat4LookAt(eye, center, up) {
-    const z = [eye[0] - center[0], eye[1] - center[1], eye[2] - center[2]];
-    const zlen = Math.sqrt(z[0]*z[0] + z[1]*z[1] + z[2]*z[2]);
-    z[0] /= zlen; z[1] /= zlen; z[2] /= zlen;
+export function mat4LookAt(eye, center, up, out = new Float32Array(16)) {
+    let zx = eye[0] - center[0];
+    let zy = eye[1] - center[1];
+    let zz = eye[2] - center[2];
+    const zlen = Math.sqrt(zx*zx + zy*zy + zz*zz);
+    zx /= zlen; zy /= zlen; zz /= zlen;
 
-    const x = [
-        up[1] * z[2] - up[2] * z[1],
-        up[2] * z[0] - up[0] * z[2],
-        up[0] * z[1] - up[1] * z[0]
-    ];
-    const xlen = Math.sqrt(x[0]*x[0] + x[1]*x[1] + x[2]*x[2]);
-    x[0] /= xlen; x[1] /= xlen; x[2] /= xlen;
+    let xx = up[1] * zz - up[2] * zy;
+    let xy = up[2] * zx - up[0] * zz;
+    let xz = up[0] * zy - up[1] * zx;
+    const xlen = Math.sqrt(xx*xx + xy*xy + xz*xz);
+    xx /= xlen; xy /= xlen; xz /= xlen;
+
+    const yx = zy * xz - zz * xy;
+    const yy = zz * xx - zx * xz;
+    const yz = zx * xy - zy * xx;
+
+    out[0] = xx; out[1] = yx; out[2] = zx; out[3] = 0;
+    out[4] = xy; out[5] = yy; out[6] = zy; out[7] = 0;
+    out[8] = xz; out[9] = yz; out[10] = zz; out[11] = 0;
+    out[12] = -(xx*eye[0] + xy*eye[1] + xz*eye[2]);
+    out[13] = -(yx*eye[0] + yy*eye[1] + yz*eye[2]);
+    out[14] = -(zx*eye[0] + zy*eye[1] + zz*eye[2]);
+    out[15] = 1;
+    return out;
+}
+
+/**
+ * Moltiplica due matrici 4x4 (column-major): a * b
+ * @param {Float32Array} a - Matrice sinistra
+ * @param {Float32Array} b - Matrice destra
+ * @param {Float32Array} out - Matrice di output (opzionale, può essere a o b)
+ * @returns {Float32Array} Prodotto a * b
+ */
+export function mat4Multiply(a, b, out = new Float32Array(16)) {
+    const a00 = a[0], a01 = a[1], a02 = a[2], a03 = a[3];
+    const a10 = a[4], a11 = a[5], a12 = a[6], a13 = a[7];
+    const a20 = a[8], a21 = a[9], a22 = a[10], a23 = a[11];
+    const a30 = a[12], a31 = a[13], a32 = a[14], a33 = a[15];
+
+    // One column of b at a time, read before out (which may alias b) is written
+    for (let col = 0; col < 4; col++) {
+        const b0 = b[col * 4], b1 = b[col * 4 + 1], b2 = b[col * 4 + 2], b3 = b[col * 4 + 3];
+        out[col * 4] = a00 * b0 + a10 * b1 + a20 * b2 + a30 * b3;
+        out[col * 4 + 1] = a01 * b0 + a11 * b1 + a21 * b2 + a31 * b3;
+        out[col * 4 + 2] = a02 * b0 + a12 * b1 + a22 * b2 + a32 * b3;
+        out[col * 4 + 3] = a03 * b0 + a13 * b1 + a23 * b2 + a33 * b3;
+    }
+    return out;
+}
+
+/**
+ * Trasposta di una mat4
+ */
+export function mat4Transpose(a, out = new Float32Array(16)) {
+    if (out === a) {
+        for (let col = 0; col < 4; col++) {
+            for (let row = col + 1; row < 4; row++) {
+                const tmp = a[col * 4 + row];
+                out[col * 4 + row] = a[row * 4 + col];
+                out[row * 4 + col] = tmp;
+            }
+        }
+        return out;
+    }
+    for (let col = 0; col < 4; col++) {
+        for (let row = 0; row < 4; row++) {
+            out[row * 4 + col] = a[col * 4 + row];
+        }
+    }
+    return out;
+}
+
+/**
+ * Inversa di una mat4 (cofattori)
+ * @returns {Float32Array|null} out, oppure null se la matrice è singolare (out non modificato)
+ */
+export function mat4Invert(a, out = new Float32Array(16)) {
+    const a00 = a[0], a01 = a[1], a02 = a[2], a03 = a[3];
+    const a10 = a[4], a11 = a[5], a12 = a[6], a13 = a[7];
+    const a20 = a[8], a21 = a[9], a22 = a[10], a23 = a[11];
+    const a30 = a[12], a31 = a[13], a32 = a[14], a33 = a[15];
+
+    const b00 = a00 * a11 - a01 * a10;
+    const b01 = a00 * a12 - a02 * a10;
+    const b02 = a00 * a13 - a03 * a10;
+    const b03 = a01 * a12 - a02 * a11;
+    const b04 = a01 * a13 - a03 * a11;
+    const b05 = a02 * a13 - a03 * a12;
+    const b06 = a20 * a31 - a21 * a30;
+    const b07 = a20 * a32 - a22 * a30;
+    const b08 = a20 * a33 - a23 * a30;
+    const b09 = a21 * a32 - a22 * a31;
+    const b10 = a21 * a33 - a23 * a31;
+    const b11 = a22 * a33 - a23 * a32;
+
+    const det = b00 * b11 - b01 * b10 + b02 * b09 + b03 * b08 - b04 * b07 + b05 * b06;
+    if (Math.abs(det) < 1e-12) return null;
+    const inv = 1 / det;
 
-    const y = [
-        z[1] * x[2] - z[2] * x[1],
-        z[2] * x[0] - z[0] * x[2],
-        z[0] * x[1] - z[1] * x[0]
+    out[0] = (a11 * b11 - a12 * b10 + a13 * b09) * inv;
+    out[1] = (a02 * b10 - a01 * b11 - a03 * b09) * inv;
+    out[2] = (a31 * b05 - a32 * b04 + a33 * b03) * inv;
+    out[3] = (a22 * b04 - a21 * b05 - a23 * b03) * inv;
+    out[4] = (a12 * b08 - a10 * b11 - a13 * b07) * inv;
+    out[5] = (a00 * b11 - a02 * b08 + a03 * b07) * inv;
+    out[6] = (a32 * b02 - a30 * b05 - a33 * b01) * inv;
+    out[7] = (a20 * b05 - a22 * b02 + a23 * b01) * inv;
+    out[8] = (a10 * b10 - a11 * b08 + a13 * b06) * inv;
+    out[9] = (a01 * b08 - a00 * b10 - a03 * b06) * inv;
+    out[10] = (a30 * b04 - a31 * b02 + a33 * b00) * inv;
+    out[11] = (a21 * b02 - a20 * b04 - a23 * b00) * inv;
+    out[12] = (a11 * b07 - a10 * b09 - a12 * b06) * inv;
+    out[13] = (a00 * b09 - a01 * b07 + a02 * b06) * inv;
+    out[14] = (a31 * b01 - a30 * b03 - a32 * b00) * inv;
+    out[15] = (a20 * b03 - a21 * b01 + a22 * b00) * inv;
+    return out;
+}
+
+/**
+ * Normal matrix: inversa trasposta della parte 3x3 della model(-view) matrix, per uniformMatrix3fv
+ * Corretta anche con scale non uniforme.
+ * @returns {Float32Array|null} mat3 column-major, oppure null se la matrice è singolare
+ */
+export function mat4NormalMatrix(m, out = new Float32Array(9)) {
+    // mRC = row R, column C
+    const m00 = m[0], m10 = m[1], m20 = m[2];
+    const m01 = m[4], m11 = m[5], m21 = m[6];
+    const m02 = m[8], m12 = m[9], m22 = m[10];
+
+    // Cofactors: (M^-1)^T = cofactor matrix / det
+    const c00 = m11 * m22 - m12 * m21;
+    const c01 = m12 * m20 - m10 * m22;
+    const c02 = m10 * m21 - m11 * m20;
+    const det = m00 * c00 + m01 * c01 + m02 * c02;
+    if (Math.abs(det) < 1e-12) return null;
+    const inv = 1 / det;
+
+    out[0] = c00 * inv;
+    out[1] = (m02 * m21 - m01 * m22) * inv;
+    out[2] = (m01 * m12 - m02 * m11) * inv;
+    out[3] = c01 * inv;
+    out[4] = (m00 * m22 - m02 * m20) * inv;
+    out[5] = (m02 * m10 - m00 * m12) * inv;
+    out[6] = c02 * inv;
+    out[7] = (m01 * m20 - m00 * m21) * inv;
+    out[8] = (m00 * m11 - m01 * m10) * inv;
+    return out;
+}
+
+/**
+ * Matrice model da traslazione, rotazione (quaternione) e scala: T * R * S
+ * @param {Array<number>} translation - [x, y, z]
+ * @param {Array<number>} rotation - Quaternione [x, y, z, w]
+ * @param {Array<number>} scale - [sx, sy, sz]
+ */
+export function mat4Compose(translation, rotation, scale, out = new Float32Array(16)) {
+    const x = rotation[0], y = rotation[1], z = rotation[2], w = rotation[3];
+    const x2 = x + x, y2 = y + y, z2 = z + z;
+    const xx = x * x2, xy = x * y2, xz = x * z2;
+    const yy = y * y2, yz = y * z2, zz = z * z2;
+    const wx = w * x2, wy = w * y2, wz = w * z2;
+    const sx = scale[0], sy = scale[1], sz = scale[2];
+
+    out[0] = (1 - (yy + zz)) * sx;
+    out[1] = (xy + wz) * sx;
+    out[2] = (xz - wy) * sx;
+    out[3] = 0;
+    out[4] = (xy - wz) * sy;
+    out[5] = (1 - (xx + zz)) * sy;
+    out[6] = (yz + wx) * sy;
+    out[7] = 0;
+    out[8] = (xz + wy) * sz;
+    out[9] = (yz - wx) * sz;
+    out[10] = (1 - (xx + yy)) * sz;
+    out[11] = 0;
+    out[12] = translation[0];
+    out[13] = translation[1];
+    out[14] = translation[2];
+    out[15] = 1;
+    return out;
+}
+
+/**
+ * Scompone una matrice T * R * S (senza shear né proiezione) in traslazione, rotazione e scala
+ * Una riflessione viene attribuita a una scala X negativa.
+ * @param {Float32Array} m - Matrice model
+ * @param {Array<number>} outTranslation - [x, y, z]
+ * @param {Array<number>} outRotation - Quaternione [x, y, z, w]
+ * @param {Array<number>} outScale - [sx, sy, sz]
+ * @returns {{translation, rotation, scale}} Gli array di output
+ */
+export function mat4Decompose(m, outTranslation = vec3Create(), outRotation = quatCreate(), outScale = vec3Create()) {
+    outTranslation[0] = m[12];
+    outTranslation[1] = m[13];
+    outTranslation[2] = m[14];
+
+    let sx = Math.hypot(m[0], m[1], m[2]);
+    const sy = Math.hypot(m[4], m[5], m[6]);
+    const sz = Math.hypot(m[8], m[9], m[10]);
+    const det = m[0] * (m[5] * m[10] - m[6] * m[9]) - m[4] * (m[1] * m[10] - m[2] * m[9]) + m[8] * (m[1] * m[6] - m[2] * m[5]);
+    if (det < 0) sx = -sx;
+    outScale[0] = sx;
+    outScale[1] = sy;
+    outScale[2] = sz;
+
+    const isx = sx !== 0 ? 1 / sx : 0;
+    const isy = sy !== 0 ? 1 / sy : 0;
+    const isz = sz !== 0 ? 1 / sz : 0;
+    const rotation = [
+        m[0] * isx, m[1] * isx, m[2] * isx, 0,
+        m[4] * isy, m[5] * isy, m[6] * isy, 0,
+        m[8] * isz, m[9] * isz, m[10] * isz, 0,
+        0, 0, 0, 1
     ];
+    quatFromMat4(rotation, outRotation);
 
-    return new Float32Array([
-        x[0], y[0], z[0], 0,
-        x[1], y[1], z[1], 0,
-        x[2], y[2], z[2], 0,
-        -(x[0]*eye[0] + x[1]*eye[1] + x[2]*eye[2]),
-        -(y[0]*eye[0] + y[1]*eye[1] + y[2]*eye[2]),
-        -(z[0]*eye[0] + z[1]*eye[1] + z[2]*eye[2]),
-        1
-    ]);
+    return { translation: outTranslation, rotation: outRotation, scale: outScale };
+}
+
+/**
+ * Crea una matrice model: rotazione attorno a Y seguita da traslazione (column-major)
+ * @param {Array<number>} position - Traslazione [x, y, z]
+ * @param {number} angle - Rotazione attorno all'asse Y in radianti
+ * @param {Float32Array} out - Matrice di output (opzionale)
+ * @returns {Float32Array} Matrice model
+ */
+export function mat4FromYRotationTranslation(position, angle, out = new Float32Array(16)) {
+    const c = Math.cos(angle);
+    const s = Math.sin(angle);
+    out[0] = c; out[1] = 0; out[2] = -s; out[3] = 0;
+    out[4] = 0; out[5] = 1; out[6] = 0; out[7] = 0;
+    out[8] = s; out[9] = 0; out[10] = c; out[11] = 0;
+    out[12] = position[0]; out[13] = position[1]; out[14] = position[2]; out[15] = 1;
+    return out;
 }
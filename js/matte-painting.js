@@ -7,6 +7,8 @@
  * Filosofia ibrida: asset-based quando disponibile, procedurale come fallback.
  */
 
+import { aabbFromVertexData, computeMeshBounds } from './bounds.js';
+
 /**
  * Texture Loader con gestione errori e fallback
  * Supporta texture 2D, equirectangular e cubemap
@@ -15,6 +17,10 @@ export class TextureLoader {
     constructor(gl) {
         this.gl = gl;
         this.cache = new Map();
+
+        // loadTexture callbacks of URLs still loading, and URLs that failed
+        this.pending = new Map();
+        this.failed = new Set();
     }
 
     /**
@@ -198,17 +204,25 @@ export class TextureLoader {
     /**
      * Carica una texture da URL
      * @param {string} url - URL della texture
-     * @param {Function} onSuccess - Callback quando caricata
-     * @param {Function} onError - Callback in caso di errore
+     * @param {Function} onSuccess - Callback quando caricata (subito se già in cache e caricata)
+     * @param {Function} onError - Callback in caso di errore (subito se già fallita)
      * @returns {WebGLTexture} - Texture placeholder (1x1 pixel) che verrà aggiornata
      */
     loadTexture(url, onSuccess = null, onError = null) {
         const gl = this.gl;
 
-        // Check cache
+        // Check cache: the callbacks still run, now or when the pending load ends
         if (this.cache.has(url)) {
             console.log(`Texture "${url}" loaded from cache`);
-            return this.cache.get(url);
+            const texture = this.cache.get(url);
+            if (this.pending.has(url)) {
+                this.pending.get(url).push({ onSuccess, onError });
+            } else if (this.failed.has(url)) {
+                if (onError) onError();
+            } else if (onSuccess) {
+                onSuccess(texture);
+            }
+            return texture;
         }
 
         // Create placeholder texture (1x1 magenta pixel for debugging)
@@ -238,16 +252,26 @@ export class TextureLoader {
 
             console.log(`✓ Texture loaded: ${url} (${image.width}×${image.height})`);
 
-            if (onSuccess) onSuccess(texture);
+            const callbacks = this.pending.get(url);
+            this.pending.delete(url);
+            for (const callback of callbacks) {
+                if (callback.onSuccess) callback.onSuccess(texture);
+            }
         };
 
         image.onerror = () => {
             console.warn(`✗ Failed to load texture: ${url}`);
-            if (onError) onError();
+            const callbacks = this.pending.get(url);
+            this.pending.delete(url);
+            this.failed.add(url);
+            for (const callback of callbacks) {
+                if (callback.onError) callback.onError();
+            }
         };
 
         image.src = url;
         this.cache.set(url, texture);
+        this.pending.set(url, [{ onSuccess, onError }]);
         return texture;
     }
 
@@ -256,8 +280,9 @@ export class TextureLoader {
      * @param {number} width - Larghezza texture
      * @param {number} height - Altezza texture
      * @param {Function} generator - Funzione (x, y) => [r, g, b, a]
+     * @param {Object} options - { repeat } true = texture ripetibile con mipmap (dimensioni potenza di 2)
      */
-    createProceduralTexture(width, height, generator) {
+    createProceduralTexture(width, height, generator, { repeat = false } = {}) {
         const gl = this.gl;
         const texture = gl.createTexture();
 
@@ -275,9 +300,18 @@ export class TextureLoader {
 
         gl.bindTexture(gl.TEXTURE_2D, texture);
         gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, data);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+
+        if (repeat && this.isPowerOf2(width) && this.isPowerOf2(height)) {
+            // Tiled in world space (terrain layers): wrap + mipmaps against shimmering
+            gl.generateMipmap(gl.TEXTURE_2D);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.REPEAT);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
+        } else {
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        }
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
 
         return texture;
@@ -303,6 +337,7 @@ export class MattePaintingLayer {
         this.alpha = 1.0;           // Trasparenza layer
         this.parallaxFactor = 1.0;  // Quanto si muove con la camera (1.0 = normale, 0.0 = fisso)
         this.useFog = false;        // Se true, applica fog a questo layer
+        this.baseColor = [0.5, 0.5, 0.6];  // Colore alla base del dipinto (dove l'apron del terreno sfuma)
     }
 }
 
@@ -367,7 +402,8 @@ export function createPanoramicSphere(gl, radius = 500, segments = 32, rings = 1
         vbo: vbo,
         ibo: ibo,
         indexCount: indices.length,
-        vertexCount: vertices.length / 8
+        vertexCount: vertices.length / 8,
+        bounds: computeMeshBounds(vertices)
     };
 }
 
@@ -414,7 +450,8 @@ export function createPanoramicCylinder(gl, radius = 400, height = 200, segments
         vbo: vbo,
         ibo: ibo,
         indexCount: indices.length,
-        vertexCount: vertices.length / 8
+        vertexCount: vertices.length / 8,
+        bounds: computeMeshBounds(vertices)
     };
 }
 
@@ -430,6 +467,7 @@ export function createPanoramicCylinder(gl, radius = 400, height = 200, segments
 export function createMattePaintingCards(gl, count = 8, distance = 150, width = 100, height = 60) {
     const vertices = [];
     const indices = [];
+    const cards = [];  // { firstIndex, indexCount, aabb }
     let indexOffset = 0;
 
     for (let i = 0; i < count; i++) {
@@ -477,6 +515,12 @@ export function createMattePaintingCards(gl, count = 8, distance = 150, width =
             indexOffset + 0, indexOffset + 1, indexOffset + 2,
             indexOffset + 0, indexOffset + 2, indexOffset + 3
         );
+        // Each card is a separate range of the index buffer, so the renderer can cull it on its own
+        cards.push({
+            firstIndex: indices.length - 6,
+            indexCount: 6,
+            aabb: aabbFromVertexData(vertices, 8, indexOffset, 4)
+        });
         indexOffset += 4;
     }
 
@@ -493,7 +537,9 @@ export function createMattePaintingCards(gl, count = 8, distance = 150, width =
         ibo: ibo,
         indexCount: indices.length,
         vertexCount: vertices.length / 8,
-        cardCount: count
+        bounds: computeMeshBounds(vertices),
+        cardCount: count,
+        cards: cards
     };
 }
 
@@ -562,6 +608,19 @@ export class MattePaintingManager {
         console.log(`Matte painting layer added: ${layer.name} at distance ${layer.distance}m`);
     }
 
+    /**
+     * Layer con geometria più vicino alla camera (escluso lo sfondo fisso)
+     * @returns {MattePaintingLayer|null}
+     */
+    getNearestLayer() {
+        let nearest = null;
+        for (const layer of this.layers) {
+            if (layer.parallaxFactor === 0) continue;
+            if (!nearest || layer.distance < nearest.distance) nearest = layer;
+        }
+        return nearest;
+    }
+
     /**
      * Carica texture per lo skybox principale (equirectangular)
      */
@@ -640,6 +699,7 @@ export class MattePaintingManager {
         midHills.mesh = createMattePaintingCards(gl, 6, 180, 100, 50);
         midHills.parallaxFactor = 0.5; // Parallasse media
         midHills.alpha = 0.9; // Semi-trasparente per effetto depth
+        midHills.baseColor = [0.39, 0.39, 0.55]; // Base delle montagne procedurali (vedi generateProceduralMountainTexture)
 
         // Start with procedural fallback, then load real texture
         midHills.texture = generateProceduralMountainTexture(gl, 1024, 512);
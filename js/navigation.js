@@ -0,0 +1,499 @@
+/**
+ * Navigation grid and pathfinding
+ * One cell per heightmap pixel. A cell is walkable when its slope is under
+ * the threshold and it is not covered by water or by a placed structure;
+ * walkable cells carry a cost weight (steepness, shoreline, roads and plots).
+ *
+ * Paths are found with weighted A* (8 neighbours, no corner cutting). Jump
+ * point search is not used on purpose: it needs uniform costs, and the cost
+ * weights are what make NPCs follow roads instead of climbing every hill.
+ * The raw cell path is then shortened by string pulling (line of sight over
+ * walkable cells) and returned as world-space waypoints in meters.
+ *
+ * Same mapping as the terrain: 1 pixel = 1 meter, pixel (0, 0) at world (-width/2, -height/2).
+ */
+
+import { writeCentralDifferenceNormal } from './terrain-mesh.js';
+
+// 8 neighbours: dx, dz, step length (m)
+const NEIGHBOURS = [
+    [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+    [1, 1, Math.SQRT2], [1, -1, Math.SQRT2], [-1, 1, Math.SQRT2], [-1, -1, Math.SQRT2]
+];
+
+/**
+ * Distance from (x, z) to a convex footprint (corners in order), 0 inside
+ */
+function distanceToFootprint(x, z, corners) {
+    let inside = true;
+    let sign = 0;
+    let best = Infinity;
+
+    for (let i = 0; i < corners.length; i++) {
+        const a = corners[i];
+        const b = corners[(i + 1) % corners.length];
+        const ex = b[0] - a[0];
+        const ez = b[1] - a[1];
+
+        const cross = ex * (z - a[1]) - ez * (x - a[0]);
+        if (cross !== 0) {
+            if (sign === 0) sign = Math.sign(cross);
+            else if (Math.sign(cross) !== sign) inside = false;
+        }
+
+        const lengthSq = ex * ex + ez * ez;
+        const t = Math.max(0, Math.min(1, ((x - a[0]) * ex + (z - a[1]) * ez) / lengthSq));
+        best = Math.min(best, Math.hypot(x - (a[0] + ex * t), z - (a[1] + ez * t)));
+    }
+
+    return inside ? 0 : best;
+}
+
+/**
+ * Min-heap of cell indices ordered by f score
+ */
+class CellHeap {
+    constructor() {
+        this.cells = [];
+        this.scores = [];
+    }
+
+    get size() {
+        return this.cells.length;
+    }
+
+    push(cell, score) {
+        const { cells, scores } = this;
+        let i = cells.length;
+        cells.push(cell);
+        scores.push(score);
+
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (scores[parent] <= score) break;
+            cells[i] = cells[parent];
+            scores[i] = scores[parent];
+            i = parent;
+        }
+        cells[i] = cell;
+        scores[i] = score;
+    }
+
+    pop() {
+        const { cells, scores } = this;
+        const top = cells[0];
+        const lastCell = cells.pop();
+        const lastScore = scores.pop();
+        if (cells.length === 0) return top;
+
+        let i = 0;
+        const count = cells.length;
+        while (true) {
+            const left = i * 2 + 1;
+            if (left >= count) break;
+            const right = left + 1;
+            const child = right < count && scores[right] < scores[left] ? right : left;
+            if (scores[child] >= lastScore) break;
+            cells[i] = cells[child];
+            scores[i] = scores[child];
+            i = child;
+        }
+        cells[i] = lastCell;
+        scores[i] = lastScore;
+        return top;
+    }
+}
+
+/**
+ * Costruisce la griglia di navigazione di una heightmap
+ *
+ * @param {Heightmap} heightmap - Heightmap del terreno
+ * @param {Object} options - Opzioni
+ * @param {number} options.maxSlope - Pendenza massima percorribile (gradi)
+ * @param {WaterMap|null} options.waterMap - Laghi (water.js): celle d'acqua bloccate
+ * @param {StructureLayout|null} options.structures - Strutture piazzate (structures.js): ingombri bloccati
+ * @param {number} options.structureMargin - Margine (m) attorno agli ingombri delle strutture
+ * @param {number} options.slopeWeight - Costo extra alla pendenza massima (0 = pendenza ignorata)
+ * @param {number} options.shoreWeight - Costo extra sulla riva (0 = ignorato)
+ * @param {number} options.shoreRange - Distanza (m) dalla riva su cui si applica shoreWeight
+ * @param {number} options.protectedCost - Moltiplicatore del costo su strade e lotti spianati (< 1 = preferiti)
+ * @returns {NavGrid} Griglia di navigazione
+ */
+export function buildNavGrid(heightmap, {
+    maxSlope = 40,
+    waterMap = null,
+    structures = null,
+    structureMargin = 1,
+    slopeWeight = 2,
+    shoreWeight = 1,
+    shoreRange = 3,
+    protectedCost = 0.6
+} = {}) {
+    const { width, height, data, protectedMask } = heightmap;
+    const size = width * height;
+    const slope = new Float32Array(size);
+    const cost = new Float32Array(size);
+    const walkable = new Uint8Array(size);
+    const normal = new Float32Array(3);
+
+    for (let z = 0; z < height; z++) {
+        for (let x = 0; x < width; x++) {
+            const i = z * width + x;
+            writeCentralDifferenceNormal(data, width, height, x, z, normal);
+            slope[i] = Math.acos(Math.min(normal[1], 1)) * 180 / Math.PI;
+
+            if (slope[i] > maxSlope) continue;
+            if (waterMap && waterMap.bodyMap[i]) continue;
+
+            // Steeper = slower, quadratic so gentle slopes stay almost free
+            const steepness = slope[i] / maxSlope;
+            let weight = 1 + slopeWeight * steepness * steepness;
+
+            if (waterMap && shoreWeight > 0) {
+                const shore = waterMap.shorelineDistance[i];
+                if (shore < shoreRange) weight += shoreWeight * (1 - shore / shoreRange);
+            }
+            if (protectedMask[i]) weight *= protectedCost;
+
+            walkable[i] = 1;
+            cost[i] = weight;
+        }
+    }
+
+    const grid = new NavGrid(width, height, { heights: data, walkable, cost, slope, maxSlope });
+    if (structures) {
+        grid.blockStructures(structures, structureMargin);
+    }
+    return grid;
+}
+
+/**
+ * Griglia di navigazione: celle percorribili, costi e ricerca percorsi
+ */
+export class NavGrid {
+    constructor(width, height, { heights, walkable, cost, slope, maxSlope }) {
+        this.width = width;
+        this.height = height;
+        this.heights = heights;
+        this.walkable = walkable;   // 1 = percorribile
+        this.cost = cost;           // moltiplicatore del costo (m) per cella
+        this.slope = slope;         // gradi
+        this.offsetX = -width / 2;
+        this.offsetZ = -height / 2;
+        this.maxSlope = maxSlope;
+        this.debugTexture = null;
+    }
+
+    /**
+     * Blocca le celle coperte dagli ingombri delle strutture piazzate (più un margine in metri)
+     * @param {StructureLayout} structures - Layout delle strutture
+     * @param {number} margin - Margine (m) attorno a ogni ingombro
+     */
+    blockStructures(structures, margin = 1) {
+        for (const placement of structures.placements) {
+            const corners = placement.corners;
+            const xs = corners.map((c) => c[0] - this.offsetX);
+            const zs = corners.map((c) => c[1] - this.offsetZ);
+            const minX = Math.max(0, Math.floor(Math.min(...xs) - margin));
+            const maxX = Math.min(this.width - 1, Math.ceil(Math.max(...xs) + margin));
+            const minZ = Math.max(0, Math.floor(Math.min(...zs) - margin));
+            const maxZ = Math.min(this.height - 1, Math.ceil(Math.max(...zs) + margin));
+
+            for (let z = minZ; z <= maxZ; z++) {
+                for (let x = minX; x <= maxX; x++) {
+                    if (distanceToFootprint(x + this.offsetX, z + this.offsetZ, corners) <= margin) {
+                        this.walkable[z * this.width + x] = 0;
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Cella [x, z] della griglia più vicina a un punto world [x, z] o [x, y, z]
+     */
+    worldToCell(point) {
+        const wz = point.length > 2 ? point[2] : point[1];
+        return [
+            Math.min(Math.max(Math.round(point[0] - this.offsetX), 0), this.width - 1),
+            Math.min(Math.max(Math.round(wz - this.offsetZ), 0), this.height - 1)
+        ];
+    }
+
+    /**
+     * Centro della cella in world space [x, y, z] (y = altezza del terreno)
+     */
+    cellToWorld(x, z) {
+        return [x + this.offsetX, this.heights[z * this.width + x], z + this.offsetZ];
+    }
+
+    isWalkable(x, z) {
+        if (x < 0 || z < 0 || x >= this.width || z >= this.height) return false;
+        return this.walkable[z * this.width + x] === 1;
+    }
+
+    /**
+     * Cella percorribile più vicina entro `radius` celle (null se non ce ne sono)
+     */
+    nearestWalkable(x, z, radius) {
+        if (this.isWalkable(x, z)) return [x, z];
+
+        let best = null;
+        let bestDistance = Infinity;
+        for (let dz = -radius; dz <= radius; dz++) {
+            for (let dx = -radius; dx <= radius; dx++) {
+                const d = dx * dx + dz * dz;
+                if (d < bestDistance && d <= radius * radius && this.isWalkable(x + dx, z + dz)) {
+                    best = [x + dx, z + dz];
+                    bestDistance = d;
+                }
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Cerca un percorso tra due punti world (A* pesato + smoothing)
+     *
+     * @param {Array<number>} start - Partenza [x, z] o [x, y, z] in world space
+     * @param {Array<number>} goal - Arrivo [x, z] o [x, y, z] in world space
+     * @param {Object} options - Opzioni
+     * @param {boolean} options.smooth - Accorcia il percorso con linee di vista (string pulling)
+     * @param {number} options.snapRadius - Partenza/arrivo bloccati: cerca la cella libera più vicina entro N celle
+     * @returns {Array<Array<number>>|null} Waypoint [x, y, z] in metri, null se non c'è percorso
+     */
+    findPath(start, goal, { smooth = true, snapRadius = 8 } = {}) {
+        const startCell = this.nearestWalkable(...this.worldToCell(start), snapRadius);
+        const goalCell = this.nearestWalkable(...this.worldToCell(goal), snapRadius);
+        if (!startCell || !goalCell) return null;
+
+        let cells = this.findCellPath(startCell, goalCell);
+        if (!cells) return null;
+        if (smooth) cells = this.smoothPath(cells);
+
+        return cells.map(([x, z]) => this.cellToWorld(x, z));
+    }
+
+    /**
+     * A* sulle celle (8 vicini, niente tagli d'angolo accanto a celle bloccate)
+     * @returns {Array<Array<number>>|null} Celle [x, z] dalla partenza all'arrivo
+     */
+    findCellPath(startCell, goalCell) {
+        const { width, height, walkable, cost } = this;
+        const start = startCell[1] * width + startCell[0];
+        const goal = goalCell[1] * width + goalCell[0];
+        const [goalX, goalZ] = goalCell;
+
+        // Octile distance times the cheapest cell: never overestimates, so the path stays optimal
+        let minCost = Infinity;
+        for (let i = 0; i < cost.length; i++) {
+            if (walkable[i] && cost[i] < minCost) minCost = cost[i];
+        }
+        const heuristic = (x, z) => {
+            const dx = Math.abs(x - goalX);
+            const dz = Math.abs(z - goalZ);
+            return (Math.max(dx, dz) + (Math.SQRT2 - 1) * Math.min(dx, dz)) * minCost;
+        };
+
+        const g = new Float32Array(width * height).fill(Infinity);
+        const cameFrom = new Int32Array(width * height).fill(-1);
+        const closed = new Uint8Array(width * height);
+        const open = new CellHeap();
+
+        g[start] = 0;
+        open.push(start, heuristic(startCell[0], startCell[1]));
+
+        while (open.size > 0) {
+            const current = open.pop();
+            if (current === goal) break;
+            if (closed[current]) continue;
+            closed[current] = 1;
+
+            const x = current % width;
+            const z = (current - x) / width;
+
+            for (const [dx, dz, length] of NEIGHBOURS) {
+                const nx = x + dx;
+                const nz = z + dz;
+                if (!this.isWalkable(nx, nz)) continue;
+                if (dx !== 0 && dz !== 0 && (!this.isWalkable(x + dx, z) || !this.isWalkable(x, z + dz))) continue;
+
+                const next = nz * width + nx;
+                if (closed[next]) continue;
+
+                // Step cost: length times the average weight of the two cells
+                const tentative = g[current] + length * (cost[current] + cost[next]) / 2;
+                if (tentative < g[next]) {
+                    g[next] = tentative;
+                    cameFrom[next] = current;
+                    open.push(next, tentative + heuristic(nx, nz));
+                }
+            }
+        }
+
+        if (g[goal] === Infinity) return null;
+
+        const path = [];
+        for (let cell = goal; cell !== -1; cell = cameFrom[cell]) {
+            const x = cell % width;
+            path.push([x, (cell - x) / width]);
+        }
+        return path.reverse();
+    }
+
+    /**
+     * String pulling: da ogni waypoint salta al più lontano ancora in linea di vista,
+     * senza attraversare celle più costose di quelle del tratto di percorso che sostituisce
+     */
+    smoothPath(cells) {
+        if (cells.length <= 2) return cells;
+
+        const cellCost = ([x, z]) => this.cost[z * this.width + x];
+        const smoothed = [cells[0]];
+        let anchor = 0;
+        while (anchor < cells.length - 1) {
+            // Highest cost along the raw path from the anchor to each cell
+            const maxCost = [];
+            let highest = cellCost(cells[anchor]);
+            for (let i = anchor; i < cells.length; i++) {
+                highest = Math.max(highest, cellCost(cells[i]));
+                maxCost[i] = highest;
+            }
+
+            let next = anchor + 1;
+            for (let i = cells.length - 1; i > next; i--) {
+                if (this.lineOfSight(cells[anchor], cells[i], maxCost[i])) {
+                    next = i;
+                    break;
+                }
+            }
+            smoothed.push(cells[next]);
+            anchor = next;
+        }
+        return smoothed;
+    }
+
+    /**
+     * true se tutte le celle attraversate dal segmento tra due centri cella sono percorribili
+     * e non costano più di maxCost (Amanatides & Woo; passando esattamente per un angolo
+     * servono libere entrambe le celle adiacenti)
+     */
+    lineOfSight([x0, z0], [x1, z1], maxCost = Infinity) {
+        const passable = (x, z) => this.isWalkable(x, z) && this.cost[z * this.width + x] <= maxCost;
+        const dx = x1 - x0;
+        const dz = z1 - z0;
+        const stepX = Math.sign(dx);
+        const stepZ = Math.sign(dz);
+        const deltaX = dx !== 0 ? 1 / Math.abs(dx) : Infinity;
+        const deltaZ = dz !== 0 ? 1 / Math.abs(dz) : Infinity;
+        // From a cell centre the first boundary is half a cell away
+        let tMaxX = deltaX / 2;
+        let tMaxZ = deltaZ / 2;
+        let x = x0;
+        let z = z0;
+
+        while (x !== x1 || z !== z1) {
+            if (Math.abs(tMaxX - tMaxZ) < 1e-9) {
+                if (!passable(x + stepX, z) || !passable(x, z + stepZ)) return false;
+                x += stepX;
+                z += stepZ;
+                tMaxX += deltaX;
+                tMaxZ += deltaZ;
+            } else if (tMaxX < tMaxZ) {
+                x += stepX;
+                tMaxX += deltaX;
+            } else {
+                z += stepZ;
+                tMaxZ += deltaZ;
+            }
+            if (!passable(x, z)) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Texture di debug (stesse texCoord del terreno): bloccato = rosso,
+     * percorribile = verde che passa al giallo con il costo
+     * @param {WebGLRenderingContext} gl - Contesto WebGL
+     * @returns {WebGLTexture}
+     */
+    createDebugTexture(gl) {
+        const pixels = new Uint8Array(this.width * this.height * 4);
+        for (let i = 0; i < this.walkable.length; i++) {
+            if (this.walkable[i]) {
+                const t = Math.min(Math.max((this.cost[i] - 1) / 2, 0), 1);
+                pixels[i * 4 + 0] = Math.round(255 * t);
+                pixels[i * 4 + 1] = 220;
+                pixels[i * 4 + 2] = 60;
+                pixels[i * 4 + 3] = 90;
+            } else {
+                pixels[i * 4 + 0] = 230;
+                pixels[i * 4 + 1] = 40;
+                pixels[i * 4 + 2] = 40;
+                pixels[i * 4 + 3] = 170;
+            }
+        }
+
+        const texture = this.debugTexture || gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, this.width, this.height, 0, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+
+        this.debugTexture = texture;
+        return texture;
+    }
+
+    /**
+     * Altezza del terreno in un punto world (bilineare)
+     */
+    getHeightAt(x, z) {
+        const px = Math.min(Math.max(x - this.offsetX, 0), this.width - 1);
+        const pz = Math.min(Math.max(z - this.offsetZ, 0), this.height - 1);
+        const x0 = Math.min(Math.floor(px), this.width - 2);
+        const z0 = Math.min(Math.floor(pz), this.height - 2);
+        const u = px - x0;
+        const v = pz - z0;
+        const i = z0 * this.width + x0;
+        const h = this.heights;
+
+        const top = h[i] + (h[i + 1] - h[i]) * u;
+        const bottom = h[i + this.width] + (h[i + this.width + 1] - h[i + this.width]) * u;
+        return top + (bottom - top) * v;
+    }
+
+    /**
+     * Mesh di debug di un percorso: line strip poco sopra il terreno, un vertice per metro
+     * Layout standard position(3) + normal(3) + texCoord(2), da disegnare con gl.LINE_STRIP
+     * @param {WebGLRenderingContext} gl - Contesto WebGL
+     * @param {Array<Array<number>>} waypoints - Waypoint [x, y, z] di findPath
+     * @param {number} lift - Altezza (m) sopra il terreno
+     * @returns {{vbo: WebGLBuffer, vertexCount: number, primitive: string}}
+     */
+    createPathMesh(gl, waypoints, lift = 0.5) {
+        const vertices = [];
+        const pushVertex = (x, z) => vertices.push(x, this.getHeightAt(x, z) + lift, z, 0, 1, 0, 0, 0);
+
+        for (let i = 0; i < waypoints.length - 1; i++) {
+            const a = waypoints[i];
+            const b = waypoints[i + 1];
+            const steps = Math.max(1, Math.ceil(Math.hypot(b[0] - a[0], b[2] - a[2])));
+            for (let s = 0; s < steps; s++) {
+                const t = s / steps;
+                pushVertex(a[0] + (b[0] - a[0]) * t, a[2] + (b[2] - a[2]) * t);
+            }
+        }
+        if (waypoints.length > 0) {
+            const last = waypoints[waypoints.length - 1];
+            pushVertex(last[0], last[2]);
+        }
+
+        const vbo = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, vbo);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(vertices), gl.STATIC_DRAW);
+
+        return { vbo, vertexCount: vertices.length / 8, primitive: 'lineStrip' };
+    }
+}
@@ -0,0 +1,253 @@
+/**
+ * Noise module
+ * Seeded PRNG and composable 2D noise functions for terrain generation.
+ *
+ * Every noise source is a plain sampler function (x, y) => number, so
+ * fractal and warping helpers can wrap any other sampler:
+ *
+ *     const base = createSimplexNoise('valley-01');
+ *     const terrain = domainWarp(ridgedMultifractal(base, { octaves: 5 }), { strength: 3 });
+ *     const h = terrain(x * 0.02, y * 0.02);
+ *
+ * Same seed = same values on every run (no Math.random() anywhere).
+ */
+
+/**
+ * Converte un seed (numero o stringa) in un intero a 32 bit
+ * Le stringhe usano FNV-1a, così i seed possono essere nomi leggibili
+ * @param {number|string} seed - Seed
+ * @returns {number} Seed intero unsigned a 32 bit
+ */
+export function hashSeed(seed) {
+    if (typeof seed === 'string') {
+        let h = 0x811c9dc5;
+        for (let i = 0; i < seed.length; i++) {
+            h ^= seed.charCodeAt(i);
+            h = Math.imul(h, 0x01000193);
+        }
+        return h >>> 0;
+    }
+
+    // Fractional seeds (e.g. a value from Math.random()) are spread over 32 bits
+    if (!Number.isInteger(seed)) {
+        return Math.floor(seed * 4294967296) >>> 0;
+    }
+    return seed >>> 0;
+}
+
+/**
+ * Crea un generatore pseudo-casuale deterministico (mulberry32)
+ * @param {number|string} seed - Seed
+ * @returns {function(): number} Funzione che restituisce valori in [0, 1)
+ */
+export function createPRNG(seed) {
+    let state = hashSeed(seed);
+    return function () {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Build a doubled permutation table (512 entries) shuffled with the seeded PRNG
+ */
+function buildPermutation(seed) {
+    const random = createPRNG(seed);
+    const p = new Uint8Array(256);
+    for (let i = 0; i < 256; i++) {
+        p[i] = i;
+    }
+
+    // Fisher-Yates shuffle
+    for (let i = 255; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        const tmp = p[i];
+        p[i] = p[j];
+        p[j] = tmp;
+    }
+
+    const perm = new Uint8Array(512);
+    for (let i = 0; i < 512; i++) {
+        perm[i] = p[i & 255];
+    }
+    return perm;
+}
+
+// 8 unit gradients (axes + diagonals), no trigonometry so results are exact
+const D = Math.SQRT1_2;
+const GRAD_X = new Float64Array([1, -1, 0, 0, D, -D, D, -D]);
+const GRAD_Y = new Float64Array([0, 0, 1, -1, D, D, -D, -D]);
+
+/**
+ * Crea un sampler Perlin noise 2D
+ * @param {number|string} seed - Seed
+ * @returns {function(number, number): number} Sampler con valori circa in [-1, 1]
+ */
+export function createPerlinNoise(seed = 0) {
+    const perm = buildPermutation(seed);
+
+    const fade = (t) => t * t * t * (t * (t * 6 - 15) + 10);  // smootherstep
+    const lerp = (t, a, b) => a + t * (b - a);
+    const dot = (hash, x, y) => GRAD_X[hash & 7] * x + GRAD_Y[hash & 7] * y;
+
+    return function perlin(x, y) {
+        const xf = Math.floor(x);
+        const yf = Math.floor(y);
+        const xi = xf & 255;
+        const yi = yf & 255;
+        const dx = x - xf;
+        const dy = y - yf;
+
+        const tl = dot(perm[perm[xi] + yi], dx, dy);
+        const tr = dot(perm[perm[xi + 1] + yi], dx - 1, dy);
+        const bl = dot(perm[perm[xi] + yi + 1], dx, dy - 1);
+        const br = dot(perm[perm[xi + 1] + yi + 1], dx - 1, dy - 1);
+
+        const u = fade(dx);
+        const v = fade(dy);
+
+        // Max magnitude of 2D Perlin with unit gradients is sqrt(2)/2
+        return lerp(v, lerp(u, tl, tr), lerp(u, bl, br)) * Math.SQRT2;
+    };
+}
+
+/**
+ * Crea un sampler simplex noise 2D
+ * Meno artefatti direzionali del Perlin, utile per creste e rilievi
+ * @param {number|string} seed - Seed
+ * @returns {function(number, number): number} Sampler con valori circa in [-1, 1]
+ */
+export function createSimplexNoise(seed = 0) {
+    const perm = buildPermutation(seed);
+    const F2 = 0.5 * (Math.sqrt(3) - 1);
+    const G2 = (3 - Math.sqrt(3)) / 6;
+
+    const corner = (hash, x, y) => {
+        let t = 0.5 - x * x - y * y;
+        if (t < 0) return 0;
+        t *= t;
+        return t * t * (GRAD_X[hash & 7] * x + GRAD_Y[hash & 7] * y);
+    };
+
+    return function simplex(x, y) {
+        // Skew input space to find the simplex cell
+        const s = (x + y) * F2;
+        const i = Math.floor(x + s);
+        const j = Math.floor(y + s);
+        const t = (i + j) * G2;
+        const x0 = x - (i - t);
+        const y0 = y - (j - t);
+
+        // Which of the two triangles of the cell are we in?
+        const i1 = x0 > y0 ? 1 : 0;
+        const j1 = x0 > y0 ? 0 : 1;
+
+        const x1 = x0 - i1 + G2;
+        const y1 = y0 - j1 + G2;
+        const x2 = x0 - 1 + 2 * G2;
+        const y2 = y0 - 1 + 2 * G2;
+
+        const ii = i & 255;
+        const jj = j & 255;
+
+        const n0 = corner(perm[ii + perm[jj]], x0, y0);
+        const n1 = corner(perm[ii + i1 + perm[jj + j1]], x1, y1);
+        const n2 = corner(perm[ii + 1 + perm[jj + 1]], x2, y2);
+
+        return 99.2 * (n0 + n1 + n2);
+    };
+}
+
+/**
+ * Fractional Brownian motion: somma di ottave del sampler sorgente
+ * @param {function(number, number): number} source - Sampler sorgente
+ * @param {Object} options - { octaves, lacunarity, gain }
+ * @returns {function(number, number): number} Sampler frattale (non normalizzato)
+ */
+export function fbm(source, { octaves = 4, lacunarity = 2, gain = 0.5 } = {}) {
+    return function (x, y) {
+        let value = 0;
+        let freq = 1;
+        let amp = 1;
+        for (let octave = 0; octave < octaves; octave++) {
+            value += source(x * freq, y * freq) * amp;
+            freq *= lacunarity;
+            amp *= gain;
+        }
+        return value;
+    };
+}
+
+/**
+ * Ridged multifractal (Musgrave): creste affilate, ideale per catene montuose
+ * Ogni ottava è pesata dalla precedente, così il dettaglio si concentra sulle creste
+ * @param {function(number, number): number} source - Sampler sorgente
+ * @param {Object} options - { octaves, lacunarity, gain, offset, sharpness }
+ * @returns {function(number, number): number} Sampler con valori circa in [0, 1]
+ */
+export function ridgedMultifractal(source, {
+    octaves = 5,
+    lacunarity = 2,
+    gain = 0.5,
+    offset = 1,
+    sharpness = 2
+} = {}) {
+    return function (x, y) {
+        let value = 0;
+        let freq = 1;
+        let amp = 1;
+        let weight = 1;
+        let maxValue = 0;
+        for (let octave = 0; octave < octaves; octave++) {
+            let signal = offset - Math.abs(source(x * freq, y * freq));
+            signal *= signal;
+            signal *= weight;
+            weight = Math.min(Math.max(signal * sharpness, 0), 1);
+
+            value += signal * amp;
+            maxValue += amp;
+            freq *= lacunarity;
+            amp *= gain;
+        }
+        return value / maxValue;
+    };
+}
+
+/**
+ * Billow noise: valore assoluto delle ottave, forme tondeggianti (colline, dune)
+ * @param {function(number, number): number} source - Sampler sorgente
+ * @param {Object} options - { octaves, lacunarity, gain }
+ * @returns {function(number, number): number} Sampler frattale (non normalizzato)
+ */
+export function billow(source, { octaves = 4, lacunarity = 2, gain = 0.5 } = {}) {
+    return function (x, y) {
+        let value = 0;
+        let freq = 1;
+        let amp = 1;
+        for (let octave = 0; octave < octaves; octave++) {
+            value += (Math.abs(source(x * freq, y * freq)) * 2 - 1) * amp;
+            freq *= lacunarity;
+            amp *= gain;
+        }
+        return value;
+    };
+}
+
+/**
+ * Domain warping: distorce le coordinate di input con un secondo campo di noise
+ * Produce forme "fluide" (valli sinuose, erosione finta)
+ * @param {function(number, number): number} source - Sampler da distorcere
+ * @param {Object} options - { warp: sampler di distorsione (default: source), strength, frequency }
+ * @returns {function(number, number): number} Sampler distorto
+ */
+export function domainWarp(source, { warp = source, strength = 4, frequency = 1 } = {}) {
+    return function (x, y) {
+        // Two decorrelated samples of the warp field (arbitrary fixed offsets)
+        const wx = warp(x * frequency + 5.2, y * frequency + 1.3);
+        const wy = warp(x * frequency + 1.7, y * frequency + 9.2);
+        return source(x + wx * strength, y + wy * strength);
+    };
+}
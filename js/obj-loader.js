@@ -0,0 +1,402 @@
+/**
+ * Wavefront OBJ / MTL parser
+ * Turns OBJ text into the interleaved vertex layout used by every mesh in the
+ * project: position(3) + normal(3) + texCoord(2) = 8 floats = 32 bytes.
+ *
+ * Supported: v / vt / vn, planar faces with any number of vertices, convex or
+ * concave (ear clipping, no holes), negative (relative) indices, o / g groups,
+ * usemtl / mtllib, line continuations. Errors report the physical file line.
+ * Ignored: s, l, p, curves and surfaces.
+ */
+
+/**
+ * Split OBJ/MTL text into logical lines (comments stripped, '\' continuations joined)
+ * @returns {Array<{text: string, line: number}>} line = 1-based physical line where it starts
+ */
+function logicalLines(text) {
+    const lines = [];
+    let pending = '';
+    let pendingLine = 0;
+
+    text.split(/\r?\n/).forEach((raw, i) => {
+        const lineNumber = pending ? pendingLine : i + 1;
+        let line = pending + raw;
+        pending = '';
+
+        if (line.endsWith('\\')) {
+            pending = line.slice(0, -1) + ' ';
+            pendingLine = lineNumber;
+            return;
+        }
+
+        const hash = line.indexOf('#');
+        if (hash >= 0) line = line.slice(0, hash);
+        line = line.trim();
+        if (line) lines.push({ text: line, line: lineNumber });
+    });
+    if (pending.trim()) lines.push({ text: pending.trim(), line: pendingLine });
+
+    return lines;
+}
+
+/**
+ * Triangulate a planar polygon (convex or concave, no holes) by ear clipping
+ * Winding is kept: every triangle faces the same way as the polygon.
+ * @param {Array<Array<number>>} points - Corner positions [x, y, z] in face order
+ * @returns {Array<number>} Triangle corners as indices into points
+ */
+function triangulatePolygon(points) {
+    const n = points.length;
+    if (n === 3) return [0, 1, 2];
+
+    // Newell normal, then project onto the axis plane the polygon faces most
+    let nx = 0, ny = 0, nz = 0;
+    for (let i = 0; i < n; i++) {
+        const p = points[i];
+        const q = points[(i + 1) % n];
+        nx += (p[1] - q[1]) * (p[2] + q[2]);
+        ny += (p[2] - q[2]) * (p[0] + q[0]);
+        nz += (p[0] - q[0]) * (p[1] + q[1]);
+    }
+    const [u, v, normal] = Math.abs(nz) >= Math.abs(nx) && Math.abs(nz) >= Math.abs(ny) ? [0, 1, nz]
+        : Math.abs(nx) >= Math.abs(ny) ? [1, 2, nx] : [2, 0, ny];
+    // Counter-clockwise in the (u, v) plane when the normal points along the dropped axis
+    const orientation = normal < 0 ? -1 : 1;
+    const flat = points.map((p) => [p[u], p[v]]);
+
+    const cross = (a, b, c) => (flat[b][0] - flat[a][0]) * (flat[c][1] - flat[a][1]) -
+        (flat[b][1] - flat[a][1]) * (flat[c][0] - flat[a][0]);
+    const inside = (p, a, b, c) => orientation * cross(a, b, p) >= 0 &&
+        orientation * cross(b, c, p) >= 0 && orientation * cross(c, a, p) >= 0;
+
+    const remaining = points.map((_, i) => i);
+    const triangles = [];
+    while (remaining.length > 3) {
+        const count = remaining.length;
+        let clipped = false;
+        for (let k = 0; k < count; k++) {
+            const a = remaining[(k + count - 1) % count];
+            const b = remaining[k];
+            const c = remaining[(k + 1) % count];
+            // Reflex or degenerate corner: not an ear
+            if (orientation * cross(a, b, c) <= 1e-12) continue;
+            if (remaining.some((p) => p !== a && p !== b && p !== c && inside(p, a, b, c))) continue;
+
+            triangles.push(a, b, c);
+            remaining.splice(k, 1);
+            clipped = true;
+            break;
+        }
+        if (!clipped) {
+            // Collinear or self-intersecting leftovers: fan them, as before ear clipping
+            for (let j = 1; j < remaining.length - 1; j++) {
+                triangles.push(remaining[0], remaining[j], remaining[j + 1]);
+            }
+            return triangles;
+        }
+    }
+    triangles.push(remaining[0], remaining[1], remaining[2]);
+    return triangles;
+}
+
+/**
+ * Resolve a 1-based or negative OBJ index against the current element count
+ */
+function resolveIndex(token, count, lineNumber) {
+    const index = parseInt(token, 10);
+    if (Number.isNaN(index) || index === 0) {
+        throw new Error(`OBJ line ${lineNumber}: invalid index "${token}"`);
+    }
+    const resolved = index > 0 ? index - 1 : count + index;
+    if (resolved < 0 || resolved >= count) {
+        throw new Error(`OBJ line ${lineNumber}: index ${index} out of range (${count} elements)`);
+    }
+    return resolved;
+}
+
+/**
+ * Parse a Wavefront OBJ file
+ * @param {string} text - OBJ file contents
+ * @returns {{vertexData: Float32Array, indices: Uint32Array, vertexCount: number,
+ *            groups: Array<{name: string, object: string, material: string|null, indexStart: number, indexCount: number}>,
+ *            materialLibs: Array<string>}}
+ */
+export function parseOBJ(text) {
+    const positions = [];
+    const texCoords = [];
+    const normals = [];
+
+    // Unique "v/vt/vn" combinations become output vertices
+    const vertexMap = new Map();
+    const vertexPos = [];    // position index per output vertex
+    const vertexTex = [];    // texcoord index per output vertex (-1 = none)
+    const vertexNorm = [];   // normal index per output vertex (-1 = none)
+    const indices = [];
+
+    const groups = [];
+    const materialLibs = [];
+    let objectName = 'default';
+    let groupName = 'default';
+    let material = null;
+    let currentGroup = null;
+
+    // A new group range starts whenever object, group or material changes
+    const startGroup = () => {
+        currentGroup = {
+            name: groupName,
+            object: objectName,
+            material: material,
+            indexStart: indices.length,
+            indexCount: 0
+        };
+        groups.push(currentGroup);
+    };
+
+    const getVertex = (token, lineNumber) => {
+        let index = vertexMap.get(token);
+        if (index !== undefined) return index;
+
+        const parts = token.split('/');
+        const p = resolveIndex(parts[0], positions.length / 3, lineNumber);
+        const t = parts[1] ? resolveIndex(parts[1], texCoords.length / 2, lineNumber) : -1;
+        const n = parts[2] ? resolveIndex(parts[2], normals.length / 3, lineNumber) : -1;
+
+        index = vertexPos.length;
+        vertexPos.push(p);
+        vertexTex.push(t);
+        vertexNorm.push(n);
+        vertexMap.set(token, index);
+        return index;
+    };
+
+    for (const { text: line, line: lineNumber } of logicalLines(text)) {
+        const tokens = line.split(/\s+/);
+        const keyword = tokens[0];
+
+        switch (keyword) {
+            case 'v':
+                positions.push(+tokens[1], +tokens[2], +tokens[3]);
+                break;
+
+            case 'vt':
+                // OBJ has V pointing up, WebGL textures are uploaded top row first
+                texCoords.push(+tokens[1], 1 - (+tokens[2] || 0));
+                break;
+
+            case 'vn':
+                normals.push(+tokens[1], +tokens[2], +tokens[3]);
+                break;
+
+            case 'f': {
+                if (tokens.length < 4) {
+                    throw new Error(`OBJ line ${lineNumber}: face needs at least 3 vertices`);
+                }
+                if (!currentGroup) startGroup();
+
+                const corners = tokens.slice(1).map((token) => getVertex(token, lineNumber));
+                const cornerPositions = corners.map((vertex) => {
+                    const p = vertexPos[vertex] * 3;
+                    return [positions[p], positions[p + 1], positions[p + 2]];
+                });
+                for (const corner of triangulatePolygon(cornerPositions)) {
+                    indices.push(corners[corner]);
+                }
+                currentGroup.indexCount += (corners.length - 2) * 3;
+                break;
+            }
+
+            case 'o':
+                objectName = tokens.slice(1).join(' ') || 'default';
+                currentGroup = null;
+                break;
+
+            case 'g':
+                groupName = tokens.slice(1).join(' ') || 'default';
+                currentGroup = null;
+                break;
+
+            case 'usemtl':
+                material = tokens.slice(1).join(' ') || null;
+                currentGroup = null;
+                break;
+
+            case 'mtllib':
+                materialLibs.push(tokens.slice(1).join(' '));
+                break;
+
+            default:
+                // s, l, p, curves... not needed for terrain
+                break;
+        }
+    }
+
+    const vertexCount = vertexPos.length;
+    const vertexData = new Float32Array(vertexCount * 8);
+
+    for (let v = 0; v < vertexCount; v++) {
+        const offset = v * 8;
+        const p = vertexPos[v] * 3;
+        vertexData[offset + 0] = positions[p];
+        vertexData[offset + 1] = positions[p + 1];
+        vertexData[offset + 2] = positions[p + 2];
+
+        if (vertexNorm[v] >= 0) {
+            const n = vertexNorm[v] * 3;
+            vertexData[offset + 3] = normals[n];
+            vertexData[offset + 4] = normals[n + 1];
+            vertexData[offset + 5] = normals[n + 2];
+        }
+
+        if (vertexTex[v] >= 0) {
+            const t = vertexTex[v] * 2;
+            vertexData[offset + 6] = texCoords[t];
+            vertexData[offset + 7] = texCoords[t + 1];
+        }
+    }
+
+    const indexArray = new Uint32Array(indices);
+    computeMissingNormals(vertexData, indexArray, vertexNorm);
+
+    return {
+        vertexData: vertexData,
+        indices: indexArray,
+        vertexCount: vertexCount,
+        groups: groups.filter((g) => g.indexCount > 0),
+        materialLibs: materialLibs
+    };
+}
+
+/**
+ * Smooth normals (area-weighted face normals) for vertices that had no "vn"
+ */
+function computeMissingNormals(vertexData, indices, vertexNorm) {
+    if (vertexNorm.every((n) => n >= 0)) return;
+
+    const accum = new Float32Array(vertexNorm.length * 3);
+
+    for (let i = 0; i < indices.length; i += 3) {
+        const a = indices[i] * 8;
+        const b = indices[i + 1] * 8;
+        const c = indices[i + 2] * 8;
+
+        const e1x = vertexData[b] - vertexData[a];
+        const e1y = vertexData[b + 1] - vertexData[a + 1];
+        const e1z = vertexData[b + 2] - vertexData[a + 2];
+        const e2x = vertexData[c] - vertexData[a];
+        const e2y = vertexData[c + 1] - vertexData[a + 1];
+        const e2z = vertexData[c + 2] - vertexData[a + 2];
+
+        const nx = e1y * e2z - e1z * e2y;
+        const ny = e1z * e2x - e1x * e2z;
+        const nz = e1x * e2y - e1y * e2x;
+
+        for (const v of [indices[i], indices[i + 1], indices[i + 2]]) {
+            accum[v * 3] += nx;
+            accum[v * 3 + 1] += ny;
+            accum[v * 3 + 2] += nz;
+        }
+    }
+
+    for (let v = 0; v < vertexNorm.length; v++) {
+        if (vertexNorm[v] >= 0) continue;
+
+        const nx = accum[v * 3];
+        const ny = accum[v * 3 + 1];
+        const nz = accum[v * 3 + 2];
+        const len = Math.sqrt(nx * nx + ny * ny + nz * nz);
+        const offset = v * 8;
+
+        if (len > 0) {
+            vertexData[offset + 3] = nx / len;
+            vertexData[offset + 4] = ny / len;
+            vertexData[offset + 5] = nz / len;
+        } else {
+            vertexData[offset + 4] = 1;
+        }
+    }
+}
+
+// Number of arguments taken by each MTL texture map option
+const MTL_MAP_OPTION_ARGS = {
+    '-blendu': 1, '-blendv': 1, '-bm': 1, '-boost': 1, '-cc': 1, '-clamp': 1,
+    '-imfchan': 1, '-mm': 2, '-o': 3, '-s': 3, '-t': 3, '-texres': 1, '-type': 1
+};
+
+/**
+ * Parse a texture map statement ("map_Kd -s 2 2 1 textures/grass.png")
+ */
+function parseTextureMap(tokens) {
+    const map = { file: null, options: {} };
+    let i = 0;
+
+    while (i < tokens.length && tokens[i].startsWith('-') && MTL_MAP_OPTION_ARGS[tokens[i]] !== undefined) {
+        const option = tokens[i];
+        const args = [];
+        i++;
+
+        // -o/-s/-t take 1 to 3 numbers
+        const maxArgs = MTL_MAP_OPTION_ARGS[option];
+        while (args.length < maxArgs && i < tokens.length - 1) {
+            if (maxArgs === 3 && args.length > 0 && Number.isNaN(parseFloat(tokens[i]))) break;
+            args.push(tokens[i]);
+            i++;
+        }
+        map.options[option.slice(1)] = args;
+    }
+
+    map.file = tokens.slice(i).join(' ') || null;
+    return map;
+}
+
+/**
+ * Parse a Wavefront MTL file
+ * @param {string} text - MTL file contents
+ * @returns {Map<string, Object>} Materiali per nome
+ */
+export function parseMTL(text) {
+    const materials = new Map();
+    let current = null;
+
+    for (const { text: line } of logicalLines(text)) {
+        const tokens = line.split(/\s+/);
+        const keyword = tokens[0];
+        const args = tokens.slice(1);
+
+        if (keyword === 'newmtl') {
+            current = {
+                name: args.join(' '),
+                ambient: [0, 0, 0],
+                diffuse: [0.8, 0.8, 0.8],
+                specular: [0, 0, 0],
+                emissive: [0, 0, 0],
+                shininess: 0,
+                opacity: 1,
+                illum: 2,
+                maps: {}
+            };
+            materials.set(current.name, current);
+            continue;
+        }
+
+        if (!current) continue;
+
+        switch (keyword) {
+            case 'Ka': current.ambient = args.slice(0, 3).map(Number); break;
+            case 'Kd': current.diffuse = args.slice(0, 3).map(Number); break;
+            case 'Ks': current.specular = args.slice(0, 3).map(Number); break;
+            case 'Ke': current.emissive = args.slice(0, 3).map(Number); break;
+            case 'Ns': current.shininess = +args[0]; break;
+            case 'd': current.opacity = +args[args.length - 1]; break;
+            case 'Tr': current.opacity = 1 - +args[0]; break;
+            case 'illum': current.illum = +args[0]; break;
+            default:
+                if (keyword.startsWith('map_') || keyword === 'bump' || keyword === 'disp' || keyword === 'decal') {
+                    const name = keyword === 'map_bump' ? 'bump' : keyword.replace(/^map_/, '');
+                    current.maps[name] = parseTextureMap(args);
+                }
+                break;
+        }
+    }
+
+    return materials;
+}
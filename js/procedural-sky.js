@@ -101,7 +101,7 @@ export const proceduralSkyFragmentShader = `
  * @param {WebGLRenderingContext} gl - Contesto WebGL
  * @param {number} radius - Raggio della sfera
  * @param {number} segments - Numero di segmenti (risoluzione)
- * @returns {{vbo: WebGLBuffer, ibo: WebGLBuffer, indexCount: number}}
+ * @returns {{vbo: WebGLBuffer, ibo: WebGLBuffer, indexCount: number, indexType: string, layout: string}}
  */
 export function createProceduralSkyMesh(gl, radius = 500, segments = 32) {
     const vertices = [];
@@ -145,5 +145,5 @@ export function createProceduralSkyMesh(gl, radius = 500, segments = 32) {
     gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, ibo);
     gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint32Array(indices), gl.STATIC_DRAW);
 
-    return { vbo, ibo, indexCount: indices.length };
+    return { vbo, ibo, indexCount: indices.length, indexType: 'uint32', layout: 'position' };
 }
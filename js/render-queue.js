@@ -0,0 +1,103 @@
+/**
+ * Render queue
+ * Collects the visible scene nodes of a frame into named passes, drawn in
+ * this order:
+ *   - background:  sky and matte painting, back-to-front (painter's order)
+ *   - opaque:      terrain, structures, ... front-to-back (early depth rejection)
+ *   - transparent: water, ... back-to-front
+ *   - overlay:     debug geometry (navigation paths), in insertion order
+ * Inside a pass, node.renderOrder comes before the distance. A pass sets no
+ * GL state (blending, depth writes and culling belong to the material) and
+ * can be switched off at runtime (setPassEnabled / togglePass); the renderer
+ * lists the passes that are off next to its stats.
+ */
+
+/**
+ * Pass in ordine di disegno e loro ordinamento
+ */
+export const RENDER_PASSES = [
+    { name: 'background', sort: 'backToFront' },
+    { name: 'opaque', sort: 'frontToBack' },
+    { name: 'transparent', sort: 'backToFront' },
+    { name: 'overlay', sort: 'none' }
+];
+
+const SORTERS = {
+    frontToBack: (a, b) => a.renderOrder - b.renderOrder || a.distance - b.distance,
+    backToFront: (a, b) => a.renderOrder - b.renderOrder || b.distance - a.distance,
+    none: (a, b) => a.renderOrder - b.renderOrder || a.sequence - b.sequence
+};
+
+export class RenderQueue {
+    constructor() {
+        this.passes = RENDER_PASSES.map((pass) => ({ ...pass, enabled: true, items: [] }));
+        this.passesByName = new Map(this.passes.map((pass) => [pass.name, pass]));
+
+        // Items are reused between frames: no per-frame allocations once the queue has grown
+        this.pool = [];
+        this.used = 0;
+    }
+
+    getPass(name) {
+        const pass = this.passesByName.get(name);
+        if (!pass) {
+            throw new Error(`Unknown render pass: ${name}`);
+        }
+        return pass;
+    }
+
+    /**
+     * Svuota tutti i pass (a inizio frame)
+     */
+    clear() {
+        for (const pass of this.passes) {
+            pass.items.length = 0;
+        }
+        this.used = 0;
+    }
+
+    /**
+     * Accoda un nodo da disegnare
+     * @param {string} passName - Nome del pass
+     * @param {SceneNode} node - Nodo con mesh e materiale
+     * @param {number} distance - Distanza dalla camera (per l'ordinamento)
+     */
+    push(passName, node, distance) {
+        const pass = this.getPass(passName);
+        if (!pass.enabled) return;
+
+        let item = this.pool[this.used];
+        if (!item) {
+            item = { node: null, distance: 0, renderOrder: 0, sequence: 0 };
+            this.pool.push(item);
+        }
+        this.used++;
+
+        item.node = node;
+        item.distance = distance;
+        item.renderOrder = node.renderOrder;
+        item.sequence = pass.items.length;
+        pass.items.push(item);
+    }
+
+    /**
+     * Ordina ogni pass secondo il suo criterio
+     */
+    sort() {
+        for (const pass of this.passes) {
+            pass.items.sort(SORTERS[pass.sort]);
+        }
+    }
+
+    isPassEnabled(name) {
+        return this.getPass(name).enabled;
+    }
+
+    setPassEnabled(name, enabled) {
+        this.getPass(name).enabled = enabled;
+    }
+
+    togglePass(name) {
+        this.setPassEnabled(name, !this.isPassEnabled(name));
+    }
+}
@@ -0,0 +1,128 @@
+/**
+ * Render state
+ * The fixed-function GL state a material draws with: blend mode, depth test,
+ * depth writes and face culling. Materials carry a complete state (every
+ * field has a default), so a draw never inherits what the previous one left
+ * enabled:
+ *
+ *   blend:      'none' | 'alpha' | 'additive' | 'premultiplied'
+ *   depthTest:  true = LEQUAL test (webgl-setup.js), false = always drawn
+ *   depthWrite: false for transparent surfaces
+ *   cull:       'back' | 'front' | 'none'
+ *
+ * RenderStateCache mirrors what is set on the context and issues GL calls
+ * only for the fields that differ from the last draw. Everything that
+ * changes this state (and the current program) has to go through it; after
+ * touching the context directly, call invalidate().
+ */
+
+// blend mode → [source factor, destination factor] (null = blending off)
+const BLEND_FUNCTIONS = {
+    none: null,
+    alpha: ['SRC_ALPHA', 'ONE_MINUS_SRC_ALPHA'],
+    additive: ['SRC_ALPHA', 'ONE'],
+    premultiplied: ['ONE', 'ONE_MINUS_SRC_ALPHA']
+};
+
+// cull mode → face culled (null = culling off)
+const CULL_FACES = { none: null, back: 'BACK', front: 'FRONT' };
+
+export const DEFAULT_RENDER_STATE = Object.freeze({
+    blend: 'none',
+    depthTest: true,
+    depthWrite: true,
+    cull: 'back'
+});
+
+/**
+ * Stato di render completo: i campi mancanti prendono DEFAULT_RENDER_STATE
+ * @param {Object} options - { blend, depthTest, depthWrite, cull }
+ * @returns {Object} Stato congelato
+ */
+export function createRenderState(options = {}) {
+    const state = { ...DEFAULT_RENDER_STATE, ...options };
+    if (!(state.blend in BLEND_FUNCTIONS)) {
+        throw new Error(`Unknown blend mode: ${state.blend}`);
+    }
+    if (!(state.cull in CULL_FACES)) {
+        throw new Error(`Unknown cull mode: ${state.cull}`);
+    }
+    state.depthTest = Boolean(state.depthTest);
+    state.depthWrite = Boolean(state.depthWrite);
+    return Object.freeze(state);
+}
+
+export class RenderStateCache {
+    /**
+     * @param {WebGLRenderingContext} gl - Contesto WebGL
+     */
+    constructor(gl) {
+        this.gl = gl;
+        this.invalidate();
+    }
+
+    /**
+     * Dimentica lo stato noto: la prossima apply() e useProgram() reimpostano tutto
+     * (dopo codice che cambia lo stato GL senza passare di qui)
+     */
+    invalidate() {
+        // undefined = unknown, always differs from a real value
+        this.blendEnabled = undefined;
+        this.blendFunction = undefined;
+        this.depthTest = undefined;
+        this.depthWrite = undefined;
+        this.cullEnabled = undefined;
+        this.cullFace = undefined;
+        this.program = undefined;
+    }
+
+    /**
+     * Porta il contesto nello stato dato, solo con le chiamate GL dei campi cambiati
+     * @param {Object} state - Stato di createRenderState
+     */
+    apply(state) {
+        const gl = this.gl;
+
+        const blendFunction = BLEND_FUNCTIONS[state.blend];
+        this.setEnabled(gl.BLEND, 'blendEnabled', blendFunction !== null);
+        // The blend function stays as it was while blending is off
+        if (blendFunction && blendFunction !== this.blendFunction) {
+            gl.blendFunc(gl[blendFunction[0]], gl[blendFunction[1]]);
+            this.blendFunction = blendFunction;
+        }
+
+        this.setEnabled(gl.DEPTH_TEST, 'depthTest', state.depthTest);
+        if (state.depthWrite !== this.depthWrite) {
+            gl.depthMask(state.depthWrite);
+            this.depthWrite = state.depthWrite;
+        }
+
+        const cullFace = CULL_FACES[state.cull];
+        this.setEnabled(gl.CULL_FACE, 'cullEnabled', cullFace !== null);
+        if (cullFace && cullFace !== this.cullFace) {
+            gl.cullFace(gl[cullFace]);
+            this.cullFace = cullFace;
+        }
+    }
+
+    /**
+     * Attiva un programma se non è già quello in uso
+     * @param {ShaderProgram} program - Programma (shader-compiler.js)
+     */
+    useProgram(program) {
+        if (program !== this.program) {
+            this.gl.useProgram(program.program);
+            this.program = program;
+        }
+    }
+
+    setEnabled(capability, field, enabled) {
+        if (enabled === this[field]) return;
+        if (enabled) {
+            this.gl.enable(capability);
+        } else {
+            this.gl.disable(capability);
+        }
+        this[field] = enabled;
+    }
+}
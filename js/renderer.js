@@ -2,10 +2,38 @@
 // RENDERER
 // ============================================================
 
-import { mat4LookAt } from './math-utils.js';
+import { mat4Create, mat4Multiply, mat4Perspective, vec3Normalize } from './math-utils.js';
+import { frustumIntersectsAABB, frustumPlanesFromMatrix } from './bounds.js';
+import { SceneNode } from './scene.js';
+import { RenderQueue } from './render-queue.js';
+import { resolveValue } from './material.js';
+import { DEFAULT_RENDER_STATE, RenderStateCache } from './render-state.js';
+import { ATTRIBUTE_LOCATIONS } from './shader-compiler.js';
+
+/**
+ * Formati dei vertici (mesh.layout, default 'standard'): stride in byte e attributi [nome, componenti, offset]
+ * (location da ATTRIBUTE_LOCATIONS, uguali in tutti i programmi)
+ */
+export const VERTEX_LAYOUTS = {
+    standard: { stride: 32, attributes: [['aPosition', 3, 0], ['aNormal', 3, 12], ['aTexCoord', 2, 24]] },
+    position: { stride: 12, attributes: [['aPosition', 3, 0]] },
+    billboard: { stride: 28, attributes: [['aPosition', 3, 0], ['aOffset', 2, 12], ['aTexCoord', 2, 20]] }
+};
+
+// mesh.primitive → GL draw mode
+const PRIMITIVES = { triangles: 'TRIANGLES', lines: 'LINES', lineStrip: 'LINE_STRIP' };
 
 /**
  * Classe renderer che gestisce il render loop
+ * Disegna renderer.scene (scene.js) attraverso la render queue (render-queue.js): ogni nodo
+ * visibile con mesh e materiale è un draw, tutti con lo stesso percorso (drawNode).
+ * Programma e stato GL (blend, depth, culling) vengono dal materiale e passano per un
+ * RenderStateCache (render-state.js): tra due draw cambia solo ciò che è diverso.
+ * Un mesh descrive come va disegnato: vbo, ibo (opzionale, altrimenti drawArrays), indexCount /
+ * vertexCount, firstIndex, layout (VERTEX_LAYOUTS), indexType ('uint16' | 'uint32'), primitive, bounds.
+ * Con OES_vertex_array_object ogni vertex buffer ha il suo VAO (puntatori impostati una volta sola);
+ * senza, i puntatori vengono reimpostati solo quando cambia il vertex buffer.
+ * La camera deve esporre update(dt), getViewMatrix() e getViewPosition() (vedi camera.js)
  */
 export class Renderer {
     constructor(gl, programs, meshes, camera, projectionMatrix, mattePaintingManager = null) {
@@ -16,11 +44,120 @@ export class Renderer {
         this.projectionMatrix = projectionMatrix;
         this.mattePaintingManager = mattePaintingManager;
 
+        // Grafo della scena (nodi del mondo da buildWorldScene, world-scene.js) e coda dei draw per pass
+        this.scene = new SceneNode('scene');
+        this.queue = new RenderQueue();
+
         // FOG SETTINGS - PARAMETRI CHIAVE
         this.fogColor = [0.7, 0.8, 0.9];  // Colore fog (simile a skybox)
         this.fogStart = 30.0;
         this.fogEnd = 120.0;
 
+        // Luce direzionale (sole), normalizzata
+        this.lightDir = vec3Normalize([0.5, 0.7, 0.3]);
+
+        // Frazione dell'apron (0 = bordo terreno, 1 = raggio esterno) da cui sfuma nel matte painting
+        this.apronMatteFadeStart = 0.6;
+
+        // Colore del terreno senza materiale (marrone-verdastro)
+        this.terrainColor = [0.4, 0.5, 0.3];
+
+        // Materiale del terreno dell'area corrente (terrain-material.js), null = colore piatto
+        this.terrainMaterial = null;
+
+        // Mappa dei biomi (biomes.js) con texture già creata, tinta la superficie del terreno
+        this.biomeMap = null;
+        this.biomeStrength = 1.0;
+
+        // Laghi (water.js) con texture già creata: sabbia bagnata sul terreno e superficie dell'acqua
+        this.waterMap = null;
+        this.waterShallowColor = [0.25, 0.55, 0.55];
+        this.waterDeepColor = [0.05, 0.2, 0.3];
+        this.waterWaveStrength = 0.15;
+
+        // Strutture piazzate sui lotti (structures.js), null = nessuna
+        this.structures = null;
+
+        // Personaggio mostrato in terza persona: { mesh, color } (origine ai piedi, +Z = fronte)
+        this.avatar = null;
+
+        // Griglia di navigazione (navigation.js) con overlay di debug e percorsi da mostrare
+        this.navGrid = null;
+        this.showNavGrid = false;
+        this.navPaths = [];  // mesh di NavGrid.createPathMesh
+
+        // Editor di sculpting (terrain-editor.js), null = disattivato
+        this.terrainEditor = null;
+
+        // InputManager (input.js): gamepad polled once per frame before the camera reads it
+        this.input = null;
+
+        // Registratore di percorsi camera (camera-path.js), null = nessuno
+        this.cameraPathRecorder = null;
+
+        // Projection rebuilt when the camera FOV (camera path playback) or the viewport aspect changes
+        this.fov = camera.fov;
+        this.near = 0.1;
+        this.far = 1000;
+        this.viewport = null;
+
+        // Preallocated per-frame state (math-utils out parameters: no garbage in the render loop)
+        this.viewProjectionMatrix = mat4Create();
+        this.frustumPlanes = frustumPlanesFromMatrix(this.viewProjectionMatrix);
+        this.resolution = [0, 0];
+
+        // Passed to node.onUpdate and to the material uniform/texture functions
+        this.frameContext = {
+            renderer: this,
+            camera: camera,
+            time: 0,
+            dt: 0,
+            eye: null,
+            viewMatrix: null,
+            viewProjectionMatrix: this.viewProjectionMatrix
+        };
+
+        // Uniform comuni a tutti i programmi, caricati a ogni cambio di materiale
+        this.frameUniforms = {
+            uViewMatrix: null,
+            uProjectionMatrix: null,
+            uCameraPos: null,
+            uLightDir: this.lightDir,
+            uFogColor: null,
+            uFogStart: 0,
+            uFogEnd: 0,
+            uTime: 0,
+            u_time: 0,
+            u_resolution: this.resolution
+        };
+
+        // Program, blending, depth and culling as last set on the context
+        this.stateCache = new RenderStateCache(gl);
+
+        // GL state bound while drawing a frame
+        this.currentMaterial = null;
+        this.currentVertexArray = null;
+        this.currentVertexBuffer = null;
+        this.currentIndexBuffer = null;
+        this.enabledAttributes = 0;  // bitmask of enabled vertex attribute locations (without VAOs)
+
+        // Vertex array objects, one per vertex buffer: { vao, ibo } (ibo = index buffer recorded in the VAO)
+        this.vaoExtension = gl.getExtension('OES_vertex_array_object');
+        this.vertexArrays = new WeakMap();
+        if (!this.vaoExtension) {
+            console.warn('OES_vertex_array_object not supported - vertex pointers set per vertex buffer change');
+        }
+
+        // Contatore di createGLCallCounter (webgl-setup.js), null = chiamate GL non contate
+        this.glCallCounter = null;
+
+        // Per-frame counters: draw calls issued, drawable nodes skipped by frustum culling
+        // (terrain chunks, matte cards, structures, ...), GL calls if glCallCounter is set;
+        // shown in statsElement if set
+        this.stats = { draws: 0, culled: 0, glCalls: 0 };
+        this.statsElement = null;
+        this.statsText = '';
+
         this.lastTime = 0;
     }
 
@@ -32,398 +169,311 @@ export class Renderer {
         const dt = (time - this.lastTime) / 1000;
         this.lastTime = time;
 
-        this.camera.update(dt);
+        if (this.glCallCounter) {
+            this.glCallCounter.calls = 0;
+        }
 
-        const center = this.camera.getTarget();
-        const viewMatrix = mat4LookAt(this.camera.pos, center, [0, 1, 0]);
+        if (this.input) {
+            this.input.update();
+        }
 
-        const gl = this.gl;
-        gl.clearColor(...this.fogColor, 1.0);
-        gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+        this.camera.update(dt);
 
-        // 1. Render SKYBOX (sempre per primo, no depth write)
-        this.renderSkybox(viewMatrix);
+        if (this.terrainEditor) {
+            this.terrainEditor.update(dt);
+        }
 
-        // 2. Render PROCEDURAL SKY (cielo Ghibli con nuvole animate)
-        this.renderProceduralSky(viewMatrix, time);
+        if (this.cameraPathRecorder) {
+            this.cameraPathRecorder.update(dt, this.camera);
+        }
 
-        // 3. Render MATTE PAINTING LAYERS (dal più lontano al più vicino)
-        if (this.mattePaintingManager) {
-            this.renderMattePaintingLayers(viewMatrix);
+        if (this.viewport) {
+            this.viewport.update(dt);
         }
 
-        // 4. Render TERRENO PROCEDURALE con Phong lighting
-        this.renderTerrain(viewMatrix);
+        if (this.camera.fov !== this.fov) {
+            this.updateProjection();
+        }
+
+        const viewMatrix = this.camera.getViewMatrix();
+        const eye = this.camera.getViewPosition();
+        mat4Multiply(this.projectionMatrix, viewMatrix, this.viewProjectionMatrix);
+        frustumPlanesFromMatrix(this.viewProjectionMatrix, this.frustumPlanes);
+        this.stats.draws = 0;
+        this.stats.culled = 0;
+
+        const context = this.frameContext;
+        context.time = time;
+        context.dt = dt;
+        context.eye = eye;
+        context.viewMatrix = viewMatrix;
+        this.updateFrameUniforms(context);
+
+        // Node updates (layers following the camera, terrain LOD, visibility), then cull into the queue
+        this.scene.update(context);
+        this.queue.clear();
+        this.enqueue(this.scene, eye);
+        this.queue.sort();
+
+        // gl.clear honours the depth mask: the last draw of the previous frame may have turned it off
+        const gl = this.gl;
+        this.stateCache.apply(DEFAULT_RENDER_STATE);
+        gl.clearColor(...this.fogColor, 1.0);
+        gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
 
-        // TEMPORARILY DISABLED - Replaced by matte painting
-        // 5. Render old ground plane
-        // this.renderGround(viewMatrix);
+        // Buffer bindings may have changed since the last frame (mesh creation, terrain sculpting)
+        this.currentMaterial = null;
+        this.currentVertexBuffer = null;
+        this.currentIndexBuffer = null;
+        for (const pass of this.queue.passes) {
+            if (!pass.enabled || pass.items.length === 0) continue;
+            for (const item of pass.items) {
+                this.drawNode(item.node);
+            }
+        }
 
-        // 6. Render MONTAGNE LONTANE (mesh cards) - old version
-        // this.renderMountains(viewMatrix);
+        // Unbind the VAO: an index buffer bound by other code would otherwise be recorded in it
+        if (this.currentVertexArray) {
+            this.vaoExtension.bindVertexArrayOES(null);
+            this.currentVertexArray = null;
+        }
 
-        // 7. Render BILLBOARDS (alberi)
-        // this.renderBillboards(viewMatrix);
+        if (this.glCallCounter) {
+            this.stats.glCalls = this.glCallCounter.calls;
+        }
+        this.updateStatsElement();
 
         requestAnimationFrame((t) => this.render(t));
     }
 
+    updateFrameUniforms(context) {
+        const uniforms = this.frameUniforms;
+        uniforms.uViewMatrix = context.viewMatrix;
+        uniforms.uProjectionMatrix = this.projectionMatrix;
+        uniforms.uCameraPos = context.eye;
+        uniforms.uFogColor = this.fogColor;
+        uniforms.uFogStart = this.fogStart;
+        uniforms.uFogEnd = this.fogEnd;
+        // Time in seconds (the procedural sky calls it u_time)
+        uniforms.uTime = context.time / 1000.0;
+        uniforms.u_time = uniforms.uTime;
+        this.resolution[0] = this.gl.canvas.width;
+        this.resolution[1] = this.gl.canvas.height;
+    }
+
     /**
-     * Render skybox (procedurale, texture, o cubemap)
-     * @param {Float32Array} viewMatrix - Matrice view
+     * Accoda i nodi visibili del sottoalbero: frustum culling sui bounds world dei mesh,
+     * distanza (al quadrato) dal centro dei bounds per l'ordinamento nel pass
+     * @param {SceneNode} node - Radice del sottoalbero
+     * @param {Array<number>} eye - Posizione della camera
      */
-    renderSkybox(viewMatrix) {
-        const gl = this.gl;
-        const mesh = this.meshes.skybox;
-
-        // Decide which program to use based on matte painting manager settings
-        let program;
-        let useCubemap = false;
-        let useTexture = false;
-
-        if (this.mattePaintingManager && this.mattePaintingManager.useCubemap) {
-            // Use cubemap program
-            program = this.programs.skyboxCubemap;
-            useCubemap = true;
-        } else if (this.mattePaintingManager && !this.mattePaintingManager.useProcedural) {
-            // Use textured skybox program
-            program = this.programs.skyboxTextured;
-            useTexture = true;
-        } else {
-            // Use procedural skybox program (default)
-            program = this.programs.skybox;
-        }
+    enqueue(node, eye) {
+        if (!node.visible) return;
 
-        gl.depthMask(false);
-
-        // CRITICAL: Disable face culling for skybox since we're inside the cube
-        gl.disable(gl.CULL_FACE);
-
-        gl.useProgram(program);
-        gl.bindBuffer(gl.ARRAY_BUFFER, mesh.vbo);
-        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, mesh.ibo);
-
-        const posLoc = gl.getAttribLocation(program, 'aPosition');
-        gl.enableVertexAttribArray(posLoc);
-        gl.vertexAttribPointer(posLoc, 3, gl.FLOAT, false, 12, 0);
-
-        gl.uniformMatrix4fv(gl.getUniformLocation(program, 'uViewMatrix'), false, viewMatrix);
-        gl.uniformMatrix4fv(gl.getUniformLocation(program, 'uProjectionMatrix'), false, this.projectionMatrix);
-
-        // Set texture or cubemap if using
-        if (useCubemap && this.mattePaintingManager.skyboxCubemap) {
-            gl.activeTexture(gl.TEXTURE0);
-            gl.bindTexture(gl.TEXTURE_CUBE_MAP, this.mattePaintingManager.skyboxCubemap);
-            gl.uniform1i(gl.getUniformLocation(program, 'uCubemap'), 0);
-            gl.uniform1i(gl.getUniformLocation(program, 'uUseCubemap'), 1);
-        } else if (useCubemap) {
-            // Cubemap not loaded yet, use fallback
-            gl.uniform1i(gl.getUniformLocation(program, 'uUseCubemap'), 0);
+        if (node.mesh && node.material) {
+            const hasBounds = Boolean(node.mesh.bounds);
+            if (node.cull && hasBounds && !frustumIntersectsAABB(this.frustumPlanes, node.worldBounds)) {
+                this.stats.culled++;
+            } else {
+                // Without bounds: distance to the node origin
+                const { min, max } = node.worldBounds;
+                const m = node.worldMatrix;
+                const dx = (hasBounds ? (min[0] + max[0]) / 2 : m[12]) - eye[0];
+                const dy = (hasBounds ? (min[1] + max[1]) / 2 : m[13]) - eye[1];
+                const dz = (hasBounds ? (min[2] + max[2]) / 2 : m[14]) - eye[2];
+                this.queue.push(node.pass || node.material.pass, node, dx * dx + dy * dy + dz * dz);
+            }
         }
 
-        if (useTexture && this.mattePaintingManager.skyboxTexture) {
-            gl.activeTexture(gl.TEXTURE0);
-            gl.bindTexture(gl.TEXTURE_2D, this.mattePaintingManager.skyboxTexture);
-            gl.uniform1i(gl.getUniformLocation(program, 'uSkyboxTexture'), 0);
-            gl.uniform1i(gl.getUniformLocation(program, 'uUseTexture'), 1);
-        } else if (useTexture) {
-            // Texture not loaded yet, use fallback
-            gl.uniform1i(gl.getUniformLocation(program, 'uUseTexture'), 0);
+        for (const child of node.children) {
+            this.enqueue(child, eye);
         }
-
-        gl.drawElements(gl.TRIANGLES, mesh.indexCount, gl.UNSIGNED_SHORT, 0);
-
-        // Re-enable face culling and depth writing
-        gl.depthMask(true);
-        gl.enable(gl.CULL_FACE);
     }
 
     /**
-     * Render cielo procedurale in stile Studio Ghibli
-     * @param {Float32Array} viewMatrix - Matrice view
-     * @param {number} time - Tempo corrente in millisecondi
+     * Disegna un nodo: materiale (solo se cambia), model matrix, uniform di materiale e nodo, mesh
+     * @param {SceneNode} node - Nodo con mesh e materiale
      */
-    renderProceduralSky(viewMatrix, time) {
+    drawNode(node) {
         const gl = this.gl;
-        const program = this.programs.proceduralSky;
-        const mesh = this.meshes.proceduralSky;
-
-        // Disable depth writing but enable depth test
-        // This ensures the sky is behind everything else
-        gl.depthMask(false);
-
-        // CRITICAL: Disable blending for pure colors (as requested)
-        gl.disable(gl.BLEND);
-
-        // Disable face culling since we're inside the sphere
-        gl.disable(gl.CULL_FACE);
-
-        gl.useProgram(program);
-        gl.bindBuffer(gl.ARRAY_BUFFER, mesh.vbo);
-        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, mesh.ibo);
-
-        const posLoc = gl.getAttribLocation(program, 'aPosition');
-        gl.enableVertexAttribArray(posLoc);
-        gl.vertexAttribPointer(posLoc, 3, gl.FLOAT, false, 12, 0);
+        const { mesh, material } = node;
+        const program = material.program;
 
-        // Set uniforms
-        gl.uniformMatrix4fv(gl.getUniformLocation(program, 'uViewMatrix'), false, viewMatrix);
-        gl.uniformMatrix4fv(gl.getUniformLocation(program, 'uProjectionMatrix'), false, this.projectionMatrix);
-
-        // Pass time in seconds (performance.now() / 1000)
-        gl.uniform1f(gl.getUniformLocation(program, 'u_time'), time / 1000.0);
+        if (material !== this.currentMaterial) {
+            this.bindMaterial(material);
+        }
 
-        // Pass resolution
-        gl.uniform2f(gl.getUniformLocation(program, 'u_resolution'), gl.canvas.width, gl.canvas.height);
+        program.setUniform('uModelMatrix', node.worldMatrix);
+        // Material uniforms on every draw, so a node override does not stick to the next node
+        // (unchanged values cost no GL call)
+        this.setUniforms(program, material.uniforms);
+        if (node.uniforms) {
+            this.setUniforms(program, node.uniforms);
+        }
 
-        // Draw the sky sphere using UNSIGNED_INT indices
-        gl.drawElements(gl.TRIANGLES, mesh.indexCount, gl.UNSIGNED_INT, 0);
+        this.bindMesh(mesh);
 
-        // Re-enable depth writing and face culling
-        gl.depthMask(true);
-        gl.enable(gl.CULL_FACE);
+        const mode = gl[PRIMITIVES[mesh.primitive || 'triangles']];
+        if (mesh.ibo) {
+            const uint32 = mesh.indexType === 'uint32';
+            const offset = (mesh.firstIndex || 0) * (uint32 ? 4 : 2);
+            gl.drawElements(mode, mesh.indexCount, uint32 ? gl.UNSIGNED_INT : gl.UNSIGNED_SHORT, offset);
+        } else {
+            gl.drawArrays(mode, 0, mesh.vertexCount);
+        }
+        this.stats.draws++;
     }
 
     /**
-     * Render terreno
-     * @param {Float32Array} viewMatrix - Matrice view
+     * Programma, stato di render, uniform del frame, texture e apply() di un materiale
+     * @param {Material} material - Materiale da attivare
      */
-    renderGround(viewMatrix) {
+    bindMaterial(material) {
         const gl = this.gl;
-        const program = this.programs.mesh;
-        const mesh = this.meshes.ground;
+        const program = material.program;
+
+        this.stateCache.useProgram(program);
+        this.stateCache.apply(material.renderState);
+
+        // Again for every material: the previous one on the same program may have overridden some (uLightDir)
+        this.setUniforms(program, this.frameUniforms);
+
+        let unit = material.firstTextureUnit;
+        for (const sampler in material.textures) {
+            const entry = material.textures[sampler];
+            const hasTarget = entry !== null && typeof entry === 'object' && 'target' in entry;
+            const texture = resolveValue(hasTarget ? entry.texture : entry, this.frameContext);
+            if (texture) {
+                gl.activeTexture(gl.TEXTURE0 + unit);
+                gl.bindTexture(hasTarget ? entry.target : gl.TEXTURE_2D, texture);
+            }
+            program.setUniform(sampler, unit);
+            unit++;
+        }
+        gl.activeTexture(gl.TEXTURE0);
 
-        gl.useProgram(program);
-        gl.bindBuffer(gl.ARRAY_BUFFER, mesh.vbo);
-        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, mesh.ibo);
-
-        const posLoc = gl.getAttribLocation(program, 'aPosition');
-        const normLoc = gl.getAttribLocation(program, 'aNormal');
-        const texLoc = gl.getAttribLocation(program, 'aTexCoord');
-
-        gl.enableVertexAttribArray(posLoc);
-        gl.enableVertexAttribArray(normLoc);
-        gl.enableVertexAttribArray(texLoc);
-
-        gl.vertexAttribPointer(posLoc, 3, gl.FLOAT, false, 32, 0);
-        gl.vertexAttribPointer(normLoc, 3, gl.FLOAT, false, 32, 12);
-        gl.vertexAttribPointer(texLoc, 2, gl.FLOAT, false, 32, 24);
-
-        // Matrice model (identità)
-        const modelMatrix = new Float32Array([
-            1, 0, 0, 0,
-            0, 1, 0, 0,
-            0, 0, 1, 0,
-            0, 0, 0, 1
-        ]);
-
-        gl.uniformMatrix4fv(gl.getUniformLocation(program, 'uModelMatrix'), false, modelMatrix);
-        gl.uniformMatrix4fv(gl.getUniformLocation(program, 'uViewMatrix'), false, viewMatrix);
-        gl.uniformMatrix4fv(gl.getUniformLocation(program, 'uProjectionMatrix'), false, this.projectionMatrix);
-        gl.uniform3f(gl.getUniformLocation(program, 'uLightDir'), 0.5, 0.7, 0.3);
-        gl.uniform3fv(gl.getUniformLocation(program, 'uFogColor'), this.fogColor);
-        gl.uniform1f(gl.getUniformLocation(program, 'uFogStart'), this.fogStart);
-        gl.uniform1f(gl.getUniformLocation(program, 'uFogEnd'), this.fogEnd);
-        gl.uniform3f(gl.getUniformLocation(program, 'uObjectColor'), 0.4, 0.5, 0.3);
-
-        gl.drawElements(gl.TRIANGLES, mesh.indexCount, gl.UNSIGNED_SHORT, 0);
+        if (material.apply) {
+            material.apply(gl, program, this.frameContext);
+        }
+        this.currentMaterial = material;
+    }
+
+    setUniforms(program, uniforms) {
+        for (const name in uniforms) {
+            program.setUniform(name, resolveValue(uniforms[name], this.frameContext));
+        }
     }
 
     /**
-     * Render procedural terrain with Phong lighting
-     * @param {Float32Array} viewMatrix - Matrice view
+     * Vertex e index buffer di un mesh: VAO del suo vertex buffer (creato al primo draw),
+     * altrimenti puntatori degli attributi solo se il vertex buffer è cambiato
+     * @param {Object} mesh - Mesh da disegnare
      */
-    renderTerrain(viewMatrix) {
+    bindMesh(mesh) {
         const gl = this.gl;
-        const program = this.programs.terrain;
-        const mesh = this.meshes.terrain;
+        const ext = this.vaoExtension;
+
+        if (ext) {
+            let vertexArray = this.vertexArrays.get(mesh.vbo);
+            if (!vertexArray) {
+                vertexArray = { vao: ext.createVertexArrayOES(), ibo: null };
+                this.vertexArrays.set(mesh.vbo, vertexArray);
+                ext.bindVertexArrayOES(vertexArray.vao);
+                this.setVertexPointers(mesh, 0);
+                this.currentVertexArray = vertexArray;
+            } else if (vertexArray !== this.currentVertexArray) {
+                ext.bindVertexArrayOES(vertexArray.vao);
+                this.currentVertexArray = vertexArray;
+            }
+            // The index buffer is part of the VAO state (terrain chunks switch it with the LOD)
+            if (mesh.ibo && mesh.ibo !== vertexArray.ibo) {
+                gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, mesh.ibo);
+                vertexArray.ibo = mesh.ibo;
+            }
+            return;
+        }
 
-        gl.useProgram(program);
-        gl.bindBuffer(gl.ARRAY_BUFFER, mesh.vbo);
-        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, mesh.ibo);
-
-        const posLoc = gl.getAttribLocation(program, 'aPosition');
-        const normLoc = gl.getAttribLocation(program, 'aNormal');
-        const texLoc = gl.getAttribLocation(program, 'aTexCoord');
-
-        gl.enableVertexAttribArray(posLoc);
-        gl.enableVertexAttribArray(normLoc);
-        gl.enableVertexAttribArray(texLoc);
-
-        // Vertex format: position(3) + normal(3) + texCoord(2) = 8 floats = 32 bytes
-        gl.vertexAttribPointer(posLoc, 3, gl.FLOAT, false, 32, 0);
-        gl.vertexAttribPointer(normLoc, 3, gl.FLOAT, false, 32, 12);
-        gl.vertexAttribPointer(texLoc, 2, gl.FLOAT, false, 32, 24);
-
-        // Model matrix (identity - terrain already centered at 0,0)
-        const modelMatrix = new Float32Array([
-            1, 0, 0, 0,
-            0, 1, 0, 0,
-            0, 0, 1, 0,
-            0, 0, 0, 1
-        ]);
-
-        // Directional light (sun)
-        const lightDir = [0.5, 0.7, 0.3];
-        // Normalize light direction
-        const len = Math.sqrt(lightDir[0]**2 + lightDir[1]**2 + lightDir[2]**2);
-        lightDir[0] /= len;
-        lightDir[1] /= len;
-        lightDir[2] /= len;
-
-        // Terrain color (brownish-green)
-        const terrainColor = [0.4, 0.5, 0.3];
-
-        // Set uniforms
-        gl.uniformMatrix4fv(gl.getUniformLocation(program, 'uModelMatrix'), false, modelMatrix);
-        gl.uniformMatrix4fv(gl.getUniformLocation(program, 'uViewMatrix'), false, viewMatrix);
-        gl.uniformMatrix4fv(gl.getUniformLocation(program, 'uProjectionMatrix'), false, this.projectionMatrix);
-        gl.uniform3fv(gl.getUniformLocation(program, 'uLightDir'), lightDir);
-        gl.uniform3fv(gl.getUniformLocation(program, 'uCameraPos'), this.camera.pos);
-        gl.uniform3fv(gl.getUniformLocation(program, 'uTerrainColor'), terrainColor);
-        gl.uniform3fv(gl.getUniformLocation(program, 'uFogColor'), this.fogColor);
-        gl.uniform1f(gl.getUniformLocation(program, 'uFogStart'), this.fogStart);
-        gl.uniform1f(gl.getUniformLocation(program, 'uFogEnd'), this.fogEnd);
-
-        // Draw terrain using indices
-        gl.drawElements(gl.TRIANGLES, mesh.indexCount, gl.UNSIGNED_INT, 0);
+        if (mesh.vbo !== this.currentVertexBuffer) {
+            this.enabledAttributes = this.setVertexPointers(mesh, this.enabledAttributes);
+            this.currentVertexBuffer = mesh.vbo;
+        }
+        if (mesh.ibo && mesh.ibo !== this.currentIndexBuffer) {
+            gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, mesh.ibo);
+            this.currentIndexBuffer = mesh.ibo;
+        }
     }
 
     /**
-     * Render montagne lontane
-     * @param {Float32Array} viewMatrix - Matrice view
+     * Attiva gli attributi del layout del mesh e ne imposta i puntatori (nel VAO legato, se c'è),
+     * disattivando quelli rimasti attivi che il layout non ha
+     * @param {Object} mesh - Mesh con vbo e layout
+     * @param {number} enabled - Bitmask delle location già attive
+     * @returns {number} Bitmask delle location attive dopo la chiamata
      */
-    renderMountains(viewMatrix) {
+    setVertexPointers(mesh, enabled) {
         const gl = this.gl;
-        const program = this.programs.mesh;
-        const mesh = this.meshes.mountains;
+        const layout = VERTEX_LAYOUTS[mesh.layout || 'standard'];
+        if (!layout) {
+            throw new Error(`Unknown vertex layout: ${mesh.layout}`);
+        }
 
         gl.bindBuffer(gl.ARRAY_BUFFER, mesh.vbo);
-        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, mesh.ibo);
-
-        const posLoc = gl.getAttribLocation(program, 'aPosition');
-        const normLoc = gl.getAttribLocation(program, 'aNormal');
-        const texLoc = gl.getAttribLocation(program, 'aTexCoord');
+        let used = 0;
+        for (const [name, size, offset] of layout.attributes) {
+            const location = ATTRIBUTE_LOCATIONS[name];
+            if (!(enabled & (1 << location))) {
+                gl.enableVertexAttribArray(location);
+            }
+            gl.vertexAttribPointer(location, size, gl.FLOAT, false, layout.stride, offset);
+            used |= 1 << location;
+        }
 
-        gl.vertexAttribPointer(posLoc, 3, gl.FLOAT, false, 32, 0);
-        gl.vertexAttribPointer(normLoc, 3, gl.FLOAT, false, 32, 12);
-        gl.vertexAttribPointer(texLoc, 2, gl.FLOAT, false, 32, 24);
+        const unused = enabled & ~used;
+        for (let location = 0; unused >> location; location++) {
+            if (unused & (1 << location)) gl.disableVertexAttribArray(location);
+        }
+        return used;
+    }
 
-        gl.uniform3f(gl.getUniformLocation(program, 'uObjectColor'), 0.3, 0.35, 0.5);
-        gl.drawElements(gl.TRIANGLES, mesh.indexCount, gl.UNSIGNED_SHORT, 0);
+    updateStatsElement() {
+        if (!this.statsElement) return;
+        let text = `Draws: ${this.stats.draws} | Culled: ${this.stats.culled}`;
+        if (this.glCallCounter) {
+            text += ` | GL calls: ${this.stats.glCalls}`;
+        }
+        let passesOff = '';
+        for (const pass of this.queue.passes) {
+            if (!pass.enabled) passesOff += passesOff ? `, ${pass.name}` : pass.name;
+        }
+        if (passesOff) {
+            text += ` | Passes off: ${passesOff}`;
+        }
+        const recorder = this.cameraPathRecorder;
+        if (recorder && (recorder.recording || recorder.path.keyframes.length > 0)) {
+            text += ` | Path: ${recorder.recording ? 'recording, ' : ''}${recorder.path.keyframes.length} keyframes`;
+        }
+        if (text !== this.statsText) {
+            this.statsElement.textContent = text;
+            this.statsText = text;
+        }
     }
 
     /**
-     * Render billboards
-     * @param {Float32Array} viewMatrix - Matrice view
+     * Collega il viewport (viewport.js): a ogni resize la projection viene ricostruita
+     * @param {Viewport} viewport - Viewport del canvas
      */
-    renderBillboards(viewMatrix) {
-        const gl = this.gl;
-        const program = this.programs.billboard;
-        const mesh = this.meshes.billboards;
-
-        gl.useProgram(program);
-        gl.bindBuffer(gl.ARRAY_BUFFER, mesh.vbo);
-
-        const posLoc = gl.getAttribLocation(program, 'aPosition');
-        const offsetLoc = gl.getAttribLocation(program, 'aOffset');
-        const texLoc = gl.getAttribLocation(program, 'aTexCoord');
-
-        gl.enableVertexAttribArray(posLoc);
-        gl.enableVertexAttribArray(offsetLoc);
-        gl.enableVertexAttribArray(texLoc);
-
-        gl.vertexAttribPointer(posLoc, 3, gl.FLOAT, false, 28, 0);
-        gl.vertexAttribPointer(offsetLoc, 2, gl.FLOAT, false, 28, 12);
-        gl.vertexAttribPointer(texLoc, 2, gl.FLOAT, false, 28, 20);
-
-        gl.uniformMatrix4fv(gl.getUniformLocation(program, 'uViewMatrix'), false, viewMatrix);
-        gl.uniformMatrix4fv(gl.getUniformLocation(program, 'uProjectionMatrix'), false, this.projectionMatrix);
-        gl.uniform1f(gl.getUniformLocation(program, 'uBillboardSize'), 8.0);
-        gl.uniform3fv(gl.getUniformLocation(program, 'uFogColor'), this.fogColor);
-        gl.uniform1f(gl.getUniformLocation(program, 'uFogStart'), this.fogStart);
-        gl.uniform1f(gl.getUniformLocation(program, 'uFogEnd'), this.fogEnd);
-
-        gl.drawArrays(gl.TRIANGLES, 0, mesh.vertexCount);
+    setViewport(viewport) {
+        this.viewport = viewport;
+        viewport.onResize(() => this.updateProjection());
     }
 
     /**
-     * Render matte painting layers con parallasse
-     * @param {Float32Array} viewMatrix - Matrice view
+     * Ricostruisce la projection da FOV della camera, aspect del viewport, near e far
      */
-    renderMattePaintingLayers(viewMatrix) {
-        const gl = this.gl;
-        const program = this.programs.mattePainting;
-
-        gl.useProgram(program);
-
-        // Enable alpha blending for transparent layers
-        gl.enable(gl.BLEND);
-        gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
-
-        // Model matrix (identity)
-        const modelMatrix = new Float32Array([
-            1, 0, 0, 0,
-            0, 1, 0, 0,
-            0, 0, 1, 0,
-            0, 0, 0, 1
-        ]);
-
-        // Render each layer from farthest to nearest
-        const sortedLayers = [...this.mattePaintingManager.layers].sort((a, b) => b.distance - a.distance);
-
-        for (const layer of sortedLayers) {
-            if (!layer.mesh) continue;
-
-            gl.bindBuffer(gl.ARRAY_BUFFER, layer.mesh.vbo);
-            gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, layer.mesh.ibo);
-
-            const posLoc = gl.getAttribLocation(program, 'aPosition');
-            const normLoc = gl.getAttribLocation(program, 'aNormal');
-            const texLoc = gl.getAttribLocation(program, 'aTexCoord');
-
-            gl.enableVertexAttribArray(posLoc);
-            gl.enableVertexAttribArray(normLoc);
-            gl.enableVertexAttribArray(texLoc);
-
-            // Vertex format: position(3) + normal(3) + texCoord(2) = 8 floats = 32 bytes
-            gl.vertexAttribPointer(posLoc, 3, gl.FLOAT, false, 32, 0);
-            gl.vertexAttribPointer(normLoc, 3, gl.FLOAT, false, 32, 12);
-            gl.vertexAttribPointer(texLoc, 2, gl.FLOAT, false, 32, 24);
-
-            // Set uniforms
-            gl.uniformMatrix4fv(gl.getUniformLocation(program, 'uModelMatrix'), false, modelMatrix);
-            gl.uniformMatrix4fv(gl.getUniformLocation(program, 'uViewMatrix'), false, viewMatrix);
-            gl.uniformMatrix4fv(gl.getUniformLocation(program, 'uProjectionMatrix'), false, this.projectionMatrix);
-            gl.uniform1f(gl.getUniformLocation(program, 'uParallaxFactor'), layer.parallaxFactor);
-
-            // Texture or fallback color
-            if (layer.useTexture && layer.texture) {
-                gl.activeTexture(gl.TEXTURE0);
-                gl.bindTexture(gl.TEXTURE_2D, layer.texture);
-                gl.uniform1i(gl.getUniformLocation(program, 'uTexture'), 0);
-                gl.uniform1i(gl.getUniformLocation(program, 'uUseTexture'), 1);
-            } else {
-                gl.uniform1i(gl.getUniformLocation(program, 'uUseTexture'), 0);
-                gl.uniform3f(gl.getUniformLocation(program, 'uFallbackColor'), 0.5, 0.5, 0.6);
-            }
-
-            gl.uniform1f(gl.getUniformLocation(program, 'uAlpha'), layer.alpha);
-
-            // Fog settings (controlled by layer.useFog flag)
-            gl.uniform1i(gl.getUniformLocation(program, 'uUseFog'), layer.useFog ? 1 : 0);
-            if (layer.useFog) {
-                gl.uniform3fv(gl.getUniformLocation(program, 'uFogColor'), this.fogColor);
-                gl.uniform1f(gl.getUniformLocation(program, 'uFogStart'), this.fogStart);
-                gl.uniform1f(gl.getUniformLocation(program, 'uFogEnd'), this.fogEnd);
-            }
-
-            // Draw
-            gl.drawElements(gl.TRIANGLES, layer.mesh.indexCount, gl.UNSIGNED_SHORT, 0);
-        }
-
-        // Disable blending
-        gl.disable(gl.BLEND);
+    updateProjection() {
+        const aspect = this.viewport ? this.viewport.aspect : this.gl.canvas.width / this.gl.canvas.height;
+        this.fov = this.camera.fov;
+        this.projectionMatrix = mat4Perspective(this.fov, aspect, this.near, this.far, this.projectionMatrix);
     }
 
     /**
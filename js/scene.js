@@ -0,0 +1,145 @@
+/**
+ * Scene graph
+ * A tree of SceneNode, each with a local transform (position, rotation
+ * quaternion, scale) and optionally something to draw: a mesh (vbo/ibo +
+ * bounds, see bounds.js) and a material (material.js). The renderer walks the
+ * tree once per frame, culls drawable nodes against the frustum with their
+ * world bounds and hands them to the render queue (render-queue.js).
+ *
+ * Per-frame behaviour (follow the camera, switch visibility, pick an LOD)
+ * goes in node.onUpdate, called before the world matrix is computed, so a new
+ * kind of object needs a node and a material, not a new render method.
+ */
+
+import { mat4Compose, mat4Copy, mat4Create, mat4Multiply } from './math-utils.js';
+import { aabbCreate, aabbTransformMat4 } from './bounds.js';
+
+export class SceneNode {
+    /**
+     * @param {string} name - Nome (per find())
+     * @param {Object} options - Opzioni
+     * @param {Object} options.mesh - Mesh da disegnare (null = solo gruppo/trasformazione)
+     * @param {Material} options.material - Materiale del mesh
+     * @param {Array<number>} options.position - Traslazione locale [x, y, z]
+     * @param {Array<number>} options.rotation - Rotazione locale, quaternione [x, y, z, w]
+     * @param {Array<number>} options.scale - Scala locale [x, y, z]
+     * @param {Object} options.uniforms - Uniform del solo nodo, applicati dopo quelli del materiale
+     * @param {string} options.pass - Pass di render (default quello del materiale)
+     * @param {number} options.renderOrder - Ordine esplicito dentro il pass, prima della distanza
+     * @param {boolean} options.cull - false = mai scartato dal frustum culling (cielo attorno alla camera)
+     * @param {boolean} options.visible - false = nodo e figli non vengono disegnati
+     * @param {Function} options.onUpdate - (node, context) => void, chiamato ogni frame
+     */
+    constructor(name = '', {
+        mesh = null,
+        material = null,
+        position = [0, 0, 0],
+        rotation = [0, 0, 0, 1],
+        scale = [1, 1, 1],
+        uniforms = null,
+        pass = null,
+        renderOrder = 0,
+        cull = true,
+        visible = true,
+        onUpdate = null
+    } = {}) {
+        this.name = name;
+        this.parent = null;
+        this.children = [];
+
+        this.position = Float32Array.from(position);
+        this.rotation = Float32Array.from(rotation);
+        this.scale = Float32Array.from(scale);
+
+        // false = localMatrix is set directly (setMatrix) instead of composed from position/rotation/scale
+        this.matrixAutoUpdate = true;
+        this.localMatrix = mat4Create();
+        this.worldMatrix = mat4Create();
+
+        this.mesh = mesh;
+        this.material = material;
+        this.uniforms = uniforms;
+        this.pass = pass;
+        this.renderOrder = renderOrder;
+        this.cull = cull;
+        this.visible = visible;
+        this.onUpdate = onUpdate;
+
+        // Mesh bounds in world space, refreshed by update() (meshes may grow, e.g. terrain sculpting)
+        this.worldBounds = aabbCreate();
+    }
+
+    add(child) {
+        if (child.parent) child.parent.remove(child);
+        child.parent = this;
+        this.children.push(child);
+        return child;
+    }
+
+    remove(child) {
+        const index = this.children.indexOf(child);
+        if (index !== -1) {
+            this.children.splice(index, 1);
+            child.parent = null;
+        }
+        return child;
+    }
+
+    /**
+     * Imposta direttamente la matrice locale (es. model matrix già calcolata di un piazzamento)
+     */
+    setMatrix(matrix) {
+        mat4Copy(matrix, this.localMatrix);
+        this.matrixAutoUpdate = false;
+    }
+
+    /**
+     * Chiama callback su questo nodo e su tutti i discendenti
+     */
+    traverse(callback) {
+        callback(this);
+        for (const child of this.children) {
+            child.traverse(callback);
+        }
+    }
+
+    /**
+     * Primo nodo con questo nome nel sottoalbero
+     * @returns {SceneNode|null}
+     */
+    find(name) {
+        if (this.name === name) return this;
+        for (const child of this.children) {
+            const found = child.find(name);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    /**
+     * Aggiornamento per frame: onUpdate, poi matrice world e bounds world del sottoalbero
+     * (i nodi invisibili, e i loro figli, vengono saltati dopo il loro onUpdate)
+     * @param {Object} context - Stato del frame passato a onUpdate (camera, eye, time, dt, ...)
+     * @param {Float32Array} parentWorldMatrix - Matrice world del padre (null per la radice)
+     */
+    update(context, parentWorldMatrix = null) {
+        if (this.onUpdate) this.onUpdate(this, context);
+        if (!this.visible) return;
+
+        if (this.matrixAutoUpdate) {
+            mat4Compose(this.position, this.rotation, this.scale, this.localMatrix);
+        }
+        if (parentWorldMatrix) {
+            mat4Multiply(parentWorldMatrix, this.localMatrix, this.worldMatrix);
+        } else {
+            mat4Copy(this.localMatrix, this.worldMatrix);
+        }
+        if (this.mesh && this.mesh.bounds) {
+            aabbTransformMat4(this.mesh.bounds.aabb, this.worldMatrix, this.worldBounds);
+        }
+
+        for (const child of this.children) {
+            child.update(context, this.worldMatrix);
+        }
+    }
+}
@@ -2,6 +2,17 @@
 // COMPILE SHADERS - Pattern da replicare in C/Rust
 // ============================================================
 
+/**
+ * Location fisse degli attributi dei vertici, legate prima del link in ogni programma:
+ * lo stesso VAO (o gli stessi puntatori) vale per qualunque programma
+ */
+export const ATTRIBUTE_LOCATIONS = {
+    aPosition: 0,
+    aNormal: 1,
+    aTexCoord: 2,
+    aOffset: 3
+};
+
 /**
  * Crea e compila uno shader
  * @param {WebGLRenderingContext} gl - Contesto WebGL
@@ -27,9 +38,10 @@ export function createShader(gl, type, source) {
  * @param {WebGLRenderingContext} gl - Contesto WebGL
  * @param {string} vertexSource - Codice sorgente del vertex shader
  * @param {string} fragmentSource - Codice sorgente del fragment shader
- * @returns {WebGLProgram|null} Il programma linkato o null in caso di errore
+ * @param {Object} attributeLocations - { nome: location } legate prima del link
+ * @returns {ShaderProgram|null} Il programma linkato (con uniform e attributi attivi) o null in caso di errore
  */
-export function createProgram(gl, vertexSource, fragmentSource) {
+export function createProgram(gl, vertexSource, fragmentSource, attributeLocations = ATTRIBUTE_LOCATIONS) {
     const vertexShader = createShader(gl, gl.VERTEX_SHADER, vertexSource);
     const fragmentShader = createShader(gl, gl.FRAGMENT_SHADER, fragmentSource);
 
@@ -40,11 +52,151 @@ export function createProgram(gl, vertexSource, fragmentSource) {
     const program = gl.createProgram();
     gl.attachShader(program, vertexShader);
     gl.attachShader(program, fragmentShader);
+    for (const name in attributeLocations) {
+        gl.bindAttribLocation(program, attributeLocations[name], name);
+    }
     gl.linkProgram(program);
 
     if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
         console.error('Program linking error:', gl.getProgramInfoLog(program));
         return null;
     }
-    return program;
+    return new ShaderProgram(gl, program);
+}
+
+// ============================================================
+// PROGRAM WRAPPER - uniform e attributi attivi, upload solo se cambiati
+// ============================================================
+
+/**
+ * Funzione di upload per un tipo di uniform GLSL (da getActiveUniform)
+ * Gli scalari accettano un numero o un array (uniform array, es. vec3 uLayerColor[4])
+ */
+function uniformUploader(gl, type) {
+    switch (type) {
+        case gl.FLOAT:
+            return (location, value) => typeof value === 'number' ? gl.uniform1f(location, value) : gl.uniform1fv(location, value);
+        case gl.FLOAT_VEC2: return (location, value) => gl.uniform2fv(location, value);
+        case gl.FLOAT_VEC3: return (location, value) => gl.uniform3fv(location, value);
+        case gl.FLOAT_VEC4: return (location, value) => gl.uniform4fv(location, value);
+        case gl.INT:
+        case gl.BOOL:
+        case gl.SAMPLER_2D:
+        case gl.SAMPLER_CUBE:
+            return (location, value) => typeof value === 'number' ? gl.uniform1i(location, value) : gl.uniform1iv(location, value);
+        case gl.INT_VEC2:
+        case gl.BOOL_VEC2:
+            return (location, value) => gl.uniform2iv(location, value);
+        case gl.INT_VEC3:
+        case gl.BOOL_VEC3:
+            return (location, value) => gl.uniform3iv(location, value);
+        case gl.INT_VEC4:
+        case gl.BOOL_VEC4:
+            return (location, value) => gl.uniform4iv(location, value);
+        case gl.FLOAT_MAT2: return (location, value) => gl.uniformMatrix2fv(location, false, value);
+        case gl.FLOAT_MAT3: return (location, value) => gl.uniformMatrix3fv(location, false, value);
+        case gl.FLOAT_MAT4: return (location, value) => gl.uniformMatrix4fv(location, false, value);
+        default:
+            throw new Error(`Unsupported uniform type: 0x${type.toString(16)}`);
+    }
+}
+
+/**
+ * Programma linkato con uniform e attributi attivi letti una volta sola al link
+ * setUniform sceglie la chiamata GL dal tipo dichiarato nello shader e salta l'upload
+ * se il valore è uguale all'ultimo caricato (i valori restano nel programma tra un useProgram e l'altro)
+ */
+export class ShaderProgram {
+    constructor(gl, program) {
+        this.gl = gl;
+        this.program = program;
+
+        // name → { name, type, size, location, upload, value } (array uniforms without the '[0]' suffix)
+        this.uniforms = new Map();
+        const uniformCount = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
+        for (let i = 0; i < uniformCount; i++) {
+            const info = gl.getActiveUniform(program, i);
+            const name = info.name.replace(/\[0\]$/, '');
+            this.uniforms.set(name, {
+                name: name,
+                type: info.type,
+                size: info.size,
+                location: gl.getUniformLocation(program, info.name),
+                upload: uniformUploader(gl, info.type),
+                value: null  // copy of the last uploaded value, null = never uploaded
+            });
+        }
+
+        // name → { name, type, size, location }
+        this.attributes = new Map();
+        const attributeCount = gl.getProgramParameter(program, gl.ACTIVE_ATTRIBUTES);
+        for (let i = 0; i < attributeCount; i++) {
+            const info = gl.getActiveAttrib(program, i);
+            this.attributes.set(info.name, {
+                name: info.name,
+                type: info.type,
+                size: info.size,
+                location: gl.getAttribLocation(program, info.name)
+            });
+        }
+
+        // Uniform uploads issued / skipped because the value had not changed
+        this.stats = { uploads: 0, skipped: 0 };
+    }
+
+    hasUniform(name) {
+        return this.uniforms.has(name);
+    }
+
+    /**
+     * Location di un attributo attivo, -1 se lo shader non lo usa
+     */
+    getAttribLocation(name) {
+        const attribute = this.attributes.get(name);
+        return attribute ? attribute.location : -1;
+    }
+
+    /**
+     * Carica un uniform (il programma deve essere in uso)
+     * @param {string} name - Nome nello shader (uniform non attivi ignorati)
+     * @param {number|boolean|Array<number>|Float32Array} value - Valore (null/undefined ignorati)
+     * @returns {boolean} true se è stata fatta una chiamata GL
+     */
+    setUniform(name, value) {
+        const uniform = this.uniforms.get(name);
+        if (!uniform || value === null || value === undefined) return false;
+
+        if (typeof value === 'boolean') value = value ? 1 : 0;
+
+        if (typeof value === 'number') {
+            if (uniform.value === value) {
+                this.stats.skipped++;
+                return false;
+            }
+            uniform.value = value;
+        } else {
+            let cached = uniform.value;
+            if (cached !== null && typeof cached !== 'number' && cached.length === value.length) {
+                let same = true;
+                for (let i = 0; i < value.length; i++) {
+                    if (cached[i] !== value[i]) {
+                        same = false;
+                        break;
+                    }
+                }
+                if (same) {
+                    this.stats.skipped++;
+                    return false;
+                }
+            } else {
+                // Float64: exact copy of JS numbers (a Float32 copy would never compare equal to 0.6)
+                cached = uniform.value = new Float64Array(value.length);
+            }
+            cached.set(value);
+        }
+
+        uniform.upload(uniform.location, value);
+        this.stats.uploads++;
+        return true;
+    }
 }
@@ -202,6 +202,8 @@ export const terrainVertexShader = `
 `;
 
 // Fragment shader per terreno con Phong lighting (ambient + diffuse + specular)
+// e materiale a 4 layer (vedi terrain-material.js): regole altezza/pendenza o splat map RGBA,
+// texture in world space, triplanar sui pendii ripidi, dettaglio che sfuma con la distanza
 export const terrainFragmentShader = `
     precision mediump float;
 
@@ -213,14 +215,99 @@ export const terrainFragmentShader = `
 
     uniform vec3 uLightDir;          // Direzione luce (normalizzata)
     uniform vec3 uCameraPos;         // Posizione camera per specular
-    uniform vec3 uTerrainColor;      // Colore base del terreno
+    uniform vec3 uTerrainColor;      // Colore base del terreno (senza materiale)
     uniform vec3 uFogColor;
     uniform float uFogStart;
     uniform float uFogEnd;
 
-    // TODO: Add texture support
-    // uniform sampler2D uTerrainTexture;
-    // uniform bool uUseTexture;
+    // Terrain material (4 layers: 0 = base, 1..3 painted on top)
+    uniform bool uUseMaterial;
+    uniform int uLayerCount;
+    uniform sampler2D uLayerTexture0;
+    uniform sampler2D uLayerTexture1;
+    uniform sampler2D uLayerTexture2;
+    uniform sampler2D uLayerTexture3;
+    uniform vec3 uLayerColor[4];     // Colore medio del layer (usato in lontananza)
+    uniform vec4 uLayerRule[4];      // minHeight, maxHeight, minSlope, maxSlope (m, gradi)
+    uniform vec2 uLayerSoftness[4];  // Transizione su altezza (m) e pendenza (gradi)
+    uniform vec4 uLayerTileSize;     // Metri coperti da una ripetizione della texture
+    uniform bool uUseSplatMap;
+    uniform sampler2D uSplatMap;     // RGBA = peso dei layer 0..3
+    uniform bool uTriplanar;
+    uniform float uTriplanarStart;   // Pendenza (gradi) oltre cui si passa al triplanar
+    uniform float uDetailFadeStart;
+    uniform float uDetailFadeEnd;
+    uniform bool uUseBiomeMap;
+    uniform sampler2D uBiomeMap;     // RGB = tinta del bioma / 2, A = densità vegetazione (biomes.js)
+    uniform float uBiomeStrength;    // 0 = biomi ignorati, 1 = tinta piena
+    uniform bool uUseWaterMap;
+    uniform sampler2D uWaterMap;     // B = distanza dalla costa a terra / shoreRange, A = acqua (water.js)
+    uniform bool uUseNavOverlay;
+    uniform sampler2D uNavOverlay;   // Debug griglia di navigazione: RGB colore cella, A opacità (navigation.js)
+    uniform vec4 uBrush;             // Cerchio del pennello dell'editor: xyz centro, w raggio (0 = nascosto)
+
+    // Peso 0-1 di un valore dentro [minV, maxV] con bordi morbidi
+    float ruleWeight(float value, float minV, float maxV, float softness) {
+        float s = max(softness, 0.0001);
+        return smoothstep(minV - s, minV + s, value) * (1.0 - smoothstep(maxV - s, maxV + s, value));
+    }
+
+    float layerWeight(int i, float height, float slope) {
+        vec4 rule = uLayerRule[0];
+        vec2 soft = uLayerSoftness[0];
+        if (i == 1) { rule = uLayerRule[1]; soft = uLayerSoftness[1]; }
+        if (i == 2) { rule = uLayerRule[2]; soft = uLayerSoftness[2]; }
+        if (i == 3) { rule = uLayerRule[3]; soft = uLayerSoftness[3]; }
+        return ruleWeight(height, rule.x, rule.y, soft.x) * ruleWeight(slope, rule.z, rule.w, soft.y);
+    }
+
+    // Texture in world space: planare dall'alto, triplanar sui pendii ripidi
+    vec3 sampleLayer(sampler2D tex, float tileSize, vec3 averageColor, vec3 normal, float triplanarBlend, float detail) {
+        vec3 pos = vWorldPos / tileSize;
+        vec3 color = texture2D(tex, pos.xz).rgb;
+
+        if (triplanarBlend > 0.0) {
+            vec3 w = pow(abs(normal), vec3(4.0));
+            w /= (w.x + w.y + w.z);
+            vec3 triplanar = texture2D(tex, pos.zy).rgb * w.x +
+                             texture2D(tex, pos.xz).rgb * w.y +
+                             texture2D(tex, pos.xy).rgb * w.z;
+            color = mix(color, triplanar, triplanarBlend);
+        }
+
+        // Lontano la texture diventa il colore medio: niente tiling visibile
+        return mix(averageColor, color, detail);
+    }
+
+    vec3 terrainMaterialColor(vec3 normal) {
+        float slope = degrees(acos(clamp(normal.y, 0.0, 1.0)));
+        float height = vWorldPos.y;
+        float triplanarBlend = uTriplanar ? smoothstep(uTriplanarStart, uTriplanarStart + 10.0, slope) : 0.0;
+        float detail = 1.0 - smoothstep(uDetailFadeStart, uDetailFadeEnd, vDistance);
+
+        vec3 c0 = sampleLayer(uLayerTexture0, uLayerTileSize.x, uLayerColor[0], normal, triplanarBlend, detail);
+        vec3 c1 = sampleLayer(uLayerTexture1, uLayerTileSize.y, uLayerColor[1], normal, triplanarBlend, detail);
+        vec3 c2 = sampleLayer(uLayerTexture2, uLayerTileSize.z, uLayerColor[2], normal, triplanarBlend, detail);
+        vec3 c3 = sampleLayer(uLayerTexture3, uLayerTileSize.w, uLayerColor[3], normal, triplanarBlend, detail);
+
+        if (uUseSplatMap) {
+            // Authored weights, normalized so partial paints still sum to 1
+            vec4 w = texture2D(uSplatMap, vTexCoord);
+            if (uLayerCount < 4) w.a = 0.0;
+            if (uLayerCount < 3) w.b = 0.0;
+            if (uLayerCount < 2) w.g = 0.0;
+            float total = w.r + w.g + w.b + w.a;
+            if (total < 0.0001) return c0;
+            return (c0 * w.r + c1 * w.g + c2 * w.b + c3 * w.a) / total;
+        }
+
+        // Rules: each layer is painted over the previous ones
+        vec3 color = c0;
+        if (uLayerCount > 1) color = mix(color, c1, layerWeight(1, height, slope));
+        if (uLayerCount > 2) color = mix(color, c2, layerWeight(2, height, slope));
+        if (uLayerCount > 3) color = mix(color, c3, layerWeight(3, height, slope));
+        return color;
+    }
 
     void main() {
         // Normalize interpolated normal
@@ -242,9 +329,35 @@ export const terrainFragmentShader = `
         // Combine lighting
         vec3 lighting = ambient + diffuse + specular;
 
-        // TODO: When textures are implemented, use:
-        // vec3 baseColor = uUseTexture ? texture2D(uTerrainTexture, vTexCoord).rgb : uTerrainColor;
-        vec3 color = uTerrainColor * lighting;
+        vec3 baseColor = uUseMaterial ? terrainMaterialColor(normal) : uTerrainColor;
+
+        // Biome tint: meadow, forest, scree... over the same material layers
+        if (uUseBiomeMap) {
+            vec3 tint = texture2D(uBiomeMap, vTexCoord).rgb * 2.0;
+            baseColor *= mix(vec3(1.0), tint, uBiomeStrength);
+        }
+
+        // Wet sand: darker ground under the water and along the shoreline
+        if (uUseWaterMap) {
+            vec4 water = texture2D(uWaterMap, vTexCoord);
+            float wet = max(water.a, 1.0 - smoothstep(0.0, 0.4, water.b));
+            baseColor *= mix(1.0, 0.6, wet);
+        }
+        vec3 color = baseColor * lighting;
+
+        // Navigation debug overlay: walkable cells green to yellow by cost, blocked cells red
+        if (uUseNavOverlay) {
+            vec4 nav = texture2D(uNavOverlay, vTexCoord);
+            color = mix(color, nav.rgb, nav.a);
+        }
+
+        // Editor brush: thin ring on the radius plus a faint tint inside
+        if (uBrush.w > 0.0) {
+            float brushDistance = length(vWorldPos.xz - uBrush.xz);
+            float ring = 1.0 - smoothstep(0.05, 0.3, abs(brushDistance - uBrush.w));
+            float inside = 1.0 - step(uBrush.w, brushDistance);
+            color = mix(color, vec3(1.0, 0.85, 0.3), max(ring * 0.8, inside * 0.12));
+        }
 
         // Apply fog
         float fogFactor = clamp((uFogEnd - vDistance) / (uFogEnd - uFogStart), 0.0, 1.0);
@@ -254,11 +367,116 @@ export const terrainFragmentShader = `
     }
 `;
 
+// Fragment shader per l'apron del terreno (usa terrainVertexShader)
+// vTexCoord.x = 0 al bordo del terreno, 1 sotto il matte painting:
+// il colore passa da quello del terreno al fog e poi al colore del layer più vicino
+export const terrainApronFragmentShader = `
+    precision mediump float;
+
+    varying vec3 vNormal;
+    varying vec2 vTexCoord;
+    varying float vDistance;
+
+    uniform vec3 uLightDir;
+    uniform vec3 uTerrainColor;      // Colore del terreno al bordo (layer base del materiale)
+    uniform vec3 uMatteColor;        // Colore alla base del matte painting più vicino
+    uniform float uMatteFadeStart;   // Fade (0-1) da cui si passa al colore del matte painting
+    uniform vec3 uFogColor;
+    uniform float uFogStart;
+    uniform float uFogEnd;
+
+    void main() {
+        vec3 normal = normalize(vNormal);
+        float fade = vTexCoord.x;
+
+        // Same ambient + diffuse as the terrain, so the seam at the border does not show
+        float diffuse = max(dot(normal, uLightDir), 0.0);
+        vec3 color = uTerrainColor * (vec3(0.3) + vec3(diffuse));
+
+        // Distance fog, as on the terrain
+        float fogFactor = clamp((uFogEnd - vDistance) / (uFogEnd - uFogStart), 0.0, 1.0);
+        color = mix(uFogColor, color, fogFactor);
+
+        // Outer part of the ring melts into the painted ground of the matte layer
+        color = mix(color, uMatteColor, smoothstep(uMatteFadeStart, 1.0, fade));
+
+        gl_FragColor = vec4(color, 1.0);
+    }
+`;
+
+// Fragment shader per l'acqua (usa terrainVertexShader, vTexCoord come il terreno)
+// Normali animate da onde sinusoidali, colore e trasparenza in base alla profondità,
+// schiuma lungo la costa e fog che rende l'acqua lontana opaca come il resto della scena
+export const waterFragmentShader = `
+    precision mediump float;
+
+    varying vec3 vWorldPos;
+    varying vec2 vTexCoord;
+    varying float vDistance;
+
+    uniform vec3 uLightDir;
+    uniform vec3 uCameraPos;
+    uniform float uTime;
+    uniform sampler2D uWaterMap;     // R = profondità, G = distanza dalla costa in acqua (water.js)
+    uniform vec3 uShallowColor;
+    uniform vec3 uDeepColor;
+    uniform float uWaveStrength;     // Inclinazione massima delle normali
+    uniform vec3 uFogColor;
+    uniform float uFogStart;
+    uniform float uFogEnd;
+
+    // Gradient of a sine wave travelling along dir
+    vec2 waveSlope(vec2 p, vec2 dir, float frequency, float speed) {
+        return dir * frequency * cos(dot(dir, p) * frequency + uTime * speed);
+    }
+
+    void main() {
+        vec2 p = vWorldPos.xz;
+        vec2 slope = waveSlope(p, vec2(0.8, 0.6), 0.9, 1.3) * 0.5 +
+                     waveSlope(p, vec2(-0.6, 0.8), 1.7, 1.9) * 0.25 +
+                     waveSlope(p, vec2(0.2, -0.98), 3.1, 2.7) * 0.15 +
+                     waveSlope(p, vec2(-0.9, -0.44), 5.3, 3.4) * 0.1;
+        vec3 normal = normalize(vec3(-slope.x * uWaveStrength, 1.0, -slope.y * uWaveStrength));
+
+        vec4 water = texture2D(uWaterMap, vTexCoord);
+        float depth = water.r;
+
+        // Shallow water near the shore, deep colour in the middle of the lake
+        vec3 color = mix(uShallowColor, uDeepColor, smoothstep(0.0, 1.0, depth));
+        float diffuse = max(dot(normal, uLightDir), 0.0);
+        color *= vec3(0.5) + vec3(0.5 * diffuse);
+
+        // Sky reflection at grazing angles, sun glint
+        vec3 viewDir = normalize(uCameraPos - vWorldPos);
+        float fresnel = pow(1.0 - max(dot(viewDir, normal), 0.0), 3.0);
+        color = mix(color, uFogColor, fresnel * 0.6);
+        vec3 reflectDir = reflect(-uLightDir, normal);
+        color += vec3(pow(max(dot(viewDir, reflectDir), 0.0), 64.0) * 0.8);
+
+        // Foam band along the shoreline, slowly pulsing
+        float foam = 1.0 - smoothstep(0.0, 0.3, water.g);
+        foam *= 0.7 + 0.3 * sin(uTime * 1.5 + water.g * 40.0);
+        color = mix(color, vec3(0.95), foam * 0.8);
+
+        // Transparent over the shallows, more opaque with depth
+        float alpha = mix(0.35, 0.9, smoothstep(0.0, 1.0, depth));
+        alpha = max(alpha, foam * 0.8 + fresnel * 0.3);
+
+        // Fog: far water fades into the fog colour and stops showing the bottom
+        float fogFactor = clamp((uFogEnd - vDistance) / (uFogEnd - uFogStart), 0.0, 1.0);
+        color = mix(uFogColor, color, fogFactor);
+        alpha = mix(1.0, alpha, fogFactor);
+
+        gl_FragColor = vec4(color, clamp(alpha, 0.0, 1.0));
+    }
+`;
+
 // ============================================================
 // MATTE PAINTING SHADERS
 // ============================================================
 
-// Vertex shader per matte painting layers con parallasse
+// Vertex shader per matte painting layers
+// La parallasse è nella model matrix: il nodo del layer segue la camera (world-scene.js)
 export const mattePaintingVertexShader = `
     attribute vec3 aPosition;
     attribute vec3 aNormal;
@@ -267,23 +485,14 @@ export const mattePaintingVertexShader = `
     uniform mat4 uModelMatrix;
     uniform mat4 uViewMatrix;
     uniform mat4 uProjectionMatrix;
-    uniform float uParallaxFactor;  // 0.0 = fisso, 1.0 = movimento completo
 
     varying vec2 vTexCoord;
     varying vec3 vNormal;
     varying float vDistance;
 
     void main() {
-        // Apply parallax effect to view matrix
-        mat4 parallaxView = uViewMatrix;
-
-        // Scale translation component by parallax factor
-        // 0.0 = no movement (like skybox), 1.0 = full movement
-        parallaxView[3][0] *= uParallaxFactor;
-        parallaxView[3][2] *= uParallaxFactor;
-
         vec4 worldPos = uModelMatrix * vec4(aPosition, 1.0);
-        vec4 viewPos = parallaxView * worldPos;
+        vec4 viewPos = uViewMatrix * worldPos;
         gl_Position = uProjectionMatrix * viewPos;
 
         vTexCoord = aTexCoord;
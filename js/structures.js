@@ -0,0 +1,301 @@
+/**
+ * Structures on building plots
+ * Prefabs (a mesh, a colour and a footprint in meters) are placed on the named
+ * plots registered by the Heightmap flatten operations (Heightmap.plots).
+ *
+ * Every placement is validated before it is accepted:
+ *   - the rotated footprint must lie on the flat core of its plot
+ *   - it must not overlap any other placement (any plot)
+ *
+ * The renderer draws placements with the shared mesh shader, one model matrix
+ * (rotation around Y + translation) per placement.
+ *
+ * Same mapping as the terrain: 1 pixel = 1 meter, pixel (0, 0) at world (-width/2, -height/2).
+ */
+
+import { createBoxesMesh } from './geometry.js';
+import { mat4FromYRotationTranslation } from './math-utils.js';
+
+// Spacing (m) of the footprint edge samples tested against the plot shape
+const FOOTPRINT_SAMPLE_STEP = 0.5;
+
+/**
+ * Prefab di default, costruiti con box (origine al centro della base, +Z = fronte)
+ * footprint: [larghezza X, profondità Z] in metri, usato per la validazione
+ * @param {WebGLRenderingContext} gl - Contesto WebGL
+ * @returns {Object} Prefab per nome { house, hall, tower, wall }
+ */
+export function createDefaultPrefabs(gl) {
+    const prefab = (name, color, footprint, boxes) => ({
+        name,
+        color,
+        footprint,
+        mesh: createBoxesMesh(gl, boxes)
+    });
+
+    return {
+        house: prefab('house', [0.75, 0.6, 0.45], [6, 8], [
+            { size: [6, 3.5, 8] },
+            { size: [4.5, 1, 8.4], position: [0, 3.5, 0] },      // stepped roof
+            { size: [2.5, 0.8, 8.4], position: [0, 4.5, 0] }
+        ]),
+        hall: prefab('hall', [0.65, 0.55, 0.5], [10, 16], [
+            { size: [10, 5, 16] },
+            { size: [7, 1.2, 16.5], position: [0, 5, 0] },
+            { size: [3.5, 1, 16.5], position: [0, 6.2, 0] }
+        ]),
+        tower: prefab('tower', [0.6, 0.6, 0.62], [6, 6], [
+            { size: [5, 16, 5] },
+            { size: [6, 1.5, 6], position: [0, 16, 0] },        // battlements
+            { size: [1, 1, 1], position: [-2.5, 17.5, -2.5] },
+            { size: [1, 1, 1], position: [2.5, 17.5, -2.5] },
+            { size: [1, 1, 1], position: [-2.5, 17.5, 2.5] },
+            { size: [1, 1, 1], position: [2.5, 17.5, 2.5] }
+        ]),
+        wall: prefab('wall', [0.55, 0.55, 0.55], [12, 1.5], [
+            { size: [12, 3, 1.5] }
+        ])
+    };
+}
+
+/**
+ * Corners of a footprint rectangle in world XZ, rotated like the model matrix
+ */
+function footprintCorners(center, footprint, rotation) {
+    const c = Math.cos(rotation);
+    const s = Math.sin(rotation);
+    const hw = footprint[0] / 2;
+    const hd = footprint[1] / 2;
+
+    return [[-hw, -hd], [hw, -hd], [hw, hd], [-hw, hd]].map(([x, z]) => [
+        center[0] + c * x + s * z,
+        center[1] - s * x + c * z
+    ]);
+}
+
+/**
+ * true if two convex polygons (corners in order) overlap, separating axis test
+ * Touching edges do not count as overlap.
+ */
+function polygonsOverlap(a, b) {
+    for (const polygon of [a, b]) {
+        for (let i = 0; i < polygon.length; i++) {
+            const p = polygon[i];
+            const q = polygon[(i + 1) % polygon.length];
+            const axis = [q[1] - p[1], p[0] - q[0]];
+
+            const project = (points) => {
+                let min = Infinity;
+                let max = -Infinity;
+                for (const point of points) {
+                    const d = point[0] * axis[0] + point[1] * axis[1];
+                    min = Math.min(min, d);
+                    max = Math.max(max, d);
+                }
+                return [min, max];
+            };
+
+            const [minA, maxA] = project(a);
+            const [minB, maxB] = project(b);
+            if (maxA <= minB + 1e-6 || maxB <= minA + 1e-6) return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * true if segments ab and cd cross at a point inside both (touching does not count)
+ */
+function segmentsCross(a, b, c, d) {
+    const side = (p, q, r) => (q[0] - p[0]) * (r[1] - p[1]) - (q[1] - p[1]) * (r[0] - p[0]);
+    const opposite = (s1, s2) => (s1 > 1e-9 && s2 < -1e-9) || (s1 < -1e-9 && s2 > 1e-9);
+    return opposite(side(c, d, a), side(c, d, b)) && opposite(side(a, b, c), side(a, b, d));
+}
+
+/**
+ * true if a point lies strictly inside a convex polygon (corners in order)
+ */
+function pointInsideConvex(point, polygon) {
+    let sign = 0;
+    for (let i = 0; i < polygon.length; i++) {
+        const p = polygon[i];
+        const q = polygon[(i + 1) % polygon.length];
+        const cross = (q[0] - p[0]) * (point[1] - p[1]) - (q[1] - p[1]) * (point[0] - p[0]);
+        if (Math.abs(cross) <= 1e-9) return false;
+        if (sign === 0) sign = Math.sign(cross);
+        else if (Math.sign(cross) !== sign) return false;
+    }
+    return true;
+}
+
+/**
+ * true if the outline of a polygon plot enters a footprint (both in the same space): one of
+ * its edges crosses a footprint edge or one of its vertices lies inside the footprint.
+ * Catches the notches of non-convex plots that the outline samples step over.
+ */
+function outlineEntersFootprint(points, corners) {
+    for (let i = 0; i < points.length; i++) {
+        const p = points[i];
+        const q = points[(i + 1) % points.length];
+        if (pointInsideConvex(p, corners)) return true;
+        for (let j = 0; j < corners.length; j++) {
+            if (segmentsCross(p, q, corners[j], corners[(j + 1) % corners.length])) return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Strutture piazzate sui lotti di una heightmap
+ */
+export class StructureLayout {
+    /**
+     * @param {Heightmap} heightmap - Heightmap con i lotti registrati (heightmap.plots)
+     */
+    constructor(heightmap) {
+        this.heightmap = heightmap;
+        this.offsetX = -heightmap.width / 2;
+        this.offsetZ = -heightmap.height / 2;
+        this.placements = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Lotto per nome (errore se non esiste)
+     */
+    getPlot(name) {
+        const plot = this.heightmap.getPlot(name);
+        if (!plot) {
+            throw new Error(`Unknown plot "${name}"`);
+        }
+        return plot;
+    }
+
+    /**
+     * Centro del lotto in world space [x, z] (centro del bounding box)
+     */
+    getPlotCenter(name) {
+        const { bounds } = this.getPlot(name);
+        return [
+            (bounds.minX + bounds.maxX) / 2 + this.offsetX,
+            (bounds.minY + bounds.maxY) / 2 + this.offsetZ
+        ];
+    }
+
+    /**
+     * Controlla se un prefab può essere piazzato, senza piazzarlo
+     *
+     * @param {Object} prefab - Prefab { name, mesh, color, footprint }
+     * @param {string} plotName - Nome del lotto
+     * @param {Object} options - Come place()
+     * @returns {{valid: boolean, reason: string|null}}
+     */
+    validate(prefab, plotName, options = {}) {
+        const plot = this.heightmap.getPlot(plotName);
+        if (!plot) {
+            return { valid: false, reason: `Unknown plot "${plotName}"` };
+        }
+
+        const { center, footprint, rotation } = this.resolvePlacement(prefab, plotName, options);
+        if (!(footprint[0] > 0 && footprint[1] > 0)) {
+            return { valid: false, reason: `Invalid footprint ${footprint[0]}x${footprint[1]} for "${prefab.name}"` };
+        }
+        const corners = footprintCorners(center, footprint, rotation);
+
+        // Fit: sample the footprint outline against the plot's flat core
+        for (let i = 0; i < 4; i++) {
+            const p = corners[i];
+            const q = corners[(i + 1) % 4];
+            const steps = Math.max(1, Math.ceil(Math.hypot(q[0] - p[0], q[1] - p[1]) / FOOTPRINT_SAMPLE_STEP));
+            for (let s = 0; s < steps; s++) {
+                const t = s / steps;
+                const px = p[0] + (q[0] - p[0]) * t - this.offsetX;
+                const py = p[1] + (q[1] - p[1]) * t - this.offsetZ;
+                if (plot.signedDistance(px, py) > 1e-6) {
+                    return { valid: false, reason: `"${prefab.name}" does not fit inside plot "${plotName}"` };
+                }
+            }
+        }
+        if (plot.shape.type === 'polygon') {
+            const localCorners = corners.map(([x, z]) => [x - this.offsetX, z - this.offsetZ]);
+            if (outlineEntersFootprint(plot.shape.points, localCorners)) {
+                return { valid: false, reason: `"${prefab.name}" does not fit inside plot "${plotName}"` };
+            }
+        }
+
+        // Overlap with every structure already placed
+        for (const other of this.placements) {
+            if (polygonsOverlap(corners, other.corners)) {
+                return {
+                    valid: false,
+                    reason: `"${prefab.name}" overlaps "${other.prefab.name}" #${other.id} on plot "${other.plot.name}"`
+                };
+            }
+        }
+
+        return { valid: true, reason: null };
+    }
+
+    /**
+     * Piazza un prefab su un lotto (errore se non entra nel lotto o si sovrappone ad altre strutture)
+     *
+     * @param {Object} prefab - Prefab { name, mesh, color, footprint }
+     * @param {string} plotName - Nome del lotto (es. 'center')
+     * @param {Object} options - Opzioni
+     * @param {Array<number>} options.position - Centro [x, z] in world space (default: centro del lotto + offset)
+     * @param {Array<number>} options.offset - Spostamento [x, z] (m) dal centro del lotto
+     * @param {number} options.rotation - Orientamento attorno a Y in radianti
+     * @param {Array<number>} options.footprint - Ingombro [larghezza, profondità] (default: quello del prefab)
+     * @returns {Object} Piazzamento { id, prefab, plot, position, rotation, footprint, corners, modelMatrix }
+     */
+    place(prefab, plotName, options = {}) {
+        const { valid, reason } = this.validate(prefab, plotName, options);
+        if (!valid) {
+            throw new Error(`Cannot place structure: ${reason}`);
+        }
+
+        const plot = this.getPlot(plotName);
+        const { center, footprint, rotation } = this.resolvePlacement(prefab, plotName, options);
+        const position = [center[0], plot.elevation, center[1]];
+
+        const placement = {
+            id: this.nextId++,
+            prefab,
+            plot,
+            position,
+            rotation,
+            footprint,
+            corners: footprintCorners(center, footprint, rotation),
+            modelMatrix: mat4FromYRotationTranslation(position, rotation)
+        };
+        this.placements.push(placement);
+        return placement;
+    }
+
+    /**
+     * Rimuove un piazzamento
+     * @returns {boolean} true se era presente
+     */
+    remove(placement) {
+        const index = this.placements.indexOf(placement);
+        if (index === -1) return false;
+        this.placements.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Piazzamenti su un lotto
+     */
+    getPlacements(plotName) {
+        return this.placements.filter((placement) => placement.plot.name === plotName);
+    }
+
+    resolvePlacement(prefab, plotName, { position = null, offset = [0, 0], rotation = 0, footprint = null }) {
+        let center = position;
+        if (!center) {
+            const plotCenter = this.getPlotCenter(plotName);
+            center = [plotCenter[0] + offset[0], plotCenter[1] + offset[1]];
+        }
+        return { center, footprint: footprint || prefab.footprint, rotation };
+    }
+}
@@ -0,0 +1,148 @@
+/**
+ * Terrain apron
+ * A low-poly ring that continues the terrain past the playable area, from the
+ * heightmap border out under the nearest matte painting layer. It hides the
+ * hard edge of the terrain: the inner ring follows the border heights, the
+ * outer rings settle at the horizon height with a gentle seeded undulation.
+ *
+ * Vertex layout is position(3) + normal(3) + texCoord(2) = 32 bytes, with
+ * texCoord.x = fade (0 at the terrain border, 1 at the outer edge) and
+ * texCoord.y = angle around the terrain (0-1). The apron shader uses the fade
+ * to blend the terrain colour into the fog and the matte painting colour.
+ */
+
+import { createPerlinNoise } from './noise.js';
+import { computeMeshBounds } from './bounds.js';
+
+/**
+ * Points along the heightmap border (pixels), clockwise starting at (0, 0)
+ */
+function borderPoints(width, height, step) {
+    const points = [];
+    for (let x = 0; x < width - 1; x += step) points.push([x, 0]);
+    for (let z = 0; z < height - 1; z += step) points.push([width - 1, z]);
+    for (let x = width - 1; x > 0; x -= step) points.push([x, height - 1]);
+    for (let z = height - 1; z > 0; z -= step) points.push([0, z]);
+    return points;
+}
+
+/**
+ * Crea l'apron attorno al terreno
+ * Stesso sistema di coordinate del terreno: 1 pixel = 1 metro, centrato in (0, 0)
+ *
+ * @param {WebGLRenderingContext} gl - Contesto WebGL
+ * @param {Heightmap} heightmap - Heightmap del terreno (bordo già sfumato con applyEdgeFalloff)
+ * @param {Object} options - Opzioni
+ * @param {number} options.radius - Raggio esterno (m), oltre il layer di matte painting più vicino
+ * @param {number} options.rings - Anelli di vertici dal bordo al raggio esterno
+ * @param {number} options.borderStep - Passo (pixel) dei vertici lungo il bordo del terreno
+ * @param {number} options.horizonHeight - Altezza (m) a cui si assesta l'apron
+ * @param {number} options.relief - Ondulazione massima (m) degli anelli intermedi
+ * @param {number|string} options.seed - Seed dell'ondulazione
+ * @returns {Object} Mesh { vbo, ibo, indexCount, vertexCount, radius }
+ */
+export function createTerrainApron(gl, heightmap, {
+    radius = 200,
+    rings = 4,
+    borderStep = 4,
+    horizonHeight = 0,
+    relief = 3,
+    seed = 0
+} = {}) {
+    const { width, height } = heightmap;
+    const offsetX = -width / 2;
+    const offsetZ = -height / 2;
+    const noise = createPerlinNoise(`${seed}:apron`);
+    const border = borderPoints(width, height, borderStep);
+    const columns = border.length;
+
+    // Positions: ring 0 on the terrain border, ring `rings` on the outer circle
+    const positions = [];
+    for (let ring = 0; ring <= rings; ring++) {
+        const t = ring / rings;
+        for (const [px, pz] of border) {
+            const innerX = px + offsetX;
+            const innerZ = pz + offsetZ;
+            const angle = Math.atan2(innerZ, innerX);
+            const outerX = Math.cos(angle) * radius;
+            const outerZ = Math.sin(angle) * radius;
+
+            const x = innerX + (outerX - innerX) * t;
+            const z = innerZ + (outerZ - innerZ) * t;
+
+            // Border height at the inner ring, undulation fading in and out across the apron
+            const borderHeight = heightmap.get(px, pz);
+            const settle = t * t * (3 - 2 * t);
+            const bump = noise(x * 0.02, z * 0.02) * relief * Math.sin(t * Math.PI);
+            const y = borderHeight + (horizonHeight - borderHeight) * settle + bump;
+
+            positions.push([x, y, z]);
+        }
+    }
+
+    const indices = [];
+    for (let ring = 0; ring < rings; ring++) {
+        for (let i = 0; i < columns; i++) {
+            const next = (i + 1) % columns;
+            const a = ring * columns + i;
+            const b = ring * columns + next;
+            const c = (ring + 1) * columns + i;
+            const d = (ring + 1) * columns + next;
+
+            // Counter-clockwise seen from above (same facing as the terrain)
+            indices.push(a, b, c);
+            indices.push(b, d, c);
+        }
+    }
+
+    // Smooth normals accumulated from the face normals
+    const normals = positions.map(() => [0, 0, 0]);
+    for (let i = 0; i < indices.length; i += 3) {
+        const p0 = positions[indices[i]];
+        const p1 = positions[indices[i + 1]];
+        const p2 = positions[indices[i + 2]];
+        const e1 = [p1[0] - p0[0], p1[1] - p0[1], p1[2] - p0[2]];
+        const e2 = [p2[0] - p0[0], p2[1] - p0[1], p2[2] - p0[2]];
+        const n = [
+            e1[1] * e2[2] - e1[2] * e2[1],
+            e1[2] * e2[0] - e1[0] * e2[2],
+            e1[0] * e2[1] - e1[1] * e2[0]
+        ];
+        for (let k = 0; k < 3; k++) {
+            const normal = normals[indices[i + k]];
+            normal[0] += n[0];
+            normal[1] += n[1];
+            normal[2] += n[2];
+        }
+    }
+
+    const vertexData = new Float32Array(positions.length * 8);
+    positions.forEach((p, index) => {
+        const n = normals[index];
+        const len = Math.sqrt(n[0] * n[0] + n[1] * n[1] + n[2] * n[2]) || 1;
+        const offset = index * 8;
+        vertexData.set(p, offset);
+        vertexData[offset + 3] = n[0] / len;
+        vertexData[offset + 4] = n[1] / len;
+        vertexData[offset + 5] = n[2] / len;
+        vertexData[offset + 6] = Math.floor(index / columns) / rings;
+        vertexData[offset + 7] = (index % columns) / columns;
+    });
+
+    const vbo = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, vbo);
+    gl.bufferData(gl.ARRAY_BUFFER, vertexData, gl.STATIC_DRAW);
+
+    const ibo = gl.createBuffer();
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, ibo);
+    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(indices), gl.STATIC_DRAW);
+
+    return {
+        vbo: vbo,
+        ibo: ibo,
+        indexCount: indices.length,
+        vertexCount: positions.length,
+        bounds: computeMeshBounds(vertexData),
+        radius: radius
+    };
+}
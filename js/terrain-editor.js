@@ -0,0 +1,369 @@
+/**
+ * In-game terrain editor
+ * Sculpting brushes (raise, lower, smooth, flatten, noise) aimed with a ray cast
+ * from the mouse cursor onto the terrain. Every frame only the edited region
+ * is rewritten in the terrain VBO (bufferSubData) with its normals, strokes go
+ * on an undo/redo stack and the result can be exported as a 16-bit PNG
+ * heightmap (heightmap-io.js) to replace the generated one.
+ *
+ * Controls (editor mode, default bindings of the editor* actions in input.js):
+ *   E toggle editor | 1-5 brush | [ ] radius | - = strength | , . falloff
+ *   Left mouse paint | Right mouse drag look | Ctrl+Z undo | Ctrl+Y / Ctrl+Shift+Z redo | P export PNG
+ */
+
+import { createPerlinNoise } from './noise.js';
+import { getEasing } from './easing.js';
+import { heightmapToPNG } from './heightmap-io.js';
+import { updateTerrainMeshRows } from './terrain-mesh.js';
+
+export const BRUSH_TYPES = ['raise', 'lower', 'smooth', 'flatten', 'noise'];
+
+// Undo history length (strokes)
+const MAX_HISTORY = 50;
+
+/**
+ * Applica un pennello alla heightmap per un intervallo dt
+ *   raise/lower/noise: strength in metri al secondo al centro del pennello
+ *   smooth/flatten: strength = frazione per secondo verso la media dei vicini / verso brush.target
+ * Il peso è 1 nel nucleo (1 - falloff) * radius e sfuma a 0 sul bordo.
+ *
+ * @param {Heightmap} heightmap - Heightmap da modificare (in place)
+ * @param {Object} brush - { type, radius, strength, falloff (0-1), easing, target (flatten), noise (sampler) }
+ * @param {number} centerX - Centro in pixel heightmap
+ * @param {number} centerZ - Centro in pixel heightmap
+ * @param {number} dt - Intervallo in secondi
+ * @returns {{x0: number, z0: number, x1: number, z1: number}|null} Zona modificata (pixel inclusi)
+ */
+export function applyTerrainBrush(heightmap, brush, centerX, centerZ, dt) {
+    const { width, height, data } = heightmap;
+    const { type, radius, strength, falloff = 0.5 } = brush;
+    const ease = getEasing(brush.easing || 'smoothstep');
+
+    const x0 = Math.max(Math.floor(centerX - radius), 0);
+    const z0 = Math.max(Math.floor(centerZ - radius), 0);
+    const x1 = Math.min(Math.ceil(centerX + radius), width - 1);
+    const z1 = Math.min(Math.ceil(centerZ + radius), height - 1);
+    if (x0 > x1 || z0 > z1) return null;
+
+    // Smoothing reads the neighbours as they were before this step
+    let source = null;
+    if (type === 'smooth') {
+        source = data.slice(Math.max(z0 - 1, 0) * width, (Math.min(z1 + 1, height - 1) + 1) * width);
+    }
+    const sourceRow = Math.max(z0 - 1, 0);
+
+    const hardness = 1 - falloff;
+    for (let z = z0; z <= z1; z++) {
+        for (let x = x0; x <= x1; x++) {
+            const d = Math.hypot(x - centerX, z - centerZ) / radius;
+            if (d >= 1) continue;
+            const weight = d <= hardness ? 1 : 1 - ease((d - hardness) / falloff);
+            const index = z * width + x;
+            const amount = strength * dt * weight;
+
+            switch (type) {
+                case 'raise':
+                    data[index] += amount;
+                    break;
+                case 'lower':
+                    data[index] -= amount;
+                    break;
+                case 'noise':
+                    data[index] += brush.noise(x * 0.15, z * 0.15) * amount;
+                    break;
+                case 'flatten':
+                    data[index] += (brush.target - data[index]) * Math.min(amount, 1);
+                    break;
+                case 'smooth': {
+                    let sum = 0;
+                    let count = 0;
+                    for (let nz = Math.max(z - 1, 0); nz <= Math.min(z + 1, height - 1); nz++) {
+                        for (let nx = Math.max(x - 1, 0); nx <= Math.min(x + 1, width - 1); nx++) {
+                            sum += source[(nz - sourceRow) * width + nx];
+                            count++;
+                        }
+                    }
+                    data[index] += (sum / count - data[index]) * Math.min(amount, 1);
+                    break;
+                }
+                default:
+                    throw new Error(`Unknown brush type: ${type}`);
+            }
+        }
+    }
+
+    return { x0, z0, x1, z1 };
+}
+
+/**
+ * Editor del terreno in gioco
+ */
+export class TerrainEditor {
+    /**
+     * @param {WebGLRenderingContext} gl - Contesto WebGL
+     * @param {Object} options - { heightmap, terrain (TerrainChunks o mesh singola), query (TerrainQuery),
+     *        camera (FOV e matrice view del raggio del cursore), viewport (aspect, default quello del canvas),
+     *        statusElement (opzionale) }
+     */
+    constructor(gl, { heightmap, terrain, query, camera, viewport = null, statusElement = null }) {
+        this.gl = gl;
+        this.heightmap = heightmap;
+        this.terrain = terrain;
+        this.query = query;
+        this.camera = camera;
+        this.viewport = viewport;
+        this.statusElement = statusElement;
+
+        this.enabled = false;
+        this.brush = {
+            type: 'raise',
+            radius: 8,
+            strength: 2,
+            falloff: 0.5,
+            easing: 'smoothstep',
+            target: 0,
+            noise: createPerlinNoise('terrain-editor')
+        };
+
+        this.cursor = [0, 0];     // Mouse position in NDC (-1..1)
+        this.hit = null;          // Terrain point under the cursor
+        this.painting = false;
+        this.stroke = null;       // { snapshot, rect } while painting
+
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Inizializza gli event listener (tasti tramite le azioni editor* dell'input manager)
+     * @param {HTMLCanvasElement} canvas - Canvas del gioco
+     * @param {InputManager} input - Input manager condiviso
+     */
+    initInput(canvas, input) {
+        this.canvas = canvas;
+
+        input.onAction('toggleEditor', (e) => {
+            if (e && (e.ctrlKey || e.repeat)) return;
+            this.setEnabled(!this.enabled);
+        });
+
+        const editorActions = {
+            editorUndo: () => this.undo(),
+            editorRedo: () => this.redo(),
+            editorRadiusDown: () => { this.brush.radius = Math.max(1, this.brush.radius - 1); },
+            editorRadiusUp: () => { this.brush.radius = Math.min(64, this.brush.radius + 1); },
+            editorStrengthDown: () => { this.brush.strength = Math.max(0.25, this.brush.strength / 1.25); },
+            editorStrengthUp: () => { this.brush.strength = Math.min(20, this.brush.strength * 1.25); },
+            editorFalloffDown: () => { this.brush.falloff = Math.max(0.05, this.brush.falloff - 0.05); },
+            editorFalloffUp: () => { this.brush.falloff = Math.min(1, this.brush.falloff + 0.05); },
+            editorExport: () => this.exportHeightmap()
+        };
+        BRUSH_TYPES.forEach((type, i) => {
+            editorActions[`editorBrush${i + 1}`] = () => { this.brush.type = type; };
+        });
+
+        for (const [action, handler] of Object.entries(editorActions)) {
+            input.onAction(action, () => {
+                if (!this.enabled) return;
+                handler();
+                this.updateStatus();
+            });
+        }
+
+        canvas.addEventListener('mousemove', (e) => {
+            if (!this.enabled) return;
+            const rect = canvas.getBoundingClientRect();
+            this.cursor[0] = ((e.clientX - rect.left) / rect.width) * 2 - 1;
+            this.cursor[1] = 1 - ((e.clientY - rect.top) / rect.height) * 2;
+
+            // Right button held: look around (the pointer is not locked in editor mode)
+            if (e.buttons & 2) {
+                this.camera.yaw -= e.movementX * 0.004;
+                this.camera.pitch -= e.movementY * 0.004;
+                this.camera.pitch = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, this.camera.pitch));
+            }
+        });
+
+        canvas.addEventListener('mousedown', (e) => {
+            if (this.enabled && e.button === 0) this.beginStroke();
+        });
+
+        document.addEventListener('mouseup', (e) => {
+            if (e.button === 0) this.endStroke();
+        });
+
+        canvas.addEventListener('contextmenu', (e) => {
+            if (this.enabled) e.preventDefault();
+        });
+    }
+
+    /**
+     * Attiva/disattiva la modalità editor (libera il puntatore per mirare col cursore)
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.camera.pointerLockEnabled = !enabled;
+        if (enabled && document.pointerLockElement) {
+            document.exitPointerLock();
+        }
+        if (!enabled) {
+            this.endStroke();
+            this.hit = null;
+        }
+        this.updateStatus();
+    }
+
+    /**
+     * Raggio dalla camera attraverso il cursore, con la stessa view e projection del renderer
+     * (FOV corrente della camera, base della view matrix: anche in terza persona e in orbit)
+     * @returns {Array<number>} Direzione [x, y, z] (non normalizzata)
+     */
+    getCursorRay() {
+        // Rows of the view rotation: right, up and back (the camera looks down -Z)
+        const v = this.camera.getViewMatrix();
+        const tanHalf = Math.tan(this.camera.fov / 2);
+        const aspect = this.viewport ? this.viewport.aspect : this.canvas.width / this.canvas.height;
+        const sx = this.cursor[0] * tanHalf * aspect;
+        const sy = this.cursor[1] * tanHalf;
+
+        return [
+            v[0] * sx + v[1] * sy - v[2],
+            v[4] * sx + v[5] * sy - v[6],
+            v[8] * sx + v[9] * sy - v[10]
+        ];
+    }
+
+    /**
+     * Aggiorna il punto mirato e applica il pennello se si sta dipingendo
+     * @param {number} dt - Delta time in secondi
+     */
+    update(dt) {
+        if (!this.enabled) return;
+
+        this.hit = this.query.raycast(this.camera.getViewPosition(), this.getCursorRay());
+        if (!this.painting || !this.hit) return;
+
+        const [px, pz] = this.query.worldToHeightmap(this.hit.point[0], this.hit.point[2]);
+        const rect = applyTerrainBrush(this.heightmap, this.brush, px, pz, Math.min(dt, 0.1));
+        if (!rect) return;
+
+        this.updateGPU(rect);
+
+        const strokeRect = this.stroke.rect;
+        this.stroke.rect = strokeRect ? {
+            x0: Math.min(strokeRect.x0, rect.x0),
+            z0: Math.min(strokeRect.z0, rect.z0),
+            x1: Math.max(strokeRect.x1, rect.x1),
+            z1: Math.max(strokeRect.z1, rect.z1)
+        } : rect;
+    }
+
+    beginStroke() {
+        if (this.painting) return;
+        this.painting = true;
+        this.stroke = { snapshot: this.heightmap.data.slice(), rect: null };
+
+        // Flatten levels to the height under the cursor when the stroke starts
+        if (this.hit) this.brush.target = this.hit.point[1];
+    }
+
+    endStroke() {
+        if (!this.painting) return;
+        this.painting = false;
+
+        const { snapshot, rect } = this.stroke;
+        this.stroke = null;
+        if (!rect) return;
+
+        this.undoStack.push({
+            ...rect,
+            before: this.copyRegion(snapshot, rect),
+            after: this.copyRegion(this.heightmap.data, rect)
+        });
+        if (this.undoStack.length > MAX_HISTORY) this.undoStack.shift();
+        this.redoStack.length = 0;
+
+        this.query.refresh();
+        this.updateStatus();
+    }
+
+    undo() {
+        const edit = this.undoStack.pop();
+        if (!edit) return;
+        this.writeRegion(edit.before, edit);
+        this.redoStack.push(edit);
+    }
+
+    redo() {
+        const edit = this.redoStack.pop();
+        if (!edit) return;
+        this.writeRegion(edit.after, edit);
+        this.undoStack.push(edit);
+    }
+
+    copyRegion(source, { x0, z0, x1, z1 }) {
+        const width = this.heightmap.width;
+        const rowLength = x1 - x0 + 1;
+        const region = new Float32Array(rowLength * (z1 - z0 + 1));
+        for (let z = z0; z <= z1; z++) {
+            region.set(source.subarray(z * width + x0, z * width + x1 + 1), (z - z0) * rowLength);
+        }
+        return region;
+    }
+
+    writeRegion(region, rect) {
+        const width = this.heightmap.width;
+        const rowLength = rect.x1 - rect.x0 + 1;
+        for (let z = rect.z0; z <= rect.z1; z++) {
+            const row = region.subarray((z - rect.z0) * rowLength, (z - rect.z0 + 1) * rowLength);
+            this.heightmap.data.set(row, z * width + rect.x0);
+        }
+        this.updateGPU(rect);
+        this.query.refresh();
+        this.updateStatus();
+    }
+
+    /**
+     * Riscrive sulla GPU solo la zona modificata
+     */
+    updateGPU({ x0, z0, x1, z1 }) {
+        if (this.terrain.updateRegion) {
+            this.terrain.updateRegion(x0, z0, x1, z1);
+        } else {
+            updateTerrainMeshRows(this.gl, this.terrain, this.heightmap, z0, z1);
+        }
+    }
+
+    /**
+     * Scarica la heightmap modificata come PNG 16 bit (ricaricabile con loadHeightmap)
+     * @param {string} filename - Nome del file
+     */
+    async exportHeightmap(filename = 'terrain.png') {
+        const bytes = await heightmapToPNG(this.heightmap);
+        const url = URL.createObjectURL(new Blob([bytes], { type: 'image/png' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        console.log(`✓ Heightmap exported: ${filename} (${this.heightmap.width}×${this.heightmap.height})`);
+    }
+
+    /**
+     * Cerchio del pennello per il terrain shader: [x, y, z, radius], radius 0 = nascosto
+     * @returns {Array<number>}
+     */
+    getBrushUniform() {
+        if (!this.enabled || !this.hit) return [0, 0, 0, 0];
+        return [this.hit.point[0], this.hit.point[1], this.hit.point[2], this.brush.radius];
+    }
+
+    updateStatus() {
+        if (!this.statusElement) return;
+        this.statusElement.textContent = this.enabled
+            ? `EDITOR | brush: ${this.brush.type} | radius ${this.brush.radius} m | ` +
+              `strength ${this.brush.strength.toFixed(2)} | falloff ${this.brush.falloff.toFixed(2)} | ` +
+              `undo ${this.undoStack.length} / redo ${this.redoStack.length}`
+            : '';
+    }
+}
@@ -0,0 +1,273 @@
+/**
+ * Chunked terrain with distance-based LOD (geomipmapping)
+ *
+ * The heightmap is split into square chunks of `chunkSize` cells. Every chunk
+ * has its own VBO with the full-resolution grid plus a ring of "skirt"
+ * vertices hanging below its border. All chunks share the same vertex layout,
+ * so one index buffer per LOD level is shared by every chunk: LOD n uses
+ * every 2^n-th vertex. Skirts hide the cracks between neighbouring chunks
+ * drawn at different LODs.
+ *
+ * Vertex layout is the usual position(3) + normal(3) + texCoord(2) = 32 bytes,
+ * so the terrain shader does not change. Indices are 16-bit while a chunk has
+ * at most 65536 vertices (chunkSize <= 128), 32-bit above that. Each chunk is
+ * itself a drawable mesh (vbo, ibo and indexCount of its current LOD, bounds),
+ * one scene node per chunk in world-scene.js.
+ */
+
+import { writeCentralDifferenceNormal } from './terrain-mesh.js';
+
+/**
+ * Index buffer for one LOD level, valid for every chunk
+ * Grid vertices come first ((size + 1)^2), then the skirt ring
+ */
+function buildLodIndices(chunkSize, step, indexType) {
+    const side = chunkSize + 1;
+    const indices = [];
+    const grid = (x, z) => z * side + x;
+
+    for (let z = 0; z < chunkSize; z += step) {
+        for (let x = 0; x < chunkSize; x += step) {
+            const topLeft = grid(x, z);
+            const topRight = grid(x + step, z);
+            const bottomLeft = grid(x, z + step);
+            const bottomRight = grid(x + step, z + step);
+
+            // Same winding as createTerrainMesh
+            indices.push(topLeft, bottomLeft, topRight);
+            indices.push(topRight, bottomLeft, bottomRight);
+        }
+    }
+
+    // Skirts: the border loop walked clockwise, each border vertex has a copy below it
+    const border = chunkBorder(chunkSize);
+    const skirtBase = side * side;
+    for (let i = 0; i < border.length; i += step) {
+        const next = (i + step) % border.length;
+        const a = grid(border[i][0], border[i][1]);
+        const b = grid(border[next][0], border[next][1]);
+        const aLow = skirtBase + i;
+        const bLow = skirtBase + next;
+
+        // Both windings: depending on which neighbour is lower, either side can be visible
+        indices.push(a, aLow, b, b, aLow, bLow);
+        indices.push(a, b, aLow, b, bLow, aLow);
+    }
+
+    return indexType === 'uint32' ? new Uint32Array(indices) : new Uint16Array(indices);
+}
+
+/**
+ * Border vertices of a chunk as [x, z] pairs, clockwise starting at (0, 0)
+ */
+function chunkBorder(chunkSize) {
+    const border = [];
+    for (let x = 0; x < chunkSize; x++) border.push([x, 0]);
+    for (let z = 0; z < chunkSize; z++) border.push([chunkSize, z]);
+    for (let x = chunkSize; x > 0; x--) border.push([x, chunkSize]);
+    for (let z = chunkSize; z > 0; z--) border.push([0, z]);
+    return border;
+}
+
+/**
+ * Crea il terreno a chunk con LOD a partire dalla heightmap
+ * Stesso sistema di coordinate di createTerrainMesh: 1 pixel = 1 metro, centrato in (0, 0)
+ *
+ * @param {WebGLRenderingContext} gl - Contesto WebGL
+ * @param {Heightmap} heightmap - Heightmap sorgente
+ * @param {Object} options - Opzioni
+ * @param {number} options.chunkSize - Celle per lato di ogni chunk (potenza di 2; oltre 128 servono indici a 32 bit)
+ * @param {number} options.lodLevels - Numero di livelli di dettaglio
+ * @param {number} options.lodDistance - Distanza (m) entro cui si usa il LOD 0; raddoppia ad ogni livello
+ * @param {number} options.skirtDepth - Profondità delle skirt (m)
+ * @returns {TerrainChunks} Terreno a chunk
+ */
+export function createChunkedTerrain(gl, heightmap, {
+    chunkSize = 32,
+    lodLevels = 4,
+    lodDistance = 40,
+    skirtDepth = 2
+} = {}) {
+    if ((chunkSize & (chunkSize - 1)) !== 0 || chunkSize >> (lodLevels - 1) < 1) {
+        throw new Error(`Invalid chunkSize ${chunkSize} for ${lodLevels} LOD levels (must be a power of 2)`);
+    }
+
+    const width = heightmap.width;
+    const height = heightmap.height;
+    const offsetX = -width / 2;
+    const offsetZ = -height / 2;
+
+    const terrain = new TerrainChunks(gl, heightmap, [], { chunkSize, lodDistance, skirtDepth });
+
+    // Shared index buffers, one per LOD level
+    const lods = terrain.lods;
+    for (let level = 0; level < lodLevels; level++) {
+        const indices = buildLodIndices(chunkSize, 1 << level, terrain.indexType);
+        const ibo = gl.createBuffer();
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, ibo);
+        gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, indices, gl.STATIC_DRAW);
+        lods.push({ ibo, indexCount: indices.length });
+    }
+    const chunksX = Math.ceil((width - 1) / chunkSize);
+    const chunksZ = Math.ceil((height - 1) / chunkSize);
+
+    for (let cz = 0; cz < chunksZ; cz++) {
+        for (let cx = 0; cx < chunksX; cx++) {
+            const chunk = {
+                vbo: gl.createBuffer(),
+                vertexData: new Float32Array(terrain.chunkVertexCount * 8),  // CPU copy for partial updates
+                x: cx,
+                z: cz,
+                min: [0, 0, 0],
+                max: [0, 0, 0],
+                lod: 0,
+                // Drawable as a mesh (renderer.js): the index buffer of the current LOD
+                ibo: lods[0].ibo,
+                indexCount: lods[0].indexCount,
+                indexType: terrain.indexType,
+                bounds: null
+            };
+            chunk.bounds = { aabb: { min: chunk.min, max: chunk.max } };
+
+            // Chunks on the far edge are clamped to the heightmap (degenerate quads past the edge)
+            chunk.min[0] = Math.min(cx * chunkSize, width - 1) + offsetX;
+            chunk.max[0] = Math.min((cx + 1) * chunkSize, width - 1) + offsetX;
+            chunk.min[2] = Math.min(cz * chunkSize, height - 1) + offsetZ;
+            chunk.max[2] = Math.min((cz + 1) * chunkSize, height - 1) + offsetZ;
+
+            terrain.writeChunkVertices(chunk, 0, chunkSize);
+
+            gl.bindBuffer(gl.ARRAY_BUFFER, chunk.vbo);
+            gl.bufferData(gl.ARRAY_BUFFER, chunk.vertexData, gl.STATIC_DRAW);
+            terrain.chunks.push(chunk);
+        }
+    }
+
+    terrain.vertexCount = terrain.chunkVertexCount * terrain.chunks.length;
+    terrain.indexCount = lods[0].indexCount * terrain.chunks.length;
+    return terrain;
+}
+
+/**
+ * Terreno suddiviso in chunk: selezione LOD per frame (il culling per chunk lo fa il renderer)
+ */
+export class TerrainChunks {
+    constructor(gl, heightmap, lods, { chunkSize, lodDistance, skirtDepth }) {
+        this.gl = gl;
+        this.heightmap = heightmap;
+        this.chunks = [];
+        this.lods = lods;
+        this.chunkSize = chunkSize;
+        this.lodDistance = lodDistance;
+        this.skirtDepth = skirtDepth;
+        this.border = chunkBorder(chunkSize);
+        this.chunkVertexCount = (chunkSize + 1) * (chunkSize + 1) + this.border.length;
+        // Uint16 indices address 65536 vertices; larger chunks need OES_element_index_uint
+        this.indexType = this.chunkVertexCount > 0x10000 ? 'uint32' : 'uint16';
+        this.vertexCount = 0;
+        this.indexCount = 0;
+    }
+
+    /**
+     * Scrive nel vertexData del chunk le righe di griglia [fromRow, toRow] e tutte le skirt,
+     * poi ricalcola il range di altezze del chunk
+     */
+    writeChunkVertices(chunk, fromRow, toRow) {
+        const heightmap = this.heightmap;
+        const { width, height, data } = heightmap;
+        const offsetX = -width / 2;
+        const offsetZ = -height / 2;
+        const side = this.chunkSize + 1;
+        const vertexData = chunk.vertexData;
+
+        const hx = (x) => Math.min(chunk.x * this.chunkSize + x, width - 1);
+        const hz = (z) => Math.min(chunk.z * this.chunkSize + z, height - 1);
+
+        const writeVertex = (index, px, pz, yOffset) => {
+            const offset = index * 8;
+            vertexData[offset + 0] = px + offsetX;
+            vertexData[offset + 1] = heightmap.get(px, pz) + yOffset;
+            vertexData[offset + 2] = pz + offsetZ;
+            // Same normal on shared edges in neighbouring chunks, so there are no seams
+            writeCentralDifferenceNormal(data, width, height, px, pz, vertexData, offset + 3);
+            vertexData[offset + 6] = px / width;
+            vertexData[offset + 7] = pz / height;
+        };
+
+        for (let z = fromRow; z <= toRow; z++) {
+            for (let x = 0; x < side; x++) {
+                writeVertex(z * side + x, hx(x), hz(z), 0);
+            }
+        }
+        for (let i = 0; i < this.border.length; i++) {
+            writeVertex(side * side + i, hx(this.border[i][0]), hz(this.border[i][1]), -this.skirtDepth);
+        }
+
+        // Height range including the skirts, for culling
+        let minY = Infinity;
+        let maxY = -Infinity;
+        for (let i = 1; i < vertexData.length; i += 8) {
+            minY = Math.min(minY, vertexData[i]);
+            maxY = Math.max(maxY, vertexData[i]);
+        }
+        chunk.min[1] = minY;
+        chunk.max[1] = maxY;
+    }
+
+    /**
+     * Aggiorna sulla GPU solo la zona modificata della heightmap (pixel x0..x1, z0..z1 inclusi)
+     * Per ogni chunk toccato riscrive le righe interessate e le skirt con bufferSubData
+     */
+    updateRegion(x0, z0, x1, z1) {
+        const gl = this.gl;
+        const side = this.chunkSize + 1;
+        const bytes = Float32Array.BYTES_PER_ELEMENT;
+
+        // Normals read the neighbours: one extra pixel around the edited area
+        x0 = Math.max(x0 - 1, 0);
+        z0 = Math.max(z0 - 1, 0);
+        x1 = Math.min(x1 + 1, this.heightmap.width - 1);
+        z1 = Math.min(z1 + 1, this.heightmap.height - 1);
+
+        for (const chunk of this.chunks) {
+            const startX = chunk.x * this.chunkSize;
+            const startZ = chunk.z * this.chunkSize;
+            if (x1 < startX || x0 > startX + this.chunkSize || z1 < startZ || z0 > startZ + this.chunkSize) continue;
+
+            const fromRow = Math.max(z0 - startZ, 0);
+            // Rows clamped past the last heightmap row repeat it: rewrite them too
+            const toRow = startZ + this.chunkSize >= this.heightmap.height - 1 && z1 === this.heightmap.height - 1
+                ? this.chunkSize
+                : Math.min(z1 - startZ, this.chunkSize);
+            this.writeChunkVertices(chunk, fromRow, toRow);
+
+            // Grid rows are contiguous in the VBO, the skirt ring follows the grid
+            const gridStart = fromRow * side * 8;
+            const gridEnd = (toRow + 1) * side * 8;
+            const skirtStart = side * side * 8;
+            gl.bindBuffer(gl.ARRAY_BUFFER, chunk.vbo);
+            gl.bufferSubData(gl.ARRAY_BUFFER, gridStart * bytes, chunk.vertexData.subarray(gridStart, gridEnd));
+            gl.bufferSubData(gl.ARRAY_BUFFER, skirtStart * bytes, chunk.vertexData.subarray(skirtStart));
+        }
+    }
+
+    /**
+     * Sceglie il LOD di ogni chunk in base alla distanza dalla camera
+     * @param {Array<number>} cameraPos - Posizione camera [x, y, z]
+     */
+    update(cameraPos) {
+        for (const chunk of this.chunks) {
+            // Distance to the closest point of the chunk box, not to its center
+            const dx = Math.max(chunk.min[0] - cameraPos[0], 0, cameraPos[0] - chunk.max[0]);
+            const dy = Math.max(chunk.min[1] - cameraPos[1], 0, cameraPos[1] - chunk.max[1]);
+            const dz = Math.max(chunk.min[2] - cameraPos[2], 0, cameraPos[2] - chunk.max[2]);
+            const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+            // LOD 0 within lodDistance, then one level per doubling of the distance
+            const level = distance < this.lodDistance ? 0 : Math.floor(Math.log2(distance / this.lodDistance)) + 1;
+            chunk.lod = Math.min(level, this.lods.length - 1);
+            chunk.ibo = this.lods[chunk.lod].ibo;
+            chunk.indexCount = this.lods[chunk.lod].indexCount;
+        }
+    }
+}
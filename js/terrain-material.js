@@ -0,0 +1,213 @@
+/**
+ * Terrain materials (splat-map texturing)
+ *
+ * A material has up to 4 layers (e.g. grass, dirt, rock, snow). Layer 0 is the
+ * base; every following layer is painted over the previous ones where its
+ * height and slope rules match, or the weights come from an authored RGBA
+ * splat map (R = layer 0 ... A = layer 3) covering the whole terrain.
+ *
+ * Textures are tiled in world space (`tileSize` meters per repeat), so the
+ * density does not depend on the heightmap resolution. Until a texture URL is
+ * loaded, each layer uses a tileable procedural texture of its colour.
+ *
+ * One material per area: build it with createTerrainMaterial() and assign it
+ * to renderer.terrainMaterial.
+ */
+
+import { createPRNG } from './noise.js';
+import { TextureLoader } from './matte-painting.js';
+
+export const MAX_TERRAIN_LAYERS = 4;
+
+// "No limit" for height rules: it ends up in uLayerRule, a mediump uniform of the fragment
+// shader, so it stays well inside the range mediump guarantees (2^14)
+const UNBOUNDED = 1e4;
+
+/**
+ * Layer di default: erba alla base, terra e roccia sui pendii, neve in quota
+ * Altezze in metri (il terreno procedurale di default sta tra circa -8 e +8 m), pendenze in gradi
+ */
+export const DEFAULT_TERRAIN_LAYERS = [
+    { name: 'grass', color: [0.36, 0.48, 0.24], tileSize: 4 },
+    { name: 'dirt', color: [0.46, 0.37, 0.26], tileSize: 3, slope: [14, 90], slopeBlend: 4 },
+    { name: 'rock', color: [0.45, 0.43, 0.41], tileSize: 6, slope: [28, 90], slopeBlend: 4 },
+    { name: 'snow', color: [0.92, 0.94, 0.97], tileSize: 5, height: [6, UNBOUNDED], heightBlend: 1, slope: [0, 35], slopeBlend: 5 }
+];
+
+/**
+ * Tileable value noise in [0, 1]: the lattice wraps every `period` cells
+ */
+function createTileableNoise(random, period) {
+    const lattice = new Float32Array(period * period);
+    for (let i = 0; i < lattice.length; i++) lattice[i] = random();
+
+    return (u, v) => {
+        const x = u * period;
+        const y = v * period;
+        const x0 = Math.floor(x);
+        const y0 = Math.floor(y);
+        const fx = x - x0;
+        const fy = y - y0;
+        const sx = fx * fx * (3 - 2 * fx);
+        const sy = fy * fy * (3 - 2 * fy);
+
+        const at = (ix, iy) => lattice[((iy % period) * period) + (ix % period)];
+        const top = at(x0, y0) + (at(x0 + 1, y0) - at(x0, y0)) * sx;
+        const bottom = at(x0, y0 + 1) + (at(x0 + 1, y0 + 1) - at(x0, y0 + 1)) * sx;
+        return top + (bottom - top) * sy;
+    };
+}
+
+/**
+ * Texture procedurale ripetibile per un layer: il colore del layer modulato da rumore
+ * La media resta circa uguale al colore, così la dissolvenza in lontananza non "salta"
+ */
+function createLayerTexture(textureLoader, layer, seed, size = 256) {
+    const random = createPRNG(`${seed}:${layer.name}`);
+    const octaves = [createTileableNoise(random, 8), createTileableNoise(random, 32), createTileableNoise(random, 128)];
+
+    return textureLoader.createProceduralTexture(size, size, (x, y, w, h) => {
+        const u = x / w;
+        const v = y / h;
+        const n = octaves[0](u, v) * 0.5 + octaves[1](u, v) * 0.3 + octaves[2](u, v) * 0.2;
+        const shade = 0.75 + n * 0.5;
+        return [
+            Math.min(255, layer.color[0] * shade * 255),
+            Math.min(255, layer.color[1] * shade * 255),
+            Math.min(255, layer.color[2] * shade * 255),
+            255
+        ];
+    }, { repeat: true });
+}
+
+/**
+ * Materiale del terreno: layer, regole di blending e texture
+ */
+export class TerrainMaterial {
+    /**
+     * @param {WebGLRenderingContext} gl - Contesto WebGL
+     * @param {Object} config - Vedi createTerrainMaterial
+     */
+    constructor(gl, {
+        layers = DEFAULT_TERRAIN_LAYERS,
+        splatMap = null,
+        triplanar = true,
+        triplanarStart = 35,
+        detailFadeStart = 40,
+        detailFadeEnd = 90,
+        seed = 0
+    } = {}) {
+        if (layers.length === 0 || layers.length > MAX_TERRAIN_LAYERS) {
+            throw new Error(`Terrain material needs 1 to ${MAX_TERRAIN_LAYERS} layers, got ${layers.length}`);
+        }
+
+        this.textureLoader = new TextureLoader(gl);
+        this.triplanar = triplanar;
+        this.triplanarStart = triplanarStart;
+        this.detailFadeStart = detailFadeStart;
+        this.detailFadeEnd = detailFadeEnd;
+
+        this.layers = layers.map((layer) => ({
+            name: layer.name,
+            color: layer.color || [0.5, 0.5, 0.5],
+            tileSize: layer.tileSize || 4,
+            height: layer.height || [-UNBOUNDED, UNBOUNDED],
+            slope: layer.slope || [0, 90],
+            heightBlend: layer.heightBlend ?? 1,
+            slopeBlend: layer.slopeBlend ?? 3,
+            texture: null
+        }));
+
+        // Procedural texture right away, replaced by the authored one once loaded
+        this.layers.forEach((layer, i) => {
+            layer.texture = createLayerTexture(this.textureLoader, layer, seed);
+            if (layers[i].texture) {
+                this.textureLoader.loadTexture(layers[i].texture, (texture) => {
+                    layer.texture = texture;
+                });
+            }
+        });
+
+        this.splatMap = null;
+        if (splatMap) this.setSplatMap(splatMap);
+    }
+
+    /**
+     * Imposta la splat map (URL o WebGLTexture); null = torna alle regole altezza/pendenza
+     * @param {string|WebGLTexture|null} splatMap - RGBA = pesi dei layer 0..3, mappata su tutto il terreno
+     */
+    setSplatMap(splatMap) {
+        if (typeof splatMap === 'string') {
+            // Only switch once loaded, the placeholder texture would paint everything magenta
+            this.textureLoader.loadTexture(splatMap, (texture) => {
+                this.splatMap = texture;
+            });
+        } else {
+            this.splatMap = splatMap;
+        }
+    }
+
+    /**
+     * Imposta uniform e texture del materiale sul terrain program (già in uso)
+     * Usa le texture unit 0..4
+     * @param {WebGLRenderingContext} gl - Contesto WebGL
+     * @param {ShaderProgram} program - Terrain program (shader-compiler.js)
+     */
+    apply(gl, program) {
+        const colors = new Float32Array(MAX_TERRAIN_LAYERS * 3);
+        const rules = new Float32Array(MAX_TERRAIN_LAYERS * 4);
+        const softness = new Float32Array(MAX_TERRAIN_LAYERS * 2);
+        const tileSizes = new Float32Array(MAX_TERRAIN_LAYERS).fill(1);
+
+        for (let i = 0; i < MAX_TERRAIN_LAYERS; i++) {
+            // Unused slots sample layer 0: every sampler must point to a valid texture
+            const layer = this.layers[i] || this.layers[0];
+            colors.set(layer.color, i * 3);
+            rules.set([layer.height[0], layer.height[1], layer.slope[0], layer.slope[1]], i * 4);
+            softness.set([layer.heightBlend, layer.slopeBlend], i * 2);
+            tileSizes[i] = layer.tileSize;
+
+            gl.activeTexture(gl.TEXTURE0 + i);
+            gl.bindTexture(gl.TEXTURE_2D, layer.texture);
+            program.setUniform(`uLayerTexture${i}`, i);
+        }
+
+        program.setUniform('uUseMaterial', true);
+        program.setUniform('uLayerCount', this.layers.length);
+        program.setUniform('uLayerColor', colors);
+        program.setUniform('uLayerRule', rules);
+        program.setUniform('uLayerSoftness', softness);
+        program.setUniform('uLayerTileSize', tileSizes);
+        program.setUniform('uTriplanar', this.triplanar);
+        program.setUniform('uTriplanarStart', this.triplanarStart);
+        program.setUniform('uDetailFadeStart', this.detailFadeStart);
+        program.setUniform('uDetailFadeEnd', this.detailFadeEnd);
+
+        const splatUnit = MAX_TERRAIN_LAYERS;
+        gl.activeTexture(gl.TEXTURE0 + splatUnit);
+        gl.bindTexture(gl.TEXTURE_2D, this.splatMap || this.layers[0].texture);
+        program.setUniform('uSplatMap', splatUnit);
+        program.setUniform('uUseSplatMap', Boolean(this.splatMap));
+
+        gl.activeTexture(gl.TEXTURE0);
+    }
+}
+
+/**
+ * Crea il materiale del terreno per un'area
+ *
+ * @param {WebGLRenderingContext} gl - Contesto WebGL
+ * @param {Object} config - Configurazione
+ * @param {Array<Object>} config.layers - Fino a 4 layer { name, color, texture (URL), tileSize (m),
+ *        height [min, max] (m), slope [min, max] (gradi), heightBlend (m), slopeBlend (gradi) }
+ * @param {string|WebGLTexture} config.splatMap - Splat map RGBA opzionale (sostituisce le regole)
+ * @param {boolean} config.triplanar - Proiezione triplanare sui pendii ripidi (niente texture stirate)
+ * @param {number} config.triplanarStart - Pendenza (gradi) da cui inizia il triplanar
+ * @param {number} config.detailFadeStart - Distanza (m) da cui le texture sfumano nel colore medio
+ * @param {number} config.detailFadeEnd - Distanza (m) oltre cui resta solo il colore medio
+ * @param {number|string} config.seed - Seed delle texture procedurali
+ * @returns {TerrainMaterial} Materiale
+ */
+export function createTerrainMaterial(gl, config = {}) {
+    return new TerrainMaterial(gl, config);
+}
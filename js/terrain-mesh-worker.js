@@ -0,0 +1,20 @@
+/**
+ * Web Worker for terrain mesh generation (module worker, see TerrainMeshWorker)
+ *
+ * Request:  { id, heights: Float32Array, width, height, options }
+ * Response: { id, vertexData, indices, vertexCount, indexCount } with the
+ *           buffers transferred back to the main thread, or { id, error }
+ */
+
+import { buildTerrainMeshData } from './terrain-mesh.js';
+
+self.onmessage = (e) => {
+    const { id, heights, width, height, options } = e.data;
+
+    try {
+        const mesh = buildTerrainMeshData(heights, width, height, options);
+        self.postMessage({ id, ...mesh }, [mesh.vertexData.buffer, mesh.indices.buffer]);
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
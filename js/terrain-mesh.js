@@ -0,0 +1,264 @@
+/**
+ * Terrain mesh generation on typed arrays
+ *
+ * buildTerrainMeshData() turns a raw height array into interleaved vertex data
+ * and indices without allocating per-vertex objects. It has no WebGL or DOM
+ * dependencies, so the same code runs on the main thread and inside
+ * terrain-mesh-worker.js; TerrainMeshWorker sends heights to the worker and
+ * gets the finished buffers back as transferables (no copy).
+ *
+ * Layout: position(3) + normal(3) + texCoord(2) = 32 bytes, Uint32 indices.
+ * 1 pixel = 1 meter, pixel (x, z) is at world (x + offsetX, z + offsetZ).
+ */
+
+import { aabbFromVertexData, aabbUnion, aabbCenter, computeMeshBounds } from './bounds.js';
+
+/**
+ * Normal from central differences on the height grid (1 pixel = 1 meter),
+ * clamped at the borders. Writes [nx, ny, nz] into out at offset.
+ */
+export function writeCentralDifferenceNormal(heights, width, height, x, z, out, offset = 0) {
+    const row = z * width;
+    const left = heights[row + Math.max(x - 1, 0)];
+    const right = heights[row + Math.min(x + 1, width - 1)];
+    const up = heights[Math.max(z - 1, 0) * width + x];
+    const down = heights[Math.min(z + 1, height - 1) * width + x];
+
+    const nx = left - right;
+    const ny = 2;
+    const nz = up - down;
+    const len = Math.sqrt(nx * nx + ny * ny + nz * nz);
+
+    out[offset] = nx / len;
+    out[offset + 1] = ny / len;
+    out[offset + 2] = nz / len;
+}
+
+/**
+ * Writes the vertices of heightmap rows fromRow..toRow (inclusive) into vertexData,
+ * starting at the first vertex of the array (row fromRow = vertex 0)
+ */
+function writeTerrainRows(vertexData, heights, width, height, fromRow, toRow, offsetX, offsetZ) {
+    for (let z = fromRow; z <= toRow; z++) {
+        for (let x = 0; x < width; x++) {
+            const index = z * width + x;
+            const offset = (index - fromRow * width) * 8;
+
+            vertexData[offset + 0] = x + offsetX;
+            vertexData[offset + 1] = heights[index];
+            vertexData[offset + 2] = z + offsetZ;
+            writeCentralDifferenceNormal(heights, width, height, x, z, vertexData, offset + 3);
+            vertexData[offset + 6] = x / width;
+            vertexData[offset + 7] = z / height;
+        }
+    }
+}
+
+/**
+ * Costruisce vertici e indici del terreno a partire dalle altezze
+ *
+ * @param {Float32Array} heights - Altezze (m), width * height, riga per riga
+ * @param {number} width - Larghezza in pixel
+ * @param {number} height - Altezza in pixel
+ * @param {Object} options - { offsetX, offsetZ } posizione world del pixel (0, 0), default centrato
+ * @returns {{vertexData: Float32Array, indices: Uint32Array, vertexCount: number, indexCount: number}}
+ */
+export function buildTerrainMeshData(heights, width, height, {
+    offsetX = -width / 2,
+    offsetZ = -height / 2
+} = {}) {
+    if (width < 2 || height < 2 || heights.length < width * height) {
+        throw new Error(`Invalid terrain size ${width}x${height} for ${heights.length} heights`);
+    }
+
+    const vertexCount = width * height;
+    const vertexData = new Float32Array(vertexCount * 8);
+    writeTerrainRows(vertexData, heights, width, height, 0, height - 1, offsetX, offsetZ);
+
+    const indices = new Uint32Array((width - 1) * (height - 1) * 6);
+    let i = 0;
+    for (let z = 0; z < height - 1; z++) {
+        for (let x = 0; x < width - 1; x++) {
+            const topLeft = z * width + x;
+            const topRight = topLeft + 1;
+            const bottomLeft = topLeft + width;
+            const bottomRight = bottomLeft + 1;
+
+            // Two triangles per quad, counter-clockwise seen from above
+            indices[i++] = topLeft;
+            indices[i++] = bottomLeft;
+            indices[i++] = topRight;
+            indices[i++] = topRight;
+            indices[i++] = bottomLeft;
+            indices[i++] = bottomRight;
+        }
+    }
+
+    return { vertexData, indices, vertexCount, indexCount: indices.length };
+}
+
+/**
+ * Carica i dati della mesh in buffer WebGL (indici Uint32: serve OES_element_index_uint)
+ * @param {WebGLRenderingContext} gl - Contesto WebGL
+ * @param {Object} meshData - Risultato di buildTerrainMeshData
+ * @returns {Object} Mesh { vbo, ibo, indexCount, indexType, vertexCount, bounds }
+ */
+export function uploadTerrainMesh(gl, meshData) {
+    const vbo = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, vbo);
+    gl.bufferData(gl.ARRAY_BUFFER, meshData.vertexData, gl.STATIC_DRAW);
+
+    const ibo = gl.createBuffer();
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, ibo);
+    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, meshData.indices, gl.STATIC_DRAW);
+
+    return {
+        vbo: vbo,
+        ibo: ibo,
+        indexCount: meshData.indexCount,
+        indexType: 'uint32',
+        vertexCount: meshData.vertexCount,
+        bounds: computeMeshBounds(meshData.vertexData)
+    };
+}
+
+/**
+ * Aggiorna sulla GPU solo le righe modificate di una mesh creata da createTerrainMesh
+ * (pixel z0..z1 inclusi, più una riga per lato per le normali), con bufferSubData
+ *
+ * @param {WebGLRenderingContext} gl - Contesto WebGL
+ * @param {Object} mesh - Mesh { vbo, ... } della heightmap, centrata
+ * @param {Heightmap} heightmap - Heightmap già modificata
+ * @param {number} z0 - Prima riga modificata
+ * @param {number} z1 - Ultima riga modificata
+ */
+export function updateTerrainMeshRows(gl, mesh, heightmap, z0, z1) {
+    const { width, height, data } = heightmap;
+    const fromRow = Math.max(z0 - 1, 0);
+    const toRow = Math.min(z1 + 1, height - 1);
+
+    const vertexData = new Float32Array((toRow - fromRow + 1) * width * 8);
+    writeTerrainRows(vertexData, data, width, height, fromRow, toRow, -width / 2, -height / 2);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, mesh.vbo);
+    gl.bufferSubData(gl.ARRAY_BUFFER, fromRow * width * 8 * Float32Array.BYTES_PER_ELEMENT, vertexData);
+
+    // Bounds only grow while sculpting; the sphere falls back to the box's circumscribed sphere
+    if (mesh.bounds) {
+        const { aabb, sphere } = mesh.bounds;
+        aabbUnion(aabb, aabbFromVertexData(vertexData), aabb);
+        aabbCenter(aabb, sphere.center);
+        sphere.radius = Math.hypot(aabb.max[0] - aabb.min[0], aabb.max[1] - aabb.min[1], aabb.max[2] - aabb.min[2]) / 2;
+    }
+}
+
+/**
+ * Generazione della mesh in un Web Worker
+ * Le richieste sono in coda sullo stesso worker e si risolvono in ordine di arrivo;
+ * senza supporto Worker (o se il worker fallisce) la mesh viene costruita sul main thread.
+ */
+export class TerrainMeshWorker {
+    constructor() {
+        this.pending = new Map();
+        this.nextId = 1;
+        this.worker = null;
+
+        if (typeof Worker !== 'undefined') {
+            this.worker = new Worker(new URL('./terrain-mesh-worker.js', import.meta.url), { type: 'module' });
+            this.worker.onmessage = (e) => this.handleMessage(e.data);
+            this.worker.onerror = (e) => {
+                console.warn(`✗ Terrain mesh worker failed (${e.message}), building on the main thread`);
+                this.fallbackToMainThread();
+            };
+        }
+    }
+
+    /**
+     * Costruisce la mesh di una heightmap senza bloccare il main thread
+     * Le altezze vengono copiate: la heightmap resta utilizzabile (e modificabile) mentre il worker lavora.
+     *
+     * @param {Heightmap} heightmap - Heightmap sorgente
+     * @param {Object} options - { offsetX, offsetZ } come buildTerrainMeshData
+     * @returns {Promise<Object>} Dati mesh { vertexData, indices, vertexCount, indexCount }
+     */
+    build(heightmap, options = {}) {
+        const { width, height } = heightmap;
+        const heights = heightmap.data.slice();
+
+        if (!this.worker) {
+            return Promise.resolve().then(() => buildTerrainMeshData(heights, width, height, options));
+        }
+
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            // Heights are cloned, not transferred: the copy kept here is the fallback if the worker dies
+            this.pending.set(id, { resolve, reject, heights, width, height, options });
+            this.worker.postMessage({ id, heights, width, height, options });
+        });
+    }
+
+    handleMessage({ id, error, vertexData, indices, vertexCount, indexCount }) {
+        const request = this.pending.get(id);
+        if (!request) return;
+        this.pending.delete(id);
+
+        if (error) {
+            request.reject(new Error(error));
+        } else {
+            request.resolve({ vertexData, indices, vertexCount, indexCount });
+        }
+    }
+
+    /**
+     * Worker non disponibile (file://, errore di caricamento): completa le richieste in coda sul main thread
+     */
+    fallbackToMainThread() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        for (const request of this.pending.values()) {
+            const { heights, width, height, options } = request;
+            try {
+                request.resolve(buildTerrainMeshData(heights, width, height, options));
+            } catch (error) {
+                request.reject(error);
+            }
+        }
+        this.pending.clear();
+    }
+
+    /**
+     * Chiude il worker; le richieste ancora in coda vengono rifiutate
+     */
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        for (const request of this.pending.values()) {
+            request.reject(new Error('Terrain mesh worker terminated'));
+        }
+        this.pending.clear();
+    }
+}
+
+// Worker condiviso, creato alla prima richiesta
+let sharedWorker = null;
+
+/**
+ * Crea la mesh del terreno in un Web Worker e la carica sulla GPU
+ *
+ * @param {WebGLRenderingContext} gl - Contesto WebGL
+ * @param {Heightmap} heightmap - Heightmap sorgente
+ * @param {Object} options - { offsetX, offsetZ, worker } worker opzionale (default: condiviso)
+ * @returns {Promise<Object>} Mesh { vbo, ibo, indexCount, vertexCount }
+ */
+export async function createTerrainMeshAsync(gl, heightmap, { worker = null, ...options } = {}) {
+    if (!worker) {
+        sharedWorker = sharedWorker || new TerrainMeshWorker();
+        worker = sharedWorker;
+    }
+    const meshData = await worker.build(heightmap, options);
+    return uploadTerrainMesh(gl, meshData);
+}
@@ -0,0 +1,190 @@
+/**
+ * Terrain query API
+ * Answers "how high is the ground at (x, z)?" in world coordinates.
+ *
+ * Uses the same mapping as createTerrainMesh / createChunkedTerrain:
+ * 1 pixel = 1 meter, heightmap pixel (px, pz) is at world (px - width/2, pz - height/2).
+ * Used for object placement, camera ground-following and mouse picking.
+ */
+
+export class TerrainQuery {
+    /**
+     * @param {Heightmap} heightmap - Heightmap del terreno
+     * @param {Object} options - { offsetX, offsetZ } posizione world del pixel (0, 0)
+     */
+    constructor(heightmap, { offsetX = -heightmap.width / 2, offsetZ = -heightmap.height / 2 } = {}) {
+        this.heightmap = heightmap;
+        this.offsetX = offsetX;
+        this.offsetZ = offsetZ;
+        this.refresh();
+    }
+
+    /**
+     * Ricalcola il range di altezze (da chiamare dopo aver modificato la heightmap)
+     */
+    refresh() {
+        let minY = Infinity;
+        let maxY = -Infinity;
+        for (const h of this.heightmap.data) {
+            minY = Math.min(minY, h);
+            maxY = Math.max(maxY, h);
+        }
+        this.minY = minY;
+        this.maxY = maxY;
+    }
+
+    /**
+     * Bounding box world del terreno
+     * @returns {{min: Array<number>, max: Array<number>}}
+     */
+    getBounds() {
+        return {
+            min: [this.offsetX, this.minY, this.offsetZ],
+            max: [this.offsetX + this.heightmap.width - 1, this.maxY, this.offsetZ + this.heightmap.height - 1]
+        };
+    }
+
+    /**
+     * Converte coordinate world in coordinate heightmap (pixel frazionari)
+     * @returns {Array<number>} [px, pz]
+     */
+    worldToHeightmap(x, z) {
+        return [x - this.offsetX, z - this.offsetZ];
+    }
+
+    /**
+     * Converte coordinate heightmap (pixel) in coordinate world
+     * @returns {Array<number>} [x, z]
+     */
+    heightmapToWorld(px, pz) {
+        return [px + this.offsetX, pz + this.offsetZ];
+    }
+
+    /**
+     * true se (x, z) cade sopra il terreno
+     */
+    isInside(x, z) {
+        const [px, pz] = this.worldToHeightmap(x, z);
+        return px >= 0 && pz >= 0 && px <= this.heightmap.width - 1 && pz <= this.heightmap.height - 1;
+    }
+
+    /**
+     * Altezza del terreno in (x, z) con interpolazione bilineare
+     * Fuori dal terreno restituisce l'altezza del bordo più vicino
+     * @param {number} x - Coordinata world X
+     * @param {number} z - Coordinata world Z
+     * @returns {number} Altezza in metri
+     */
+    getHeightAt(x, z) {
+        const { width, height, data } = this.heightmap;
+        const px = Math.min(Math.max(x - this.offsetX, 0), width - 1);
+        const pz = Math.min(Math.max(z - this.offsetZ, 0), height - 1);
+
+        const x0 = Math.min(Math.floor(px), width - 2);
+        const z0 = Math.min(Math.floor(pz), height - 2);
+        const u = px - x0;
+        const v = pz - z0;
+        const i = z0 * width + x0;
+
+        const top = data[i] + (data[i + 1] - data[i]) * u;
+        const bottom = data[i + width] + (data[i + width + 1] - data[i + width]) * u;
+        return top + (bottom - top) * v;
+    }
+
+    /**
+     * Normale del terreno in (x, z) (differenze centrali sull'altezza bilineare)
+     * @returns {Array<number>} Normale normalizzata [x, y, z]
+     */
+    getNormalAt(x, z) {
+        const e = 0.5;
+        const nx = this.getHeightAt(x - e, z) - this.getHeightAt(x + e, z);
+        const nz = this.getHeightAt(x, z - e) - this.getHeightAt(x, z + e);
+        const ny = 2 * e;
+        const len = Math.sqrt(nx * nx + ny * ny + nz * nz);
+        return [nx / len, ny / len, nz / len];
+    }
+
+    /**
+     * Pendenza del terreno in (x, z)
+     * @returns {number} Angolo in gradi (0 = piano, 90 = verticale)
+     */
+    getSlopeAt(x, z) {
+        const normal = this.getNormalAt(x, z);
+        return Math.acos(Math.min(normal[1], 1)) * 180 / Math.PI;
+    }
+
+    /**
+     * Intersezione raggio/terreno: avanza lungo il raggio nel height field
+     * e affina il punto di impatto per bisezione
+     * @param {Array<number>} origin - Origine del raggio [x, y, z]
+     * @param {Array<number>} direction - Direzione del raggio (anche non normalizzata)
+     * @param {number} maxDistance - Distanza massima (m)
+     * @param {number} step - Passo di marcia (m), <= 1 per non saltare creste di 1 pixel
+     * @returns {{point: Array<number>, distance: number, normal: Array<number>}|null} Impatto o null
+     */
+    raycast(origin, direction, maxDistance = 1000, step = 0.5) {
+        const len = Math.sqrt(direction[0] ** 2 + direction[1] ** 2 + direction[2] ** 2);
+        if (len === 0) return null;
+        const dir = [direction[0] / len, direction[1] / len, direction[2] / len];
+
+        // Clip the ray to the terrain box so we only march where a hit is possible
+        const bounds = this.getBounds();
+        let tMin = 0;
+        let tMax = maxDistance;
+        for (let axis = 0; axis < 3; axis++) {
+            if (Math.abs(dir[axis]) < 1e-12) {
+                if (origin[axis] < bounds.min[axis] || origin[axis] > bounds.max[axis]) return null;
+                continue;
+            }
+            let t0 = (bounds.min[axis] - origin[axis]) / dir[axis];
+            let t1 = (bounds.max[axis] - origin[axis]) / dir[axis];
+            if (t0 > t1) [t0, t1] = [t1, t0];
+            tMin = Math.max(tMin, t0);
+            tMax = Math.min(tMax, t1);
+            if (tMin > tMax) return null;
+        }
+
+        const above = (t) => {
+            const x = origin[0] + dir[0] * t;
+            const z = origin[2] + dir[2] * t;
+            return origin[1] + dir[1] * t - this.getHeightAt(x, z);
+        };
+
+        // Starting below ground (e.g. camera clipping into a hill): hit at the start
+        let previousT = tMin;
+        if (above(previousT) <= 0) {
+            return this.hitAt(origin, dir, previousT);
+        }
+
+        for (let t = tMin + step; t <= tMax + step; t += step) {
+            const current = Math.min(t, tMax);
+            if (above(current) <= 0) {
+                // Bisection between the last point above and the first below ground
+                let lo = previousT;
+                let hi = current;
+                for (let i = 0; i < 16; i++) {
+                    const mid = (lo + hi) / 2;
+                    if (above(mid) > 0) lo = mid;
+                    else hi = mid;
+                }
+                return this.hitAt(origin, dir, hi);
+            }
+            previousT = current;
+            if (current === tMax) break;
+        }
+        return null;
+    }
+
+    /**
+     * Costruisce il risultato di raycast alla distanza t
+     */
+    hitAt(origin, dir, t) {
+        const x = origin[0] + dir[0] * t;
+        const z = origin[2] + dir[2] * t;
+        return {
+            point: [x, this.getHeightAt(x, z), z],
+            distance: t,
+            normal: this.getNormalAt(x, z)
+        };
+    }
+}
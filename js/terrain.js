@@ -3,64 +3,22 @@
  * Handles procedural terrain generation from heightmaps
  */
 
-// Simple Perlin noise implementation
-class PerlinNoise {
-    constructor(seed = Math.random()) {
-        this.gradients = {};
-        this.memory = {};
-        this.seed = seed;
-    }
-
-    rand_vect() {
-        const theta = Math.random() * 2 * Math.PI;
-        return { x: Math.cos(theta), y: Math.sin(theta) };
-    }
-
-    dot_prod_grid(x, y, vx, vy) {
-        let g_vect;
-        const d_vect = { x: x - vx, y: y - vy };
-        const grid_key = `${vx},${vy}`;
-
-        if (this.gradients[grid_key]) {
-            g_vect = this.gradients[grid_key];
-        } else {
-            g_vect = this.rand_vect();
-            this.gradients[grid_key] = g_vect;
-        }
-
-        return d_vect.x * g_vect.x + d_vect.y * g_vect.y;
-    }
-
-    smootherstep(x) {
-        return 6 * x ** 5 - 15 * x ** 4 + 10 * x ** 3;
-    }
-
-    interp(x, a, b) {
-        return a + this.smootherstep(x) * (b - a);
-    }
-
-    get(x, y) {
-        const key = `${x},${y}`;
-        if (this.memory[key]) {
-            return this.memory[key];
-        }
-
-        const xf = Math.floor(x);
-        const yf = Math.floor(y);
-
-        const tl = this.dot_prod_grid(x, y, xf, yf);
-        const tr = this.dot_prod_grid(x, y, xf + 1, yf);
-        const bl = this.dot_prod_grid(x, y, xf, yf + 1);
-        const br = this.dot_prod_grid(x, y, xf + 1, yf + 1);
-
-        const xt = this.interp(x - xf, tl, tr);
-        const xb = this.interp(x - xf, bl, br);
-        const v = this.interp(y - yf, xt, xb);
-
-        this.memory[key] = v;
-        return v;
-    }
-}
+import {
+    createPerlinNoise,
+    createSimplexNoise,
+    fbm,
+    ridgedMultifractal,
+    billow,
+    domainWarp
+} from './noise.js';
+import { parseOBJ, parseMTL } from './obj-loader.js';
+import { hydraulicErosion, thermalErosion } from './erosion.js';
+import { getEasing } from './easing.js';
+import { buildTerrainMeshData, uploadTerrainMesh } from './terrain-mesh.js';
+import { computeMeshBounds } from './bounds.js';
+
+// Seed used when none is given, so the default terrain is reproducible too
+export const DEFAULT_TERRAIN_SEED = 1337;
 
 /**
  * Heightmap class - represents a 2D height field
@@ -70,6 +28,12 @@ export class Heightmap {
         this.width = width;
         this.height = height;
         this.data = new Float32Array(width * height);
+
+        // 1 = cell belongs to a flattened plot, erosion leaves it alone
+        this.protectedMask = new Uint8Array(width * height);
+
+        // Building plots registered by the flatten operations, by name
+        this.plots = new Map();
     }
 
     get(x, y) {
@@ -94,34 +58,58 @@ export class Heightmap {
         this.data[y * this.width + x] += value;
     }
 
-    // Apply Perlin noise to the heightmap
-    applyPerlinNoise(scale = 0.05, amplitude = 10, octaves = 4) {
-        const perlin = new PerlinNoise();
+    // Apply seeded multi-octave Perlin noise to the heightmap
+    applyPerlinNoise(scale = 0.05, amplitude = 10, octaves = 4, seed = DEFAULT_TERRAIN_SEED) {
+        this.applyNoise(fbm(createPerlinNoise(seed), { octaves }), scale, amplitude);
+    }
 
+    // Add any noise sampler (x, y) => value, see noise.js
+    applyNoise(sampler, scale = 0.05, amplitude = 10) {
         for (let y = 0; y < this.height; y++) {
             for (let x = 0; x < this.width; x++) {
-                let value = 0;
-                let freq = scale;
-                let amp = amplitude;
-
-                // Multiple octaves for more interesting terrain
-                for (let octave = 0; octave < octaves; octave++) {
-                    value += perlin.get(x * freq, y * freq) * amp;
-                    freq *= 2;
-                    amp *= 0.5;
-                }
-
-                this.add(x, y, value);
+                this.add(x, y, sampler(x * scale, y * scale) * amplitude);
             }
         }
     }
 
+    // FNV-1a hash of the raw height bytes, handy to compare terrain between builds
+    checksum() {
+        const bytes = new Uint8Array(this.data.buffer, this.data.byteOffset, this.data.byteLength);
+        let h = 0x811c9dc5;
+        for (let i = 0; i < bytes.length; i++) {
+            h ^= bytes[i];
+            h = Math.imul(h, 0x01000193);
+        }
+        return (h >>> 0).toString(16).padStart(8, '0');
+    }
+
+    // Mark a cell as part of a flattened plot
+    protect(x, y) {
+        if (x < 0 || x >= this.width || y < 0 || y >= this.height) {
+            return;
+        }
+        this.protectedMask[y * this.width + x] = 1;
+    }
+
+    // Particle-based hydraulic erosion, see erosion.js for options
+    // Returns { sediment, flow } maps (one value per cell) for texturing
+    erodeHydraulic(options = {}) {
+        return hydraulicErosion(this, options);
+    }
+
+    // Thermal erosion with talus angle (degrees), see erosion.js for options
+    // Returns { sediment } map (one value per cell)
+    erodeThermal(options = {}) {
+        return thermalErosion(this, options);
+    }
+
     // Draw a filled rectangle (flattened area)
     drawRectangle(x, y, width, height, heightValue) {
         for (let py = y; py < y + height && py < this.height; py++) {
             for (let px = x; px < x + width && px < this.width; px++) {
                 if (px >= 0 && py >= 0) {
                     this.set(px, py, heightValue);
+                    this.protect(px, py);
                 }
             }
         }
@@ -139,172 +127,589 @@ export class Heightmap {
 
                 if (distSq <= radiusSq) {
                     this.set(x, y, heightValue);
+                    this.protect(x, y);
+                }
+            }
+        }
+    }
+
+    /**
+     * Flatten a region described by a signed distance function (<= 0 inside)
+     * Inside: height = heightValue. Within `falloff` meters outside: eased blend
+     * back to the existing terrain, so plots sit in the noise without cliffs.
+     * Only the flat core is protected from erosion.
+     */
+    flattenRegion(bounds, signedDistance, heightValue, { falloff = 0, easing = 'smoothstep', protect = true } = {}) {
+        const ease = getEasing(easing);
+        const minX = Math.max(0, Math.floor(bounds.minX - falloff));
+        const maxX = Math.min(this.width - 1, Math.ceil(bounds.maxX + falloff));
+        const minY = Math.max(0, Math.floor(bounds.minY - falloff));
+        const maxY = Math.min(this.height - 1, Math.ceil(bounds.maxY + falloff));
+
+        for (let y = minY; y <= maxY; y++) {
+            for (let x = minX; x <= maxX; x++) {
+                const d = signedDistance(x, y);
+                const index = y * this.width + x;
+
+                if (d <= 0) {
+                    this.data[index] = heightValue;
+                    if (protect) this.protectedMask[index] = 1;
+                } else if (d < falloff) {
+                    // t = 0 at the plot edge, 1 where the blend ends
+                    const t = ease(d / falloff);
+                    this.data[index] = heightValue + (this.data[index] - heightValue) * t;
+                }
+            }
+        }
+    }
+
+    /**
+     * Register the flat core of a flatten operation as a named building plot:
+     * { name, shape: { type, ... }, bounds, elevation, signedDistance(px, py) }
+     * Pass `plot: false` in the options to flatten without registering.
+     */
+    registerPlot(shape, bounds, signedDistance, heightValue, { name = null, plot = true } = {}) {
+        if (!plot) return null;
+
+        const plotName = name || `plot-${this.plots.size + 1}`;
+        if (this.plots.has(plotName)) {
+            throw new Error(`Plot "${plotName}" is already registered`);
+        }
+
+        const entry = { name: plotName, shape, bounds, elevation: heightValue, signedDistance };
+        this.plots.set(plotName, entry);
+        return entry;
+    }
+
+    getPlot(name) {
+        return this.plots.get(name) || null;
+    }
+
+    // Flattened rectangle with blended border (falloff in meters)
+    flattenRectangle(x, y, width, height, heightValue, options = {}) {
+        // Same cells as drawRectangle: x .. x + width - 1
+        const halfW = (width - 1) / 2;
+        const halfH = (height - 1) / 2;
+        const centerX = x + halfW;
+        const centerY = y + halfH;
+
+        const bounds = { minX: x, maxX: x + width - 1, minY: y, maxY: y + height - 1 };
+        const signedDistance = (px, py) => {
+            // Signed distance to a box
+            const dx = Math.abs(px - centerX) - halfW;
+            const dy = Math.abs(py - centerY) - halfH;
+            const outside = Math.hypot(Math.max(dx, 0), Math.max(dy, 0));
+            return outside + Math.min(Math.max(dx, dy), 0);
+        };
+
+        this.flattenRegion(bounds, signedDistance, heightValue, options);
+        return this.registerPlot({ type: 'rectangle', x, y, width, height }, bounds, signedDistance, heightValue, options);
+    }
+
+    // Flattened circle with blended border (falloff in meters)
+    flattenCircle(centerX, centerY, radius, heightValue, options = {}) {
+        const bounds = { minX: centerX - radius, maxX: centerX + radius, minY: centerY - radius, maxY: centerY + radius };
+        const signedDistance = (px, py) => Math.hypot(px - centerX, py - centerY) - radius;
+
+        this.flattenRegion(bounds, signedDistance, heightValue, options);
+        return this.registerPlot({ type: 'circle', x: centerX, y: centerY, radius }, bounds, signedDistance, heightValue, options);
+    }
+
+    // Flattened arbitrary polygon [[x, y], ...] with blended border (falloff in meters)
+    flattenPolygon(points, heightValue, options = {}) {
+        if (points.length < 3) {
+            throw new Error('flattenPolygon needs at least 3 points');
+        }
+
+        const bounds = {
+            minX: Math.min(...points.map((p) => p[0])),
+            maxX: Math.max(...points.map((p) => p[0])),
+            minY: Math.min(...points.map((p) => p[1])),
+            maxY: Math.max(...points.map((p) => p[1]))
+        };
+
+        const signedDistance = (px, py) => {
+            const d = distanceToPolyline(px, py, points, true).distance;
+            return pointInPolygon(px, py, points) ? -d : d;
+        };
+
+        this.flattenRegion(bounds, signedDistance, heightValue, options);
+        return this.registerPlot({ type: 'polygon', points }, bounds, signedDistance, heightValue, options);
+    }
+
+    /**
+     * Carve a road or riverbed along a Catmull-Rom spline through `points`
+     * Points are [x, y] or [x, y, height]; missing heights follow the terrain
+     * at the control point. The channel is `width` meters wide and `depth`
+     * meters below the path height, banks blend back over `bankFalloff` meters.
+     */
+    carveSpline(points, { width = 6, depth = 0, bankFalloff = 4, easing = 'smoothstep', protect = true } = {}) {
+        if (points.length < 2) {
+            throw new Error('carveSpline needs at least 2 points');
+        }
+
+        const ease = getEasing(easing);
+        const controls = points.map((p) => [
+            p[0],
+            p[1],
+            p[2] !== undefined ? p[2] : this.get(Math.round(p[0]), Math.round(p[1]))
+        ]);
+        const path = sampleCatmullRom(controls, 0.5);
+
+        // Nearest path point per cell, rasterized segment by segment
+        const halfWidth = width / 2;
+        const reach = halfWidth + bankFalloff;
+        const bestDistance = new Float32Array(this.width * this.height).fill(Infinity);
+        const bestHeight = new Float32Array(this.width * this.height);
+
+        for (let i = 0; i < path.length - 1; i++) {
+            const a = path[i];
+            const b = path[i + 1];
+            const minX = Math.max(0, Math.floor(Math.min(a[0], b[0]) - reach));
+            const maxX = Math.min(this.width - 1, Math.ceil(Math.max(a[0], b[0]) + reach));
+            const minY = Math.max(0, Math.floor(Math.min(a[1], b[1]) - reach));
+            const maxY = Math.min(this.height - 1, Math.ceil(Math.max(a[1], b[1]) + reach));
+
+            for (let y = minY; y <= maxY; y++) {
+                for (let x = minX; x <= maxX; x++) {
+                    const hit = distanceToSegment(x, y, a, b);
+                    const index = y * this.width + x;
+                    if (hit.distance < bestDistance[index]) {
+                        bestDistance[index] = hit.distance;
+                        bestHeight[index] = a[2] + (b[2] - a[2]) * hit.t;
+                    }
+                }
+            }
+        }
+
+        for (let index = 0; index < bestDistance.length; index++) {
+            const d = bestDistance[index];
+            if (d >= reach) continue;
+
+            const target = bestHeight[index] - depth;
+            if (d <= halfWidth) {
+                this.data[index] = target;
+                if (protect) this.protectedMask[index] = 1;
+            } else {
+                const t = ease((d - halfWidth) / bankFalloff);
+                this.data[index] = target + (this.data[index] - target) * t;
+            }
+        }
+    }
+
+    /**
+     * Apply a declarative list of shapes, in order:
+     *   { type: 'rectangle', x, y, width, height, elevation, falloff, easing, name }
+     *   { type: 'circle', x, y, radius, elevation, falloff, easing, name }
+     *   { type: 'polygon', points: [[x, y], ...], elevation, falloff, easing, name }
+     *   { type: 'carve', points: [[x, y(, height)], ...], width, depth, bankFalloff, easing }
+     * (x, y in heightmap pixels, elevation in meters)
+     * Flatten shapes register a building plot (see registerPlot) under `name`.
+     */
+    applyShapes(shapes) {
+        for (const shape of shapes) {
+            // The shape object doubles as the options object (falloff, easing, protect, ...)
+            switch (shape.type) {
+                case 'rectangle':
+                    this.flattenRectangle(shape.x, shape.y, shape.width, shape.height, shape.elevation, shape);
+                    break;
+                case 'circle':
+                    this.flattenCircle(shape.x, shape.y, shape.radius, shape.elevation, shape);
+                    break;
+                case 'polygon':
+                    this.flattenPolygon(shape.points, shape.elevation, shape);
+                    break;
+                case 'carve':
+                    this.carveSpline(shape.points, shape);
+                    break;
+                default:
+                    throw new Error(`Unknown terrain shape type: ${shape.type}`);
+            }
+        }
+    }
+
+    /**
+     * Blend the terrain toward `horizonHeight` near the heightmap border, so the
+     * playable area meets the apron (terrain-apron.js) and the matte painting
+     * without a hard edge. Raises pits and lowers hills alike.
+     *   width: blend band in meters, measured from the border (or from the inscribed circle)
+     *   margin: flat ring at horizonHeight along the very edge
+     *   shape: 'square' follows the heightmap edges, 'circle' gives a round playable area
+     * Protected cells (plots, roads) are left alone.
+     * The mask (1 = untouched, 0 = horizon) is stored in heightmap.edgeMask.
+     */
+    applyEdgeFalloff({ width = 32, margin = 2, horizonHeight = 0, shape = 'square', easing = 'smoothstep' } = {}) {
+        if (shape !== 'square' && shape !== 'circle') {
+            throw new Error(`Unknown edge falloff shape: ${shape}`);
+        }
+
+        const ease = getEasing(easing);
+        const mask = new Float32Array(this.width * this.height);
+        const centerX = (this.width - 1) / 2;
+        const centerY = (this.height - 1) / 2;
+        const radius = Math.min(centerX, centerY);
+
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                const d = shape === 'square'
+                    ? Math.min(x, y, this.width - 1 - x, this.height - 1 - y)
+                    : radius - Math.hypot(x - centerX, y - centerY);
+
+                const t = ease(Math.min(Math.max((d - margin) / width, 0), 1));
+                const index = y * this.width + x;
+                mask[index] = t;
+
+                if (t < 1 && !this.protectedMask[index]) {
+                    this.data[index] = horizonHeight + (this.data[index] - horizonHeight) * t;
                 }
             }
         }
+
+        this.edgeMask = mask;
+        return mask;
     }
 }
 
 /**
- * Generate a procedural heightmap with noise and geometric shapes
- * Creates flat areas for buildings, towers, etc.
+ * Distance from (px, py) to segment a-b, with the segment parameter t of the nearest point
  */
-export function generateProceduralHeightmap(width = 256, height = 256) {
-    const heightmap = new Heightmap(width, height);
+function distanceToSegment(px, py, a, b) {
+    const dx = b[0] - a[0];
+    const dy = b[1] - a[1];
+    const lengthSq = dx * dx + dy * dy;
+    let t = lengthSq > 0 ? ((px - a[0]) * dx + (py - a[1]) * dy) / lengthSq : 0;
+    t = Math.max(0, Math.min(1, t));
+    return { distance: Math.hypot(px - (a[0] + dx * t), py - (a[1] + dy * t)), t };
+}
+
+/**
+ * Distance from (px, py) to a polyline (closed = polygon outline)
+ */
+function distanceToPolyline(px, py, points, closed = false) {
+    let best = { distance: Infinity, segment: 0, t: 0 };
+    const count = closed ? points.length : points.length - 1;
+    for (let i = 0; i < count; i++) {
+        const hit = distanceToSegment(px, py, points[i], points[(i + 1) % points.length]);
+        if (hit.distance < best.distance) {
+            best = { distance: hit.distance, segment: i, t: hit.t };
+        }
+    }
+    return best;
+}
+
+/**
+ * Even-odd point in polygon test
+ */
+function pointInPolygon(px, py, points) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const [xi, yi] = points[i];
+        const [xj, yj] = points[j];
+        if ((yi > py) !== (yj > py) && px < (xj - xi) * (py - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Sample a Catmull-Rom spline through [x, y, h] control points every ~spacing meters
+ * x/y follow the spline, h is interpolated linearly so it never overshoots
+ */
+function sampleCatmullRom(points, spacing) {
+    const samples = [];
+    const catmullRom = (p0, p1, p2, p3, t) => {
+        const t2 = t * t;
+        const t3 = t2 * t;
+        return 0.5 * (2 * p1 + (-p0 + p2) * t + (2 * p0 - 5 * p1 + 4 * p2 - p3) * t2 + (-p0 + 3 * p1 - 3 * p2 + p3) * t3);
+    };
 
-    // Apply Perlin noise for natural terrain variation
-    heightmap.applyPerlinNoise(0.05, 8, 4);
+    for (let i = 0; i < points.length - 1; i++) {
+        // Endpoints are duplicated so the curve passes through every control point
+        const p0 = points[Math.max(i - 1, 0)];
+        const p1 = points[i];
+        const p2 = points[i + 1];
+        const p3 = points[Math.min(i + 2, points.length - 1)];
+
+        const steps = Math.max(1, Math.ceil(Math.hypot(p2[0] - p1[0], p2[1] - p1[1]) / spacing));
+        for (let s = 0; s < steps; s++) {
+            const t = s / steps;
+            samples.push([
+                catmullRom(p0[0], p1[0], p2[0], p3[0], t),
+                catmullRom(p0[1], p1[1], p2[1], p3[1], t),
+                p1[2] + (p2[2] - p1[2]) * t
+            ]);
+        }
+    }
+    samples.push(points[points.length - 1].slice());
+    return samples;
+}
 
-    // Flat areas for structures (height = 2.0)
+/**
+ * Default area layout: named flat plots for buildings/towers plus a road between them
+ * (x, y in heightmap pixels, elevation in meters)
+ */
+export const DEFAULT_TERRAIN_SHAPES = [
     // 2 squares
-    heightmap.drawRectangle(50, 50, 40, 40, 2.0);    // Top-left area
-    heightmap.drawRectangle(170, 170, 35, 35, 2.0);  // Bottom-right area
+    { type: 'rectangle', name: 'top-left', x: 50, y: 50, width: 40, height: 40, elevation: 2.0, falloff: 10 },
+    { type: 'rectangle', name: 'bottom-right', x: 170, y: 170, width: 35, height: 35, elevation: 2.0, falloff: 10 },
 
     // 2 rectangles
-    heightmap.drawRectangle(100, 30, 60, 30, 2.5);   // Top-center area
-    heightmap.drawRectangle(30, 150, 50, 40, 1.8);   // Bottom-left area
+    { type: 'rectangle', name: 'top-center', x: 100, y: 30, width: 60, height: 30, elevation: 2.5, falloff: 10 },
+    { type: 'rectangle', name: 'bottom-left', x: 30, y: 150, width: 50, height: 40, elevation: 1.8, falloff: 10 },
 
     // 1 circle
-    heightmap.drawCircle(128, 128, 25, 3.0);         // Center area
+    { type: 'circle', name: 'center', x: 128, y: 128, radius: 25, elevation: 3.0, falloff: 12 },
+
+    // Dirt road from the top-left plot to the center, following the terrain in between
+    { type: 'carve', points: [[89, 80, 2.0], [100, 95], [112, 112, 3.0]], width: 5, depth: 0.2, bankFalloff: 5 }
+];
+
+/**
+ * Build the base noise sampler for generateProceduralHeightmap
+ * noise: 'perlin' | 'simplex' | 'ridged' | 'billow', optionally domain-warped
+ */
+function createTerrainNoise({ seed, noise, octaves, warp }) {
+    const base = noise === 'simplex' || noise === 'ridged'
+        ? createSimplexNoise(seed)
+        : createPerlinNoise(seed);
+
+    let sampler;
+    switch (noise) {
+        case 'ridged': {
+            // Remap [0, 1] to [-1, 1] so amplitude means the same as for fbm
+            const ridges = ridgedMultifractal(base, { octaves });
+            sampler = (x, y) => ridges(x, y) * 2 - 1;
+            break;
+        }
+        case 'billow':
+            sampler = billow(base, { octaves });
+            break;
+        case 'perlin':
+        case 'simplex':
+            sampler = fbm(base, { octaves });
+            break;
+        default:
+            throw new Error(`Unknown terrain noise type: ${noise}`);
+    }
+
+    if (warp > 0) {
+        // Separate seed for the warp field so it is not correlated with the terrain
+        sampler = domainWarp(sampler, { warp: createPerlinNoise(`${seed}:warp`), strength: warp });
+    }
+    return sampler;
+}
+
+/**
+ * Generate a procedural heightmap with noise and geometric shapes
+ * Creates flat areas for buildings, towers, etc.
+ * Same options (and seed) = same heightmap, byte for byte.
+ *
+ * @param {number} width - Width in pixels (1 pixel = 1 meter)
+ * @param {number} height - Height in pixels
+ * @param {Object} options - { seed, noise, scale, amplitude, octaves, warp, shapes, erosion, border }
+ *        shapes: declarative list of flatten/carve shapes (see Heightmap.applyShapes),
+ *        defaults to DEFAULT_TERRAIN_SHAPES
+ *        erosion: { hydraulic: {...}, thermal: {...} } options for erosion.js (seed defaults to the terrain seed);
+ *        the resulting maps are stored in heightmap.erosionMaps ({ sediment, flow })
+ *        border: { width, margin, horizonHeight, shape, easing } edge falloff (see Heightmap.applyEdgeFalloff),
+ *        null = hard edge
+ */
+export function generateProceduralHeightmap(width = 256, height = 256, {
+    seed = DEFAULT_TERRAIN_SEED,
+    noise = 'perlin',
+    scale = 0.05,
+    amplitude = 8,
+    octaves = 4,
+    warp = 0,
+    shapes = DEFAULT_TERRAIN_SHAPES,
+    erosion = null,
+    border = null
+} = {}) {
+    const heightmap = new Heightmap(width, height);
+
+    // Seeded noise for natural terrain variation
+    heightmap.applyNoise(createTerrainNoise({ seed, noise, octaves, warp }), scale, amplitude);
+
+    // Flat areas for structures, roads and riverbeds
+    heightmap.applyShapes(shapes);
+
+    // Erosion runs last so the flattened plots are already protected
+    if (erosion) {
+        const sediment = new Float32Array(width * height);
+        let flow = null;
+
+        if (erosion.hydraulic) {
+            const maps = heightmap.erodeHydraulic({ seed, ...erosion.hydraulic });
+            maps.sediment.forEach((value, i) => { sediment[i] += value; });
+            flow = maps.flow;
+        }
+        if (erosion.thermal) {
+            const maps = heightmap.erodeThermal({ seed, ...erosion.thermal });
+            maps.sediment.forEach((value, i) => { sediment[i] += value; });
+        }
+
+        heightmap.erosionMaps = { sediment, flow };
+    }
+
+    // Border last: the edge must end exactly at the horizon height for the apron
+    if (border) {
+        heightmap.applyEdgeFalloff(border);
+    }
 
     return heightmap;
 }
 
 /**
- * Create terrain mesh from heightmap with smooth normals
+ * Create terrain mesh from heightmap with smooth normals (central differences)
  * Each pixel in the heightmap corresponds to 1 meter in world space
  * Terrain is centered at (0, 0) in world coordinates
+ * Runs on the calling thread; createTerrainMeshAsync (terrain-mesh.js) builds it in a Web Worker
  */
 export function createTerrainMesh(gl, heightmap) {
-    const width = heightmap.width;
-    const height = heightmap.height;
+    const meshData = buildTerrainMeshData(heightmap.data, heightmap.width, heightmap.height);
+    return uploadTerrainMesh(gl, meshData);
+}
+
+/**
+ * Resample an arbitrary triangle mesh into a Heightmap (1 pixel = 1 meter)
+ * The heightmap uses the same centering as createTerrainMesh (offset -width/2),
+ * so height queries line up with the imported geometry.
+ * Where triangles overlap (overhangs, caves) the highest surface wins.
+ *
+ * @param {Float32Array} vertexData - Interleaved position(3) + normal(3) + texCoord(2)
+ * @param {Uint32Array} indices - Triangle indices
+ * @returns {Heightmap} Heightmap covering the mesh footprint
+ */
+export function rasterizeMeshToHeightmap(vertexData, indices) {
+    let maxAbsX = 0;
+    let maxAbsZ = 0;
+    let minY = Infinity;
+    for (let i = 0; i < vertexData.length; i += 8) {
+        maxAbsX = Math.max(maxAbsX, Math.abs(vertexData[i]));
+        minY = Math.min(minY, vertexData[i + 1]);
+        maxAbsZ = Math.max(maxAbsZ, Math.abs(vertexData[i + 2]));
+    }
+    if (minY === Infinity) minY = 0;
 
-    // Calculate offsets to center the terrain at (0, 0)
+    // Even size so that world = index - size/2 lands on whole meters
+    const width = 2 * (Math.ceil(maxAbsX) + 1);
+    const height = 2 * (Math.ceil(maxAbsZ) + 1);
     const offsetX = -width / 2;
     const offsetZ = -height / 2;
 
-    // Create vertices (one per heightmap pixel)
-    const vertices = [];
-    const indices = [];
-
-    // Generate vertices with positions
-    for (let z = 0; z < height; z++) {
-        for (let x = 0; x < width; x++) {
-            const worldX = x + offsetX;
-            const worldY = heightmap.get(x, z);
-            const worldZ = z + offsetZ;
-
-            vertices.push({
-                pos: [worldX, worldY, worldZ],
-                normal: [0, 1, 0]  // Will be calculated later
-            });
+    const heightmap = new Heightmap(width, height);
+    heightmap.data.fill(-Infinity);
+
+    for (let i = 0; i < indices.length; i += 3) {
+        const a = indices[i] * 8;
+        const b = indices[i + 1] * 8;
+        const c = indices[i + 2] * 8;
+
+        // Triangle in heightmap pixel space
+        const ax = vertexData[a] - offsetX, ay = vertexData[a + 1], az = vertexData[a + 2] - offsetZ;
+        const bx = vertexData[b] - offsetX, by = vertexData[b + 1], bz = vertexData[b + 2] - offsetZ;
+        const cx = vertexData[c] - offsetX, cy = vertexData[c + 1], cz = vertexData[c + 2] - offsetZ;
+
+        const area = (bx - ax) * (cz - az) - (cx - ax) * (bz - az);
+        if (Math.abs(area) < 1e-12) continue;  // Vertical or degenerate triangle
+
+        const minPx = Math.max(0, Math.ceil(Math.min(ax, bx, cx)));
+        const maxPx = Math.min(width - 1, Math.floor(Math.max(ax, bx, cx)));
+        const minPz = Math.max(0, Math.ceil(Math.min(az, bz, cz)));
+        const maxPz = Math.min(height - 1, Math.floor(Math.max(az, bz, cz)));
+
+        for (let pz = minPz; pz <= maxPz; pz++) {
+            for (let px = minPx; px <= maxPx; px++) {
+                // Barycentric coordinates (small epsilon keeps shared edges covered)
+                const w0 = ((bx - px) * (cz - pz) - (cx - px) * (bz - pz)) / area;
+                const w1 = ((cx - px) * (az - pz) - (ax - px) * (cz - pz)) / area;
+                const w2 = 1 - w0 - w1;
+                if (w0 < -1e-6 || w1 < -1e-6 || w2 < -1e-6) continue;
+
+                const y = w0 * ay + w1 * by + w2 * cy;
+                const index = pz * width + px;
+                if (y > heightmap.data[index]) {
+                    heightmap.data[index] = y;
+                }
+            }
         }
     }
 
-    // Generate indices for triangles
-    for (let z = 0; z < height - 1; z++) {
-        for (let x = 0; x < width - 1; x++) {
-            const topLeft = z * width + x;
-            const topRight = topLeft + 1;
-            const bottomLeft = (z + 1) * width + x;
-            const bottomRight = bottomLeft + 1;
-
-            // Two triangles per quad
-            indices.push(topLeft, bottomLeft, topRight);
-            indices.push(topRight, bottomLeft, bottomRight);
+    // Pixels outside the mesh footprint sit at the lowest point of the mesh
+    for (let i = 0; i < heightmap.data.length; i++) {
+        if (heightmap.data[i] === -Infinity) {
+            heightmap.data[i] = minY;
         }
     }
 
-    // Calculate smooth normals (average of adjacent face normals)
-    const normals = new Array(vertices.length).fill(null).map(() => [0, 0, 0]);
+    return heightmap;
+}
 
-    for (let i = 0; i < indices.length; i += 3) {
-        const i0 = indices[i];
-        const i1 = indices[i + 1];
-        const i2 = indices[i + 2];
-
-        const v0 = vertices[i0].pos;
-        const v1 = vertices[i1].pos;
-        const v2 = vertices[i2].pos;
-
-        // Calculate face normal
-        const edge1 = [v1[0] - v0[0], v1[1] - v0[1], v1[2] - v0[2]];
-        const edge2 = [v2[0] - v0[0], v2[1] - v0[1], v2[2] - v0[2]];
-
-        const normal = [
-            edge1[1] * edge2[2] - edge1[2] * edge2[1],
-            edge1[2] * edge2[0] - edge1[0] * edge2[2],
-            edge1[0] * edge2[1] - edge1[1] * edge2[0]
-        ];
-
-        // Add to each vertex normal
-        for (let j = 0; j < 3; j++) {
-            normals[i0][j] += normal[j];
-            normals[i1][j] += normal[j];
-            normals[i2][j] += normal[j];
-        }
+/**
+ * Load terrain from an OBJ file (e.g. a playable area sculpted in Blender)
+ * Materials referenced through mtllib are loaded and resolved relative to the OBJ.
+ * The result has the same buffers and 32-byte vertex layout as createTerrainMesh,
+ * plus a Heightmap resampled from the mesh for height queries.
+ *
+ * @param {WebGLRenderingContext} gl - Contesto WebGL
+ * @param {string} filepath - URL of the .obj file
+ * @returns {Promise<Object>} { vbo, ibo, indexCount, indexType, vertexCount, bounds, groups, materials, heightmap }
+ */
+export async function loadTerrainFromOBJ(gl, filepath) {
+    const response = await fetch(filepath);
+    if (!response.ok) {
+        throw new Error(`Failed to load OBJ "${filepath}": ${response.status} ${response.statusText}`);
     }
-
-    // Normalize all normals
-    for (let i = 0; i < normals.length; i++) {
-        const n = normals[i];
-        const len = Math.sqrt(n[0] * n[0] + n[1] * n[1] + n[2] * n[2]);
-        if (len > 0) {
-            normals[i] = [n[0] / len, n[1] / len, n[2] / len];
-        } else {
-            normals[i] = [0, 1, 0];
+    const obj = parseOBJ(await response.text());
+
+    // Material libraries are optional: a missing .mtl only costs the material data
+    const materials = new Map();
+    for (const lib of obj.materialLibs) {
+        const url = new URL(lib, new URL(filepath, document.baseURI)).href;
+        try {
+            const mtlResponse = await fetch(url);
+            if (!mtlResponse.ok) throw new Error(`${mtlResponse.status} ${mtlResponse.statusText}`);
+
+            for (const [name, material] of parseMTL(await mtlResponse.text())) {
+                // Texture paths in an MTL are relative to the MTL itself
+                for (const map of Object.values(material.maps)) {
+                    if (map.file) map.url = new URL(map.file, url).href;
+                }
+                materials.set(name, material);
+            }
+        } catch (error) {
+            console.warn(`✗ Failed to load material library "${url}": ${error.message}`);
         }
-        vertices[i].normal = normals[i];
     }
 
-    // Build interleaved vertex data: position(3) + normal(3) + texCoord(2)
-    const vertexData = new Float32Array(vertices.length * 8);
-
-    for (let i = 0; i < vertices.length; i++) {
-        const v = vertices[i];
-        const offset = i * 8;
-
-        // Position
-        vertexData[offset + 0] = v.pos[0];
-        vertexData[offset + 1] = v.pos[1];
-        vertexData[offset + 2] = v.pos[2];
-
-        // Normal
-        vertexData[offset + 3] = v.normal[0];
-        vertexData[offset + 4] = v.normal[1];
-        vertexData[offset + 5] = v.normal[2];
-
-        // Texture coordinates (for future use)
-        // Map to 0-1 range based on position in heightmap
-        vertexData[offset + 6] = (v.pos[0] - offsetX) / width;
-        vertexData[offset + 7] = (v.pos[2] - offsetZ) / height;
+    for (const group of obj.groups) {
+        if (group.material && !materials.has(group.material)) {
+            console.warn(`OBJ "${filepath}": material "${group.material}" not found`);
+        }
     }
 
-    // Create WebGL buffers
     const vbo = gl.createBuffer();
     gl.bindBuffer(gl.ARRAY_BUFFER, vbo);
-    gl.bufferData(gl.ARRAY_BUFFER, vertexData, gl.STATIC_DRAW);
+    gl.bufferData(gl.ARRAY_BUFFER, obj.vertexData, gl.STATIC_DRAW);
 
     const ibo = gl.createBuffer();
     gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, ibo);
-    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint32Array(indices), gl.STATIC_DRAW);
+    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, obj.indices, gl.STATIC_DRAW);
+
+    const heightmap = rasterizeMeshToHeightmap(obj.vertexData, obj.indices);
+
+    console.log(`✓ OBJ terrain loaded: ${filepath} (${obj.vertexCount} vertices, ${obj.indices.length / 3} triangles, ${obj.groups.length} groups)`);
 
     return {
         vbo: vbo,
         ibo: ibo,
-        indexCount: indices.length,
-        vertexCount: vertices.length
+        indexCount: obj.indices.length,
+        indexType: 'uint32',
+        vertexCount: obj.vertexCount,
+        bounds: computeMeshBounds(obj.vertexData),
+        groups: obj.groups,
+        materials: materials,
+        heightmap: heightmap
     };
 }
-
-/**
- * Load terrain from OBJ file
- * TODO: Implement OBJ loading functionality
- */
-export function loadTerrainFromOBJ(gl, filepath) {
-    // TODO: Implement OBJ file loading
-    // This will parse the OBJ file and create the terrain mesh from it
-    // For now, return null to indicate not implemented
-    console.warn('loadTerrainFromOBJ not yet implemented');
-    return null;
-}
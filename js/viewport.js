@@ -0,0 +1,169 @@
+// ============================================================
+// VIEWPORT - Dimensioni del canvas, HiDPI, fullscreen, render scale
+// ============================================================
+
+/**
+ * Unico punto che decide la risoluzione del canvas
+ * Drawing buffer = dimensione CSS × min(devicePixelRatio, maxPixelRatio) × renderScale.
+ * Si ricalcola su resize della finestra, fullscreen e cambio di devicePixelRatio
+ * (finestra spostata su un altro monitor); i sistemi interessati si iscrivono con onResize().
+ */
+export class Viewport {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas del gioco
+     * @param {WebGLRenderingContext} gl - Contesto WebGL
+     * @param {Object} options - Opzioni
+     * @param {number} options.maxPixelRatio - Limite al devicePixelRatio (schermi 3x costano 9 volte i pixel)
+     * @param {number} options.renderScale - Scala della risoluzione (1 = nativa, 0.5 = metà per lato)
+     * @param {Object} options.dynamicResolution - { enabled, targetFps, minScale, maxScale, step }
+     */
+    constructor(canvas, gl, { maxPixelRatio = 2, renderScale = 1, dynamicResolution = {} } = {}) {
+        this.canvas = canvas;
+        this.gl = gl;
+        this.maxPixelRatio = maxPixelRatio;
+        this.renderScale = renderScale;
+        this.minRenderScale = 0.25;
+        this.maxRenderScale = 2;
+
+        // Dynamic resolution: adjusts renderScale to hold the target frame rate
+        this.dynamicResolution = {
+            enabled: false,
+            targetFps: 60,
+            minScale: 0.5,
+            maxScale: 1,
+            step: 0.1,
+            ...dynamicResolution
+        };
+        this.frameTimeSum = 0;
+        this.frameCount = 0;
+
+        this.cssWidth = 0;
+        this.cssHeight = 0;
+        this.pixelRatio = 1;   // drawing buffer pixels per CSS pixel
+        this.width = 0;        // drawing buffer
+        this.height = 0;
+        this.aspect = 1;
+
+        this.listeners = [];
+
+        window.addEventListener('resize', () => this.resize());
+        document.addEventListener('fullscreenchange', () => this.resize());
+        this.watchPixelRatio();
+        this.resize();
+    }
+
+    /**
+     * Registra una callback chiamata a ogni cambio di dimensione (e subito, con lo stato attuale)
+     * @param {Function} callback - (viewport) => void
+     * @returns {Function} Funzione che rimuove la callback
+     */
+    onResize(callback) {
+        this.listeners.push(callback);
+        callback(this);
+        return () => {
+            const index = this.listeners.indexOf(callback);
+            if (index !== -1) this.listeners.splice(index, 1);
+        };
+    }
+
+    /**
+     * Ricalcola la dimensione del drawing buffer e aggiorna il viewport GL
+     * @param {boolean} force - Notifica anche se la dimensione non è cambiata
+     */
+    resize(force = false) {
+        const cssWidth = this.canvas.clientWidth || window.innerWidth;
+        const cssHeight = this.canvas.clientHeight || window.innerHeight;
+        const pixelRatio = Math.min(window.devicePixelRatio || 1, this.maxPixelRatio) * this.renderScale;
+
+        const width = Math.max(1, Math.round(cssWidth * pixelRatio));
+        const height = Math.max(1, Math.round(cssHeight * pixelRatio));
+        if (!force && width === this.width && height === this.height && cssWidth === this.cssWidth && cssHeight === this.cssHeight) {
+            return;
+        }
+
+        this.cssWidth = cssWidth;
+        this.cssHeight = cssHeight;
+        this.pixelRatio = pixelRatio;
+        this.width = width;
+        this.height = height;
+        this.aspect = cssWidth / cssHeight;
+
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.gl.viewport(0, 0, width, height);
+
+        for (const callback of this.listeners) {
+            callback(this);
+        }
+    }
+
+    /**
+     * Imposta la scala di rendering (il canvas resta della stessa dimensione CSS)
+     * @param {number} scale - 1 = nativa, < 1 = meno pixel (più veloce), > 1 = supersampling
+     */
+    setRenderScale(scale) {
+        this.renderScale = Math.min(Math.max(scale, this.minRenderScale), this.maxRenderScale);
+        this.resize();
+    }
+
+    /**
+     * Imposta il limite al devicePixelRatio
+     */
+    setMaxPixelRatio(maxPixelRatio) {
+        this.maxPixelRatio = maxPixelRatio;
+        this.resize();
+    }
+
+    /**
+     * Entra/esce dal fullscreen (va chiamato da un evento utente, es. un tasto)
+     * Il resize arriva con l'evento fullscreenchange.
+     */
+    toggleFullscreen() {
+        if (document.fullscreenElement) {
+            document.exitFullscreen();
+        } else {
+            // The whole page, so the HTML overlays stay visible
+            document.documentElement.requestFullscreen().catch((error) => {
+                console.warn(`✗ Fullscreen not available: ${error.message}`);
+            });
+        }
+    }
+
+    /**
+     * Risoluzione dinamica: da chiamare ogni frame, corregge renderScale una volta al secondo
+     * @param {number} dt - Delta time in secondi
+     */
+    update(dt) {
+        const dynamic = this.dynamicResolution;
+        if (!dynamic.enabled || !(dt > 0)) return;
+
+        this.frameTimeSum += dt;
+        this.frameCount++;
+        if (this.frameTimeSum < 1) return;
+
+        const frameTime = this.frameTimeSum / this.frameCount;
+        const target = 1 / dynamic.targetFps;
+        this.frameTimeSum = 0;
+        this.frameCount = 0;
+
+        // Dead band around the target so the scale does not oscillate every second
+        let scale = this.renderScale;
+        if (frameTime > target * 1.15) scale -= dynamic.step;
+        else if (frameTime < target * 0.85) scale += dynamic.step;
+        scale = Math.min(Math.max(scale, dynamic.minScale), dynamic.maxScale);
+
+        if (Math.abs(scale - this.renderScale) > 1e-6) {
+            this.setRenderScale(scale);
+        }
+    }
+
+    // devicePixelRatio changes (window dragged to another monitor, browser zoom) do not fire 'resize' everywhere
+    watchPixelRatio() {
+        if (!window.matchMedia) return;
+        const query = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+        query.addEventListener('change', () => {
+            this.resize();
+            this.watchPixelRatio();
+        }, { once: true });
+    }
+}
@@ -0,0 +1,347 @@
+/**
+ * Water bodies
+ * Lakes are defined on the Heightmap either by a global water level (every
+ * basin below it) or by flood fills from seed points, each with its own level.
+ *
+ * From the water mask this module builds:
+ *   - a surface mesh per area, clipped to the shoreline inside each cell
+ *     (marching-squares style), so the edge follows the terrain instead of
+ *     the 1 m grid
+ *   - a signed shoreline distance field (m, negative in water, positive on land)
+ *     for foam and wet sand
+ *   - an RGBA data texture for the water and terrain shaders
+ *
+ * Same mapping as the terrain: 1 pixel = 1 meter, pixel (0, 0) at world (-width/2, -height/2).
+ */
+
+import { computeMeshBounds } from './bounds.js';
+
+// Chamfer distance weights (orthogonal / diagonal), close to the Euclidean distance in meters
+const CHAMFER_ORTHOGONAL = 1;
+const CHAMFER_DIAGONAL = Math.SQRT2;
+
+/**
+ * Distanza (m) di ogni cella dalla cella "sorgente" più vicina (trasformata chamfer a due passate)
+ * @param {Uint8Array} sources - 1 = cella sorgente (distanza 0)
+ * @param {number} width - Larghezza in pixel
+ * @param {number} height - Altezza in pixel
+ * @returns {Float32Array} Distanze, Infinity se non ci sono sorgenti
+ */
+export function distanceTransform(sources, width, height) {
+    const distance = new Float32Array(width * height);
+    for (let i = 0; i < distance.length; i++) {
+        distance[i] = sources[i] ? 0 : Infinity;
+    }
+
+    const relax = (index, x, y, dx, dy, weight) => {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx < 0 || nx >= width || ny < 0 || ny >= height) return;
+        const candidate = distance[ny * width + nx] + weight;
+        if (candidate < distance[index]) distance[index] = candidate;
+    };
+
+    // Forward pass: neighbours above and to the left
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const index = y * width + x;
+            relax(index, x, y, -1, 0, CHAMFER_ORTHOGONAL);
+            relax(index, x, y, 0, -1, CHAMFER_ORTHOGONAL);
+            relax(index, x, y, -1, -1, CHAMFER_DIAGONAL);
+            relax(index, x, y, 1, -1, CHAMFER_DIAGONAL);
+        }
+    }
+
+    // Backward pass: neighbours below and to the right
+    for (let y = height - 1; y >= 0; y--) {
+        for (let x = width - 1; x >= 0; x--) {
+            const index = y * width + x;
+            relax(index, x, y, 1, 0, CHAMFER_ORTHOGONAL);
+            relax(index, x, y, 0, 1, CHAMFER_ORTHOGONAL);
+            relax(index, x, y, 1, 1, CHAMFER_DIAGONAL);
+            relax(index, x, y, -1, 1, CHAMFER_DIAGONAL);
+        }
+    }
+
+    return distance;
+}
+
+/**
+ * Flood fill 4-connesso dalle celle `start` attraverso le celle sotto `level`
+ * Scrive bodyId in bodies e restituisce il numero di celle riempite
+ */
+function floodFill(heightmap, bodies, start, level, bodyId) {
+    const { width, height, data } = heightmap;
+    const queue = new Int32Array(width * height);
+    let head = 0;
+    let tail = 0;
+
+    if (bodies[start] || data[start] >= level) return 0;
+    bodies[start] = bodyId;
+    queue[tail++] = start;
+
+    while (head < tail) {
+        const index = queue[head++];
+        const x = index % width;
+        const y = (index - x) / width;
+        const neighbours = [
+            x > 0 ? index - 1 : -1,
+            x < width - 1 ? index + 1 : -1,
+            y > 0 ? index - width : -1,
+            y < height - 1 ? index + width : -1
+        ];
+        for (const n of neighbours) {
+            if (n < 0 || bodies[n] || data[n] >= level) continue;
+            bodies[n] = bodyId;
+            queue[tail++] = n;
+        }
+    }
+
+    return tail;
+}
+
+/**
+ * Trova laghi e specchi d'acqua sulla heightmap
+ *
+ * @param {Heightmap} heightmap - Heightmap del terreno
+ * @param {Object} options - Opzioni
+ * @param {number|null} options.level - Livello globale (m): ogni bacino sotto questa quota diventa un lago
+ * @param {Array<Object>} options.seeds - Flood fill da punti [{ x, y, level }] in pixel heightmap;
+ *        senza level il lago è profondo `depth` metri sopra il terreno nel punto seed
+ * @param {number} options.depth - Profondità di default dei laghi da seed (m)
+ * @param {number} options.minCells - Bacini più piccoli (pozzanghere) vengono scartati
+ * @param {number} options.shoreRange - Distanza (m) coperta dal campo costa nella texture
+ * @param {number} options.depthRange - Profondità (m) a cui l'acqua diventa opaca nella texture
+ * @returns {WaterMap} Mappa dell'acqua
+ */
+export function findWaterBodies(heightmap, {
+    level = null,
+    seeds = [],
+    depth = 1.5,
+    minCells = 16,
+    shoreRange = 8,
+    depthRange = 4
+} = {}) {
+    const { width, height, data } = heightmap;
+    const bodyMap = new Uint16Array(width * height);
+    const bodies = [];
+
+    const addBody = (start, bodyLevel) => {
+        const id = bodies.length + 1;
+        const cellCount = floodFill(heightmap, bodyMap, start, bodyLevel, id);
+        if (cellCount === 0) return;
+        bodies.push({ id, level: bodyLevel, cellCount });
+    };
+
+    // Seeds first: their own level wins over the global one where they overlap
+    for (const seed of seeds) {
+        const x = Math.round(seed.x);
+        const y = Math.round(seed.y);
+        if (x < 0 || y < 0 || x >= width || y >= height) {
+            throw new Error(`Water seed (${seed.x}, ${seed.y}) is outside the heightmap`);
+        }
+        const start = y * width + x;
+        addBody(start, seed.level !== undefined ? seed.level : data[start] + depth);
+    }
+
+    if (level !== null) {
+        for (let i = 0; i < data.length; i++) {
+            if (!bodyMap[i] && data[i] < level) addBody(i, level);
+        }
+    }
+
+    // Drop puddles, renumber the rest
+    const kept = bodies.filter((body) => body.cellCount >= minCells);
+    const remap = new Uint16Array(bodies.length + 1);
+    kept.forEach((body, i) => {
+        remap[body.id] = i + 1;
+        body.id = i + 1;
+    });
+    for (let i = 0; i < bodyMap.length; i++) {
+        bodyMap[i] = remap[bodyMap[i]];
+    }
+
+    return new WaterMap(heightmap, bodyMap, kept, { shoreRange, depthRange });
+}
+
+/**
+ * Mappa dell'acqua: laghi, campo distanza dalla costa, mesh e texture
+ */
+export class WaterMap {
+    constructor(heightmap, bodyMap, bodies, { shoreRange, depthRange }) {
+        this.heightmap = heightmap;
+        this.width = heightmap.width;
+        this.height = heightmap.height;
+        this.bodyMap = bodyMap;       // 0 = land, n = water body n
+        this.bodies = bodies;         // [{ id, level, cellCount }]
+        this.shoreRange = shoreRange;
+        this.depthRange = depthRange;
+        this.offsetX = -this.width / 2;
+        this.offsetZ = -this.height / 2;
+        this.texture = null;
+        this.computeShoreline();
+    }
+
+    /**
+     * Campo distanza dalla costa con segno (m): negativo in acqua, positivo a terra
+     */
+    computeShoreline() {
+        const size = this.width * this.height;
+        const water = new Uint8Array(size);
+        const land = new Uint8Array(size);
+        for (let i = 0; i < size; i++) {
+            water[i] = this.bodyMap[i] ? 1 : 0;
+            land[i] = 1 - water[i];
+        }
+
+        const toWater = distanceTransform(water, this.width, this.height);
+        const toLand = distanceTransform(land, this.width, this.height);
+
+        this.shorelineDistance = new Float32Array(size);
+        for (let i = 0; i < size; i++) {
+            this.shorelineDistance[i] = water[i] ? -toLand[i] : toWater[i];
+        }
+    }
+
+    /**
+     * Maschera 0/1 dell'acqua (es. per i biomi o la navigazione)
+     * @returns {Uint8Array}
+     */
+    getMask() {
+        return this.bodyMap.map((id) => (id ? 1 : 0));
+    }
+
+    /**
+     * Lago nella cella world (x, z), null se terra o fuori mappa
+     * @returns {Object|null} { id, level, cellCount }
+     */
+    getBodyAt(x, z) {
+        const px = Math.round(x - this.offsetX);
+        const pz = Math.round(z - this.offsetZ);
+        if (px < 0 || pz < 0 || px >= this.width || pz >= this.height) return null;
+        const id = this.bodyMap[pz * this.width + px];
+        return id ? this.bodies[id - 1] : null;
+    }
+
+    /**
+     * true se in (x, z) world c'è acqua sopra il terreno
+     */
+    isWaterAt(x, z) {
+        return this.getBodyAt(x, z) !== null;
+    }
+
+    /**
+     * Crea la mesh della superficie dell'acqua, ritagliata sulla linea di costa
+     * Layout standard position(3) + normal(3) + texCoord(2), texCoord come il terreno (pixel / size)
+     * @param {WebGLRenderingContext} gl - Contesto WebGL
+     * @returns {Object} Mesh { vbo, ibo, indexCount, indexType, vertexCount, bounds }
+     */
+    createSurfaceMesh(gl) {
+        const { width, height, bodyMap } = this;
+        const heights = this.heightmap.data;
+        const vertices = [];
+        const indices = [];
+        const vertexIndex = new Map();
+
+        const addVertex = (x, z, level) => {
+            const key = `${x.toFixed(4)},${z.toFixed(4)},${level}`;
+            let index = vertexIndex.get(key);
+            if (index === undefined) {
+                index = vertices.length / 8;
+                vertices.push(x + this.offsetX, level, z + this.offsetZ, 0, 1, 0, x / width, z / height);
+                vertexIndex.set(key, index);
+            }
+            return index;
+        };
+
+        for (let z = 0; z < height - 1; z++) {
+            for (let x = 0; x < width - 1; x++) {
+                // Corners counter-clockwise seen from above, as the terrain triangles
+                const corners = [[x, z], [x, z + 1], [x + 1, z + 1], [x + 1, z]];
+
+                // The highest body touching the cell sets its level
+                let level = -Infinity;
+                for (const [cx, cz] of corners) {
+                    const id = bodyMap[cz * width + cx];
+                    if (id) level = Math.max(level, this.bodies[id - 1].level);
+                }
+                if (level === -Infinity) continue;
+
+                // Clip the cell against depth > 0, cutting edges where the terrain crosses the level
+                const depth = corners.map(([cx, cz]) => level - heights[cz * width + cx]);
+                const polygon = [];
+                for (let i = 0; i < 4; i++) {
+                    const j = (i + 1) % 4;
+                    if (depth[i] > 0) polygon.push(corners[i]);
+                    if ((depth[i] > 0) !== (depth[j] > 0)) {
+                        const t = depth[i] / (depth[i] - depth[j]);
+                        polygon.push([
+                            corners[i][0] + (corners[j][0] - corners[i][0]) * t,
+                            corners[i][1] + (corners[j][1] - corners[i][1]) * t
+                        ]);
+                    }
+                }
+                if (polygon.length < 3) continue;
+
+                const first = addVertex(polygon[0][0], polygon[0][1], level);
+                for (let i = 1; i < polygon.length - 1; i++) {
+                    const b = addVertex(polygon[i][0], polygon[i][1], level);
+                    const c = addVertex(polygon[i + 1][0], polygon[i + 1][1], level);
+                    // Crossings a hair away from a corner collapse onto it: skip the sliver
+                    if (b === first || c === first || b === c) continue;
+                    indices.push(first, b, c);
+                }
+            }
+        }
+
+        const vbo = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, vbo);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(vertices), gl.STATIC_DRAW);
+
+        const ibo = gl.createBuffer();
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, ibo);
+        gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint32Array(indices), gl.STATIC_DRAW);
+
+        return {
+            vbo: vbo,
+            ibo: ibo,
+            indexCount: indices.length,
+            indexType: 'uint32',
+            vertexCount: vertices.length / 8,
+            bounds: computeMeshBounds(vertices)
+        };
+    }
+
+    /**
+     * Texture RGBA per gli shader, campionata con le texCoord del terreno:
+     *   R = profondità / depthRange, G = distanza dalla costa in acqua / shoreRange (schiuma),
+     *   B = distanza dalla costa a terra / shoreRange (sabbia bagnata), A = 1 in acqua
+     * @param {WebGLRenderingContext} gl - Contesto WebGL
+     * @returns {WebGLTexture}
+     */
+    createTexture(gl) {
+        const heights = this.heightmap.data;
+        const pixels = new Uint8Array(this.width * this.height * 4);
+        const toByte = (v) => Math.round(Math.min(Math.max(v, 0), 1) * 255);
+
+        for (let i = 0; i < this.bodyMap.length; i++) {
+            const id = this.bodyMap[i];
+            const shore = this.shorelineDistance[i];
+            pixels[i * 4 + 0] = id ? toByte((this.bodies[id - 1].level - heights[i]) / this.depthRange) : 0;
+            pixels[i * 4 + 1] = toByte(-shore / this.shoreRange);
+            pixels[i * 4 + 2] = toByte(shore / this.shoreRange);
+            pixels[i * 4 + 3] = id ? 255 : 0;
+        }
+
+        const texture = this.texture || gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, this.width, this.height, 0, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+
+        this.texture = texture;
+        return texture;
+    }
+}
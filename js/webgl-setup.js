@@ -8,10 +8,7 @@
  * @returns {WebGLRenderingContext|null} Contesto WebGL o null se non supportato
  */
 export function initWebGL(canvas) {
-    // Imposta dimensioni canvas
-    canvas.width = window.innerWidth;
-    canvas.height = window.innerHeight;
-
+    // Dimensioni del canvas, HiDPI e resize: Viewport (viewport.js)
     const gl = canvas.getContext('webgl');
     if (!gl) {
         alert('WebGL not supported');
@@ -31,3 +28,44 @@ export function initWebGL(canvas) {
 
     return gl;
 }
+
+/**
+ * Conta le chiamate GL: ogni metodo del contesto (e delle estensioni chieste dopo) incrementa
+ * counter.calls. Il renderer lo azzera a inizio frame e lo riporta in stats.glCalls.
+ * Solo per debug: ogni chiamata GL passa da un wrapper
+ * @param {WebGLRenderingContext} gl - Contesto WebGL (i metodi vengono sostituiti sull'istanza)
+ * @returns {{calls: number}} Contatore
+ */
+export function createGLCallCounter(gl) {
+    const counter = { calls: 0 };
+
+    const instrument = (target) => {
+        const proto = Object.getPrototypeOf(target);
+        for (const name of Object.getOwnPropertyNames(proto)) {
+            const descriptor = Object.getOwnPropertyDescriptor(proto, name);
+            if (name === 'constructor' || typeof descriptor.value !== 'function') continue;
+            const method = descriptor.value;
+            // apply(target, arguments) instead of a rest parameter: no array per call
+            target[name] = function () {
+                counter.calls++;
+                return method.apply(target, arguments);
+            };
+        }
+    };
+
+    instrument(gl);
+
+    // Extension objects (OES_vertex_array_object, ...) are counted too
+    const instrumented = new Set();
+    const getExtension = gl.getExtension;
+    gl.getExtension = (name) => {
+        const extension = getExtension(name);
+        if (extension && !instrumented.has(extension)) {
+            instrument(extension);
+            instrumented.add(extension);
+        }
+        return extension;
+    };
+
+    return counter;
+}
@@ -0,0 +1,354 @@
+/**
+ * World scene
+ * Builds the scene graph (scene.js) for everything the renderer draws: sky,
+ * matte painting, terrain, apron, structures, avatar, water and the
+ * navigation debug paths. Each object is a node with a material
+ * (material.js) whose pass decides when it is drawn (render-queue.js) and
+ * whose render state how: only the materials below that blend, skip depth
+ * writes or draw both faces say so.
+ *
+ * Settings the rest of the app changes at runtime (renderer.terrainMaterial,
+ * biomeMap, waterMap, showNavGrid, avatar, ...) are read through uniform
+ * functions and node.onUpdate, so they keep working as plain renderer fields.
+ * Structure placements and navigation paths are lists: their nodes follow
+ * structures.placements and renderer.navPaths as items are added or removed.
+ *
+ * The old ground plane, mesh-card mountains and billboard trees are built
+ * hidden; turn one on with renderer.scene.find('mountains').visible = true.
+ */
+
+import { SceneNode } from './scene.js';
+import { Material } from './material.js';
+import { quatSetAxisAngle } from './math-utils.js';
+import { MAX_TERRAIN_LAYERS } from './terrain-material.js';
+
+/**
+ * Nodo gruppo i cui figli seguono una lista (un figlio per elemento, riusato finché l'elemento resta)
+ * @param {string} name - Nome del gruppo
+ * @param {Function} getItems - () => Array, letta ogni frame
+ * @param {Function} createNode - (item) => SceneNode
+ * @param {Function} onUpdate - (node, context) => void aggiuntivo (opzionale)
+ * @returns {SceneNode} Gruppo
+ */
+function createListNode(name, getItems, createNode, onUpdate = null) {
+    const nodes = new Map();
+    let synced = [];
+
+    return new SceneNode(name, {
+        onUpdate: (group, context) => {
+            if (onUpdate) onUpdate(group, context);
+
+            const items = getItems();
+            let changed = items.length !== synced.length;
+            for (let i = 0; !changed && i < items.length; i++) {
+                changed = items[i] !== synced[i];
+            }
+            if (!changed) return;
+
+            for (const item of synced) {
+                if (!items.includes(item)) nodes.delete(item);
+            }
+            for (const child of [...group.children]) {
+                group.remove(child);
+            }
+            for (const item of items) {
+                if (!nodes.has(item)) nodes.set(item, createNode(item));
+                group.add(nodes.get(item));
+            }
+            synced = items.slice();
+        }
+    });
+}
+
+/**
+ * Cielo: skybox (procedurale, texture o cubemap secondo il MattePaintingManager) e cielo procedurale
+ */
+function buildSky(renderer) {
+    const { programs, meshes } = renderer;
+    const manager = renderer.mattePaintingManager;
+    const sky = new SceneNode('sky');
+
+    // Centred on the camera by the shaders (view translation dropped, xyww at the far plane): never culled,
+    // seen from inside (no face culling) and behind everything else (no depth writes)
+    const skyState = { pass: 'background', depthWrite: false, cull: 'none' };
+    const skyboxModes = [
+        {
+            name: 'skybox',
+            material: new Material('skybox', programs.skybox, skyState),
+            active: () => !manager || (!manager.useCubemap && manager.useProcedural)
+        },
+        {
+            name: 'skyboxTextured',
+            material: new Material('skyboxTextured', programs.skyboxTextured, {
+                ...skyState,
+                uniforms: { uUseTexture: () => Boolean(manager.skyboxTexture) },
+                textures: { uSkyboxTexture: () => manager.skyboxTexture }
+            }),
+            active: () => manager && !manager.useCubemap && !manager.useProcedural
+        },
+        {
+            name: 'skyboxCubemap',
+            material: new Material('skyboxCubemap', programs.skyboxCubemap, {
+                ...skyState,
+                uniforms: { uUseCubemap: () => Boolean(manager.skyboxCubemap) },
+                textures: { uCubemap: { target: renderer.gl.TEXTURE_CUBE_MAP, texture: () => manager.skyboxCubemap } }
+            }),
+            active: () => manager && manager.useCubemap
+        }
+    ];
+    for (const mode of skyboxModes) {
+        sky.add(new SceneNode(mode.name, {
+            mesh: meshes.skybox,
+            material: mode.material,
+            renderOrder: -2,
+            cull: false,
+            onUpdate: (node) => { node.visible = Boolean(mode.active()); }
+        }));
+    }
+
+    sky.add(new SceneNode('proceduralSky', {
+        mesh: meshes.proceduralSky,
+        material: new Material('proceduralSky', programs.proceduralSky, skyState),
+        renderOrder: -1,
+        cull: false
+    }));
+
+    return sky;
+}
+
+/**
+ * Layer del matte painting, dal più lontano al più vicino (renderOrder = indice)
+ * La parallasse è la posizione del nodo del layer: la stessa traslazione della view
+ * scalata di parallaxFactor in x/z (spazio view), riportata in world con la rotazione della view
+ */
+function buildMattePainting(renderer) {
+    const manager = renderer.mattePaintingManager;
+    const matte = new SceneNode('mattePainting');
+    const sortedLayers = [...manager.layers].sort((a, b) => b.distance - a.distance);
+
+    sortedLayers.forEach((layer, index) => {
+        if (!layer.mesh) return;
+
+        // Cards fade out through their alpha (uAlpha, texture edges) over the layers behind them
+        const material = new Material(`matte:${layer.name}`, renderer.programs.mattePainting, {
+            pass: 'background',
+            blend: 'alpha',
+            cull: 'none',
+            uniforms: {
+                uUseTexture: () => layer.useTexture && Boolean(layer.texture),
+                uFallbackColor: [0.5, 0.5, 0.6],
+                uAlpha: () => layer.alpha,
+                uUseFog: () => layer.useFog
+            },
+            textures: { uTexture: () => layer.texture }
+        });
+
+        const layerNode = new SceneNode(layer.name, {
+            renderOrder: index,
+            onUpdate: (node, { viewMatrix: v }) => {
+                const dx = (layer.parallaxFactor - 1) * v[12];
+                const dz = (layer.parallaxFactor - 1) * v[14];
+                for (let i = 0; i < 3; i++) {
+                    node.position[i] = v[i * 4] * dx + v[i * 4 + 2] * dz;
+                }
+            }
+        });
+
+        if (layer.mesh.cards) {
+            // One node per card: culled and sorted on its own
+            for (const card of layer.mesh.cards) {
+                layerNode.add(new SceneNode(`${layer.name}:card`, {
+                    mesh: {
+                        vbo: layer.mesh.vbo,
+                        ibo: layer.mesh.ibo,
+                        firstIndex: card.firstIndex,
+                        indexCount: card.indexCount,
+                        bounds: { aabb: card.aabb }
+                    },
+                    material,
+                    renderOrder: index
+                }));
+            }
+        } else {
+            layerNode.mesh = layer.mesh;
+            layerNode.material = material;
+        }
+        matte.add(layerNode);
+    });
+
+    return matte;
+}
+
+/**
+ * Terreno (chunk o mesh unica) e apron
+ */
+function buildTerrain(renderer) {
+    const { gl, programs, meshes } = renderer;
+    const terrain = meshes.terrain;
+
+    const material = new Material('terrain', programs.terrain, {
+        uniforms: {
+            uTerrainColor: () => renderer.terrainColor,
+            uUseMaterial: () => Boolean(renderer.terrainMaterial),
+            uUseBiomeMap: () => Boolean(renderer.biomeMap && renderer.biomeMap.texture),
+            uBiomeStrength: () => renderer.biomeStrength,
+            uUseWaterMap: () => Boolean(renderer.waterMap && renderer.waterMap.texture),
+            uUseNavOverlay: () => Boolean(renderer.showNavGrid && renderer.navGrid && renderer.navGrid.debugTexture),
+            uBrush: () => renderer.terrainEditor ? renderer.terrainEditor.getBrushUniform() : [0, 0, 0, 0]
+        },
+        // Units 0-4 belong to the terrain material (layers + splat map)
+        firstTextureUnit: MAX_TERRAIN_LAYERS + 1,
+        textures: {
+            uBiomeMap: () => renderer.biomeMap && renderer.biomeMap.texture,
+            uWaterMap: () => renderer.waterMap && renderer.waterMap.texture,
+            uNavOverlay: () => renderer.navGrid && renderer.navGrid.debugTexture
+        },
+        apply: () => {
+            if (renderer.terrainMaterial) renderer.terrainMaterial.apply(gl, programs.terrain);
+        }
+    });
+
+    const group = new SceneNode('terrain', {
+        // Chunked terrain: pick the LOD (index buffer) of every chunk; the renderer culls each chunk node
+        onUpdate: (node, context) => {
+            if (terrain.update) terrain.update(context.eye);
+        }
+    });
+    if (terrain.chunks) {
+        for (const chunk of terrain.chunks) {
+            group.add(new SceneNode(`chunk ${chunk.x},${chunk.z}`, { mesh: chunk, material }));
+        }
+    } else {
+        group.mesh = terrain;
+        group.material = material;
+    }
+
+    if (meshes.apron) {
+        // Inner edge matches the terrain's base layer, outer edge the nearest matte layer
+        const manager = renderer.mattePaintingManager;
+        group.add(new SceneNode('apron', {
+            mesh: meshes.apron,
+            material: new Material('terrainApron', programs.terrainApron, {
+                uniforms: {
+                    uTerrainColor: () => renderer.terrainMaterial ? renderer.terrainMaterial.layers[0].color : renderer.terrainColor,
+                    uMatteColor: () => {
+                        const nearestLayer = manager ? manager.getNearestLayer() : null;
+                        return nearestLayer ? nearestLayer.baseColor : renderer.fogColor;
+                    },
+                    uMatteFadeStart: () => renderer.apronMatteFadeStart
+                }
+            })
+        }));
+    }
+
+    return group;
+}
+
+/**
+ * Crea il grafo della scena del mondo a partire da programmi, mesh e impostazioni del renderer
+ * @param {Renderer} renderer - Renderer (programs, meshes, mattePaintingManager già impostati)
+ * @returns {SceneNode} Radice 'world', da aggiungere a renderer.scene
+ */
+export function buildWorldScene(renderer) {
+    const { programs, meshes } = renderer;
+    const world = new SceneNode('world');
+
+    world.add(buildSky(renderer));
+    if (renderer.mattePaintingManager) {
+        world.add(buildMattePainting(renderer));
+    }
+    world.add(buildTerrain(renderer));
+
+    // Structures, avatar and the old ground/mountains share the mesh shader, colour per node
+    const meshMaterial = new Material('mesh', programs.mesh);
+
+    world.add(createListNode(
+        'structures',
+        () => renderer.structures ? renderer.structures.placements : [],
+        (placement) => {
+            const node = new SceneNode(placement.prefab.name, {
+                mesh: placement.prefab.mesh,
+                material: meshMaterial,
+                uniforms: { uObjectColor: placement.prefab.color }
+            });
+            node.setMatrix(placement.modelMatrix);
+            return node;
+        }
+    ));
+
+    // Third-person avatar: origin at the feet, +Z = forward
+    const yAxis = [0, 1, 0];
+    world.add(new SceneNode('avatar', {
+        material: meshMaterial,
+        uniforms: { uObjectColor: null },
+        onUpdate: (node, { camera }) => {
+            const avatar = renderer.avatar;
+            node.visible = Boolean(avatar) && camera.mode === 'thirdPerson';
+            if (!node.visible) return;
+            node.mesh = avatar.mesh;
+            node.uniforms.uObjectColor = avatar.color;
+            node.position.set(camera.getFeetPosition());
+            quatSetAxisAngle(yAxis, camera.yaw, node.rotation);
+        }
+    }));
+
+    // Navigation debug paths (line strips), lit straight along their up normals: full colour
+    const navPathMaterial = new Material('navPath', programs.mesh, {
+        pass: 'overlay',
+        uniforms: { uLightDir: [0, 1, 0], uObjectColor: [1.0, 0.9, 0.2] }
+    });
+    world.add(createListNode(
+        'navPaths',
+        () => renderer.navPaths,
+        (path) => new SceneNode('navPath', { mesh: path, material: navPathMaterial }),
+        (node) => { node.visible = renderer.showNavGrid; }
+    ));
+
+    // Lakes: alpha blended over the terrain, the lake bed stays visible through the water
+    if (meshes.water) {
+        world.add(new SceneNode('water', {
+            mesh: meshes.water,
+            material: new Material('water', programs.water, {
+                pass: 'transparent',
+                blend: 'alpha',
+                depthWrite: false,
+                uniforms: {
+                    uShallowColor: () => renderer.waterShallowColor,
+                    uDeepColor: () => renderer.waterDeepColor,
+                    uWaveStrength: () => renderer.waterWaveStrength
+                },
+                textures: { uWaterMap: () => renderer.waterMap.texture }
+            }),
+            onUpdate: (node) => { node.visible = Boolean(renderer.waterMap); }
+        }));
+    }
+
+    // Replaced by the matte painting and the terrain, kept hidden
+    if (meshes.ground) {
+        world.add(new SceneNode('ground', {
+            mesh: meshes.ground,
+            material: meshMaterial,
+            uniforms: { uObjectColor: [0.4, 0.5, 0.3] },
+            visible: false
+        }));
+    }
+    if (meshes.mountains) {
+        world.add(new SceneNode('mountains', {
+            mesh: meshes.mountains,
+            material: meshMaterial,
+            uniforms: { uObjectColor: [0.3, 0.35, 0.5] },
+            visible: false
+        }));
+    }
+    if (meshes.billboards) {
+        // Bounds cover only the anchor points, the quads grow in the shader: not culled
+        world.add(new SceneNode('billboards', {
+            mesh: meshes.billboards,
+            material: new Material('billboard', programs.billboard, { uniforms: { uBillboardSize: 8.0 } }),
+            cull: false,
+            visible: false
+        }));
+    }
+
+    return world;
+}
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CameraPath } from '../js/camera-path.js';
+
+// Straight line along X, slow first half (10 m in 4 s) and fast second half (10 m in 1 s)
+function recordedPath(options) {
+    const path = new CameraPath({ interpolation: 'bezier', tension: 0, ...options });
+    path.addKeyframe({ time: 0, position: [0, 0, 0], yaw: 0, pitch: 0, fov: 1 });
+    path.addKeyframe({ time: 4, position: [10, 0, 0], yaw: 0, pitch: 0, fov: 1 });
+    path.addKeyframe({ time: 5, position: [20, 0, 0], yaw: 0, pitch: 0, fov: 1 });
+    return path;
+}
+
+test('timestamps timing keeps the recorded times, whatever the easing', () => {
+    for (const easing of ['sine', 'linear']) {
+        const path = recordedPath({ timing: 'timestamps', easing });
+        assert.equal(path.getDuration(), 5);
+        assert.ok(Math.abs(path.sample(2).position[0] - 5) < 1e-9);
+        assert.ok(Math.abs(path.sample(4).position[0] - 10) < 1e-9);
+        assert.ok(Math.abs(path.sample(4.5).position[0] - 15) < 1e-9);
+    }
+});
+
+test('speed timing applies the easing to the overall progress', () => {
+    const linear = recordedPath({ timing: 'speed', speed: 10, easing: 'linear' });
+    const eased = recordedPath({ timing: 'speed', speed: 10, easing: 'sine' });
+    assert.equal(linear.getDuration(), 2);
+    assert.ok(Math.abs(linear.sample(0.5).position[0] - 5) < 1e-6);
+    assert.ok(eased.sample(0.5).position[0] < 4.9);
+    assert.ok(Math.abs(eased.sample(1).position[0] - 10) < 1e-6);
+    assert.ok(Math.abs(eased.sample(2).position[0] - 20) < 1e-6);
+});
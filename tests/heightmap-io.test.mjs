@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Heightmap } from '../js/terrain.js';
+import { heightmapFromRAW, heightmapToRAW } from '../js/heightmap-io.js';
+
+function sampleHeightmap() {
+    const heightmap = new Heightmap(16, 16);
+    for (let i = 0; i < heightmap.data.length; i++) {
+        heightmap.data[i] = -20 + 180 * Math.sin(i * 0.37) ** 2;
+    }
+    return heightmap;
+}
+
+function assertHeightsClose(actual, expected, tolerance) {
+    assert.equal(actual.width, expected.width);
+    assert.equal(actual.height, expected.height);
+    for (let i = 0; i < expected.data.length; i++) {
+        assert.ok(Math.abs(actual.data[i] - expected.data[i]) <= tolerance,
+            `sample ${i}: ${actual.data[i]} vs ${expected.data[i]}`);
+    }
+}
+
+test('R16 round-trip with the base/scale returned by the exporter', () => {
+    const heightmap = sampleHeightmap();
+    const raw = heightmapToRAW(heightmap);
+    assert.equal(raw.bytes.byteLength, heightmap.data.length * 2);
+
+    const imported = heightmapFromRAW(raw.bytes, { scale: raw.scale, base: raw.base });
+    assertHeightsClose(imported, heightmap, raw.scale / 65535);
+});
+
+test('R16 round-trip with explicit base/scale', () => {
+    const heightmap = sampleHeightmap();
+    const raw = heightmapToRAW(heightmap, { base: -50, scale: 300 });
+    assert.equal(raw.base, -50);
+    assert.equal(raw.scale, 300);
+
+    const imported = heightmapFromRAW(raw.bytes, { base: -50, scale: 300 });
+    assertHeightsClose(imported, heightmap, 300 / 65535);
+});
+
+test('R16 import without base/scale is rejected', () => {
+    const raw = heightmapToRAW(sampleHeightmap());
+    assert.throws(() => heightmapFromRAW(raw.bytes), /scale and base/);
+    assert.throws(() => heightmapFromRAW(raw.bytes, { scale: raw.scale }), /scale and base/);
+});
+
+test('R32F round-trip with defaults', () => {
+    const heightmap = sampleHeightmap();
+    const raw = heightmapToRAW(heightmap, { format: 'r32f' });
+    const imported = heightmapFromRAW(raw.bytes, { format: 'r32f' });
+    assertHeightsClose(imported, heightmap, 1e-4);
+});
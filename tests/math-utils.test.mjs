@@ -0,0 +1,251 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    mat4Compose,
+    mat4Create,
+    mat4Decompose,
+    mat4Invert,
+    mat4Multiply,
+    mat4NormalMatrix,
+    mat4Ortho,
+    mat4Perspective,
+    mat4Transpose,
+    quatFromMat4,
+    quatSetAxisAngle,
+    quatSlerp,
+    vec3TransformMat4
+} from '../js/math-utils.js';
+
+// Float32 storage: compare with a tolerance
+function assertClose(actual, expected, tolerance = 1e-5) {
+    assert.equal(actual.length, expected.length, 'length');
+    for (let i = 0; i < expected.length; i++) {
+        assert.ok(Math.abs(actual[i] - expected[i]) <= tolerance,
+            `[${i}] ${actual[i]} vs ${expected[i]} (actual ${Array.from(actual)})`);
+    }
+}
+
+// q and -q are the same rotation
+function assertSameRotation(actual, expected, tolerance = 1e-5) {
+    const dot = actual[0] * expected[0] + actual[1] * expected[1] + actual[2] * expected[2] + actual[3] * expected[3];
+    assertClose(dot < 0 ? Array.from(actual, (v) => -v) : Array.from(actual), expected, tolerance);
+}
+
+const SEQUENCE_A = Array.from({ length: 16 }, (_, i) => i + 1);
+const SEQUENCE_B = Array.from({ length: 16 }, (_, i) => i + 17);
+// SEQUENCE_A * SEQUENCE_B, both column-major
+const SEQUENCE_PRODUCT = [538, 612, 686, 760, 650, 740, 830, 920, 762, 868, 974, 1080, 874, 996, 1118, 1240];
+
+const IDENTITY = Array.from(mat4Create());
+const HALF_SQRT2 = Math.SQRT1_2;
+
+function translation(x, y, z) {
+    return [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, x, y, z, 1];
+}
+
+function scaling(x, y, z) {
+    return [x, 0, 0, 0, 0, y, 0, 0, 0, 0, z, 0, 0, 0, 0, 1];
+}
+
+test('mat4Multiply', async (t) => {
+    await t.test('known product (column-major a * b)', () => {
+        assertClose(mat4Multiply(SEQUENCE_A, SEQUENCE_B), SEQUENCE_PRODUCT);
+    });
+
+    await t.test('translation * scale', () => {
+        assertClose(mat4Multiply(translation(1, 2, 3), scaling(2, 3, 4)), [2, 0, 0, 0, 0, 3, 0, 0, 0, 0, 4, 0, 1, 2, 3, 1]);
+    });
+
+    await t.test('identity is neutral', () => {
+        assertClose(mat4Multiply(IDENTITY, SEQUENCE_A), SEQUENCE_A);
+        assertClose(mat4Multiply(SEQUENCE_A, IDENTITY), SEQUENCE_A);
+    });
+
+    await t.test('out may be a or b', () => {
+        const a = Float32Array.from(SEQUENCE_A);
+        assert.equal(mat4Multiply(a, SEQUENCE_B, a), a);
+        assertClose(a, SEQUENCE_PRODUCT);
+
+        const b = Float32Array.from(SEQUENCE_B);
+        assert.equal(mat4Multiply(SEQUENCE_A, b, b), b);
+        assertClose(b, SEQUENCE_PRODUCT);
+    });
+});
+
+test('mat4Invert', async (t) => {
+    await t.test('translation and scale', () => {
+        assertClose(mat4Invert(translation(1, -2, 3)), translation(-1, 2, -3));
+        assertClose(mat4Invert(scaling(2, 4, 8)), scaling(0.5, 0.25, 0.125));
+    });
+
+    await t.test('m * inverse(m) = identity', () => {
+        const m = mat4Compose([3, -1, 7], quatSetAxisAngle([0, 0.6, 0.8], 1.1), [2, 0.5, 3]);
+        assertClose(mat4Multiply(m, mat4Invert(m)), IDENTITY);
+        assertClose(mat4Multiply(mat4Invert(m), m), IDENTITY);
+    });
+
+    await t.test('singular matrix returns null and leaves out untouched', () => {
+        const singular = [1, 2, 3, 0, 2, 4, 6, 0, 0, 0, 1, 0, 0, 0, 0, 1];  // column 1 = 2 * column 0
+        const out = Float32Array.from(SEQUENCE_A);
+        assert.equal(mat4Invert(singular, out), null);
+        assertClose(out, SEQUENCE_A);
+        assert.equal(mat4Invert(new Float32Array(16)), null);
+    });
+
+    await t.test('out may be the input', () => {
+        const m = Float32Array.from(translation(4, 5, 6));
+        assert.equal(mat4Invert(m, m), m);
+        assertClose(m, translation(-4, -5, -6));
+    });
+});
+
+test('mat4Transpose', async (t) => {
+    const transposed = [1, 5, 9, 13, 2, 6, 10, 14, 3, 7, 11, 15, 4, 8, 12, 16];
+
+    await t.test('known value', () => {
+        assertClose(mat4Transpose(SEQUENCE_A), transposed);
+    });
+
+    await t.test('out may be the input', () => {
+        const m = Float32Array.from(SEQUENCE_A);
+        assert.equal(mat4Transpose(m, m), m);
+        assertClose(m, transposed);
+    });
+});
+
+test('mat4NormalMatrix', async (t) => {
+    await t.test('non-uniform scale inverts the scale', () => {
+        assertClose(mat4NormalMatrix(scaling(2, 4, 8)), [0.5, 0, 0, 0, 0.25, 0, 0, 0, 0.125]);
+    });
+
+    await t.test('rotation + translation keeps the rotation', () => {
+        const m = mat4Compose([10, 20, 30], quatSetAxisAngle([0, 1, 0], Math.PI / 2), [1, 1, 1]);
+        // 90° around Y: x → -z, z → x
+        assertClose(mat4NormalMatrix(m), [0, 0, -1, 0, 1, 0, 1, 0, 0]);
+    });
+
+    await t.test('singular matrix returns null', () => {
+        assert.equal(mat4NormalMatrix(scaling(1, 0, 1)), null);
+    });
+});
+
+test('mat4Compose / mat4Decompose round-trip', async (t) => {
+    await t.test('known composition', () => {
+        const m = mat4Compose([1, 2, 3], quatSetAxisAngle([0, 0, 1], Math.PI / 2), [2, 3, 4]);
+        // 90° around Z: x → y, y → -x; columns scaled by 2, 3, 4
+        assertClose(m, [0, 2, 0, 0, -3, 0, 0, 0, 0, 0, 4, 0, 1, 2, 3, 1]);
+    });
+
+    await t.test('translation, rotation and scale come back', () => {
+        const translationIn = [-4, 2.5, 9];
+        const rotationIn = quatSetAxisAngle([0.48, 0.6, 0.64], 2.3);
+        const scaleIn = [1.5, 0.25, 3];
+        const { translation: t2, rotation: r2, scale: s2 } = mat4Decompose(mat4Compose(translationIn, rotationIn, scaleIn));
+        assertClose(t2, translationIn);
+        assertSameRotation(r2, rotationIn);
+        assertClose(s2, scaleIn);
+    });
+
+    await t.test('a reflection comes back as a negative X scale', () => {
+        const m = mat4Compose([0, 0, 0], quatSetAxisAngle([0, 1, 0], 0.7), [-2, 1, 1]);
+        const { rotation, scale } = mat4Decompose(m);
+        assertClose(scale, [-2, 1, 1]);
+        assertClose(mat4Compose([0, 0, 0], rotation, scale), m);
+    });
+});
+
+test('mat4Ortho', async (t) => {
+    const m = mat4Ortho(-2, 2, -1, 1, 0.1, 100);
+
+    await t.test('known value', () => {
+        assertClose(m, [0.5, 0, 0, 0, 0, 1, 0, 0, 0, 0, -2 / 99.9, 0, 0, 0, -100.1 / 99.9, 1]);
+    });
+
+    await t.test('box corners map to the clip cube', () => {
+        assertClose(vec3TransformMat4([2, 1, -0.1], m), [1, 1, -1]);
+        assertClose(vec3TransformMat4([-2, -1, -100], m), [-1, -1, 1]);
+    });
+});
+
+test('mat4Perspective', async (t) => {
+    const m = mat4Perspective(Math.PI / 2, 2, 1, 10);
+
+    await t.test('known value', () => {
+        assertClose(m, [0.5, 0, 0, 0, 0, 1, 0, 0, 0, 0, -11 / 9, -1, 0, 0, -20 / 9, 0]);
+    });
+
+    await t.test('near and far planes map to -1 and 1', () => {
+        assertClose(vec3TransformMat4([0, 0, -1], m), [0, 0, -1]);
+        assertClose(vec3TransformMat4([0, 0, -10], m), [0, 0, 1]);
+        // 90° vertical FOV: the top edge at the near plane is y = 1
+        assertClose(vec3TransformMat4([2, 1, -1], m), [1, 1, -1]);
+    });
+
+    await t.test('out is fully overwritten', () => {
+        const out = Float32Array.from(SEQUENCE_A);
+        assert.equal(mat4Perspective(Math.PI / 2, 2, 1, 10, out), out);
+        assertClose(out, m);
+    });
+});
+
+test('quatFromMat4', async (t) => {
+    await t.test('positive trace', () => {
+        const m = mat4Compose([0, 0, 0], [0, HALF_SQRT2, 0, HALF_SQRT2], [1, 1, 1]);
+        assertSameRotation(quatFromMat4(m), [0, HALF_SQRT2, 0, HALF_SQRT2]);
+    });
+
+    await t.test('180° rotations (each largest-diagonal branch)', () => {
+        assertSameRotation(quatFromMat4(scaling(1, -1, -1)), [1, 0, 0, 0]);
+        assertSameRotation(quatFromMat4(scaling(-1, 1, -1)), [0, 1, 0, 0]);
+        assertSameRotation(quatFromMat4(scaling(-1, -1, 1)), [0, 0, 1, 0]);
+    });
+
+    await t.test('round-trip through mat4Compose', () => {
+        for (const [axis, angle] of [[[1, 0, 0], 0.3], [[0, 0.6, 0.8], 2.9], [[0.48, 0.6, 0.64], -3.1]]) {
+            const q = quatSetAxisAngle(axis, angle);
+            assertSameRotation(quatFromMat4(mat4Compose([5, 6, 7], q, [1, 1, 1])), q);
+        }
+    });
+});
+
+test('quatSlerp', async (t) => {
+    const identity = [0, 0, 0, 1];
+    const quarterY = quatSetAxisAngle([0, 1, 0], Math.PI / 2);
+
+    await t.test('endpoints', () => {
+        assertClose(quatSlerp(identity, quarterY, 0), identity);
+        assertClose(quatSlerp(identity, quarterY, 1), quarterY);
+    });
+
+    await t.test('halfway is half the angle', () => {
+        assertClose(quatSlerp(identity, quarterY, 0.5), quatSetAxisAngle([0, 1, 0], Math.PI / 4));
+    });
+
+    await t.test('negated quaternion takes the shortest path', () => {
+        const negated = Array.from(quarterY, (v) => -v);
+        const halfway = quatSlerp(identity, negated, 0.5);
+        // Not the 270° way round: still 45° around +Y
+        assertSameRotation(halfway, quatSetAxisAngle([0, 1, 0], Math.PI / 4));
+        assertSameRotation(quatSlerp(identity, negated, 1), quarterY);
+    });
+
+    await t.test('nearly identical inputs stay finite and unit length', () => {
+        const a = quatSetAxisAngle([0, 1, 0], 0.5);
+        const b = quatSetAxisAngle([0, 1, 0], 0.5 + 1e-7);
+        const result = quatSlerp(a, b, 0.5);
+        assert.ok(Array.from(result).every(Number.isFinite));
+        assert.ok(Math.abs(Math.hypot(...result) - 1) < 1e-6);
+        assertSameRotation(result, a);
+    });
+
+    await t.test('out may be an input', () => {
+        const a = Float32Array.from(identity);
+        assert.equal(quatSlerp(a, quarterY, 0.5, a), a);
+        assertClose(a, quatSetAxisAngle([0, 1, 0], Math.PI / 4));
+
+        const b = Float32Array.from(quarterY);
+        assert.equal(quatSlerp(identity, b, 0.5, b), b);
+        assertClose(b, quatSetAxisAngle([0, 1, 0], Math.PI / 4));
+    });
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseOBJ } from '../js/obj-loader.js';
+
+// Signed area of a triangle of the parsed mesh, projected on XZ (faces below lie in y = 0)
+function triangleAreas(mesh) {
+    const areas = [];
+    const p = (index) => [mesh.vertexData[index * 8], mesh.vertexData[index * 8 + 2]];
+    for (let i = 0; i < mesh.indices.length; i += 3) {
+        const [a, b, c] = [p(mesh.indices[i]), p(mesh.indices[i + 1]), p(mesh.indices[i + 2])];
+        areas.push(((b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0])) / 2);
+    }
+    return areas;
+}
+
+test('errors report the physical line, after comments, blank lines and continuations', () => {
+    const header = '# Blender export\n# comment\n\nv 0 0 0\nv 1 0 0\n';
+    assert.throws(() => parseOBJ(`${header}f 1 2 9\n`), /^Error: OBJ line 6: index 9 out of range/);
+    assert.throws(() => parseOBJ(`${header}v 0 0 \\\n1\nf 1 2 \\\n 9\n`), /^Error: OBJ line 8: index 9 out of range/);
+    assert.throws(() => parseOBJ(`${header}\n# face\nf 1 2\n`), /^Error: OBJ line 8: face needs at least 3 vertices/);
+});
+
+test('concave faces are ear clipped: no triangle outside the polygon, winding kept', () => {
+    // L shape (area 3), listed from a corner that cannot see the whole polygon
+    const obj = [
+        'v 1 0 2', 'v 0 0 2', 'v 0 0 0', 'v 2 0 0', 'v 2 0 1', 'v 1 0 1',
+        'f 1 2 3 4 5 6'
+    ].join('\n');
+    const mesh = parseOBJ(obj);
+    const areas = triangleAreas(mesh);
+
+    assert.equal(areas.length, 4);
+    assert.equal(mesh.groups[0].indexCount, 12);
+    const sign = Math.sign(areas[0]);
+    assert.ok(areas.every((area) => Math.sign(area) === sign), `mixed winding: ${areas}`);
+    assert.ok(Math.abs(areas.reduce((sum, area) => sum + Math.abs(area), 0) - 3) < 1e-6);
+});
+
+test('convex quads still give two triangles', () => {
+    const mesh = parseOBJ('v 0 0 0\nv 1 0 0\nv 1 0 1\nv 0 0 1\nf 1 2 3 4\n');
+    const areas = triangleAreas(mesh);
+    assert.equal(areas.length, 2);
+    assert.ok(Math.abs(Math.abs(areas[0]) + Math.abs(areas[1]) - 1) < 1e-6);
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Heightmap } from '../js/terrain.js';
+import { StructureLayout } from '../js/structures.js';
+
+// U-shaped plot (pixel space): two arms around a notch 30 m deep, narrower than the outline sample step
+const U_PLOT = [[10, 10], [52, 10], [52, 60], [30.4, 60], [30.4, 30], [30.1, 30], [30.1, 60], [10, 60]];
+
+function createLayout() {
+    const heightmap = new Heightmap(64, 64);
+    heightmap.flattenPolygon(U_PLOT, 1.0, { name: 'u' });
+    return new StructureLayout(heightmap);
+}
+
+// World position of a pixel-space point (pixel (0, 0) at world (-width/2, -height/2))
+const world = ([x, y]) => [x - 32, y - 32];
+
+test('a footprint inside one arm of a non-convex plot is valid', () => {
+    const layout = createLayout();
+    const prefab = { name: 'hut', footprint: [8, 8] };
+    assert.deepEqual(layout.validate(prefab, 'u', { position: world([20, 45]) }), { valid: true, reason: null });
+});
+
+test('a footprint straddling the notch of a non-convex plot is rejected', () => {
+    const layout = createLayout();
+    // Every outline sample lies on one of the arms or on the solid part above the notch
+    const prefab = { name: 'hall', footprint: [10, 30] };
+    const result = layout.validate(prefab, 'u', { position: world([31, 42]) });
+    assert.equal(result.valid, false);
+    assert.match(result.reason, /does not fit inside plot "u"/);
+});
+
+test('overlapping placements are rejected', () => {
+    const layout = createLayout();
+    const prefab = { name: 'hut', footprint: [8, 8] };
+    layout.place(prefab, 'u', { position: world([20, 45]) });
+    assert.equal(layout.validate(prefab, 'u', { position: world([24, 47]) }).valid, false);
+});